@@ -0,0 +1,49 @@
+// Baseline schema. Databases created before the migration runner already have
+// these tables, so everything here is written to adopt them as-is.
+
+async function addColumnIfNotExists(db, table, column, definition) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  if (!columns.some(col => col.name === column)) {
+    await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE IF NOT EXISTS receipts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        store_name TEXT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        receipt_date DATE NOT NULL,
+        category TEXT NOT NULL,
+        description TEXT,
+        image_path TEXT,
+        image_id TEXT,
+        ocr_text TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )
+    `);
+
+    await addColumnIfNotExists(db, 'receipts', 'image_id', 'TEXT');
+    await addColumnIfNotExists(db, 'receipts', 'ocr_text', 'TEXT');
+  },
+
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS receipts');
+    await db.run('DROP TABLE IF EXISTS users');
+  }
+};
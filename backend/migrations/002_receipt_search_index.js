@@ -0,0 +1,41 @@
+// Full-text index over the searchable receipt fields, kept in sync by triggers
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS receipts_fts USING fts5(
+        store_name, description, category, ocr_text,
+        content='receipts', content_rowid='id',
+        tokenize='porter unicode61'
+      );
+
+      CREATE TRIGGER IF NOT EXISTS receipts_fts_insert AFTER INSERT ON receipts BEGIN
+        INSERT INTO receipts_fts (rowid, store_name, description, category, ocr_text)
+        VALUES (new.id, new.store_name, new.description, new.category, new.ocr_text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS receipts_fts_delete AFTER DELETE ON receipts BEGIN
+        INSERT INTO receipts_fts (receipts_fts, rowid, store_name, description, category, ocr_text)
+        VALUES ('delete', old.id, old.store_name, old.description, old.category, old.ocr_text);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS receipts_fts_update AFTER UPDATE ON receipts BEGIN
+        INSERT INTO receipts_fts (receipts_fts, rowid, store_name, description, category, ocr_text)
+        VALUES ('delete', old.id, old.store_name, old.description, old.category, old.ocr_text);
+        INSERT INTO receipts_fts (rowid, store_name, description, category, ocr_text)
+        VALUES (new.id, new.store_name, new.description, new.category, new.ocr_text);
+      END;
+
+      INSERT INTO receipts_fts (receipts_fts) VALUES ('rebuild');
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS receipts_fts_insert;
+      DROP TRIGGER IF EXISTS receipts_fts_delete;
+      DROP TRIGGER IF EXISTS receipts_fts_update;
+      DROP TABLE IF EXISTS receipts_fts;
+    `);
+  }
+};
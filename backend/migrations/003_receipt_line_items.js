@@ -0,0 +1,110 @@
+// Structured line items per receipt. The search index moves from an external-content
+// table to a standalone one so line item descriptions can be indexed alongside the receipt.
+
+const SYNC_RECEIPT_SQL = (receiptId) => `
+  DELETE FROM receipts_fts WHERE rowid = ${receiptId};
+  INSERT INTO receipts_fts (rowid, store_name, description, category, line_items, ocr_text)
+  SELECT r.id, r.store_name, r.description, r.category,
+         (SELECT group_concat(description, ' ') FROM receipt_line_items WHERE receipt_id = r.id),
+         r.ocr_text
+  FROM receipts r
+  WHERE r.id = ${receiptId};
+`;
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE receipt_line_items (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receipt_id INTEGER NOT NULL,
+        description TEXT NOT NULL,
+        quantity DECIMAL(10,3) NOT NULL DEFAULT 1,
+        unit_price DECIMAL(10,2),
+        amount DECIMAL(10,2) NOT NULL,
+        hsa_eligible INTEGER NOT NULL DEFAULT 1,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (receipt_id) REFERENCES receipts (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_receipt_line_items_receipt ON receipt_line_items (receipt_id, sort_order);
+
+      DROP TRIGGER IF EXISTS receipts_fts_insert;
+      DROP TRIGGER IF EXISTS receipts_fts_delete;
+      DROP TRIGGER IF EXISTS receipts_fts_update;
+      DROP TABLE IF EXISTS receipts_fts;
+
+      CREATE VIRTUAL TABLE receipts_fts USING fts5(
+        store_name, description, category, line_items, ocr_text,
+        tokenize='porter unicode61'
+      );
+
+      CREATE TRIGGER receipts_fts_insert AFTER INSERT ON receipts BEGIN
+        ${SYNC_RECEIPT_SQL('new.id')}
+      END;
+
+      CREATE TRIGGER receipts_fts_update AFTER UPDATE ON receipts BEGIN
+        ${SYNC_RECEIPT_SQL('new.id')}
+      END;
+
+      CREATE TRIGGER receipts_fts_delete AFTER DELETE ON receipts BEGIN
+        DELETE FROM receipts_fts WHERE rowid = old.id;
+        DELETE FROM receipt_line_items WHERE receipt_id = old.id;
+      END;
+
+      CREATE TRIGGER receipt_line_items_fts_insert AFTER INSERT ON receipt_line_items BEGIN
+        ${SYNC_RECEIPT_SQL('new.receipt_id')}
+      END;
+
+      CREATE TRIGGER receipt_line_items_fts_update AFTER UPDATE ON receipt_line_items BEGIN
+        ${SYNC_RECEIPT_SQL('new.receipt_id')}
+      END;
+
+      CREATE TRIGGER receipt_line_items_fts_delete AFTER DELETE ON receipt_line_items BEGIN
+        ${SYNC_RECEIPT_SQL('old.receipt_id')}
+      END;
+
+      INSERT INTO receipts_fts (rowid, store_name, description, category, line_items, ocr_text)
+      SELECT id, store_name, description, category, NULL, ocr_text FROM receipts;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS receipt_line_items_fts_insert;
+      DROP TRIGGER IF EXISTS receipt_line_items_fts_update;
+      DROP TRIGGER IF EXISTS receipt_line_items_fts_delete;
+      DROP TRIGGER IF EXISTS receipts_fts_insert;
+      DROP TRIGGER IF EXISTS receipts_fts_delete;
+      DROP TRIGGER IF EXISTS receipts_fts_update;
+      DROP TABLE IF EXISTS receipts_fts;
+      DROP TABLE IF EXISTS receipt_line_items;
+
+      CREATE VIRTUAL TABLE receipts_fts USING fts5(
+        store_name, description, category, ocr_text,
+        content='receipts', content_rowid='id',
+        tokenize='porter unicode61'
+      );
+
+      CREATE TRIGGER receipts_fts_insert AFTER INSERT ON receipts BEGIN
+        INSERT INTO receipts_fts (rowid, store_name, description, category, ocr_text)
+        VALUES (new.id, new.store_name, new.description, new.category, new.ocr_text);
+      END;
+
+      CREATE TRIGGER receipts_fts_delete AFTER DELETE ON receipts BEGIN
+        INSERT INTO receipts_fts (receipts_fts, rowid, store_name, description, category, ocr_text)
+        VALUES ('delete', old.id, old.store_name, old.description, old.category, old.ocr_text);
+      END;
+
+      CREATE TRIGGER receipts_fts_update AFTER UPDATE ON receipts BEGIN
+        INSERT INTO receipts_fts (receipts_fts, rowid, store_name, description, category, ocr_text)
+        VALUES ('delete', old.id, old.store_name, old.description, old.category, old.ocr_text);
+        INSERT INTO receipts_fts (rowid, store_name, description, category, ocr_text)
+        VALUES (new.id, new.store_name, new.description, new.category, new.ocr_text);
+      END;
+
+      INSERT INTO receipts_fts (receipts_fts) VALUES ('rebuild');
+    `);
+  }
+};
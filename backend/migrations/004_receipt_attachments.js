@@ -0,0 +1,33 @@
+// Supporting documents (itemized statements, EOBs, letters of medical necessity, ...)
+// stored in the image service and attached to a receipt alongside its primary image.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE receipt_attachments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receipt_id INTEGER NOT NULL,
+        image_id TEXT NOT NULL,
+        attachment_type TEXT NOT NULL DEFAULT 'other',
+        caption TEXT,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (receipt_id) REFERENCES receipts (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_receipt_attachments_receipt ON receipt_attachments (receipt_id, sort_order);
+
+      CREATE TRIGGER receipt_attachments_cleanup AFTER DELETE ON receipts BEGIN
+        DELETE FROM receipt_attachments WHERE receipt_id = old.id;
+      END;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS receipt_attachments_cleanup;
+      DROP TABLE IF EXISTS receipt_attachments;
+    `);
+  }
+};
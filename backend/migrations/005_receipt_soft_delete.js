@@ -0,0 +1,18 @@
+// Soft deletion: trashed receipts keep their row until the purge job removes them
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE receipts ADD COLUMN deleted_at DATETIME;
+      CREATE INDEX idx_receipts_user_deleted ON receipts (user_id, deleted_at);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DELETE FROM receipts WHERE deleted_at IS NOT NULL;
+      DROP INDEX IF EXISTS idx_receipts_user_deleted;
+      ALTER TABLE receipts DROP COLUMN deleted_at;
+    `);
+  }
+};
@@ -0,0 +1,33 @@
+// Audit trail of receipt edits. Each row stores only the fields that changed,
+// as JSON of the form {"amount": {"old": 25.99, "new": 29.99}}.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE receipt_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receipt_id INTEGER NOT NULL,
+        changed_by INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        reverted_from INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (receipt_id) REFERENCES receipts (id) ON DELETE CASCADE,
+        FOREIGN KEY (changed_by) REFERENCES users (id)
+      );
+
+      CREATE INDEX idx_receipt_revisions_receipt ON receipt_revisions (receipt_id, id);
+
+      CREATE TRIGGER receipt_revisions_cleanup AFTER DELETE ON receipts BEGIN
+        DELETE FROM receipt_revisions WHERE receipt_id = old.id;
+      END;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS receipt_revisions_cleanup;
+      DROP TABLE IF EXISTS receipt_revisions;
+    `);
+  }
+};
@@ -0,0 +1,29 @@
+// Reimbursement lifecycle for each receipt (see services/reimbursementWorkflow.js)
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE receipts ADD COLUMN reimbursement_status TEXT NOT NULL DEFAULT 'unsubmitted';
+      ALTER TABLE receipts ADD COLUMN submitted_date DATE;
+      ALTER TABLE receipts ADD COLUMN reimbursed_date DATE;
+      ALTER TABLE receipts ADD COLUMN denied_date DATE;
+      ALTER TABLE receipts ADD COLUMN reimbursed_amount DECIMAL(10,2);
+      ALTER TABLE receipts ADD COLUMN claim_reference TEXT;
+      ALTER TABLE receipts ADD COLUMN status_note TEXT;
+      CREATE INDEX idx_receipts_user_status ON receipts (user_id, reimbursement_status);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_receipts_user_status;
+      ALTER TABLE receipts DROP COLUMN status_note;
+      ALTER TABLE receipts DROP COLUMN claim_reference;
+      ALTER TABLE receipts DROP COLUMN reimbursed_amount;
+      ALTER TABLE receipts DROP COLUMN denied_date;
+      ALTER TABLE receipts DROP COLUMN reimbursed_date;
+      ALTER TABLE receipts DROP COLUMN submitted_date;
+      ALTER TABLE receipts DROP COLUMN reimbursement_status;
+    `);
+  }
+};
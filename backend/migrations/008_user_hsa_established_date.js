@@ -0,0 +1,15 @@
+// HSA establishment date: expenses incurred before it can't be reimbursed tax-free
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN hsa_established_date DATE;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE users DROP COLUMN hsa_established_date;
+    `);
+  }
+};
@@ -0,0 +1,60 @@
+// Benefit accounts (HSA, FSA, HRA, ...). A receipt with no account_id was paid out of pocket.
+// The HSA establishment date moves from users onto the user's HSA account.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        account_type TEXT NOT NULL,
+        administrator_name TEXT,
+        plan_year_start DATE,
+        plan_year_end DATE,
+        election_amount DECIMAL(10,2),
+        grace_period_days INTEGER NOT NULL DEFAULT 0,
+        carryover_limit DECIMAL(10,2) NOT NULL DEFAULT 0,
+        hsa_established_date DATE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+
+      CREATE INDEX idx_accounts_user ON accounts (user_id);
+
+      ALTER TABLE receipts ADD COLUMN account_id INTEGER REFERENCES accounts (id);
+      CREATE INDEX idx_receipts_user_account ON receipts (user_id, account_id);
+    `);
+
+    // Users who kept a shoebox ledger get an HSA holding their existing receipts,
+    // so the ledger balance carries over unchanged
+    const users = await db.all('SELECT id, hsa_established_date FROM users WHERE hsa_established_date IS NOT NULL');
+    for (const user of users) {
+      const result = await db.run(
+        "INSERT INTO accounts (user_id, name, account_type, hsa_established_date) VALUES (?, 'HSA', 'HSA', ?)",
+        [user.id, user.hsa_established_date]
+      );
+      await db.run('UPDATE receipts SET account_id = ? WHERE user_id = ?', [result.lastID, user.id]);
+    }
+
+    await db.exec(`
+      ALTER TABLE users DROP COLUMN hsa_established_date;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN hsa_established_date DATE;
+
+      UPDATE users SET hsa_established_date = (
+        SELECT MIN(hsa_established_date) FROM accounts
+        WHERE accounts.user_id = users.id AND account_type = 'HSA'
+      );
+
+      DROP INDEX IF EXISTS idx_receipts_user_account;
+      ALTER TABLE receipts DROP COLUMN account_id;
+      DROP TABLE IF EXISTS accounts;
+    `);
+  }
+};
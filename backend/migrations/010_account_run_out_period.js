@@ -0,0 +1,15 @@
+// Run-out period: days after the plan year ends during which FSA/HRA claims can still be submitted
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE accounts ADD COLUMN run_out_days INTEGER NOT NULL DEFAULT 90;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE accounts DROP COLUMN run_out_days;
+    `);
+  }
+};
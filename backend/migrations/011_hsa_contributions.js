@@ -0,0 +1,68 @@
+// HSA contributions by tax year, checked against the IRS annual limits below.
+// Add a row to hsa_contribution_limits in a new migration each year the IRS publishes limits.
+
+const IRS_HSA_LIMITS = [
+  // [tax_year, self_only, family, catch_up (age 55+)]
+  [2019, 3500, 7000, 1000],
+  [2020, 3550, 7100, 1000],
+  [2021, 3600, 7200, 1000],
+  [2022, 3650, 7300, 1000],
+  [2023, 3850, 7750, 1000],
+  [2024, 4150, 8300, 1000],
+  [2025, 4300, 8550, 1000],
+  [2026, 4400, 8750, 1000]
+];
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE hsa_contribution_limits (
+        tax_year INTEGER PRIMARY KEY,
+        self_only_limit DECIMAL(10,2) NOT NULL,
+        family_limit DECIMAL(10,2) NOT NULL,
+        catch_up_amount DECIMAL(10,2) NOT NULL
+      );
+
+      CREATE TABLE hsa_contributions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        account_id INTEGER NOT NULL,
+        tax_year INTEGER NOT NULL,
+        contribution_date DATE NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        source TEXT NOT NULL,
+        note TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (account_id) REFERENCES accounts (id)
+      );
+
+      CREATE INDEX idx_hsa_contributions_user_year ON hsa_contributions (user_id, tax_year);
+
+      CREATE TRIGGER hsa_contributions_account_cleanup AFTER DELETE ON accounts BEGIN
+        DELETE FROM hsa_contributions WHERE account_id = old.id;
+      END;
+
+      ALTER TABLE accounts ADD COLUMN hsa_coverage_type TEXT;
+      ALTER TABLE accounts ADD COLUMN holder_birth_date DATE;
+    `);
+
+    for (const [taxYear, selfOnly, family, catchUp] of IRS_HSA_LIMITS) {
+      await db.run(
+        'INSERT INTO hsa_contribution_limits (tax_year, self_only_limit, family_limit, catch_up_amount) VALUES (?, ?, ?, ?)',
+        [taxYear, selfOnly, family, catchUp]
+      );
+    }
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE accounts DROP COLUMN holder_birth_date;
+      ALTER TABLE accounts DROP COLUMN hsa_coverage_type;
+      DROP TRIGGER IF EXISTS hsa_contributions_account_cleanup;
+      DROP TABLE IF EXISTS hsa_contributions;
+      DROP TABLE IF EXISTS hsa_contribution_limits;
+    `);
+  }
+};
@@ -0,0 +1,19 @@
+// Eligibility verdict for each receipt as of its last save (see services/eligibilityService.js).
+// Existing receipts start without one. Reports, claim packets and the receipt list don't rely on it;
+// they evaluate receipts again when they read them (see services/receiptEligibilityService.js).
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE receipts ADD COLUMN eligibility_verdict TEXT;
+      ALTER TABLE receipts ADD COLUMN eligibility_explanation TEXT;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE receipts DROP COLUMN eligibility_explanation;
+      ALTER TABLE receipts DROP COLUMN eligibility_verdict;
+    `);
+  }
+};
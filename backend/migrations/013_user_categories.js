@@ -0,0 +1,34 @@
+// Per-user category taxonomy with one level of subcategories (e.g. Pharmacy > Prescription).
+// Receipts keep referencing categories by name; each user's defaults are created on first use
+// (see services/categoryService.js).
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE categories (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        parent_id INTEGER,
+        name TEXT NOT NULL,
+        description TEXT,
+        color TEXT,
+        eligibility_default TEXT,
+        archived INTEGER NOT NULL DEFAULT 0,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (parent_id) REFERENCES categories (id)
+      );
+
+      CREATE UNIQUE INDEX idx_categories_user_name ON categories (user_id, name COLLATE NOCASE);
+      CREATE INDEX idx_categories_parent ON categories (parent_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TABLE IF EXISTS categories;
+    `);
+  }
+};
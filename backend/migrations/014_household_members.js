@@ -0,0 +1,33 @@
+// Household members (the user, spouse, dependents) and the patient each receipt was for.
+// A receipt with no patient_id has not been assigned to anyone.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE household_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        relationship TEXT NOT NULL,
+        date_of_birth DATE,
+        is_tax_dependent INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+
+      CREATE INDEX idx_household_members_user ON household_members (user_id);
+
+      ALTER TABLE receipts ADD COLUMN patient_id INTEGER REFERENCES household_members (id);
+      CREATE INDEX idx_receipts_user_patient ON receipts (user_id, patient_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_receipts_user_patient;
+      ALTER TABLE receipts DROP COLUMN patient_id;
+      DROP TABLE IF EXISTS household_members;
+    `);
+  }
+};
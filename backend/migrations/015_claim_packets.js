@@ -0,0 +1,32 @@
+// Generated claim packets, kept so a submission can be downloaded again.
+// The PDF itself lives on disk under claim_packets/<user_id>/ (see routes/claims.js).
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE claim_packets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        account_id INTEGER,
+        receipt_ids TEXT NOT NULL,
+        receipt_count INTEGER NOT NULL,
+        total_amount DECIMAL(10,2) NOT NULL,
+        start_date DATE,
+        end_date DATE,
+        claim_reference TEXT,
+        file_name TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id),
+        FOREIGN KEY (account_id) REFERENCES accounts (id)
+      );
+
+      CREATE INDEX idx_claim_packets_user ON claim_packets (user_id, created_at);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TABLE IF EXISTS claim_packets;
+    `);
+  }
+};
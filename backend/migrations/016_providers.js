@@ -0,0 +1,51 @@
+// Provider/merchant directory. Receipts keep the store name as printed and link to the
+// canonical provider through provider_id; aliases are other names the provider goes by.
+// Existing receipts are linked by 020_link_receipt_providers.js.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE providers (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        provider_type TEXT NOT NULL DEFAULT 'other',
+        address TEXT,
+        phone TEXT,
+        npi TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      );
+
+      CREATE UNIQUE INDEX idx_providers_user_name ON providers (user_id, name COLLATE NOCASE);
+
+      CREATE TABLE provider_aliases (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        provider_id INTEGER NOT NULL,
+        alias TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (provider_id) REFERENCES providers (id) ON DELETE CASCADE
+      );
+
+      CREATE UNIQUE INDEX idx_provider_aliases_alias ON provider_aliases (provider_id, alias COLLATE NOCASE);
+
+      CREATE TRIGGER provider_aliases_cleanup AFTER DELETE ON providers BEGIN
+        DELETE FROM provider_aliases WHERE provider_id = old.id;
+      END;
+
+      ALTER TABLE receipts ADD COLUMN provider_id INTEGER REFERENCES providers (id);
+      CREATE INDEX idx_receipts_user_provider ON receipts (user_id, provider_id);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP INDEX IF EXISTS idx_receipts_user_provider;
+      ALTER TABLE receipts DROP COLUMN provider_id;
+      DROP TRIGGER IF EXISTS provider_aliases_cleanup;
+      DROP TABLE IF EXISTS provider_aliases;
+      DROP TABLE IF EXISTS providers;
+    `);
+  }
+};
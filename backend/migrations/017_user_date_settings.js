@@ -0,0 +1,18 @@
+// How the OCR service reads dates on a user's receipts: the locale decides whether 03/04 is
+// March 4 or 3 April, and dates older than the look-back window are treated as unlikely.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE users ADD COLUMN locale TEXT NOT NULL DEFAULT 'en-US';
+      ALTER TABLE users ADD COLUMN receipt_lookback_months INTEGER NOT NULL DEFAULT 12;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE users DROP COLUMN locale;
+      ALTER TABLE users DROP COLUMN receipt_lookback_months;
+    `);
+  }
+};
@@ -0,0 +1,18 @@
+// What a provider billed and what insurance paid, kept alongside the receipt amount (the patient's
+// share, which is what gets claimed) so claims can show how it was arrived at.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      ALTER TABLE receipts ADD COLUMN billed_amount DECIMAL(10,2);
+      ALTER TABLE receipts ADD COLUMN insurance_paid DECIMAL(10,2);
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      ALTER TABLE receipts DROP COLUMN billed_amount;
+      ALTER TABLE receipts DROP COLUMN insurance_paid;
+    `);
+  }
+};
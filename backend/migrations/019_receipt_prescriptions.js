@@ -0,0 +1,38 @@
+// Prescription fills on pharmacy receipts. Plan administrators usually ask for the Rx number to
+// substantiate a pharmacy claim; only the patient's initials are kept.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE receipt_prescriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        receipt_id INTEGER NOT NULL,
+        rx_number TEXT,
+        drug_name TEXT,
+        strength TEXT,
+        ndc TEXT,
+        quantity DECIMAL(10,3),
+        days_supply INTEGER,
+        prescriber TEXT,
+        patient_initials TEXT,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (receipt_id) REFERENCES receipts (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX idx_receipt_prescriptions_receipt ON receipt_prescriptions (receipt_id, sort_order);
+
+      CREATE TRIGGER receipt_prescriptions_cleanup AFTER DELETE ON receipts BEGIN
+        DELETE FROM receipt_prescriptions WHERE receipt_id = old.id;
+      END;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS receipt_prescriptions_cleanup;
+      DROP TABLE IF EXISTS receipt_prescriptions;
+    `);
+  }
+};
@@ -0,0 +1,123 @@
+// Links receipts saved before the provider directory existed (016) to a provider, matching the
+// store name against the directory or adding a provider when nothing matches. Receipts saved since
+// are linked when they are created or updated.
+//
+// The name handling below is a frozen copy of services/providerService.js as it was when this
+// migration was written, so later changes to matching don't change what the backfill does. Only
+// exact and core-name matches are made here; near misses become their own provider and can be
+// merged from the Providers page.
+
+const STORE_NUMBER_REGEX = /(?:#|\b(?:store|unit|no)\.?\s*#?)\s*\d+\b/gi;
+const BUSINESS_SUFFIXES = ['inc', 'llc', 'pllc', 'pc', 'pa', 'ltd', 'co', 'corp', 'corporation', 'company'];
+const GENERIC_WORDS = ['the', 'pharmacy', 'pharmacies', 'drug', 'drugs', 'drugstore', 'store', 'stores', 'rx'];
+
+const PROVIDER_TYPE_KEYWORDS = [
+  ['pharmacy', ['pharmacy', 'pharmacies', 'drug', 'drugstore', 'rx', 'cvs', 'walgreens', 'rite aid']],
+  ['dental', ['dental', 'dentist', 'dentistry', 'orthodontics', 'orthodontist', 'dds']],
+  ['vision', ['vision', 'optical', 'optometry', 'optometrist', 'eyecare', 'lenscrafters', 'warby parker']],
+  ['hospital', ['hospital', 'medical center', 'urgent care', 'emergency']],
+  ['lab', ['lab', 'labs', 'laboratory', 'labcorp', 'quest diagnostics', 'imaging', 'radiology']],
+  ['therapy', ['therapy', 'therapist', 'chiropractic', 'chiropractor', 'counseling', 'psychology']],
+  ['physician', ['dr', 'md', 'do', 'clinic', 'physician', 'physicians', 'family practice', 'pediatrics', 'health']]
+];
+
+function cleanName(name) {
+  return (name || '')
+    .replace(STORE_NUMBER_REGEX, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.)]+$/gu, '')
+    .trim();
+}
+
+function nameTokens(name) {
+  return cleanName(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && !BUSINESS_SUFFIXES.includes(token) && !/^\d{3,}$/.test(token));
+}
+
+function coreName(name) {
+  const tokens = nameTokens(name);
+  const core = tokens.filter(token => !GENERIC_WORDS.includes(token));
+  return (core.length > 0 ? core : tokens).join(' ');
+}
+
+function guessType(name) {
+  const key = ` ${nameTokens(name).join(' ')} `;
+  const match = PROVIDER_TYPE_KEYWORDS.find(([, keywords]) =>
+    keywords.some(keyword => key.includes(` ${keyword} `))
+  );
+  return match ? match[0] : 'other';
+}
+
+// An exact name or alias match wins over one that only shares the core name
+function findProvider(directory, storeName) {
+  const key = nameTokens(storeName).join(' ');
+  const core = coreName(storeName);
+  let similar = null;
+
+  for (const provider of directory) {
+    for (const name of provider.names) {
+      if (nameTokens(name).join(' ') === key) return provider;
+      if (!similar && coreName(name) === core) similar = provider;
+    }
+  }
+  return similar;
+}
+
+async function loadDirectory(db, userId) {
+  const providers = await db.all("SELECT id, name FROM providers WHERE user_id = ? ORDER BY id", [userId]);
+  const aliases = await db.all(`
+    SELECT a.provider_id, a.alias FROM provider_aliases a
+    JOIN providers p ON p.id = a.provider_id
+    WHERE p.user_id = ?
+    ORDER BY a.id
+  `, [userId]);
+
+  return providers.map(provider => ({
+    id: provider.id,
+    names: [provider.name, ...aliases.filter(alias => alias.provider_id === provider.id).map(alias => alias.alias)]
+  }));
+}
+
+module.exports = {
+  async up(db) {
+    const users = await db.all(
+      "SELECT DISTINCT user_id FROM receipts WHERE provider_id IS NULL AND store_name IS NOT NULL"
+    );
+
+    for (const { user_id } of users) {
+      const directory = await loadDirectory(db, user_id);
+      const receipts = await db.all(
+        "SELECT id, store_name FROM receipts WHERE user_id = ? AND provider_id IS NULL AND store_name IS NOT NULL ORDER BY id",
+        [user_id]
+      );
+
+      for (const receipt of receipts) {
+        if (!nameTokens(receipt.store_name).length) continue;
+
+        let provider = findProvider(directory, receipt.store_name);
+        if (!provider) {
+          const name = cleanName(receipt.store_name);
+          if (!name) continue;
+
+          await db.run(
+            "INSERT OR IGNORE INTO providers (user_id, name, provider_type) VALUES (?, ?, ?)",
+            [user_id, name, guessType(name)]
+          );
+          const row = await db.get("SELECT id, name FROM providers WHERE user_id = ? AND name = ? COLLATE NOCASE", [user_id, name]);
+          provider = { id: row.id, names: [row.name] };
+          directory.push(provider);
+        }
+
+        await db.run("UPDATE receipts SET provider_id = ? WHERE id = ?", [provider.id, receipt.id]);
+      }
+    }
+  },
+
+  // Links can't be told apart from ones made when receipts were saved, so they stay; rolling back
+  // 016 drops them with the column
+  async down() {}
+};
@@ -0,0 +1,18 @@
+// Contributions feed the Form 8889 summary for past tax years, so deleting an account no longer
+// deletes them; the accounts route refuses to delete an account that still has contributions.
+
+module.exports = {
+  async up(db) {
+    await db.exec(`
+      DROP TRIGGER IF EXISTS hsa_contributions_account_cleanup;
+    `);
+  },
+
+  async down(db) {
+    await db.exec(`
+      CREATE TRIGGER hsa_contributions_account_cleanup AFTER DELETE ON accounts BEGIN
+        DELETE FROM hsa_contributions WHERE account_id = old.id;
+      END;
+    `);
+  }
+};
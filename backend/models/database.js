@@ -6,7 +6,8 @@ const DB_PATH = path.join(__dirname, '../rxreceipts.db');
 
 let db;
 
-// Initialize database connection
+// Initialize database connection. Schema changes live in /migrations and are
+// applied separately by the migration runner (see models/migrator.js).
 function initializeDatabase() {
   return new Promise((resolve, reject) => {
     db = new sqlite3.Database(DB_PATH, (err) => {
@@ -15,97 +16,84 @@ function initializeDatabase() {
         reject(err);
       } else {
         console.log('Connected to SQLite database');
-        createTables()
-          .then(() => resolve())
-          .catch(reject);
+        resolve();
       }
     });
   });
 }
 
-function createTables() {
+function closeDatabase() {
   return new Promise((resolve, reject) => {
-    const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        email TEXT UNIQUE NOT NULL,
-        password TEXT NOT NULL,
-        name TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createReceiptsTable = `
-      CREATE TABLE IF NOT EXISTS receipts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        store_name TEXT NOT NULL,
-        amount DECIMAL(10,2) NOT NULL,
-        receipt_date DATE NOT NULL,
-        category TEXT NOT NULL,
-        description TEXT,
-        image_path TEXT,
-        image_id TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )
-    `;
-
-    db.serialize(() => {
-      db.run(createUsersTable, (err) => {
-        if (err) {
-          console.error('Error creating users table:', err);
-          reject(err);
-          return;
-        }
-      });
+    if (!db) {
+      resolve();
+      return;
+    }
 
-      db.run(createReceiptsTable, (err) => {
-        if (err) {
-          console.error('Error creating receipts table:', err);
-          reject(err);
-          return;
-        }
-
-        addImageIdColumnIfNotExists()
-          .then(() => insertSampleData())
-          .then(() => {
-            console.log('Database tables created successfully');
-            resolve();
-          })
-          .catch(reject);
-      });
+    db.close((err) => {
+      if (err) reject(err);
+      else resolve();
     });
   });
 }
 
-function addImageIdColumnIfNotExists() {
-  return new Promise((resolve, reject) => {
-    db.all("PRAGMA table_info(receipts)", (err, columns) => {
-      if (err) {
-        reject(err);
-        return;
-      }
+// Promise wrappers for running raw SQL, used by the migration runner and migration files
+const query = {
+  run: (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.run(sql, params, function(err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+  },
 
-      const hasImageId = columns.some(col => col.name === 'image_id');
+  get: (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  },
 
-      if (!hasImageId) {
-        console.log('Adding image_id column to receipts table...');
-        db.run("ALTER TABLE receipts ADD COLUMN image_id TEXT", (err) => {
-          if (err) {
-            console.error('Error adding image_id column:', err);
-            reject(err);
-          } else {
-            console.log('image_id column added successfully');
-            resolve();
-          }
-        });
-      } else {
-        resolve();
-      }
+  all: (sql, params = []) => {
+    return new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
     });
-  });
+  },
+
+  exec: (sql) => {
+    return new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+};
+
+// The app shares one connection, so transactions are queued rather than nested
+let transactionQueue = Promise.resolve();
+
+function inTransaction(work) {
+  const run = async () => {
+    await query.exec('BEGIN TRANSACTION');
+    try {
+      const result = await work();
+      await query.exec('COMMIT');
+      return result;
+    } catch (error) {
+      await query.exec('ROLLBACK');
+      throw error;
+    }
+  };
+
+  const result = transactionQueue.then(run);
+  transactionQueue = result.catch(() => {});
+  return result;
 }
 
 async function insertSampleData() {
@@ -186,7 +174,9 @@ async function insertSampleData() {
             completed++;
             if (completed === sampleReceipts.length) {
               console.log('Sample data inserted');
-              resolve();
+              // Required here because the provider service depends on this module
+              const { linkUnlinkedReceipts } = require('../services/providerService');
+              linkUnlinkedReceipts(userId).then(() => resolve(), reject);
             }
           });
         });
@@ -195,6 +185,178 @@ async function insertSampleData() {
   });
 }
 
+const RECEIPT_SORT_COLUMNS = {
+  date: 'receipt_date',
+  amount: 'amount',
+  store: 'store_name COLLATE NOCASE',
+  category: 'category COLLATE NOCASE',
+  created: 'created_at'
+};
+
+// SQL for the first day of the period a receipt falls in; weeks start on Monday
+const RECEIPT_PERIOD_EXPRESSIONS = {
+  day: 'receipt_date',
+  week: "date(receipt_date, '-6 days', 'weekday 1')",
+  month: "strftime('%Y-%m-01', receipt_date)",
+  quarter: "strftime('%Y-', receipt_date) || printf('%02d', ((CAST(strftime('%m', receipt_date) AS INTEGER) - 1) / 3) * 3 + 1) || '-01'",
+  year: "strftime('%Y-01-01', receipt_date)"
+};
+
+// Builds the WHERE clause shared by receipt listing and counting queries
+function buildReceiptFilters(userId, filters = {}) {
+  const conditions = ['user_id = ?', 'deleted_at IS NULL'];
+  const params = [userId];
+
+  // A list matches any of the names, e.g. a parent category and its subcategories
+  if (filters.category) {
+    const names = [].concat(filters.category);
+    conditions.push(`category COLLATE NOCASE IN (${names.map(() => '?').join(', ')})`);
+    params.push(...names);
+  }
+
+  if (filters.start_date) {
+    conditions.push('receipt_date >= ?');
+    params.push(filters.start_date);
+  }
+
+  if (filters.end_date) {
+    conditions.push('receipt_date <= ?');
+    params.push(filters.end_date);
+  }
+
+  if (filters.min_amount !== undefined) {
+    conditions.push('amount >= ?');
+    params.push(filters.min_amount);
+  }
+
+  if (filters.max_amount !== undefined) {
+    conditions.push('amount <= ?');
+    params.push(filters.max_amount);
+  }
+
+  // account_id null means out-of-pocket receipts
+  if (filters.account_id === null) {
+    conditions.push('account_id IS NULL');
+  } else if (filters.account_id !== undefined) {
+    conditions.push('account_id = ?');
+    params.push(filters.account_id);
+  }
+
+  // patient_id null means receipts not assigned to a household member
+  if (filters.patient_id === null) {
+    conditions.push('patient_id IS NULL');
+  } else if (filters.patient_id !== undefined) {
+    conditions.push('patient_id = ?');
+    params.push(filters.patient_id);
+  }
+
+  if (filters.provider_id !== undefined) {
+    conditions.push('provider_id = ?');
+    params.push(filters.provider_id);
+  }
+
+  if (filters.statuses && filters.statuses.length > 0) {
+    conditions.push(`reimbursement_status IN (${filters.statuses.map(() => '?').join(', ')})`);
+    params.push(...filters.statuses);
+  }
+
+  if (filters.store) {
+    conditions.push('store_name LIKE ?');
+    params.push(`%${filters.store}%`);
+  }
+
+  if (filters.search) {
+    const term = `%${filters.search}%`;
+    conditions.push('(store_name LIKE ? OR description LIKE ? OR category LIKE ?)');
+    params.push(term, term, term);
+  }
+
+  return { where: conditions.join(' AND '), params };
+}
+
+function buildReceiptOrder(sortBy = 'created', sortOrder = 'desc') {
+  const column = RECEIPT_SORT_COLUMNS[sortBy] || RECEIPT_SORT_COLUMNS.created;
+  const direction = sortOrder === 'asc' ? 'ASC' : 'DESC';
+  return `${column} ${direction}, id ${direction}`;
+}
+
+const SNIPPET_OPEN = '\u0002';
+const SNIPPET_CLOSE = '\u0003';
+
+// Quotes each search word so user input can't inject FTS5 operators; words match as prefixes
+function toFtsQuery(queryText) {
+  const terms = (queryText || '').match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.map(term => `"${term}"*`).join(' ');
+}
+
+// Splits an FTS snippet into plain and matched segments so clients never render raw markup
+function splitSnippet(snippet) {
+  if (!snippet) return [];
+
+  const segments = [];
+  const pattern = new RegExp(`${SNIPPET_OPEN}(.*?)${SNIPPET_CLOSE}`, 'gs');
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(snippet)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ text: snippet.slice(lastIndex, match.index), match: false });
+    }
+    segments.push({ text: match[1], match: true });
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < snippet.length) {
+    segments.push({ text: snippet.slice(lastIndex), match: false });
+  }
+
+  return segments;
+}
+
+// Receipt columns whose edits are captured in receipt_revisions
+const REVISION_TRACKED_FIELDS = [
+  'store_name', 'amount', 'billed_amount', 'insurance_paid', 'receipt_date', 'category', 'description', 'image_id',
+  'account_id', 'patient_id', 'provider_id',
+  'reimbursement_status', 'submitted_date', 'reimbursed_date', 'denied_date',
+  'reimbursed_amount', 'claim_reference', 'status_note'
+];
+
+// Statuses whose unreimbursed remainder can still be claimed
+const OUTSTANDING_STATUSES = ['unsubmitted', 'submitted', 'partially_reimbursed'];
+
+// Providers listed in receipt stats, by total spent
+const TOP_PROVIDER_LIMIT = 10;
+
+function valuesEqual(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) {
+    return (a === null || a === undefined) && (b === null || b === undefined);
+  }
+  if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+  return a === b;
+}
+
+async function recordRevision(receiptId, userId, action, changes, revertedFrom = null) {
+  const result = await query.run(
+    "INSERT INTO receipt_revisions (receipt_id, changed_by, action, changes, reverted_from) VALUES (?, ?, ?, ?, ?)",
+    [receiptId, userId, action, JSON.stringify(changes), revertedFrom]
+  );
+  return { id: result.lastID, receipt_id: receiptId, changed_by: userId, action, changes, reverted_from: revertedFrom };
+}
+
+// Sets one column on every receipt of the user where it matches `from` (trash included) and records a
+// revision on each, so changes made from elsewhere in the app still show up in the receipt's history.
+// Callers run it inside inTransaction so the update and its revisions land together.
+async function reassignReceipts(userId, action, field, from, to, match = `${field} = ?`) {
+  const receipts = await query.all(`SELECT id, ${field} FROM receipts WHERE user_id = ? AND ${match}`, [userId, from]);
+  if (receipts.length === 0) return 0;
+
+  await query.run(`UPDATE receipts SET ${field} = ? WHERE user_id = ? AND ${match}`, [to, userId, from]);
+  for (const receipt of receipts) {
+    await recordRevision(receipt.id, userId, action, { [field]: { old: receipt[field], new: to } });
+  }
+  return receipts.length;
+}
+
 const dbHelpers = {
   getUserByEmail: (email) => {
     return new Promise((resolve, reject) => {
@@ -217,48 +379,180 @@ const dbHelpers = {
 
   getUserById: (userId) => {
     return new Promise((resolve, reject) => {
-      db.get("SELECT id, email, name, created_at FROM users WHERE id = ?", [userId], (err, row) => {
+      db.get("SELECT id, email, name, locale, receipt_lookback_months, created_at FROM users WHERE id = ?", [userId], (err, row) => {
         if (err) reject(err);
         else resolve(row);
       });
     });
   },
 
+  updateUserSettings: (userId, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return query.run(`UPDATE users SET ${fields} WHERE id = ?`, [...Object.values(updates), userId]);
+  },
+
   createReceipt: (receiptData) => {
     return new Promise((resolve, reject) => {
+      const { line_items: lineItems = [], prescriptions = [], ...fields } = receiptData;
       const sql = `
-        INSERT INTO receipts (user_id, store_name, amount, receipt_date, category, description, image_path, image_id)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        INSERT INTO receipts (user_id, store_name, amount, billed_amount, insurance_paid, receipt_date, category, description, image_path, image_id, ocr_text, account_id, patient_id, provider_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
       `;
 
       db.run(sql, [
-        receiptData.user_id,
-        receiptData.store_name,
-        receiptData.amount,
-        receiptData.receipt_date,
-        receiptData.category,
-        receiptData.description,
-        receiptData.image_path || null,
-        receiptData.image_id || null
+        fields.user_id,
+        fields.store_name,
+        fields.amount,
+        fields.billed_amount ?? null,
+        fields.insurance_paid ?? null,
+        fields.receipt_date,
+        fields.category,
+        fields.description,
+        fields.image_path || null,
+        fields.image_id || null,
+        fields.ocr_text || null,
+        fields.account_id || null,
+        fields.patient_id || null,
+        fields.provider_id || null
       ], function(err) {
-        if (err) reject(err);
-        else resolve({ id: this.lastID, ...receiptData });
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        const receiptId = this.lastID;
+        const initialValues = Object.fromEntries(
+          REVISION_TRACKED_FIELDS
+            .filter(field => fields[field] !== undefined && fields[field] !== null)
+            .map(field => [field, { old: null, new: fields[field] }])
+        );
+
+        Promise.all([
+          Promise.all(lineItems.map((item, index) =>
+            dbHelpers.createLineItem(receiptId, { sort_order: index, ...item })
+          )),
+          Promise.all(prescriptions.map((prescription, index) =>
+            dbHelpers.createPrescription(receiptId, { sort_order: index, ...prescription })
+          ))
+        ])
+          .then(([items, createdPrescriptions]) => recordRevision(receiptId, fields.user_id, 'create', initialValues)
+            .then(() => resolve({ id: receiptId, ...fields, line_items: items, prescriptions: createdPrescriptions })))
+          .catch(reject);
       });
     });
   },
 
-  getReceiptsByUser: (userId, limit = 50, offset = 0) => {
+  getReceiptsByUser: (userId, options = {}) => {
     return new Promise((resolve, reject) => {
+      const limit = options.limit || 50;
+      const offset = options.offset || 0;
+      const { where, params } = buildReceiptFilters(userId, options.filters);
+      const orderBy = buildReceiptOrder(options.sortBy, options.sortOrder);
+
+      const countSql = `SELECT COUNT(*) as total FROM receipts WHERE ${where}`;
       const sql = `
         SELECT * FROM receipts
-        WHERE user_id = ?
-        ORDER BY created_at DESC
+        WHERE ${where}
+        ORDER BY ${orderBy}
         LIMIT ? OFFSET ?
       `;
 
-      db.all(sql, [userId, limit, offset], (err, rows) => {
-        if (err) reject(err);
-        else resolve(rows);
+      db.get(countSql, params, (err, countRow) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        db.all(sql, [...params, limit, offset], (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          const total = countRow.total || 0;
+          resolve({
+            receipts: rows,
+            pagination: {
+              current_page: Math.floor(offset / limit) + 1,
+              per_page: limit,
+              total,
+              total_pages: Math.ceil(total / limit),
+              has_more: offset + rows.length < total
+            }
+          });
+        });
+      });
+    });
+  },
+
+  searchReceipts: (userId, queryText, options = {}) => {
+    return new Promise((resolve, reject) => {
+      const ftsQuery = toFtsQuery(queryText);
+      const limit = options.limit || 20;
+      const offset = options.offset || 0;
+
+      if (!ftsQuery) {
+        resolve({
+          receipts: [],
+          pagination: { current_page: 1, per_page: limit, total: 0, total_pages: 0, has_more: false }
+        });
+        return;
+      }
+
+      const { where, params } = buildReceiptFilters(userId, options.filters);
+
+      // Store name and description outrank category, line items and raw OCR text
+      const matches = `
+        SELECT rowid,
+               bm25(receipts_fts, 10.0, 5.0, 2.0, 3.0, 1.0) as score,
+               snippet(receipts_fts, -1, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', 12) as snippet
+        FROM receipts_fts
+        WHERE receipts_fts MATCH ?
+      `;
+
+      const countSql = `
+        SELECT COUNT(*) as total
+        FROM (${matches}) m
+        JOIN receipts ON receipts.id = m.rowid
+        WHERE ${where}
+      `;
+
+      const sql = `
+        SELECT receipts.*, m.score as search_score, m.snippet as search_snippet
+        FROM (${matches}) m
+        JOIN receipts ON receipts.id = m.rowid
+        WHERE ${where}
+        ORDER BY m.score, receipts.receipt_date DESC
+        LIMIT ? OFFSET ?
+      `;
+
+      db.get(countSql, [ftsQuery, ...params], (err, countRow) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        db.all(sql, [ftsQuery, ...params, limit, offset], (err, rows) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          const total = countRow.total || 0;
+          resolve({
+            receipts: rows.map(({ search_snippet, ...row }) => ({
+              ...row,
+              search_highlights: splitSnippet(search_snippet)
+            })),
+            pagination: {
+              current_page: Math.floor(offset / limit) + 1,
+              per_page: limit,
+              total,
+              total_pages: Math.ceil(total / limit),
+              has_more: offset + rows.length < total
+            }
+          });
+        });
       });
     });
   },
@@ -266,7 +560,7 @@ const dbHelpers = {
   getReceiptById: (receiptId, userId) => {
     return new Promise((resolve, reject) => {
       db.get(
-        "SELECT * FROM receipts WHERE id = ? AND user_id = ?",
+        "SELECT * FROM receipts WHERE id = ? AND user_id = ? AND deleted_at IS NULL",
         [receiptId, userId],
         (err, row) => {
           if (err) reject(err);
@@ -276,16 +570,208 @@ const dbHelpers = {
     });
   },
 
-  updateReceipt: (receiptId, userId, updates) => {
+  getLineItemsByReceipt: (receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM receipt_line_items WHERE receipt_id = ? ORDER BY sort_order, id",
+        [receiptId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  // Line items of several receipts at once, e.g. to evaluate a page of receipts
+  getLineItemsByReceipts: (receiptIds) => {
+    if (receiptIds.length === 0) return Promise.resolve([]);
+    return query.all(
+      `SELECT * FROM receipt_line_items WHERE receipt_id IN (${receiptIds.map(() => '?').join(', ')}) ORDER BY receipt_id, sort_order, id`,
+      receiptIds
+    );
+  },
+
+  getLineItemById: (itemId, receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        "SELECT * FROM receipt_line_items WHERE id = ? AND receipt_id = ?",
+        [itemId, receiptId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  createLineItem: (receiptId, item) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO receipt_line_items (receipt_id, description, quantity, unit_price, amount, hsa_eligible, sort_order)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [
+        receiptId,
+        item.description,
+        item.quantity ?? 1,
+        item.unit_price ?? null,
+        item.amount,
+        item.hsa_eligible === false ? 0 : 1,
+        item.sort_order ?? 0
+      ], function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, receipt_id: receiptId, ...item });
+      });
+    });
+  },
+
+  updateLineItem: (itemId, receiptId, updates) => {
+    return new Promise((resolve, reject) => {
+      const values = Object.entries(updates).map(([key, value]) =>
+        key === 'hsa_eligible' ? (value ? 1 : 0) : value
+      );
+      const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+      values.push(itemId, receiptId);
+
+      const sql = `
+        UPDATE receipt_line_items
+        SET ${fields}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND receipt_id = ?
+      `;
+
+      db.run(sql, values, function(err) {
+        if (err) reject(err);
+        else resolve({ changes: this.changes });
+      });
+    });
+  },
+
+  deleteLineItem: (itemId, receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "DELETE FROM receipt_line_items WHERE id = ? AND receipt_id = ?",
+        [itemId, receiptId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
+        }
+      );
+    });
+  },
+
+  getPrescriptionsByReceipt: (receiptId) => {
+    return query.all(
+      "SELECT * FROM receipt_prescriptions WHERE receipt_id = ? ORDER BY sort_order, id",
+      [receiptId]
+    );
+  },
+
+  getPrescriptionById: (prescriptionId, receiptId) => {
+    return query.get(
+      "SELECT * FROM receipt_prescriptions WHERE id = ? AND receipt_id = ?",
+      [prescriptionId, receiptId]
+    );
+  },
+
+  createPrescription: async (receiptId, prescription) => {
+    const result = await query.run(
+      `INSERT INTO receipt_prescriptions
+        (receipt_id, rx_number, drug_name, strength, ndc, quantity, days_supply, prescriber, patient_initials, sort_order)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        receiptId,
+        prescription.rx_number ?? null,
+        prescription.drug_name ?? null,
+        prescription.strength ?? null,
+        prescription.ndc ?? null,
+        prescription.quantity ?? null,
+        prescription.days_supply ?? null,
+        prescription.prescriber ?? null,
+        prescription.patient_initials ?? null,
+        prescription.sort_order ?? 0
+      ]
+    );
+    return { id: result.lastID, receipt_id: receiptId, ...prescription };
+  },
+
+  updatePrescription: (prescriptionId, receiptId, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return query.run(
+      `UPDATE receipt_prescriptions SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND receipt_id = ?`,
+      [...Object.values(updates), prescriptionId, receiptId]
+    );
+  },
+
+  deletePrescription: (prescriptionId, receiptId) => {
+    return query.run("DELETE FROM receipt_prescriptions WHERE id = ? AND receipt_id = ?", [prescriptionId, receiptId]);
+  },
+
+  getAttachmentsByReceipt: (receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.all(
+        "SELECT * FROM receipt_attachments WHERE receipt_id = ? ORDER BY sort_order, id",
+        [receiptId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
+
+  getAttachmentsByReceipts: (receiptIds) => {
+    if (receiptIds.length === 0) return Promise.resolve([]);
+    return query.all(
+      `SELECT * FROM receipt_attachments WHERE receipt_id IN (${receiptIds.map(() => '?').join(', ')}) ORDER BY receipt_id, sort_order, id`,
+      receiptIds
+    );
+  },
+
+  getAttachmentById: (attachmentId, receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.get(
+        "SELECT * FROM receipt_attachments WHERE id = ? AND receipt_id = ?",
+        [attachmentId, receiptId],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  },
+
+  createAttachment: (receiptId, attachment) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        INSERT INTO receipt_attachments (receipt_id, image_id, attachment_type, caption, sort_order)
+        VALUES (?, ?, ?, ?, ?)
+      `;
+
+      db.run(sql, [
+        receiptId,
+        attachment.image_id,
+        attachment.attachment_type,
+        attachment.caption || null,
+        attachment.sort_order ?? 0
+      ], function(err) {
+        if (err) reject(err);
+        else resolve({ id: this.lastID, receipt_id: receiptId, ...attachment });
+      });
+    });
+  },
+
+  updateAttachment: (attachmentId, receiptId, updates) => {
     return new Promise((resolve, reject) => {
       const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
       const values = Object.values(updates);
-      values.push(receiptId, userId);
+      values.push(attachmentId, receiptId);
 
       const sql = `
-        UPDATE receipts
+        UPDATE receipt_attachments
         SET ${fields}, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ? AND user_id = ?
+        WHERE id = ? AND receipt_id = ?
       `;
 
       db.run(sql, values, function(err) {
@@ -295,10 +781,86 @@ const dbHelpers = {
     });
   },
 
+  // Assigns sort_order from the position of each id in attachmentIds
+  reorderAttachments: (receiptId, attachmentIds) => {
+    return Promise.all(attachmentIds.map((attachmentId, index) =>
+      dbHelpers.updateAttachment(attachmentId, receiptId, { sort_order: index })
+    ));
+  },
+
+  deleteAttachment: (attachmentId, receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "DELETE FROM receipt_attachments WHERE id = ? AND receipt_id = ?",
+        [attachmentId, receiptId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
+        }
+      );
+    });
+  },
+
+  // Stores the computed verdict without touching updated_at or the revision history
+  setReceiptEligibility: (receiptId, eligibility) => {
+    return query.run(
+      "UPDATE receipts SET eligibility_verdict = ?, eligibility_explanation = ? WHERE id = ?",
+      [eligibility.verdict, eligibility.explanation, receiptId]
+    );
+  },
+
+  // Applies updates and records a revision with the old and new value of every field that changed.
+  // options.action / options.revertedFrom label the revision (e.g. 'revert' from POST /:id/history/:revisionId/revert).
+  updateReceipt: async (receiptId, userId, updates, options = {}) => {
+    const existing = await query.get(
+      "SELECT * FROM receipts WHERE id = ? AND user_id = ? AND deleted_at IS NULL",
+      [receiptId, userId]
+    );
+    if (!existing) {
+      return { changes: 0 };
+    }
+
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    const values = [...Object.values(updates), receiptId, userId];
+
+    const result = await query.run(`
+      UPDATE receipts
+      SET ${fields}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND user_id = ? AND deleted_at IS NULL
+    `, values);
+
+    const changed = {};
+    for (const [field, value] of Object.entries(updates)) {
+      if (!valuesEqual(existing[field], value)) {
+        changed[field] = { old: existing[field] ?? null, new: value ?? null };
+      }
+    }
+
+    let revision = null;
+    if (result.changes > 0 && Object.keys(changed).length > 0) {
+      revision = await recordRevision(receiptId, userId, options.action || 'update', changed, options.revertedFrom);
+    }
+
+    return { changes: result.changes, revision };
+  },
+
+  getReceiptRevisions: async (receiptId) => {
+    const rows = await query.all(`
+      SELECT rr.*, u.name as changed_by_name
+      FROM receipt_revisions rr
+      LEFT JOIN users u ON u.id = rr.changed_by
+      WHERE rr.receipt_id = ?
+      ORDER BY rr.id DESC
+    `, [receiptId]);
+
+    return rows.map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+  },
+
+  // Moves a receipt to the trash; purgeTrashedReceipts removes it for good later
   deleteReceipt: (receiptId, userId) => {
     return new Promise((resolve, reject) => {
       db.run(
-        "DELETE FROM receipts WHERE id = ? AND user_id = ?",
+        "UPDATE receipts SET deleted_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND deleted_at IS NULL",
         [receiptId, userId],
         function(err) {
           if (err) reject(err);
@@ -308,49 +870,610 @@ const dbHelpers = {
     });
   },
 
-  getReceiptStats: (userId) => {
+  getTrashedReceipts: (userId) => {
     return new Promise((resolve, reject) => {
-      const overallSql = `
-        SELECT
-          COUNT(*) as total_receipts,
-          COALESCE(SUM(amount), 0) as total_amount
-        FROM receipts
-        WHERE user_id = ?
-      `;
+      db.all(
+        "SELECT * FROM receipts WHERE user_id = ? AND deleted_at IS NOT NULL ORDER BY deleted_at DESC",
+        [userId],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+  },
 
-      const categorySql = `
-        SELECT
-          category,
-          COUNT(*) as count,
-          COALESCE(SUM(amount), 0) as total
-        FROM receipts
-        WHERE user_id = ?
-        GROUP BY category
-        ORDER BY total DESC
+  restoreReceipt: (receiptId, userId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "UPDATE receipts SET deleted_at = NULL WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL",
+        [receiptId, userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
+        }
+      );
+    });
+  },
+
+  // Receipts trashed more than retentionDays ago, with every image they reference
+  getExpiredTrashedReceipts: (retentionDays) => {
+    return new Promise((resolve, reject) => {
+      const sql = `
+        SELECT r.id, r.user_id, r.image_id, r.image_path,
+               (SELECT group_concat(a.image_id) FROM receipt_attachments a WHERE a.receipt_id = r.id) as attachment_image_ids
+        FROM receipts r
+        WHERE r.deleted_at IS NOT NULL
+          AND r.deleted_at <= datetime('now', ?)
       `;
 
-      db.get(overallSql, [userId], (err, overallStats) => {
-        if (err) {
-          reject(err);
-          return;
+      db.all(sql, [`-${retentionDays} days`], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  },
+
+  // Permanently removes a trashed receipt; line items and attachments go with it via triggers
+  purgeReceipt: (receiptId) => {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "DELETE FROM receipts WHERE id = ? AND deleted_at IS NOT NULL",
+        [receiptId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ changes: this.changes });
         }
+      );
+    });
+  },
 
-        db.all(categorySql, [userId], (err, categoryStats) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+  // Count and total per period, keyed by the period's first day. Periods without receipts are omitted.
+  getReceiptTimeseries: (userId, filters = {}, interval = 'month') => {
+    const { where, params } = buildReceiptFilters(userId, filters);
+    const period = RECEIPT_PERIOD_EXPRESSIONS[interval] || RECEIPT_PERIOD_EXPRESSIONS.month;
 
-          resolve({
-            total_receipts: overallStats.total_receipts || 0,
-            total_amount: overallStats.total_amount || 0,
-            categories: categoryStats || []
-          });
-        });
-      });
+    return query.all(`
+      SELECT
+        ${period} as period_start,
+        COUNT(*) as count,
+        COALESCE(SUM(amount), 0) as total
+      FROM receipts
+      WHERE ${where}
+      GROUP BY period_start
+      ORDER BY period_start ASC
+    `, params);
+  },
+
+  getReceiptTotals: (userId, filters = {}) => {
+    const { where, params } = buildReceiptFilters(userId, filters);
+    return query.get(`
+      SELECT COUNT(*) as count, COALESCE(SUM(amount), 0) as total, MIN(receipt_date) as first_date
+      FROM receipts
+      WHERE ${where}
+    `, params);
+  },
+
+  getReceiptStats: async (userId, filters = {}) => {
+    const { where, params } = buildReceiptFilters(userId, filters);
+
+    const overallStats = await query.get(`
+      SELECT
+        COUNT(*) as total_receipts,
+        COALESCE(SUM(amount), 0) as total_amount
+      FROM receipts
+      WHERE ${where}
+    `, params);
+
+    const categoryStats = await query.all(`
+      SELECT
+        category,
+        COUNT(*) as count,
+        COALESCE(SUM(amount), 0) as total
+      FROM receipts
+      WHERE ${where}
+      GROUP BY category
+      ORDER BY total DESC
+    `, params);
+
+    const patientStats = await query.all(`
+      SELECT
+        r.patient_id,
+        m.name as patient_name,
+        COUNT(*) as count,
+        COALESCE(SUM(r.amount), 0) as total
+      FROM receipts r
+      LEFT JOIN household_members m ON m.id = r.patient_id
+      WHERE r.id IN (SELECT id FROM receipts WHERE ${where})
+      GROUP BY r.patient_id
+      ORDER BY total DESC
+    `, params);
+
+    // Receipts not yet linked to the directory are grouped by store name
+    const providerStats = await query.all(`
+      SELECT
+        r.provider_id,
+        COALESCE(p.name, MIN(r.store_name)) as store_name,
+        COUNT(*) as count,
+        COALESCE(SUM(r.amount), 0) as total
+      FROM receipts r
+      LEFT JOIN providers p ON p.id = r.provider_id
+      WHERE r.id IN (SELECT id FROM receipts WHERE ${where})
+      GROUP BY COALESCE('provider:' || r.provider_id, 'store:' || lower(r.store_name))
+      ORDER BY total DESC
+      LIMIT ?
+    `, [...params, TOP_PROVIDER_LIMIT]);
+
+    const statusStats = await query.all(`
+      SELECT
+        reimbursement_status as status,
+        COUNT(*) as count,
+        COALESCE(SUM(amount), 0) as total,
+        COALESCE(SUM(reimbursed_amount), 0) as reimbursed,
+        COALESCE(SUM(amount - COALESCE(reimbursed_amount, 0)), 0) as unreimbursed
+      FROM receipts
+      WHERE ${where}
+      GROUP BY reimbursement_status
+    `, params);
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const sumWhere = (predicate, key) =>
+      round(statusStats.filter(predicate).reduce((sum, row) => sum + row[key], 0));
+
+    return {
+      total_receipts: overallStats.total_receipts || 0,
+      total_amount: overallStats.total_amount || 0,
+      categories: categoryStats || [],
+      patients: patientStats.map(row => ({ ...row, total: round(row.total) })),
+      providers: providerStats.map(row => ({ ...row, total: round(row.total) })),
+      reimbursement: {
+        outstanding_amount: sumWhere(row => OUTSTANDING_STATUSES.includes(row.status), 'unreimbursed'),
+        pending_amount: sumWhere(row => row.status === 'submitted', 'unreimbursed'),
+        reimbursed_amount: sumWhere(() => true, 'reimbursed'),
+        denied_amount: sumWhere(row => row.status === 'denied', 'total'),
+        not_claiming_amount: sumWhere(row => row.status === 'not_claiming', 'total'),
+        by_status: statusStats.map(row => ({
+          status: row.status,
+          count: row.count,
+          total: round(row.total),
+          reimbursed: round(row.reimbursed)
+        }))
+      }
+    };
+  },
+
+  getAccountsByUser: (userId) => {
+    return query.all(`
+      SELECT
+        a.*,
+        COUNT(r.id) as receipt_count,
+        COALESCE(SUM(r.amount), 0) as receipt_total
+      FROM accounts a
+      LEFT JOIN receipts r ON r.account_id = a.id AND r.deleted_at IS NULL
+      WHERE a.user_id = ?
+      GROUP BY a.id
+      ORDER BY a.account_type, a.name COLLATE NOCASE
+    `, [userId]);
+  },
+
+  getAccountById: (accountId, userId) => {
+    return query.get("SELECT * FROM accounts WHERE id = ? AND user_id = ?", [accountId, userId]);
+  },
+
+  createAccount: async (userId, account) => {
+    const fields = Object.keys(account);
+    const result = await query.run(
+      `INSERT INTO accounts (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(account)]
+    );
+    return dbHelpers.getAccountById(result.lastID, userId);
+  },
+
+  updateAccount: (accountId, userId, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return query.run(
+      `UPDATE accounts SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+      [...Object.values(updates), accountId, userId]
+    );
+  },
+
+  // Receipts assigned to the account become out-of-pocket rather than being deleted with it
+  deleteAccount: (accountId, userId) => {
+    return inTransaction(async () => {
+      await reassignReceipts(userId, 'account_deleted', 'account_id', accountId, null);
+      await query.run(
+        "UPDATE claim_packets SET account_id = NULL WHERE account_id = ? AND user_id = ?",
+        [accountId, userId]
+      );
+      return query.run("DELETE FROM accounts WHERE id = ? AND user_id = ?", [accountId, userId]);
     });
   },
 
+  getHouseholdMembersByUser: (userId) => {
+    return query.all(`
+      SELECT
+        m.*,
+        COUNT(r.id) as receipt_count,
+        COALESCE(SUM(r.amount), 0) as receipt_total
+      FROM household_members m
+      LEFT JOIN receipts r ON r.patient_id = m.id AND r.deleted_at IS NULL
+      WHERE m.user_id = ?
+      GROUP BY m.id
+      ORDER BY CASE m.relationship WHEN 'self' THEN 0 WHEN 'spouse' THEN 1 ELSE 2 END, m.name COLLATE NOCASE
+    `, [userId]);
+  },
+
+  getHouseholdMemberById: (memberId, userId) => {
+    return query.get("SELECT * FROM household_members WHERE id = ? AND user_id = ?", [memberId, userId]);
+  },
+
+  createHouseholdMember: async (userId, member) => {
+    const fields = Object.keys(member);
+    const result = await query.run(
+      `INSERT INTO household_members (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(member)]
+    );
+    return dbHelpers.getHouseholdMemberById(result.lastID, userId);
+  },
+
+  updateHouseholdMember: (memberId, userId, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return query.run(
+      `UPDATE household_members SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+      [...Object.values(updates), memberId, userId]
+    );
+  },
+
+  // Receipts for the member become unassigned rather than being deleted with them
+  deleteHouseholdMember: (memberId, userId) => {
+    return inTransaction(async () => {
+      await reassignReceipts(userId, 'member_deleted', 'patient_id', memberId, null);
+      return query.run("DELETE FROM household_members WHERE id = ? AND user_id = ?", [memberId, userId]);
+    });
+  },
+
+  getProvidersByUser: (userId) => {
+    return query.all(`
+      SELECT
+        p.*,
+        COUNT(r.id) as receipt_count,
+        COALESCE(SUM(r.amount), 0) as receipt_total,
+        MAX(r.receipt_date) as last_receipt_date
+      FROM providers p
+      LEFT JOIN receipts r ON r.provider_id = p.id AND r.deleted_at IS NULL
+      WHERE p.user_id = ?
+      GROUP BY p.id
+      ORDER BY p.name COLLATE NOCASE
+    `, [userId]);
+  },
+
+  getProviderById: (providerId, userId) => {
+    return query.get("SELECT * FROM providers WHERE id = ? AND user_id = ?", [providerId, userId]);
+  },
+
+  getProviderAliasesByUser: (userId) => {
+    return query.all(`
+      SELECT a.*
+      FROM provider_aliases a
+      JOIN providers p ON p.id = a.provider_id
+      WHERE p.user_id = ?
+      ORDER BY a.alias COLLATE NOCASE
+    `, [userId]);
+  },
+
+  createProvider: async (userId, provider) => {
+    const fields = Object.keys(provider);
+    const result = await query.run(
+      `INSERT INTO providers (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(provider)]
+    );
+    return dbHelpers.getProviderById(result.lastID, userId);
+  },
+
+  // Used when linking receipts automatically, where two requests may race to add the same provider
+  findOrCreateProvider: async (userId, provider) => {
+    const fields = Object.keys(provider);
+    await query.run(
+      `INSERT OR IGNORE INTO providers (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(provider)]
+    );
+    return query.get("SELECT * FROM providers WHERE user_id = ? AND name = ? COLLATE NOCASE", [userId, provider.name]);
+  },
+
+  updateProvider: (providerId, userId, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return query.run(
+      `UPDATE providers SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+      [...Object.values(updates), providerId, userId]
+    );
+  },
+
+  // Only unused providers are deleted; merge a provider to retire it while keeping its receipts
+  deleteProvider: (providerId, userId) => {
+    return query.run("DELETE FROM providers WHERE id = ? AND user_id = ?", [providerId, userId]);
+  },
+
+  addProviderAlias: (providerId, alias) => {
+    return query.run("INSERT OR IGNORE INTO provider_aliases (provider_id, alias) VALUES (?, ?)", [providerId, alias]);
+  },
+
+  replaceProviderAliases: async (providerId, aliases) => {
+    await query.run("DELETE FROM provider_aliases WHERE provider_id = ?", [providerId]);
+    for (const alias of aliases) {
+      await dbHelpers.addProviderAlias(providerId, alias);
+    }
+  },
+
+  // Receipts (including the trash) that have not been linked to a provider yet
+  getUnlinkedReceipts: (userId) => {
+    return query.all(
+      "SELECT id, store_name FROM receipts WHERE user_id = ? AND provider_id IS NULL AND store_name IS NOT NULL ORDER BY id",
+      [userId]
+    );
+  },
+
+  // Links a receipt without touching updated_at or the revision history
+  setReceiptProvider: (receiptId, providerId) => {
+    return query.run("UPDATE receipts SET provider_id = ? WHERE id = ?", [providerId, receiptId]);
+  },
+
+  countReceiptsForProvider: async (userId, providerId) => {
+    const row = await query.get(
+      "SELECT COUNT(*) as count FROM receipts WHERE user_id = ? AND provider_id = ?",
+      [userId, providerId]
+    );
+    return row.count;
+  },
+
+  // Moves the source providers' receipts (including the trash) to the target. The sources' names and
+  // aliases become aliases of the target so future receipts under those names match it.
+  mergeProviders: async (targetId, sourceIds, userId) => {
+    const placeholders = sourceIds.map(() => '?').join(', ');
+
+    const names = await query.all(`
+      SELECT name FROM providers WHERE id IN (${placeholders}) AND user_id = ?
+      UNION
+      SELECT a.alias FROM provider_aliases a
+      JOIN providers p ON p.id = a.provider_id
+      WHERE a.provider_id IN (${placeholders}) AND p.user_id = ?
+    `, [...sourceIds, userId, ...sourceIds, userId]);
+
+    return inTransaction(async () => {
+      let moved = 0;
+      for (const sourceId of sourceIds) {
+        moved += await reassignReceipts(userId, 'provider_merged', 'provider_id', sourceId, targetId);
+      }
+
+      for (const { name } of names) {
+        await dbHelpers.addProviderAlias(targetId, name);
+      }
+
+      await query.run(`DELETE FROM providers WHERE id IN (${placeholders}) AND user_id = ?`, [...sourceIds, userId]);
+      return { receipts_moved: moved };
+    });
+  },
+
+  getClaimPacketsByUser: async (userId) => {
+    const rows = await query.all(`
+      SELECT p.*, a.name as account_name
+      FROM claim_packets p
+      LEFT JOIN accounts a ON a.id = p.account_id
+      WHERE p.user_id = ?
+      ORDER BY p.created_at DESC, p.id DESC
+    `, [userId]);
+    return rows.map(row => ({ ...row, receipt_ids: JSON.parse(row.receipt_ids) }));
+  },
+
+  getClaimPacketById: async (packetId, userId) => {
+    const row = await query.get("SELECT * FROM claim_packets WHERE id = ? AND user_id = ?", [packetId, userId]);
+    return row ? { ...row, receipt_ids: JSON.parse(row.receipt_ids) } : row;
+  },
+
+  createClaimPacket: async (userId, packet) => {
+    const result = await query.run(`
+      INSERT INTO claim_packets (user_id, account_id, receipt_ids, receipt_count, total_amount, start_date, end_date, claim_reference, file_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      userId,
+      packet.account_id,
+      JSON.stringify(packet.receipt_ids),
+      packet.receipt_ids.length,
+      packet.total_amount,
+      packet.start_date,
+      packet.end_date,
+      packet.claim_reference,
+      packet.file_name
+    ]);
+    return dbHelpers.getClaimPacketById(result.lastID, userId);
+  },
+
+  deleteClaimPacket: (packetId, userId) => {
+    return query.run("DELETE FROM claim_packets WHERE id = ? AND user_id = ?", [packetId, userId]);
+  },
+
+  getContributionLimits: () => {
+    return query.all("SELECT * FROM hsa_contribution_limits ORDER BY tax_year DESC");
+  },
+
+  getContributionLimit: (taxYear) => {
+    return query.get("SELECT * FROM hsa_contribution_limits WHERE tax_year = ?", [taxYear]);
+  },
+
+  getContributionsByUser: (userId, taxYear) => {
+    const conditions = ['c.user_id = ?'];
+    const params = [userId];
+    if (taxYear) {
+      conditions.push('c.tax_year = ?');
+      params.push(taxYear);
+    }
+
+    return query.all(`
+      SELECT c.*, a.name as account_name
+      FROM hsa_contributions c
+      LEFT JOIN accounts a ON a.id = c.account_id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY c.contribution_date DESC, c.id DESC
+    `, params);
+  },
+
+  getContributionById: (contributionId, userId) => {
+    return query.get("SELECT * FROM hsa_contributions WHERE id = ? AND user_id = ?", [contributionId, userId]);
+  },
+
+  createContribution: async (userId, contribution) => {
+    const fields = Object.keys(contribution);
+    const result = await query.run(
+      `INSERT INTO hsa_contributions (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(contribution)]
+    );
+    return dbHelpers.getContributionById(result.lastID, userId);
+  },
+
+  updateContribution: (contributionId, userId, updates) => {
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return query.run(
+      `UPDATE hsa_contributions SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+      [...Object.values(updates), contributionId, userId]
+    );
+  },
+
+  deleteContribution: (contributionId, userId) => {
+    return query.run("DELETE FROM hsa_contributions WHERE id = ? AND user_id = ?", [contributionId, userId]);
+  },
+
+  countContributionsForAccount: async (userId, accountId) => {
+    const row = await query.get(
+      "SELECT COUNT(*) as count FROM hsa_contributions WHERE user_id = ? AND account_id = ?",
+      [userId, accountId]
+    );
+    return row.count;
+  },
+
+  getCategoriesByUser: (userId) => {
+    return query.all(`
+      SELECT
+        c.*,
+        COUNT(r.id) as receipt_count
+      FROM categories c
+      LEFT JOIN receipts r ON r.user_id = c.user_id AND r.category = c.name COLLATE NOCASE AND r.deleted_at IS NULL
+      WHERE c.user_id = ?
+      GROUP BY c.id
+      ORDER BY c.sort_order, c.name COLLATE NOCASE
+    `, [userId]);
+  },
+
+  getCategoryById: (categoryId, userId) => {
+    return query.get("SELECT * FROM categories WHERE id = ? AND user_id = ?", [categoryId, userId]);
+  },
+
+  createCategory: async (userId, category) => {
+    const fields = Object.keys(category);
+    const result = await query.run(
+      `INSERT INTO categories (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(category)]
+    );
+    return dbHelpers.getCategoryById(result.lastID, userId);
+  },
+
+  // Used when seeding defaults, where two requests may race to create the same category
+  findOrCreateCategory: async (userId, category) => {
+    const fields = Object.keys(category);
+    await query.run(
+      `INSERT OR IGNORE INTO categories (user_id, ${fields.join(', ')}) VALUES (?, ${fields.map(() => '?').join(', ')})`,
+      [userId, ...Object.values(category)]
+    );
+    return query.get("SELECT * FROM categories WHERE user_id = ? AND name = ? COLLATE NOCASE", [userId, category.name]);
+  },
+
+  // Receipts store the category name, so a rename is carried over to them (including those in the trash)
+  updateCategory: async (categoryId, userId, updates) => {
+    const existing = await dbHelpers.getCategoryById(categoryId, userId);
+    if (!existing) return { changes: 0 };
+
+    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
+    return inTransaction(async () => {
+      const result = await query.run(
+        `UPDATE categories SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`,
+        [...Object.values(updates), categoryId, userId]
+      );
+
+      if (updates.name !== undefined && updates.name !== existing.name) {
+        await reassignReceipts(userId, 'category_renamed', 'category', existing.name, updates.name, 'category = ? COLLATE NOCASE');
+      }
+      return result;
+    });
+  },
+
+  deleteCategory: (categoryId, userId) => {
+    return query.run("DELETE FROM categories WHERE id = ? AND user_id = ?", [categoryId, userId]);
+  },
+
+  // Distinct category names on a user's receipts, including the trash
+  getReceiptCategoryNames: async (userId) => {
+    const rows = await query.all(
+      "SELECT DISTINCT category FROM receipts WHERE user_id = ? AND category IS NOT NULL",
+      [userId]
+    );
+    return rows.map(row => row.category);
+  },
+
+  countReceiptsInCategory: async (userId, name) => {
+    const row = await query.get(
+      "SELECT COUNT(*) as count FROM receipts WHERE user_id = ? AND category = ? COLLATE NOCASE",
+      [userId, name]
+    );
+    return row.count;
+  },
+
+  // Receipts that still count as qualified expenses, with the amount that qualifies:
+  // the HSA-eligible line items when the receipt is itemized, otherwise the full amount
+  getQualifiedReceiptsByAccount: (userId, accountId) => {
+    return query.all(`
+      SELECT
+        r.id, r.store_name, r.category, r.description, r.amount, r.receipt_date,
+        r.reimbursement_status, r.reimbursed_date, r.reimbursed_amount, r.claim_reference,
+        CASE
+          WHEN COUNT(li.id) > 0 THEN COALESCE(SUM(CASE WHEN li.hsa_eligible = 1 THEN li.amount ELSE 0 END), 0)
+          ELSE r.amount
+        END as qualified_amount
+      FROM receipts r
+      LEFT JOIN receipt_line_items li ON li.receipt_id = r.id
+      WHERE r.user_id = ? AND r.account_id = ? AND r.deleted_at IS NULL
+        AND r.reimbursement_status NOT IN ('denied', 'not_claiming')
+      GROUP BY r.id
+      ORDER BY r.receipt_date ASC, r.id ASC
+    `, [userId, accountId]);
+  },
+
+  // Receipts dated in the tax year or reimbursed during it. Trashed receipts are included so
+  // reimbursements whose receipt was deleted still show up as distributions.
+  getTaxYearReceipts: (userId, taxYear) => {
+    const start = `${taxYear}-01-01`;
+    const end = `${taxYear}-12-31`;
+    return query.all(`
+      SELECT
+        r.id, r.user_id, r.store_name, r.category, r.description, r.amount, r.receipt_date, r.account_id, r.deleted_at,
+        r.reimbursement_status, r.reimbursed_date, r.reimbursed_amount, r.claim_reference,
+        a.name as account_name, a.account_type, a.hsa_established_date,
+        CASE
+          WHEN COUNT(li.id) > 0 THEN COALESCE(SUM(CASE WHEN li.hsa_eligible = 1 THEN li.amount ELSE 0 END), 0)
+          ELSE r.amount
+        END as qualified_amount,
+        CASE
+          WHEN r.image_id IS NOT NULL OR r.image_path IS NOT NULL
+            OR EXISTS (SELECT 1 FROM receipt_attachments ra WHERE ra.receipt_id = r.id) THEN 1
+          ELSE 0
+        END as has_documentation
+      FROM receipts r
+      LEFT JOIN accounts a ON a.id = r.account_id
+      LEFT JOIN receipt_line_items li ON li.receipt_id = r.id
+      WHERE r.user_id = ?
+        AND ((r.receipt_date BETWEEN ? AND ?) OR (r.reimbursed_date BETWEEN ? AND ?))
+      GROUP BY r.id
+      ORDER BY r.receipt_date ASC, r.id ASC
+    `, [userId, start, end, start, end]);
+  },
+
   getReceiptsWithImageInfo: (userId, limit = 50, offset = 0) => {
     return new Promise((resolve, reject) => {
       const sql = `
@@ -361,7 +1484,7 @@ const dbHelpers = {
                  ELSE 'none'
                END as image_type
         FROM receipts
-        WHERE user_id = ?
+        WHERE user_id = ? AND deleted_at IS NULL
         ORDER BY created_at DESC
         LIMIT ? OFFSET ?
       `;
@@ -377,7 +1500,7 @@ const dbHelpers = {
     return new Promise((resolve, reject) => {
       const sql = `
         SELECT id, image_path FROM receipts
-        WHERE user_id = ? AND image_path IS NOT NULL AND image_id IS NULL
+        WHERE user_id = ? AND image_path IS NOT NULL AND image_id IS NULL AND deleted_at IS NULL
       `;
 
       db.all(sql, [userId], (err, rows) => {
@@ -390,6 +1513,11 @@ const dbHelpers = {
 
 module.exports = {
   initializeDatabase,
+  closeDatabase,
+  insertSampleData,
+  query,
+  RECEIPT_SORT_COLUMNS,
+  RECEIPT_PERIOD_EXPRESSIONS,
   db,
   ...dbHelpers
 };
\ No newline at end of file
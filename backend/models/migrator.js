@@ -0,0 +1,110 @@
+const path = require('path');
+const fs = require('fs');
+const { query } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../migrations');
+const MIGRATION_FILE_REGEX = /^(\d+)_([\w-]+)\.js$/;
+
+function ensureMigrationsTable() {
+  return query.run(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Reads numbered migration files (e.g. 003_add_line_items.js) in version order
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_REGEX))
+    .filter(Boolean)
+    .map(([file, version, name]) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down() functions`);
+      }
+      return { version: parseInt(version), name, file, ...migration };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function getAppliedVersions() {
+  await ensureMigrationsTable();
+  const rows = await query.all('SELECT version FROM schema_migrations ORDER BY version');
+  return rows.map(row => row.version);
+}
+
+async function inTransaction(work) {
+  await query.exec('BEGIN TRANSACTION');
+  try {
+    await work();
+    await query.exec('COMMIT');
+  } catch (error) {
+    await query.exec('ROLLBACK');
+    throw error;
+  }
+}
+
+// Applies every pending migration, each in its own transaction. Returns the applied migrations.
+async function migrate() {
+  const applied = new Set(await getAppliedVersions());
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.file}...`);
+    await inTransaction(async () => {
+      await migration.up(query);
+      await query.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+    });
+  }
+
+  return pending;
+}
+
+// Reverts the most recently applied migrations. Returns the reverted migrations.
+async function rollback(steps = 1) {
+  const applied = await getAppliedVersions();
+  const migrations = loadMigrations();
+  const toRevert = applied.slice(-steps).reverse();
+  const reverted = [];
+
+  for (const version of toRevert) {
+    const migration = migrations.find(m => m.version === version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${version} is missing; cannot roll back`);
+    }
+
+    console.log(`Reverting migration ${migration.file}...`);
+    await inTransaction(async () => {
+      await migration.down(query);
+      await query.run('DELETE FROM schema_migrations WHERE version = ?', [version]);
+    });
+    reverted.push(migration);
+  }
+
+  return reverted;
+}
+
+async function status() {
+  await ensureMigrationsTable();
+  const rows = await query.all('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(rows.map(row => [row.version, row.applied_at]));
+
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedAt.has(migration.version),
+    applied_at: appliedAt.get(migration.version) || null
+  }));
+}
+
+module.exports = {
+  migrate,
+  rollback,
+  status
+};
@@ -0,0 +1,316 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { computeDeadlines, isFsaAccount } = require('../services/fsaDeadlineService');
+const {
+  getQualifiedReceiptsByAccount,
+  getAccountsByUser,
+  getAccountById,
+  createAccount,
+  updateAccount,
+  deleteAccount,
+  countContributionsForAccount
+} = require('../models/database');
+
+const router = express.Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const ACCOUNT_TYPES = [
+  { value: 'HSA', label: 'Health Savings Account' },
+  { value: 'FSA', label: 'Health Care FSA' },
+  { value: 'LPFSA', label: 'Limited Purpose FSA' },
+  { value: 'DCFSA', label: 'Dependent Care FSA' },
+  { value: 'HRA', label: 'Health Reimbursement Arrangement' }
+];
+
+const HSA_COVERAGE_TYPES = ['self_only', 'family'];
+
+// Account types that run on a plan year with an annual election
+const PLAN_YEAR_TYPES = ['FSA', 'LPFSA', 'DCFSA', 'HRA'];
+
+// IRS rules allow at most a 2.5 month grace period after the plan year ends
+const MAX_GRACE_PERIOD_DAYS = 77;
+const MAX_RUN_OUT_DAYS = 365;
+
+function parseOptionalAmount(value, name) {
+  if (value === undefined) return {};
+  if (value === null || value === '') return { value: null };
+  const parsed = parseFloat(value);
+  if (isNaN(parsed) || parsed < 0) {
+    return { error: 'Invalid account', details: `${name} must be a non-negative number` };
+  }
+  return { value: Math.round(parsed * 100) / 100 };
+}
+
+// Validates an account from a request body. With partial=true only the provided fields are checked;
+// cross-field rules are always checked against the merged result (existing values + updates).
+function normalizeAccount(body, { partial = false, existing = {} } = {}) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid account', details: 'Account details are required' };
+  }
+
+  const normalized = {};
+
+  if (!partial || body.account_type !== undefined) {
+    if (!ACCOUNT_TYPES.some(type => type.value === body.account_type)) {
+      return {
+        error: 'Invalid account type',
+        details: `Account type must be one of: ${ACCOUNT_TYPES.map(type => type.value).join(', ')}`
+      };
+    }
+    normalized.account_type = body.account_type;
+  }
+
+  if (body.administrator_name !== undefined) {
+    normalized.administrator_name = body.administrator_name?.trim() || null;
+  }
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    const accountType = normalized.account_type || existing.account_type;
+    normalized.name = name || [normalized.administrator_name || existing.administrator_name, accountType]
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  if (body.hsa_coverage_type !== undefined) {
+    if (body.hsa_coverage_type !== null && body.hsa_coverage_type !== '' &&
+        !HSA_COVERAGE_TYPES.includes(body.hsa_coverage_type)) {
+      return {
+        error: 'Invalid account',
+        details: `HSA coverage must be one of: ${HSA_COVERAGE_TYPES.join(', ')}`
+      };
+    }
+    normalized.hsa_coverage_type = body.hsa_coverage_type || null;
+  }
+
+  for (const field of ['plan_year_start', 'plan_year_end', 'hsa_established_date', 'holder_birth_date']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      normalized[field] = null;
+    } else if (!DATE_REGEX.test(body[field])) {
+      return { error: 'Invalid date format', details: `${field} must be in YYYY-MM-DD format` };
+    } else {
+      normalized[field] = body[field];
+    }
+  }
+
+  for (const [field, label] of [['election_amount', 'Election amount'], ['carryover_limit', 'Carryover limit']]) {
+    const { value, error, details } = parseOptionalAmount(body[field], label);
+    if (error) return { error, details };
+    if (value !== undefined) normalized[field] = field === 'carryover_limit' ? value || 0 : value;
+  }
+
+  if (body.grace_period_days !== undefined) {
+    const days = body.grace_period_days === null || body.grace_period_days === '' ? 0 : Number(body.grace_period_days);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_GRACE_PERIOD_DAYS) {
+      return {
+        error: 'Invalid account',
+        details: `Grace period must be a whole number of days between 0 and ${MAX_GRACE_PERIOD_DAYS}`
+      };
+    }
+    normalized.grace_period_days = days;
+  }
+
+  if (body.run_out_days !== undefined && body.run_out_days !== null && body.run_out_days !== '') {
+    const days = Number(body.run_out_days);
+    if (!Number.isInteger(days) || days < 0 || days > MAX_RUN_OUT_DAYS) {
+      return {
+        error: 'Invalid account',
+        details: `Run-out period must be a whole number of days between 0 and ${MAX_RUN_OUT_DAYS}`
+      };
+    }
+    normalized.run_out_days = days;
+  }
+
+  const merged = { ...existing, ...normalized };
+
+  if (PLAN_YEAR_TYPES.includes(merged.account_type)) {
+    if (!merged.plan_year_start || !merged.plan_year_end) {
+      return {
+        error: 'Missing plan year',
+        details: `${merged.account_type} accounts need a plan year start and end date`
+      };
+    }
+    if (merged.plan_year_start >= merged.plan_year_end) {
+      return { error: 'Invalid plan year', details: 'Plan year must end after it starts' };
+    }
+  }
+
+  if ((merged.grace_period_days || 0) > 0 && (merged.carryover_limit || 0) > 0) {
+    return {
+      error: 'Invalid account',
+      details: 'A plan can offer a grace period or a carryover, but not both'
+    };
+  }
+
+  if (merged.account_type !== 'HSA' && (merged.hsa_established_date || merged.hsa_coverage_type || merged.holder_birth_date)) {
+    return {
+      error: 'Invalid account',
+      details: 'Establishment date, coverage and holder birth date only apply to HSA accounts'
+    };
+  }
+
+  return { account: normalized };
+}
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const accounts = await getAccountsByUser(req.user.userId);
+
+    res.json({ accounts, account_types: ACCOUNT_TYPES });
+
+  } catch (error) {
+    console.error('Get accounts error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch accounts',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Spend-by and claim deadlines, remaining balance and carryover for each FSA
+router.get('/deadlines', authenticateToken, async (req, res) => {
+  try {
+    const { as_of } = req.query;
+    if (as_of && !DATE_REGEX.test(as_of)) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        details: 'as_of must be in YYYY-MM-DD format'
+      });
+    }
+
+    const today = as_of || new Date().toISOString().split('T')[0];
+    const fsaAccounts = (await getAccountsByUser(req.user.userId)).filter(isFsaAccount);
+
+    const deadlines = [];
+    for (const account of fsaAccounts) {
+      const receipts = await getQualifiedReceiptsByAccount(req.user.userId, account.id);
+      deadlines.push(computeDeadlines(account, receipts, today));
+    }
+
+    res.json({ as_of: today, deadlines });
+
+  } catch (error) {
+    console.error('Get account deadlines error:', error);
+    res.status(500).json({
+      error: 'Unable to compute deadlines',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const account = await getAccountById(req.params.id, req.user.userId);
+    if (!account) {
+      return res.status(404).json({
+        error: 'Account not found',
+        details: 'This account may have been deleted'
+      });
+    }
+
+    res.json({ account });
+
+  } catch (error) {
+    console.error('Get account error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch account',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { account, error, details } = normalizeAccount(req.body);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const created = await createAccount(req.user.userId, account);
+
+    res.status(201).json({
+      message: 'Account added',
+      account: created
+    });
+
+  } catch (error) {
+    console.error('Create account error:', error);
+    res.status(500).json({
+      error: 'Failed to add account',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getAccountById(req.params.id, req.user.userId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Account not found',
+        details: 'This account may have been deleted'
+      });
+    }
+
+    const { account, error, details } = normalizeAccount(req.body, { partial: true, existing });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(account).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    await updateAccount(existing.id, req.user.userId, account);
+
+    res.json({
+      message: 'Account updated',
+      account: await getAccountById(existing.id, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Update account error:', error);
+    res.status(500).json({
+      error: 'Failed to update account',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    // Contributions are kept for past tax years' Form 8889, so they have to be removed on purpose
+    const contributionCount = await countContributionsForAccount(req.user.userId, req.params.id);
+    if (contributionCount > 0) {
+      return res.status(409).json({
+        error: 'Account has contributions',
+        details: `${contributionCount} HSA contribution${contributionCount !== 1 ? 's are' : ' is'} recorded for this account and used in your Form 8889 summaries. Delete ${contributionCount !== 1 ? 'them' : 'it'} from the Contributions page first.`
+      });
+    }
+
+    const result = await deleteAccount(req.params.id, req.user.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Account not found',
+        details: 'This account may have already been deleted'
+      });
+    }
+
+    res.json({
+      message: 'Account deleted',
+      details: 'Receipts assigned to it are now marked as paid out of pocket.'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      error: 'Failed to delete account',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
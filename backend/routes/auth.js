@@ -1,12 +1,53 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const { getUserByEmail, createUser, getUserById } = require('../models/database');
+const { getUserByEmail, createUser, getUserById, updateUserSettings } = require('../models/database');
 const { authenticateToken } = require('../middleware/auth');
 
 const router = express.Router();
 const JWT_SECRET = process.env.JWT_SECRET || 'rxreceipts-secret-key-change-in-production';
 
+const MAX_LOOKBACK_MONTHS = 120;
+
+// Validates the receipt scanning settings in a request body; only the provided fields are checked
+function normalizeSettings(body) {
+  const settings = {};
+
+  if (body?.locale !== undefined) {
+    let locale;
+    try {
+      [locale] = Intl.getCanonicalLocales(body.locale);
+    } catch (error) {
+      locale = null;
+    }
+    if (!locale || Intl.DateTimeFormat.supportedLocalesOf(locale).length === 0) {
+      return { error: 'Invalid locale', details: 'Locale must be a language and region such as en-US or en-GB' };
+    }
+    settings.locale = locale;
+  }
+
+  if (body?.receipt_lookback_months !== undefined) {
+    const months = Number(body.receipt_lookback_months);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_LOOKBACK_MONTHS) {
+      return { error: 'Invalid look-back window', details: `Look-back must be a whole number of months from 1 to ${MAX_LOOKBACK_MONTHS}` };
+    }
+    settings.receipt_lookback_months = months;
+  }
+
+  return { settings };
+}
+
+function userResponse(user) {
+  return {
+    id: user.id,
+    email: user.email,
+    name: user.name,
+    locale: user.locale,
+    receipt_lookback_months: user.receipt_lookback_months,
+    created_at: user.created_at
+  };
+}
+
 // Register new user
 router.post('/register', async (req, res) => {
   try {
@@ -134,14 +175,7 @@ router.get('/me', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        created_at: user.created_at
-      }
-    });
+    res.json({ user: userResponse(user) });
 
   } catch (error) {
     console.error('Get user error:', error);
@@ -149,6 +183,35 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// Update how receipts are scanned for the current user
+router.put('/settings', authenticateToken, async (req, res) => {
+  try {
+    const { settings, error, details } = normalizeSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    await updateUserSettings(req.user.userId, settings);
+    const user = await getUserById(req.user.userId);
+
+    res.json({
+      message: 'Settings saved',
+      user: userResponse(user)
+    });
+
+  } catch (error) {
+    console.error('Update settings error:', error);
+    res.status(500).json({
+      error: 'Failed to save settings',
+      details: 'Please try again'
+    });
+  }
+});
+
 // Demo login (IH#7: Provide different approaches)
 router.post('/demo', async (req, res) => {
   try {
@@ -0,0 +1,222 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const eligibilityService = require('../services/eligibilityService');
+const {
+  getUserCategories,
+  findCategory,
+  buildCategoryTree
+} = require('../services/categoryService');
+const {
+  getCategoryById,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+  countReceiptsInCategory
+} = require('../models/database');
+
+const router = express.Router();
+
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+const MAX_NAME_LENGTH = 50;
+
+const ELIGIBILITY_DEFAULTS = [
+  { value: 'eligible', label: 'Eligible' },
+  { value: 'needs_lmn', label: 'Needs letter of medical necessity' },
+  { value: 'not_eligible', label: 'Not eligible' }
+];
+
+// Validates a category from a request body against the user's existing categories.
+// With partial=true only the provided fields are checked.
+function normalizeCategory(body, categories, { partial = false, existing = null } = {}) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid category', details: 'Category details are required' };
+  }
+
+  const normalized = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return { error: 'Invalid category', details: `Name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    const duplicate = findCategory(categories, name);
+    if (duplicate && duplicate.id !== existing?.id) {
+      return { error: 'Duplicate category', details: `You already have a category named ${duplicate.name}` };
+    }
+    normalized.name = name;
+  }
+
+  if (body.parent_id !== undefined) {
+    if (body.parent_id === null || body.parent_id === '') {
+      normalized.parent_id = null;
+    } else {
+      const parent = categories.find(category => category.id === Number(body.parent_id));
+      if (!parent || parent.parent_id || parent.id === existing?.id) {
+        return { error: 'Invalid parent category', details: 'Subcategories must belong to one of your top-level categories' };
+      }
+      if (existing && categories.some(category => category.parent_id === existing.id)) {
+        return { error: 'Invalid parent category', details: 'A category with subcategories cannot become a subcategory' };
+      }
+      normalized.parent_id = parent.id;
+    }
+  }
+
+  if (body.description !== undefined) {
+    normalized.description = body.description?.trim() || null;
+  }
+
+  if (body.color !== undefined) {
+    if (body.color !== null && body.color !== '' && !COLOR_REGEX.test(body.color)) {
+      return { error: 'Invalid color', details: 'Color must be a hex value such as #2980b9' };
+    }
+    normalized.color = body.color || null;
+  }
+
+  if (body.eligibility_default !== undefined) {
+    if (body.eligibility_default !== null && body.eligibility_default !== '' &&
+        !eligibilityService.isValidVerdict(body.eligibility_default)) {
+      return {
+        error: 'Invalid eligibility default',
+        details: `Eligibility default must be one of: ${ELIGIBILITY_DEFAULTS.map(d => d.value).join(', ')}`
+      };
+    }
+    normalized.eligibility_default = body.eligibility_default || null;
+  }
+
+  if (body.archived !== undefined) {
+    normalized.archived = body.archived === true || body.archived === 1 || body.archived === 'true' ? 1 : 0;
+  }
+
+  return { category: normalized };
+}
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const categories = await getUserCategories(req.user.userId);
+
+    res.json({
+      categories: buildCategoryTree(categories),
+      eligibility_defaults: ELIGIBILITY_DEFAULTS
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch categories',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const categories = await getUserCategories(req.user.userId);
+
+    const { category, error, details } = normalizeCategory(req.body, categories);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    // New categories go to the end of their level
+    category.sort_order = categories.filter(c => (c.parent_id || null) === (category.parent_id || null)).length;
+
+    const created = await createCategory(req.user.userId, category);
+
+    res.status(201).json({
+      message: 'Category added',
+      category: created
+    });
+
+  } catch (error) {
+    console.error('Create category error:', error);
+    res.status(500).json({
+      error: 'Failed to add category',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const categories = await getUserCategories(req.user.userId);
+    const existing = categories.find(category => category.id === Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Category not found',
+        details: 'This category may have been deleted'
+      });
+    }
+
+    const { category, error, details } = normalizeCategory(req.body, categories, { partial: true, existing });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(category).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    await updateCategory(existing.id, req.user.userId, category);
+
+    // Archiving a category also archives its subcategories
+    if (category.archived === 1) {
+      for (const child of categories.filter(c => c.parent_id === existing.id)) {
+        await updateCategory(child.id, req.user.userId, { archived: 1 });
+      }
+    }
+
+    res.json({
+      message: 'Category updated',
+      category: await getCategoryById(existing.id, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Update category error:', error);
+    res.status(500).json({
+      error: 'Failed to update category',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Only unused categories can be deleted; archive a category to hide it while keeping its receipts
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const categories = await getUserCategories(req.user.userId);
+    const existing = categories.find(category => category.id === Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Category not found',
+        details: 'This category may have already been deleted'
+      });
+    }
+
+    if (categories.some(category => category.parent_id === existing.id)) {
+      return res.status(409).json({
+        error: 'Category has subcategories',
+        details: 'Delete or move its subcategories first'
+      });
+    }
+
+    const receiptCount = await countReceiptsInCategory(req.user.userId, existing.name);
+    if (receiptCount > 0) {
+      return res.status(409).json({
+        error: 'Category is in use',
+        details: `${receiptCount} receipt${receiptCount !== 1 ? 's use' : ' uses'} this category (including the trash). Archive it instead to hide it from new receipts.`
+      });
+    }
+
+    await deleteCategory(existing.id, req.user.userId);
+
+    res.json({ message: 'Category deleted' });
+
+  } catch (error) {
+    console.error('Delete category error:', error);
+    res.status(500).json({
+      error: 'Failed to delete category',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+const express = require('express');
+const path = require('path');
+const fs = require('fs').promises;
+const { authenticateToken } = require('../middleware/auth');
+const { renderClaimPacket } = require('../services/claimPacketService');
+const { getAllowedTransitions, planTransition } = require('../services/reimbursementWorkflow');
+const { withCurrentEligibility } = require('../services/receiptEligibilityService');
+const {
+  getUserById,
+  getReceiptById,
+  getLineItemsByReceipt,
+  getPrescriptionsByReceipt,
+  getAttachmentsByReceipt,
+  getAccountById,
+  getHouseholdMemberById,
+  updateReceipt,
+  getClaimPacketsByUser,
+  getClaimPacketById,
+  createClaimPacket,
+  deleteClaimPacket
+} = require('../models/database');
+
+const router = express.Router();
+
+const PACKETS_DIR = path.join(__dirname, '../claim_packets');
+const MAX_PACKET_RECEIPTS = 100;
+
+function getPacketPath(userId, fileName) {
+  return path.join(PACKETS_DIR, userId.toString(), fileName);
+}
+
+function formatPacket(packet) {
+  return {
+    ...packet,
+    download_url: `/api/claims/packets/${packet.id}/download`
+  };
+}
+
+// Loads the receipts in the order given, with everything the packet prints for each one and their
+// eligibility as it stands now
+async function loadPacketReceipts(receiptIds, userId) {
+  const receipts = [];
+  const accounts = {};
+  const patients = {};
+
+  for (const receiptId of receiptIds) {
+    const receipt = await getReceiptById(receiptId, userId);
+    if (!receipt) return { error: 'Receipt not found', details: `Receipt ${receiptId} does not exist or has been deleted` };
+
+    if (receipt.account_id && !(receipt.account_id in accounts)) {
+      accounts[receipt.account_id] = await getAccountById(receipt.account_id, userId);
+    }
+    if (receipt.patient_id && !(receipt.patient_id in patients)) {
+      patients[receipt.patient_id] = await getHouseholdMemberById(receipt.patient_id, userId);
+    }
+
+    receipts.push({
+      ...receipt,
+      account_name: accounts[receipt.account_id]?.name || null,
+      patient_name: patients[receipt.patient_id]?.name || null,
+      line_items: await getLineItemsByReceipt(receipt.id),
+      prescriptions: await getPrescriptionsByReceipt(receipt.id),
+      attachments: await getAttachmentsByReceipt(receipt.id)
+    });
+  }
+
+  return { receipts: await withCurrentEligibility(userId, receipts), accounts };
+}
+
+router.get('/packets', authenticateToken, async (req, res) => {
+  try {
+    const packets = await getClaimPacketsByUser(req.user.userId);
+
+    res.json({ packets: packets.map(formatPacket) });
+
+  } catch (error) {
+    console.error('Get claim packets error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch claim packets',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Builds a PDF claim packet from the given receipts, keeps it for re-download and marks
+// the receipts as submitted. Receipts that cannot move to submitted are reported in skipped.
+router.post('/packet', authenticateToken, async (req, res) => {
+  try {
+    const { receipt_ids, claim_reference, mark_submitted = true } = req.body;
+
+    if (!Array.isArray(receipt_ids) || receipt_ids.length === 0) {
+      return res.status(400).json({
+        error: 'Missing receipts',
+        details: 'Provide receipt_ids with at least one receipt to include'
+      });
+    }
+
+    const uniqueIds = [...new Set(receipt_ids.map(id => parseInt(id)))];
+    if (uniqueIds.some(id => isNaN(id) || id < 1)) {
+      return res.status(400).json({ error: 'Invalid receipts', details: 'receipt_ids must be receipt ids' });
+    }
+    if (uniqueIds.length > MAX_PACKET_RECEIPTS) {
+      return res.status(400).json({
+        error: 'Too many receipts',
+        details: `A claim packet can include at most ${MAX_PACKET_RECEIPTS} receipts`
+      });
+    }
+    if (claim_reference !== undefined && claim_reference !== null && typeof claim_reference !== 'string') {
+      return res.status(400).json({ error: 'Invalid claim reference', details: 'claim_reference must be text' });
+    }
+    const claimReference = claim_reference?.trim() || null;
+
+    const { receipts, accounts, error, details } = await loadPacketReceipts(uniqueIds, req.user.userId);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    // The cover names an account only when every receipt is claimed against the same one
+    const accountIds = [...new Set(receipts.map(receipt => receipt.account_id))];
+    const account = accountIds.length === 1 && accountIds[0] ? accounts[accountIds[0]] : null;
+
+    const user = await getUserById(req.user.userId);
+    const today = new Date().toISOString().split('T')[0];
+    const dates = receipts.map(receipt => receipt.receipt_date).sort();
+
+    const pdf = await renderClaimPacket({
+      user,
+      account,
+      receipts,
+      claimReference,
+      generatedAt: today
+    });
+
+    const fileName = `claim-packet-${Date.now()}.pdf`;
+    await fs.mkdir(path.join(PACKETS_DIR, req.user.userId.toString()), { recursive: true });
+    await fs.writeFile(getPacketPath(req.user.userId, fileName), pdf);
+
+    const packet = await createClaimPacket(req.user.userId, {
+      account_id: account ? account.id : null,
+      receipt_ids: receipts.map(receipt => receipt.id),
+      total_amount: Math.round(receipts.reduce((sum, receipt) => sum + receipt.amount, 0) * 100) / 100,
+      start_date: dates[0],
+      end_date: dates[dates.length - 1],
+      claim_reference: claimReference,
+      file_name: fileName
+    });
+
+    const submitted = [];
+    const skipped = [];
+    if (mark_submitted) {
+      for (const receipt of receipts) {
+        if (!getAllowedTransitions(receipt.reimbursement_status).includes('submitted')) {
+          skipped.push({ receipt_id: receipt.id, status: receipt.reimbursement_status });
+          continue;
+        }
+
+        const { updates } = planTransition(receipt, 'submitted', {
+          submitted_date: today,
+          claim_reference: claimReference ?? receipt.claim_reference,
+          note: `Included in claim packet #${packet.id}`
+        });
+        await updateReceipt(receipt.id, req.user.userId, updates, { action: 'status' });
+        submitted.push(receipt.id);
+      }
+    }
+
+    res.status(201).json({
+      message: `Claim packet created with ${receipts.length} receipt${receipts.length !== 1 ? 's' : ''}`,
+      packet: formatPacket(packet),
+      submitted,
+      skipped
+    });
+
+  } catch (error) {
+    console.error('Create claim packet error:', error);
+    res.status(500).json({
+      error: 'Failed to create claim packet',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.get('/packets/:id/download', authenticateToken, async (req, res) => {
+  try {
+    const packet = await getClaimPacketById(req.params.id, req.user.userId);
+    if (!packet) {
+      return res.status(404).json({
+        error: 'Claim packet not found',
+        details: 'This packet may have been deleted'
+      });
+    }
+
+    let pdf;
+    try {
+      pdf = await fs.readFile(getPacketPath(req.user.userId, packet.file_name));
+    } catch (fileError) {
+      console.error('Failed to read claim packet file:', fileError.message);
+      return res.status(410).json({
+        error: 'Claim packet file missing',
+        details: 'The PDF for this packet is no longer available; generate a new packet'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${packet.file_name}"`
+    });
+    res.send(pdf);
+
+  } catch (error) {
+    console.error('Download claim packet error:', error);
+    res.status(500).json({
+      error: 'Failed to download claim packet',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Deletes the stored packet; the receipts keep their submitted status
+router.delete('/packets/:id', authenticateToken, async (req, res) => {
+  try {
+    const packet = await getClaimPacketById(req.params.id, req.user.userId);
+    if (!packet) {
+      return res.status(404).json({
+        error: 'Claim packet not found',
+        details: 'This packet may have already been deleted'
+      });
+    }
+
+    await deleteClaimPacket(packet.id, req.user.userId);
+
+    try {
+      await fs.unlink(getPacketPath(req.user.userId, packet.file_name));
+    } catch (fileError) {
+      console.error('Failed to delete claim packet file:', fileError.message);
+    }
+
+    res.json({ message: 'Claim packet deleted' });
+
+  } catch (error) {
+    console.error('Delete claim packet error:', error);
+    res.status(500).json({
+      error: 'Failed to delete claim packet',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
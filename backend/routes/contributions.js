@@ -0,0 +1,246 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  CONTRIBUTION_SOURCES,
+  computeContributionSummary,
+  isValidSource
+} = require('../services/contributionLimitService');
+const {
+  getAccountsByUser,
+  getAccountById,
+  getContributionLimits,
+  getContributionLimit,
+  getContributionsByUser,
+  getContributionById,
+  createContribution,
+  updateContribution,
+  deleteContribution
+} = require('../models/database');
+
+const router = express.Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Prior-year contributions can be made up to the federal tax filing deadline
+const PRIOR_YEAR_DEADLINE = '04-15';
+
+function parseTaxYear(value) {
+  const taxYear = Number(value);
+  if (!Number.isInteger(taxYear) || taxYear < 2004 || taxYear > 2100) {
+    return { error: 'Invalid tax year', details: 'tax_year must be a four-digit year' };
+  }
+  return { taxYear };
+}
+
+// Validates a contribution from a request body. With partial=true only the provided fields are
+// checked; the tax year / date pairing is always checked against the merged result.
+async function normalizeContribution(body, userId, { partial = false, existing = {} } = {}) {
+  const normalized = {};
+
+  if (!partial || body.account_id !== undefined) {
+    const account = body.account_id ? await getAccountById(body.account_id, userId) : null;
+    if (!account || account.account_type !== 'HSA') {
+      return { error: 'Invalid account', details: 'Contributions must be recorded against one of your HSA accounts' };
+    }
+    normalized.account_id = account.id;
+  }
+
+  if (!partial || body.amount !== undefined) {
+    const amount = parseFloat(body.amount);
+    if (isNaN(amount) || amount === 0) {
+      return { error: 'Invalid amount', details: 'Amount must be a non-zero number; use a negative amount for an excess removal' };
+    }
+    normalized.amount = Math.round(amount * 100) / 100;
+  }
+
+  if (!partial || body.source !== undefined) {
+    if (!isValidSource(body.source)) {
+      return {
+        error: 'Invalid source',
+        details: `Source must be one of: ${CONTRIBUTION_SOURCES.map(s => s.value).join(', ')}`
+      };
+    }
+    normalized.source = body.source;
+  }
+
+  if (!partial || body.contribution_date !== undefined) {
+    if (!DATE_REGEX.test(body.contribution_date || '')) {
+      return { error: 'Invalid date format', details: 'contribution_date must be in YYYY-MM-DD format' };
+    }
+    normalized.contribution_date = body.contribution_date;
+  }
+
+  if (body.tax_year !== undefined) {
+    const { taxYear, error, details } = parseTaxYear(body.tax_year);
+    if (error) return { error, details };
+    normalized.tax_year = taxYear;
+  } else if (!partial) {
+    normalized.tax_year = parseInt(normalized.contribution_date.slice(0, 4));
+  }
+
+  if (body.note !== undefined) {
+    normalized.note = body.note?.trim() || null;
+  }
+
+  const merged = { ...existing, ...normalized };
+  const dateYear = parseInt(merged.contribution_date.slice(0, 4));
+  const allowedPriorYear = merged.tax_year === dateYear - 1 &&
+    merged.contribution_date.slice(5) <= PRIOR_YEAR_DEADLINE;
+  if (merged.tax_year !== dateYear && !allowedPriorYear) {
+    return {
+      error: 'Invalid tax year',
+      details: `A contribution made on ${merged.contribution_date} can only count toward ${dateYear}` +
+        (merged.contribution_date.slice(5) <= PRIOR_YEAR_DEADLINE ? ` or ${dateYear - 1}` : '')
+    };
+  }
+
+  return { contribution: normalized };
+}
+
+async function buildSummary(userId, taxYear) {
+  const hsaAccounts = (await getAccountsByUser(userId)).filter(account => account.account_type === 'HSA');
+  const limitRow = await getContributionLimit(taxYear);
+  const contributions = await getContributionsByUser(userId, taxYear);
+  return computeContributionSummary(taxYear, limitRow, hsaAccounts, contributions);
+}
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { taxYear, error, details } = parseTaxYear(req.query.tax_year || new Date().getFullYear());
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const contributions = await getContributionsByUser(req.user.userId, taxYear);
+    const summary = await buildSummary(req.user.userId, taxYear);
+
+    res.json({ contributions, summary, sources: CONTRIBUTION_SOURCES });
+
+  } catch (error) {
+    console.error('Get contributions error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch contributions',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.get('/summary', authenticateToken, async (req, res) => {
+  try {
+    const { taxYear, error, details } = parseTaxYear(req.query.tax_year || new Date().getFullYear());
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    res.json({ summary: await buildSummary(req.user.userId, taxYear) });
+
+  } catch (error) {
+    console.error('Get contribution summary error:', error);
+    res.status(500).json({
+      error: 'Unable to compute contribution room',
+      details: 'Please try again'
+    });
+  }
+});
+
+// The versioned IRS limits table
+router.get('/limits', authenticateToken, async (req, res) => {
+  try {
+    res.json({ limits: await getContributionLimits() });
+  } catch (error) {
+    console.error('Get contribution limits error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch contribution limits',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { contribution, error, details } = await normalizeContribution(req.body || {}, req.user.userId);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const created = await createContribution(req.user.userId, contribution);
+    const summary = await buildSummary(req.user.userId, created.tax_year);
+
+    res.status(201).json({
+      message: 'Contribution recorded',
+      contribution: created,
+      summary
+    });
+
+  } catch (error) {
+    console.error('Create contribution error:', error);
+    res.status(500).json({
+      error: 'Failed to record contribution',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getContributionById(req.params.id, req.user.userId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Contribution not found',
+        details: 'This contribution may have been deleted'
+      });
+    }
+
+    const { contribution, error, details } = await normalizeContribution(req.body || {}, req.user.userId, {
+      partial: true,
+      existing
+    });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(contribution).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    await updateContribution(existing.id, req.user.userId, contribution);
+    const updated = await getContributionById(existing.id, req.user.userId);
+
+    res.json({
+      message: 'Contribution updated',
+      contribution: updated,
+      summary: await buildSummary(req.user.userId, updated.tax_year)
+    });
+
+  } catch (error) {
+    console.error('Update contribution error:', error);
+    res.status(500).json({
+      error: 'Failed to update contribution',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteContribution(req.params.id, req.user.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Contribution not found',
+        details: 'This contribution may have already been deleted'
+      });
+    }
+
+    res.json({ message: 'Contribution deleted' });
+
+  } catch (error) {
+    console.error('Delete contribution error:', error);
+    res.status(500).json({
+      error: 'Failed to delete contribution',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getHouseholdMembersByUser,
+  getHouseholdMemberById,
+  createHouseholdMember,
+  updateHouseholdMember,
+  deleteHouseholdMember
+} = require('../models/database');
+
+const router = express.Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const RELATIONSHIPS = [
+  { value: 'self', label: 'Self' },
+  { value: 'spouse', label: 'Spouse' },
+  { value: 'child', label: 'Child' },
+  { value: 'dependent', label: 'Other Dependent' },
+  { value: 'other', label: 'Other' }
+];
+
+// Validates a household member from a request body. With partial=true only the provided fields are checked.
+function normalizeMember(body, { partial = false } = {}) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid household member', details: 'Household member details are required' };
+  }
+
+  const normalized = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      return { error: 'Invalid household member', details: 'Name is required' };
+    }
+    normalized.name = name;
+  }
+
+  if (!partial || body.relationship !== undefined) {
+    if (!RELATIONSHIPS.some(r => r.value === body.relationship)) {
+      return {
+        error: 'Invalid relationship',
+        details: `Relationship must be one of: ${RELATIONSHIPS.map(r => r.value).join(', ')}`
+      };
+    }
+    normalized.relationship = body.relationship;
+  }
+
+  if (body.date_of_birth !== undefined) {
+    if (body.date_of_birth === null || body.date_of_birth === '') {
+      normalized.date_of_birth = null;
+    } else if (!DATE_REGEX.test(body.date_of_birth)) {
+      return { error: 'Invalid date format', details: 'date_of_birth must be in YYYY-MM-DD format' };
+    } else if (body.date_of_birth > new Date().toISOString().split('T')[0]) {
+      return { error: 'Invalid date of birth', details: 'Date of birth cannot be in the future' };
+    } else {
+      normalized.date_of_birth = body.date_of_birth;
+    }
+  }
+
+  if (body.is_tax_dependent !== undefined) {
+    normalized.is_tax_dependent = body.is_tax_dependent === true || body.is_tax_dependent === 1 || body.is_tax_dependent === 'true' ? 1 : 0;
+  }
+
+  return { member: normalized };
+}
+
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const members = await getHouseholdMembersByUser(req.user.userId);
+
+    res.json({ members, relationships: RELATIONSHIPS });
+
+  } catch (error) {
+    console.error('Get household members error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch household members',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const member = await getHouseholdMemberById(req.params.id, req.user.userId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Household member not found',
+        details: 'This person may have been removed'
+      });
+    }
+
+    res.json({ member });
+
+  } catch (error) {
+    console.error('Get household member error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch household member',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { member, error, details } = normalizeMember(req.body);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const created = await createHouseholdMember(req.user.userId, member);
+
+    res.status(201).json({
+      message: 'Household member added',
+      member: created
+    });
+
+  } catch (error) {
+    console.error('Create household member error:', error);
+    res.status(500).json({
+      error: 'Failed to add household member',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await getHouseholdMemberById(req.params.id, req.user.userId);
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Household member not found',
+        details: 'This person may have been removed'
+      });
+    }
+
+    const { member, error, details } = normalizeMember(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(member).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    await updateHouseholdMember(existing.id, req.user.userId, member);
+
+    res.json({
+      message: 'Household member updated',
+      member: await getHouseholdMemberById(existing.id, req.user.userId)
+    });
+
+  } catch (error) {
+    console.error('Update household member error:', error);
+    res.status(500).json({
+      error: 'Failed to update household member',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteHouseholdMember(req.params.id, req.user.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Household member not found',
+        details: 'This person may have already been removed'
+      });
+    }
+
+    res.json({
+      message: 'Household member removed',
+      details: 'Their receipts are no longer assigned to a patient.'
+    });
+
+  } catch (error) {
+    console.error('Delete household member error:', error);
+    res.status(500).json({
+      error: 'Failed to remove household member',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { buildLedger } = require('../services/ledgerService');
+const {
+  getAccountsByUser,
+  getQualifiedReceiptsByAccount
+} = require('../models/database');
+
+const router = express.Router();
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+// Running balance of unreimbursed qualified expenses for each HSA since it was established
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { as_of, account_id } = req.query;
+    if (as_of && !DATE_REGEX.test(as_of)) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        details: 'as_of must be in YYYY-MM-DD format'
+      });
+    }
+
+    const hsaAccounts = (await getAccountsByUser(req.user.userId))
+      .filter(account => account.account_type === 'HSA')
+      .filter(account => !account_id || account.id === parseInt(account_id));
+
+    if (account_id && hsaAccounts.length === 0) {
+      return res.status(404).json({
+        error: 'HSA account not found',
+        details: 'The ledger is only available for HSA accounts'
+      });
+    }
+
+    const ledgers = [];
+    for (const account of hsaAccounts) {
+      const receipts = await getQualifiedReceiptsByAccount(req.user.userId, account.id);
+      ledgers.push({
+        account: {
+          id: account.id,
+          name: account.name,
+          administrator_name: account.administrator_name,
+          hsa_established_date: account.hsa_established_date
+        },
+        ...buildLedger(receipts, {
+          establishedDate: account.hsa_established_date,
+          asOf: as_of || null
+        })
+      });
+    }
+
+    res.json({
+      as_of: as_of || null,
+      accounts: ledgers,
+      available_balance: Math.round(
+        ledgers.reduce((sum, ledger) => sum + ledger.summary.available_balance, 0) * 100
+      ) / 100
+    });
+
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({
+      error: 'Unable to build ledger',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
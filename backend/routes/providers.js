@@ -0,0 +1,340 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  PROVIDER_TYPES,
+  cleanProviderName,
+  normalizeProviderName,
+  matchProvider,
+  suggestProviders,
+  guessProviderType,
+  isValidProviderType,
+  getUserProviders
+} = require('../services/providerService');
+const {
+  createProvider,
+  updateProvider,
+  deleteProvider,
+  replaceProviderAliases,
+  countReceiptsForProvider,
+  mergeProviders
+} = require('../models/database');
+
+const router = express.Router();
+
+const MAX_NAME_LENGTH = 100;
+const MAX_ALIASES = 20;
+const PHONE_REGEX = /^[\d\s()+.-]{7,20}$/;
+
+// NPIs are 10 digits ending in a Luhn check digit computed with the 80840 prefix
+function isValidNpi(npi) {
+  if (!/^\d{10}$/.test(npi)) return false;
+
+  let sum = 0;
+  const digits = `80840${npi}`.split('').map(Number).reverse();
+  for (const [index, digit] of digits.entries()) {
+    const value = index % 2 === 1 ? digit * 2 : digit;
+    sum += value > 9 ? value - 9 : value;
+  }
+  return sum % 10 === 0;
+}
+
+// Validates a provider from a request body against the user's directory.
+// With partial=true only the provided fields are checked.
+function normalizeProvider(body, providers, { partial = false, existing = null } = {}) {
+  if (!body || typeof body !== 'object') {
+    return { error: 'Invalid provider', details: 'Provider details are required' };
+  }
+
+  const normalized = {};
+  const others = providers.filter(provider => provider.id !== existing?.id);
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!normalizeProviderName(name) || name.length > MAX_NAME_LENGTH) {
+      return { error: 'Invalid provider', details: `Name is required and must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    const duplicate = matchProvider(others, name);
+    if (duplicate && duplicate.score === 1) {
+      return { error: 'Duplicate provider', details: `${name} is already in your directory as ${duplicate.provider.name}` };
+    }
+    normalized.name = name;
+  }
+
+  // New providers without a type get one guessed from their name
+  if (!partial || body.provider_type !== undefined) {
+    const type = body.provider_type || (partial ? 'other' : guessProviderType(normalized.name));
+    if (!isValidProviderType(type)) {
+      return {
+        error: 'Invalid provider type',
+        details: `Provider type must be one of: ${PROVIDER_TYPES.map(t => t.value).join(', ')}`
+      };
+    }
+    normalized.provider_type = type;
+  }
+
+  if (body.address !== undefined) {
+    normalized.address = body.address?.trim() || null;
+  }
+
+  if (body.phone !== undefined) {
+    const phone = body.phone?.trim() || null;
+    if (phone && !PHONE_REGEX.test(phone)) {
+      return { error: 'Invalid phone number', details: 'Phone may only contain digits, spaces and ( ) + . -' };
+    }
+    normalized.phone = phone;
+  }
+
+  if (body.npi !== undefined) {
+    const npi = body.npi?.toString().replace(/\s/g, '') || null;
+    if (npi && !isValidNpi(npi)) {
+      return { error: 'Invalid NPI', details: 'NPI must be the 10-digit National Provider Identifier' };
+    }
+    normalized.npi = npi;
+  }
+
+  // Aliases replace the provider's current list. Names that already match another provider are rejected
+  // so a store name never matches two providers.
+  if (body.aliases !== undefined) {
+    if (!Array.isArray(body.aliases) || body.aliases.some(alias => typeof alias !== 'string')) {
+      return { error: 'Invalid aliases', details: 'Aliases must be a list of names' };
+    }
+
+    const aliases = [];
+    for (const alias of body.aliases.map(cleanProviderName).filter(Boolean)) {
+      if (aliases.some(a => normalizeProviderName(a) === normalizeProviderName(alias))) continue;
+
+      const taken = matchProvider(others, alias);
+      if (taken) {
+        return { error: 'Duplicate alias', details: `${alias} already belongs to ${taken.provider.name}. Merge the two providers instead.` };
+      }
+      aliases.push(alias);
+    }
+
+    if (aliases.length > MAX_ALIASES) {
+      return { error: 'Too many aliases', details: `A provider can have at most ${MAX_ALIASES} aliases` };
+    }
+    normalized.aliases = aliases;
+  }
+
+  return { provider: normalized };
+}
+
+// The directory, with per-provider receipt totals
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const providers = await getUserProviders(req.user.userId);
+
+    res.json({ providers, provider_types: PROVIDER_TYPES });
+
+  } catch (error) {
+    console.error('Get providers error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch providers',
+      details: 'Please try again'
+    });
+  }
+});
+
+// The provider a store name would be filed under, plus close alternatives
+router.get('/match', authenticateToken, async (req, res) => {
+  try {
+    const name = req.query.name?.trim();
+    if (!name) {
+      return res.status(400).json({ error: 'Missing name', details: 'Provide the store or provider name to match' });
+    }
+
+    const providers = await getUserProviders(req.user.userId);
+    const match = matchProvider(providers, name);
+
+    res.json({
+      name,
+      match,
+      suggestions: suggestProviders(providers, name).filter(s => s.provider.id !== match?.provider.id)
+    });
+
+  } catch (error) {
+    console.error('Match provider error:', error);
+    res.status(500).json({
+      error: 'Unable to match provider',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const providers = await getUserProviders(req.user.userId);
+    const provider = providers.find(p => p.id === Number(req.params.id));
+    if (!provider) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        details: 'This provider may have been merged or deleted'
+      });
+    }
+
+    res.json({ provider });
+
+  } catch (error) {
+    console.error('Get provider error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch provider',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const providers = await getUserProviders(req.user.userId);
+
+    const { provider, error, details } = normalizeProvider(req.body, providers);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const { aliases = [], ...fields } = provider;
+    const created = await createProvider(req.user.userId, fields);
+    await replaceProviderAliases(created.id, aliases);
+
+    res.status(201).json({
+      message: 'Provider added',
+      provider: { ...created, aliases }
+    });
+
+  } catch (error) {
+    console.error('Create provider error:', error);
+    res.status(500).json({
+      error: 'Failed to add provider',
+      details: 'Please try again'
+    });
+  }
+});
+
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const providers = await getUserProviders(req.user.userId);
+    const existing = providers.find(p => p.id === Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        details: 'This provider may have been merged or deleted'
+      });
+    }
+
+    const { provider, error, details } = normalizeProvider(req.body, providers, { partial: true, existing });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(provider).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    const { aliases, ...fields } = provider;
+    if (Object.keys(fields).length > 0) {
+      await updateProvider(existing.id, req.user.userId, fields);
+    }
+    if (aliases !== undefined) {
+      await replaceProviderAliases(existing.id, aliases);
+    }
+
+    const updated = (await getUserProviders(req.user.userId)).find(p => p.id === existing.id);
+
+    res.json({
+      message: 'Provider updated',
+      provider: updated
+    });
+
+  } catch (error) {
+    console.error('Update provider error:', error);
+    res.status(500).json({
+      error: 'Failed to update provider',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Folds duplicate providers into this one: their receipts move over and their names become aliases
+router.post('/:id/merge', authenticateToken, async (req, res) => {
+  try {
+    const providers = await getUserProviders(req.user.userId);
+    const target = providers.find(p => p.id === Number(req.params.id));
+    if (!target) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        details: 'This provider may have been merged or deleted'
+      });
+    }
+
+    const { source_ids } = req.body;
+    if (!Array.isArray(source_ids) || source_ids.length === 0) {
+      return res.status(400).json({
+        error: 'No providers selected',
+        details: 'source_ids must list the providers to merge into this one'
+      });
+    }
+
+    const sources = [];
+    for (const sourceId of new Set(source_ids.map(Number))) {
+      const source = providers.find(p => p.id === sourceId);
+      if (!source || source.id === target.id) {
+        return res.status(400).json({
+          error: 'Invalid provider',
+          details: 'Providers can only be merged with other providers in your directory'
+        });
+      }
+      sources.push(source);
+    }
+
+    const { receipts_moved } = await mergeProviders(target.id, sources.map(s => s.id), req.user.userId);
+    const merged = (await getUserProviders(req.user.userId)).find(p => p.id === target.id);
+
+    res.json({
+      message: `Merged ${sources.length} provider${sources.length !== 1 ? 's' : ''} into ${target.name}`,
+      receipts_moved,
+      provider: merged
+    });
+
+  } catch (error) {
+    console.error('Merge providers error:', error);
+    res.status(500).json({
+      error: 'Failed to merge providers',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Only providers without receipts can be deleted; merge a duplicate into another provider instead
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const providers = await getUserProviders(req.user.userId);
+    const existing = providers.find(p => p.id === Number(req.params.id));
+    if (!existing) {
+      return res.status(404).json({
+        error: 'Provider not found',
+        details: 'This provider may have already been deleted'
+      });
+    }
+
+    const receiptCount = await countReceiptsForProvider(req.user.userId, existing.id);
+    if (receiptCount > 0) {
+      return res.status(409).json({
+        error: 'Provider is in use',
+        details: `${receiptCount} receipt${receiptCount !== 1 ? 's are' : ' is'} filed under this provider (including the trash). Merge it into another provider instead.`
+      });
+    }
+
+    await deleteProvider(existing.id, req.user.userId);
+
+    res.json({ message: 'Provider deleted' });
+
+  } catch (error) {
+    console.error('Delete provider error:', error);
+    res.status(500).json({
+      error: 'Failed to delete provider',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,18 +4,87 @@ const path = require('path');
 const fs = require('fs').promises;
 const axios = require('axios');
 const { authenticateToken } = require('../middleware/auth');
+const trashPurgeService = require('../services/trashPurgeService');
+const ocrService = require('../services/ocrService');
 const {
+  INTERVALS,
+  MAX_BUCKETS,
+  resolveRange,
+  countBuckets,
+  getPreviousRange,
+  buildTimeseries
+} = require('../services/timeseriesService');
+const eligibilityService = require('../services/eligibilityService');
+const { evaluateReceipt, withCurrentEligibility } = require('../services/receiptEligibilityService');
+const { normalizeNdc } = require('../services/pharmacyReceiptParser');
+const {
+  getUserCategories,
+  findCategory,
+  flattenCategoryTree,
+  getCategoryContext,
+  expandCategoryFilter
+} = require('../services/categoryService');
+const {
+  getUserProviders,
+  matchOrCreateProvider,
+  rememberProviderAlias
+} = require('../services/providerService');
+const {
+  REIMBURSEMENT_STATUSES,
+  isValidStatus,
+  getAllowedTransitions,
+  planTransition
+} = require('../services/reimbursementWorkflow');
+const {
+  getUserById,
   createReceipt,
   getReceiptsByUser,
+  searchReceipts,
   getReceiptById,
+  getLineItemsByReceipt,
+  getLineItemById,
+  createLineItem,
+  updateLineItem,
+  deleteLineItem,
+  getPrescriptionsByReceipt,
+  getPrescriptionById,
+  createPrescription,
+  updatePrescription,
+  deletePrescription,
+  getAttachmentsByReceipt,
+  getAttachmentById,
+  createAttachment,
+  updateAttachment,
+  reorderAttachments,
+  deleteAttachment,
   updateReceipt,
+  getReceiptRevisions,
   deleteReceipt,
-  getReceiptStats
+  getTrashedReceipts,
+  restoreReceipt,
+  getReceiptStats,
+  getReceiptTimeseries,
+  getReceiptTotals,
+  getAccountById,
+  getHouseholdMemberById,
+  setReceiptEligibility,
+  RECEIPT_SORT_COLUMNS
 } = require('../models/database');
 
 const router = express.Router();
 
 const IMAGE_SERVICE_URL = 'http://localhost:5001';
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_PAGE_SIZE = 100;
+
+const ATTACHMENT_TYPES = [
+  { value: 'receipt_image', label: 'Receipt Image' },
+  { value: 'itemized_statement', label: 'Itemized Statement' },
+  { value: 'eob', label: 'Explanation of Benefits (EOB)' },
+  { value: 'lmn', label: 'Letter of Medical Necessity' },
+  { value: 'prescription', label: 'Prescription' },
+  { value: 'other', label: 'Other' }
+];
 
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
@@ -26,106 +95,1607 @@ const storage = multer.diskStorage({
     } catch (error) {
       cb(error);
     }
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'receipt-' + uniqueSuffix + path.extname(file.originalname));
+  },
+  filename: (req, file, cb) => {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, 'receipt-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed for receipt uploads'));
+    }
+  }
+});
+
+async function verifyImageExists(imageId) {
+  try {
+    const response = await axios.head(`${IMAGE_SERVICE_URL}/image/${imageId}`);
+    return response.status === 200;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getImageUrl(imageId) {
+  return imageId ? `${IMAGE_SERVICE_URL}/image/${imageId}` : null;
+}
+
+// `account` query value: an account id, or out_of_pocket for receipts not assigned to any account
+function parseAccountFilter(account) {
+  if (account === undefined || account === '' || account === 'all') return {};
+  if (account === 'out_of_pocket') return { account_id: null };
+
+  const accountId = parseInt(account);
+  if (isNaN(accountId) || accountId < 1 || accountId.toString() !== account.toString()) {
+    return { error: 'Invalid account filter', details: 'account must be an account id, out_of_pocket, or all' };
+  }
+  return { account_id: accountId };
+}
+
+function parsePatientFilter(patient) {
+  if (patient === undefined || patient === '' || patient === 'all') return {};
+  if (patient === 'unassigned') return { patient_id: null };
+
+  const patientId = parseInt(patient);
+  if (isNaN(patientId) || patientId < 1 || patientId.toString() !== patient.toString()) {
+    return { error: 'Invalid patient filter', details: 'patient must be a household member id, unassigned, or all' };
+  }
+  return { patient_id: patientId };
+}
+
+function parseProviderFilter(provider) {
+  if (provider === undefined || provider === '' || provider === 'all') return {};
+
+  const providerId = parseInt(provider);
+  if (isNaN(providerId) || providerId < 1 || providerId.toString() !== provider.toString()) {
+    return { error: 'Invalid provider filter', details: 'provider must be a provider id or all' };
+  }
+  return { provider_id: providerId };
+}
+
+// Checks a patient_id from a request body is one of the user's household members; empty values mean unassigned
+async function resolvePatientId(patientId, userId) {
+  if (patientId === null || patientId === '' || patientId === 'unassigned') return { patient_id: null };
+
+  const member = await getHouseholdMemberById(patientId, userId);
+  if (!member) {
+    return { error: 'Invalid patient', details: 'The selected household member does not exist' };
+  }
+  return { patient_id: member.id };
+}
+
+// Links a receipt to the provider directory. An explicit provider_id must be one of the user's providers,
+// and the store name is remembered as its alias; empty values mean match the store name, adding a provider
+// when nothing matches.
+async function resolveProviderId(providerId, storeName, userId) {
+  if (providerId === undefined || providerId === null || providerId === '') {
+    const match = await matchOrCreateProvider(userId, storeName);
+    return { provider_id: match ? match.provider.id : null };
+  }
+
+  const providers = await getUserProviders(userId);
+  const provider = providers.find(p => p.id === Number(providerId));
+  if (!provider) {
+    return { error: 'Invalid provider', details: 'The selected provider does not exist' };
+  }
+  await rememberProviderAlias(providers, provider, storeName);
+  return { provider_id: provider.id };
+}
+
+// Checks an account_id from a request body belongs to the user; empty values mean out-of-pocket
+async function resolveAccountId(accountId, userId) {
+  if (accountId === null || accountId === '' || accountId === 'out_of_pocket') return { account_id: null };
+
+  const account = await getAccountById(accountId, userId);
+  if (!account) {
+    return { error: 'Invalid account', details: 'The selected account does not exist' };
+  }
+  return { account_id: account.id };
+}
+
+// Checks a category name from a request body against the user's taxonomy and returns its stored spelling.
+// Archived categories are rejected unless the receipt is already filed under it.
+async function resolveCategory(name, userId, currentName = null) {
+  const categories = await getUserCategories(userId);
+  const category = findCategory(categories, typeof name === 'string' ? name.trim() : '');
+  const isCurrent = currentName && category && category.name.toLowerCase() === currentName.toLowerCase();
+
+  if (!category || (category.archived && !isCurrent)) {
+    const active = categories.filter(c => !c.archived).map(c => c.name);
+    return { error: 'Invalid category', details: `Category must be one of: ${active.join(', ')}` };
+  }
+  return { category: category.name };
+}
+
+// Re-evaluates eligibility after a change to the receipt and stores the verdict
+async function refreshEligibility(receipt) {
+  const eligibility = await evaluateReceipt(receipt);
+  await setReceiptEligibility(receipt.id, eligibility);
+  return eligibility;
+}
+
+// Checks the values a revert would restore the way PUT /:id and POST /:id/status check new ones.
+// A status change has to be one the workflow allows and amounts have to stay consistent, or the revert
+// is rejected; an account, household member, provider or category deleted since is left as it is now.
+async function planRevert(receipt, restored, userId) {
+  const updates = { ...restored };
+  const skipped = [];
+
+  const references = [
+    ['account_id', (value) => resolveAccountId(value, userId)],
+    ['patient_id', (value) => resolvePatientId(value, userId)],
+    ['category', (value) => resolveCategory(value, userId, receipt.category)]
+  ];
+  for (const [field, resolve] of references) {
+    if (updates[field] === undefined) continue;
+    const resolved = await resolve(updates[field]);
+    if (resolved.error) {
+      delete updates[field];
+      skipped.push(field);
+    } else {
+      updates[field] = resolved[field];
+    }
+  }
+
+  if (updates.provider_id !== undefined && updates.provider_id !== null) {
+    const providers = await getUserProviders(userId);
+    if (!providers.some(provider => provider.id === updates.provider_id)) {
+      delete updates.provider_id;
+      skipped.push('provider_id');
+    }
+  }
+
+  const amount = updates.amount ?? receipt.amount;
+  if (['amount', 'billed_amount', 'insurance_paid'].some(field => updates[field] !== undefined)) {
+    const billing = normalizeBillingAmounts(updates, amount, receipt);
+    if (billing.error) return billing;
+  }
+
+  const status = updates.reimbursement_status ?? receipt.reimbursement_status ?? 'unsubmitted';
+  if (status !== (receipt.reimbursement_status || 'unsubmitted')) {
+    const restoredValue = (field) => (updates[field] !== undefined ? updates[field] : receipt[field]);
+    const transition = planTransition({ ...receipt, amount }, status, {
+      submitted_date: restoredValue('submitted_date'),
+      reimbursed_date: restoredValue('reimbursed_date'),
+      denied_date: restoredValue('denied_date'),
+      reimbursed_amount: restoredValue('reimbursed_amount'),
+      claim_reference: restoredValue('claim_reference'),
+      note: restoredValue('status_note')
+    });
+    if (transition.error) return transition;
+    Object.assign(updates, transition.updates);
+  }
+
+  const reimbursedAmount = updates.reimbursed_amount !== undefined ? updates.reimbursed_amount : receipt.reimbursed_amount;
+  if (reimbursedAmount !== null && reimbursedAmount > amount) {
+    return {
+      error: 'Invalid amount',
+      details: `Amount cannot be less than the ${reimbursedAmount.toFixed(2)} already reimbursed`
+    };
+  }
+
+  return { updates, skipped };
+}
+
+// Turns list query parameters into filter, sort and paging options for the database layer
+function parseReceiptQuery(query) {
+  const {
+    page = 1,
+    limit = 20,
+    category,
+    search,
+    store,
+    start_date,
+    end_date,
+    min_amount,
+    max_amount,
+    status,
+    account,
+    patient,
+    provider,
+    sort_by = 'created',
+    sort_order = 'desc'
+  } = query;
+
+  // A repeated parameter (?search=a&search=b) arrives as a list rather than text
+  const repeated = Object.keys(query).find(name => query[name] !== undefined && typeof query[name] !== 'string');
+  if (repeated) {
+    return { error: 'Invalid query parameter', details: `${repeated} must be given once` };
+  }
+
+  const parsedPage = parseInt(page);
+  const parsedLimit = parseInt(limit);
+  if (isNaN(parsedPage) || parsedPage < 1 || isNaN(parsedLimit) || parsedLimit < 1) {
+    return { error: 'Invalid pagination', details: 'Page and limit must be positive whole numbers' };
+  }
+
+  for (const [name, value] of [['start_date', start_date], ['end_date', end_date]]) {
+    if (value && !DATE_REGEX.test(value)) {
+      return { error: 'Invalid date format', details: `${name} must be in YYYY-MM-DD format` };
+    }
+  }
+
+  const filters = {
+    category: category && category !== 'all' ? category : undefined,
+    search: search?.trim() || undefined,
+    store: store?.trim() || undefined,
+    start_date,
+    end_date
+  };
+
+  for (const [name, value] of [['min_amount', min_amount], ['max_amount', max_amount]]) {
+    if (value === undefined || value === '') continue;
+    const parsedAmount = parseFloat(value);
+    if (isNaN(parsedAmount) || parsedAmount < 0) {
+      return { error: 'Invalid amount filter', details: `${name} must be a non-negative number` };
+    }
+    filters[name] = parsedAmount;
+  }
+
+  const accountFilter = parseAccountFilter(account);
+  if (accountFilter.error) {
+    return accountFilter;
+  }
+  if (accountFilter.account_id !== undefined) {
+    filters.account_id = accountFilter.account_id;
+  }
+
+  const patientFilter = parsePatientFilter(patient);
+  if (patientFilter.error) {
+    return patientFilter;
+  }
+  if (patientFilter.patient_id !== undefined) {
+    filters.patient_id = patientFilter.patient_id;
+  }
+
+  const providerFilter = parseProviderFilter(provider);
+  if (providerFilter.error) {
+    return providerFilter;
+  }
+  if (providerFilter.provider_id !== undefined) {
+    filters.provider_id = providerFilter.provider_id;
+  }
+
+  if (status && status !== 'all') {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean);
+    const invalid = statuses.find(s => !isValidStatus(s));
+    if (invalid) {
+      return {
+        error: 'Invalid status filter',
+        details: `status must be one or more of: ${REIMBURSEMENT_STATUSES.map(s => s.value).join(', ')}`
+      };
+    }
+    filters.statuses = statuses;
+  }
+
+  if (!RECEIPT_SORT_COLUMNS[sort_by]) {
+    return {
+      error: 'Invalid sort option',
+      details: `sort_by must be one of: ${Object.keys(RECEIPT_SORT_COLUMNS).join(', ')}`
+    };
+  }
+
+  if (!['asc', 'desc'].includes(sort_order)) {
+    return { error: 'Invalid sort order', details: 'sort_order must be asc or desc' };
+  }
+
+  const perPage = Math.min(parsedLimit, MAX_PAGE_SIZE);
+
+  return {
+    options: {
+      filters,
+      sortBy: sort_by,
+      sortOrder: sort_order,
+      limit: perPage,
+      offset: (parsedPage - 1) * perPage
+    }
+  };
+}
+
+// Validates a line item from a request body. With partial=true only the provided fields are checked,
+// which is what PUT /:id/items/:itemId needs.
+function normalizeLineItem(item, { partial = false } = {}) {
+  if (!item || typeof item !== 'object') {
+    return { error: 'Invalid line item', details: 'Each line item must be an object' };
+  }
+
+  const normalized = {};
+
+  if (!partial || item.description !== undefined) {
+    const description = typeof item.description === 'string' ? item.description.trim() : '';
+    if (!description) {
+      return { error: 'Invalid line item', details: 'Line item description is required' };
+    }
+    normalized.description = description;
+  }
+
+  if (item.quantity !== undefined && item.quantity !== null && item.quantity !== '') {
+    const quantity = parseFloat(item.quantity);
+    if (isNaN(quantity) || quantity <= 0) {
+      return { error: 'Invalid line item', details: 'Quantity must be a positive number' };
+    }
+    normalized.quantity = quantity;
+  } else if (!partial) {
+    normalized.quantity = 1;
+  }
+
+  if (item.unit_price !== undefined) {
+    const unitPrice = item.unit_price === null || item.unit_price === '' ? null : parseFloat(item.unit_price);
+    if (unitPrice !== null && (isNaN(unitPrice) || unitPrice < 0)) {
+      return { error: 'Invalid line item', details: 'Unit price must be a non-negative number' };
+    }
+    normalized.unit_price = unitPrice;
+  } else if (!partial) {
+    normalized.unit_price = null;
+  }
+
+  if (item.amount !== undefined && item.amount !== null && item.amount !== '') {
+    const amount = parseFloat(item.amount);
+    if (isNaN(amount) || amount < 0) {
+      return { error: 'Invalid line item', details: 'Line item amount must be a non-negative number' };
+    }
+    normalized.amount = amount;
+  } else if (!partial) {
+    if (normalized.unit_price === undefined || normalized.unit_price === null) {
+      return { error: 'Invalid line item', details: 'Provide either an amount or a unit price for each line item' };
+    }
+    normalized.amount = Math.round(normalized.unit_price * normalized.quantity * 100) / 100;
+  }
+
+  if (item.hsa_eligible !== undefined) {
+    normalized.hsa_eligible = item.hsa_eligible === true || item.hsa_eligible === 'true' || item.hsa_eligible === 1;
+  } else if (!partial) {
+    normalized.hsa_eligible = true;
+  }
+
+  if (item.sort_order !== undefined) {
+    const sortOrder = parseInt(item.sort_order);
+    if (isNaN(sortOrder)) {
+      return { error: 'Invalid line item', details: 'Sort order must be a whole number' };
+    }
+    normalized.sort_order = sortOrder;
+  }
+
+  return { item: normalized };
+}
+
+// The receipt amount is the patient's share, which is what gets claimed. The billed amount and what
+// insurance paid are kept to show how it was arrived at, so together they can't exceed the bill.
+// Empty values clear a field; current holds the saved values when updating.
+function normalizeBillingAmounts(body, amount, current = {}) {
+  const normalized = {};
+
+  for (const [field, label] of [['billed_amount', 'Billed amount'], ['insurance_paid', 'Insurance paid']]) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      normalized[field] = null;
+      continue;
+    }
+
+    const value = parseFloat(body[field]);
+    if (isNaN(value) || value < 0) {
+      return { error: 'Invalid amount', details: `${label} must be a non-negative number` };
+    }
+    normalized[field] = Math.round(value * 100) / 100;
+  }
+
+  const billed = normalized.billed_amount !== undefined ? normalized.billed_amount : current.billed_amount ?? null;
+  const insurance = normalized.insurance_paid !== undefined ? normalized.insurance_paid : current.insurance_paid ?? null;
+  if (billed !== null && amount + (insurance || 0) > billed + 0.005) {
+    return {
+      error: 'Invalid amount',
+      details: insurance
+        ? 'Your amount plus what insurance paid cannot be more than the billed amount'
+        : 'Your amount cannot be more than the billed amount'
+    };
+  }
+
+  return { amounts: normalized };
+}
+
+const RX_NUMBER_REGEX = /^[A-Za-z0-9-]{4,20}$/;
+const NDC_REGEX = /^(\d{4,5}-\d{3,4}-\d{1,2}|\d{11})$/;
+const MAX_DAYS_SUPPLY = 365;
+const PRESCRIPTION_TEXT_FIELDS = [['drug_name', 'Drug name', 100], ['strength', 'Strength', 50], ['prescriber', 'Prescriber', 100]];
+
+// Validates a prescription from a request body. A prescription needs an Rx number or a drug name.
+// With partial=true only the provided fields are checked, which is what PUT /:id/prescriptions/:prescriptionId needs.
+function normalizePrescription(prescription, { partial = false } = {}) {
+  if (!prescription || typeof prescription !== 'object') {
+    return { error: 'Invalid prescription', details: 'Each prescription must be an object' };
+  }
+
+  const normalized = {};
+
+  if (prescription.rx_number !== undefined) {
+    const rxNumber = prescription.rx_number?.toString().replace(/\s/g, '') || null;
+    if (rxNumber && !RX_NUMBER_REGEX.test(rxNumber)) {
+      return { error: 'Invalid prescription', details: 'Rx number may only contain letters, digits and dashes' };
+    }
+    normalized.rx_number = rxNumber;
+  }
+
+  for (const [field, label, maxLength] of PRESCRIPTION_TEXT_FIELDS) {
+    if (prescription[field] === undefined) continue;
+    const value = prescription[field]?.toString().trim() || null;
+    if (value && value.length > maxLength) {
+      return { error: 'Invalid prescription', details: `${label} must be at most ${maxLength} characters` };
+    }
+    normalized[field] = value;
+  }
+
+  if (prescription.ndc !== undefined) {
+    const ndc = prescription.ndc?.toString().replace(/\s/g, '') || null;
+    if (ndc && !NDC_REGEX.test(ndc)) {
+      return { error: 'Invalid prescription', details: 'NDC must be 11 digits or three groups of digits such as 12345-6789-01' };
+    }
+    normalized.ndc = ndc ? normalizeNdc(ndc) : null;
+  }
+
+  if (prescription.quantity !== undefined) {
+    const quantity = prescription.quantity === null || prescription.quantity === '' ? null : parseFloat(prescription.quantity);
+    if (quantity !== null && (isNaN(quantity) || quantity <= 0)) {
+      return { error: 'Invalid prescription', details: 'Quantity must be a positive number' };
+    }
+    normalized.quantity = quantity;
+  }
+
+  if (prescription.days_supply !== undefined) {
+    const days = prescription.days_supply === null || prescription.days_supply === '' ? null : Number(prescription.days_supply);
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_DAYS_SUPPLY)) {
+      return { error: 'Invalid prescription', details: `Days supply must be a whole number from 1 to ${MAX_DAYS_SUPPLY}` };
+    }
+    normalized.days_supply = days;
+  }
+
+  // Only initials are stored, so the packet identifies the patient without their full name
+  if (prescription.patient_initials !== undefined) {
+    const initials = prescription.patient_initials?.toString().replace(/[\s.]/g, '').toUpperCase() || null;
+    if (initials && !/^[A-Z]{1,4}$/.test(initials)) {
+      return { error: 'Invalid prescription', details: 'Patient initials must be 1 to 4 letters' };
+    }
+    normalized.patient_initials = initials;
+  }
+
+  if (prescription.sort_order !== undefined) {
+    const sortOrder = parseInt(prescription.sort_order);
+    if (isNaN(sortOrder)) {
+      return { error: 'Invalid prescription', details: 'Sort order must be a whole number' };
+    }
+    normalized.sort_order = sortOrder;
+  }
+
+  if (!partial && !normalized.rx_number && !normalized.drug_name) {
+    return { error: 'Invalid prescription', details: 'Each prescription needs an Rx number or a drug name' };
+  }
+
+  return { prescription: normalized };
+}
+
+function summarizeLineItems(lineItems) {
+  const sum = (items) => Math.round(items.reduce((total, item) => total + item.amount, 0) * 100) / 100;
+  return {
+    count: lineItems.length,
+    total: sum(lineItems),
+    eligible_total: sum(lineItems.filter(item => item.hsa_eligible))
+  };
+}
+
+function formatLineItem(item) {
+  return { ...item, hsa_eligible: !!item.hsa_eligible };
+}
+
+function formatAttachment(attachment) {
+  return { ...attachment, image_url: getImageUrl(attachment.image_id) };
+}
+
+function isValidAttachmentType(type) {
+  return ATTACHMENT_TYPES.some(attachmentType => attachmentType.value === type);
+}
+
+// deleted_at is stored as SQLite UTC text ("YYYY-MM-DD HH:MM:SS")
+function getPurgeDate(deletedAt) {
+  const purgeDate = new Date(`${deletedAt.replace(' ', 'T')}Z`);
+  purgeDate.setUTCDate(purgeDate.getUTCDate() + trashPurgeService.retentionDays);
+  return purgeDate.toISOString();
+}
+
+// Get all receipts for user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { options, error, details } = parseReceiptQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (options.filters.category) {
+      options.filters.category = expandCategoryFilter(await getUserCategories(req.user.userId), options.filters.category);
+    }
+
+    const { receipts, pagination } = await getReceiptsByUser(req.user.userId, options);
+    const evaluated = await withCurrentEligibility(req.user.userId, receipts);
+
+    res.json({
+      receipts: evaluated.map(receipt => ({
+        ...receipt,
+        image_url: receipt.image_id ? getImageUrl(receipt.image_id) : null,
+        legacy_image_url: receipt.image_path ? `/uploads/${req.user.userId}/${receipt.image_path}` : null
+      })),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Get receipts error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch receipts',
+      details: 'Please try refreshing the page'
+    });
+  }
+});
+
+// Get receipt statistics
+router.get('/stats', authenticateToken, async (req, res) => {
+  try {
+    const accountFilter = parseAccountFilter(req.query.account);
+    if (accountFilter.error) {
+      return res.status(400).json({ error: accountFilter.error, details: accountFilter.details });
+    }
+
+    const patientFilter = parsePatientFilter(req.query.patient);
+    if (patientFilter.error) {
+      return res.status(400).json({ error: patientFilter.error, details: patientFilter.details });
+    }
+
+    // Either a whole year or a start_date / end_date range
+    const dateFilter = {};
+    if (req.query.year !== undefined && req.query.year !== 'all') {
+      const year = Number(req.query.year);
+      if (!Number.isInteger(year) || year < 1900 || year > 2100) {
+        return res.status(400).json({ error: 'Invalid year', details: 'year must be a four-digit year' });
+      }
+      dateFilter.start_date = `${year}-01-01`;
+      dateFilter.end_date = `${year}-12-31`;
+    } else {
+      for (const name of ['start_date', 'end_date']) {
+        if (!req.query[name]) continue;
+        if (!DATE_REGEX.test(req.query[name])) {
+          return res.status(400).json({ error: 'Invalid date format', details: `${name} must be in YYYY-MM-DD format` });
+        }
+        dateFilter[name] = req.query[name];
+      }
+    }
+
+    const stats = await getReceiptStats(req.user.userId, { ...accountFilter, ...patientFilter, ...dateFilter });
+    res.json({
+      ...stats,
+      year: req.query.year && req.query.year !== 'all' ? Number(req.query.year) : null,
+      start_date: dateFilter.start_date || null,
+      end_date: dateFilter.end_date || null
+    });
+  } catch (error) {
+    console.error('Get stats error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch statistics',
+      details: 'Please try again later'
+    });
+  }
+});
+
+// Receipt totals bucketed by interval (day, week, month, quarter, year), with the same filters as
+// the receipt list, plus a comparison against the equally long range just before start_date
+router.get('/stats/timeseries', authenticateToken, async (req, res) => {
+  try {
+    const { interval = 'month' } = req.query;
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        error: 'Invalid interval',
+        details: `interval must be one of: ${INTERVALS.join(', ')}`
+      });
+    }
+
+    const { options, error, details } = parseReceiptQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const baseFilters = { ...options.filters };
+    if (baseFilters.category) {
+      baseFilters.category = expandCategoryFilter(await getUserCategories(req.user.userId), baseFilters.category);
+    }
+
+    // "All time" starts at the earliest matching receipt rather than a fixed window
+    const firstDate = baseFilters.start_date ? null : (await getReceiptTotals(req.user.userId, baseFilters)).first_date;
+
+    const { startDate, endDate } = resolveRange(interval, {
+      startDate: baseFilters.start_date,
+      endDate: baseFilters.end_date,
+      firstDate
+    });
+    if (startDate > endDate) {
+      return res.status(400).json({ error: 'Invalid date range', details: 'start_date must be on or before end_date' });
+    }
+    if (countBuckets(interval, startDate, endDate) > MAX_BUCKETS) {
+      return res.status(400).json({
+        error: 'Date range too long',
+        details: `A timeseries can have at most ${MAX_BUCKETS} ${interval} buckets; use a longer interval or a shorter range`
+      });
+    }
+
+    const filters = { ...baseFilters, start_date: startDate, end_date: endDate };
+
+    const previousRange = getPreviousRange(startDate, endDate, interval);
+    const [rows, previousTotals] = await Promise.all([
+      getReceiptTimeseries(req.user.userId, filters, interval),
+      getReceiptTotals(req.user.userId, { ...filters, start_date: previousRange.startDate, end_date: previousRange.endDate })
+    ]);
+
+    res.json(buildTimeseries(rows, { interval, startDate, endDate, previousTotals }));
+
+  } catch (error) {
+    console.error('Get stats timeseries error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch statistics',
+      details: 'Please try again later'
+    });
+  }
+});
+
+// List receipts in the trash with the date each will be permanently purged
+router.get('/trash', authenticateToken, async (req, res) => {
+  try {
+    const receipts = await getTrashedReceipts(req.user.userId);
+
+    res.json({
+      receipts: receipts.map(receipt => ({
+        ...receipt,
+        image_url: receipt.image_id ? getImageUrl(receipt.image_id) : null,
+        legacy_image_url: receipt.image_path ? `/uploads/${req.user.userId}/${receipt.image_path}` : null,
+        purge_after: getPurgeDate(receipt.deleted_at)
+      })),
+      retention_days: trashPurgeService.retentionDays
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch deleted receipts',
+      details: 'Please try refreshing the page'
+    });
+  }
+});
+
+// Full-text search across receipt fields and OCR text, ranked by relevance
+router.get('/search', authenticateToken, async (req, res) => {
+  try {
+    if (req.query.q !== undefined && typeof req.query.q !== 'string') {
+      return res.status(400).json({ error: 'Invalid query parameter', details: 'q must be given once' });
+    }
+    const q = req.query.q?.trim();
+    if (!q) {
+      return res.status(400).json({
+        error: 'Missing search query',
+        details: 'Provide a search term with the q parameter (e.g., ?q=amoxicillin)'
+      });
+    }
+
+    const { options, error, details } = parseReceiptQuery({ ...req.query, search: undefined });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (options.filters.category) {
+      options.filters.category = expandCategoryFilter(await getUserCategories(req.user.userId), options.filters.category);
+    }
+
+    const { receipts, pagination } = await searchReceipts(req.user.userId, q, options);
+    const evaluated = await withCurrentEligibility(req.user.userId, receipts);
+
+    res.json({
+      query: q,
+      receipts: evaluated.map(receipt => ({
+        ...receipt,
+        image_url: receipt.image_id ? getImageUrl(receipt.image_id) : null,
+        legacy_image_url: receipt.image_path ? `/uploads/${req.user.userId}/${receipt.image_path}` : null
+      })),
+      pagination
+    });
+
+  } catch (error) {
+    console.error('Search receipts error:', error);
+    res.status(500).json({
+      error: 'Unable to search receipts',
+      details: 'Please try a different search term'
+    });
+  }
+});
+
+// Reads an uploaded receipt image with the OCR service and parses the text into receipt fields.
+// fields holds each field's confidence, source text and alternative candidates. Dates are read in the
+// user's locale; a date the locale can't settle is marked ambiguous with its other reading as an alternative.
+// Categories are only suggested from the user's active categories.
+router.post('/ocr/parse', authenticateToken, async (req, res) => {
+  try {
+    const { image_id } = req.body;
+    if (!image_id) {
+      return res.status(400).json({
+        error: 'Missing image ID',
+        details: 'Upload the receipt image first, then send its image_id'
+      });
+    }
+
+    if (!await verifyImageExists(image_id)) {
+      return res.status(400).json({
+        error: 'Invalid image ID',
+        details: 'The provided image ID does not exist in the image service'
+      });
+    }
+
+    let extraction;
+    try {
+      extraction = await ocrService.extractTextFromImageId(image_id);
+    } catch (ocrError) {
+      return res.status(502).json({
+        error: 'Text recognition failed',
+        details: 'The receipt could not be read. You can still enter the details yourself.'
+      });
+    }
+
+    const text = extraction?.success ? extraction.data?.text || '' : '';
+    const [user, allCategories] = await Promise.all([
+      getUserById(req.user.userId),
+      getUserCategories(req.user.userId)
+    ]);
+    const parsed = ocrService.parseReceiptData(text, {
+      categories: allCategories.filter(category => !category.archived).map(category => category.name),
+      locale: user?.locale,
+      lookbackMonths: user?.receipt_lookback_months
+    });
+
+    res.json({
+      image_id,
+      text_found: text.trim().length > 0,
+      ocr: {
+        store_name: parsed.store_name,
+        amount: parsed.amount,
+        receipt_date: parsed.receipt_date,
+        suggested_category: parsed.category,
+        // Only medical bills show what insurance covered; on a store receipt the total is just the amount
+        billed_amount: parsed.totals.insurance_paid !== null || parsed.totals.patient_responsibility !== null
+          ? parsed.totals.total
+          : null,
+        insurance_paid: parsed.totals.insurance_paid,
+        totals: parsed.totals,
+        line_items: parsed.line_items,
+        prescriptions: parsed.prescriptions,
+        raw_text: text.trim() || null,
+        fields: parsed.fields
+      }
+    });
+
+  } catch (error) {
+    console.error('Parse receipt OCR error:', error);
+    res.status(500).json({
+      error: 'Unable to process receipt image',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Get single receipt by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to view it'
+      });
+    }
+
+    receipt.image_url = getImageUrl(receipt.image_id);
+    receipt.line_items = (await getLineItemsByReceipt(receipt.id)).map(formatLineItem);
+    receipt.line_items_summary = summarizeLineItems(receipt.line_items);
+    receipt.prescriptions = await getPrescriptionsByReceipt(receipt.id);
+    receipt.attachments = (await getAttachmentsByReceipt(receipt.id)).map(formatAttachment);
+    receipt.allowed_status_transitions = getAllowedTransitions(receipt.reimbursement_status);
+    // Computed fresh so rule changes show up, but only stored when the receipt itself changes
+    receipt.eligibility = await evaluateReceipt(receipt);
+
+    res.json({ receipt });
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch receipt',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Create new receipt
+router.post('/', authenticateToken, upload.single('image'), async (req, res) => {
+  try {
+    const { store_name, amount, receipt_date, category, description, image_id, ocr_text, line_items, prescriptions, account_id, patient_id, provider_id } = req.body;
+
+    if (!store_name || !amount || !receipt_date || !category) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: 'Store name, amount, date, and category are required for HSA/FSA documentation',
+        required_fields: ['store_name', 'amount', 'receipt_date', 'category']
+      });
+    }
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      return res.status(400).json({
+        error: 'Invalid amount',
+        details: 'Amount must be a positive number (e.g., 25.99)'
+      });
+    }
+
+    const billing = normalizeBillingAmounts(req.body, parsedAmount);
+    if (billing.error) {
+      return res.status(400).json({ error: billing.error, details: billing.details });
+    }
+
+    if (!DATE_REGEX.test(receipt_date)) {
+      return res.status(400).json({
+        error: 'Invalid date format',
+        details: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const resolvedCategory = await resolveCategory(category, req.user.userId);
+    if (resolvedCategory.error) {
+      return res.status(400).json({ error: resolvedCategory.error, details: resolvedCategory.details });
+    }
+
+    // Multipart uploads send line items as a JSON string
+    let rawLineItems = line_items || [];
+    if (typeof rawLineItems === 'string') {
+      try {
+        rawLineItems = JSON.parse(rawLineItems);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid line items',
+          details: 'Line items must be a JSON array'
+        });
+      }
+    }
+
+    if (!Array.isArray(rawLineItems)) {
+      return res.status(400).json({
+        error: 'Invalid line items',
+        details: 'Line items must be an array'
+      });
+    }
+
+    const lineItems = [];
+    for (const rawItem of rawLineItems) {
+      const { item, error, details } = normalizeLineItem(rawItem);
+      if (error) {
+        return res.status(400).json({ error, details });
+      }
+      lineItems.push(item);
+    }
+
+    let rawPrescriptions = prescriptions || [];
+    if (typeof rawPrescriptions === 'string') {
+      try {
+        rawPrescriptions = JSON.parse(rawPrescriptions);
+      } catch (parseError) {
+        return res.status(400).json({
+          error: 'Invalid prescriptions',
+          details: 'Prescriptions must be a JSON array'
+        });
+      }
+    }
+
+    if (!Array.isArray(rawPrescriptions)) {
+      return res.status(400).json({
+        error: 'Invalid prescriptions',
+        details: 'Prescriptions must be an array'
+      });
+    }
+
+    const normalizedPrescriptions = [];
+    for (const rawPrescription of rawPrescriptions) {
+      const { prescription, error, details } = normalizePrescription(rawPrescription);
+      if (error) {
+        return res.status(400).json({ error, details });
+      }
+      normalizedPrescriptions.push(prescription);
+    }
+
+    if (image_id) {
+      const imageExists = await verifyImageExists(image_id);
+      if (!imageExists) {
+        return res.status(400).json({
+          error: 'Invalid image ID',
+          details: 'The provided image ID does not exist in the image service'
+        });
+      }
+    }
+
+    let accountId = null;
+    if (account_id !== undefined) {
+      const resolved = await resolveAccountId(account_id, req.user.userId);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, details: resolved.details });
+      }
+      accountId = resolved.account_id;
+    }
+
+    let patientId = null;
+    if (patient_id !== undefined) {
+      const resolved = await resolvePatientId(patient_id, req.user.userId);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, details: resolved.details });
+      }
+      patientId = resolved.patient_id;
+    }
+
+    const resolvedProvider = await resolveProviderId(provider_id, store_name.trim(), req.user.userId);
+    if (resolvedProvider.error) {
+      return res.status(400).json({ error: resolvedProvider.error, details: resolvedProvider.details });
+    }
+
+    const receiptData = {
+      user_id: req.user.userId,
+      store_name: store_name.trim(),
+      amount: parsedAmount,
+      billed_amount: billing.amounts.billed_amount ?? null,
+      insurance_paid: billing.amounts.insurance_paid ?? null,
+      receipt_date,
+      category: resolvedCategory.category,
+      description: description?.trim() || null,
+      image_id: image_id || null,
+      image_path: req.file ? req.file.filename : null,
+      ocr_text: ocr_text?.trim() || null,
+      account_id: accountId,
+      patient_id: patientId,
+      provider_id: resolvedProvider.provider_id
+    };
+
+    const receipt = await createReceipt({ ...receiptData, line_items: lineItems, prescriptions: normalizedPrescriptions });
+    const eligibility = await refreshEligibility({ id: receipt.id, ...receiptData });
+
+    res.status(201).json({
+      message: 'Receipt saved successfully!',
+      receipt: {
+        id: receipt.id,
+        ...receiptData,
+        line_items: receipt.line_items.map(formatLineItem),
+        prescriptions: receipt.prescriptions,
+        image_url: getImageUrl(image_id),
+        legacy_image_url: req.file ? `/uploads/${req.user.userId}/${req.file.filename}` : null,
+        eligibility
+      }
+    });
+
+  } catch (error) {
+    console.error('Create receipt error:', error);
+
+    if (req.file) {
+      try {
+        await fs.unlink(req.file.path);
+      } catch (unlinkError) {
+        console.error('Failed to clean up uploaded file:', unlinkError);
+      }
+    }
+
+    res.status(500).json({
+      error: 'Failed to save receipt',
+      details: 'Please check your information and try again'
+    });
+  }
+});
+
+// Update receipt
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const receiptId = req.params.id;
+    const { store_name, amount, receipt_date, category, description, image_id, account_id, patient_id, provider_id } = req.body;
+
+    const existingReceipt = await getReceiptById(receiptId, req.user.userId);
+    if (!existingReceipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const updates = {};
+    if (store_name !== undefined) updates.store_name = store_name.trim();
+    if (amount !== undefined) {
+      const parsedAmount = parseFloat(amount);
+      if (isNaN(parsedAmount) || parsedAmount <= 0) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          details: 'Amount must be a positive number'
+        });
+      }
+      if (existingReceipt.reimbursed_amount !== null && parsedAmount < existingReceipt.reimbursed_amount) {
+        return res.status(400).json({
+          error: 'Invalid amount',
+          details: `Amount cannot be less than the ${existingReceipt.reimbursed_amount.toFixed(2)} already reimbursed`
+        });
+      }
+      updates.amount = parsedAmount;
+    }
+    if (amount !== undefined || req.body.billed_amount !== undefined || req.body.insurance_paid !== undefined) {
+      const billing = normalizeBillingAmounts(req.body, updates.amount ?? existingReceipt.amount, existingReceipt);
+      if (billing.error) {
+        return res.status(400).json({ error: billing.error, details: billing.details });
+      }
+      Object.assign(updates, billing.amounts);
+    }
+    if (receipt_date !== undefined) updates.receipt_date = receipt_date;
+    if (category !== undefined) {
+      const resolvedCategory = await resolveCategory(category, req.user.userId, existingReceipt.category);
+      if (resolvedCategory.error) {
+        return res.status(400).json({ error: resolvedCategory.error, details: resolvedCategory.details });
+      }
+      updates.category = resolvedCategory.category;
+    }
+    if (description !== undefined) updates.description = description?.trim() || null;
+
+    if (account_id !== undefined) {
+      const resolved = await resolveAccountId(account_id, req.user.userId);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, details: resolved.details });
+      }
+      updates.account_id = resolved.account_id;
+    }
+
+    if (patient_id !== undefined) {
+      const resolved = await resolvePatientId(patient_id, req.user.userId);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, details: resolved.details });
+      }
+      updates.patient_id = resolved.patient_id;
+    }
+
+    // A renamed receipt is matched to the directory again unless a provider is chosen
+    if (provider_id !== undefined || (updates.store_name !== undefined && updates.store_name !== existingReceipt.store_name)) {
+      const resolved = await resolveProviderId(provider_id, updates.store_name ?? existingReceipt.store_name, req.user.userId);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error, details: resolved.details });
+      }
+      updates.provider_id = resolved.provider_id;
+    }
+
+    // Handle image ID updates
+    if (image_id !== undefined) {
+      if (image_id && await verifyImageExists(image_id)) {
+        updates.image_id = image_id;
+      } else if (image_id === null || image_id === '') {
+        updates.image_id = null;
+      } else {
+        return res.status(400).json({
+          error: 'Invalid image ID',
+          details: 'The provided image ID does not exist in the image service'
+        });
+      }
+    }
+
+    const result = await updateReceipt(receiptId, req.user.userId, updates);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Receipt not found or no changes made' });
+    }
+
+    const eligibility = await refreshEligibility(await getReceiptById(receiptId, req.user.userId));
+
+    res.json({
+      message: 'Receipt updated successfully!',
+      receipt_id: receiptId,
+      eligibility
+    });
+
+  } catch (error) {
+    console.error('Update receipt error:', error);
+    res.status(500).json({
+      error: 'Failed to update receipt',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Move receipt to trash
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const receiptId = req.params.id;
+
+    const receipt = await getReceiptById(receiptId, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have already been deleted'
+      });
+    }
+
+    const result = await deleteReceipt(receiptId, req.user.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    res.json({
+      message: 'Receipt moved to trash',
+      details: `You can restore it from the trash for ${trashPurgeService.retentionDays} days before it is permanently deleted.`
+    });
+
+  } catch (error) {
+    console.error('Delete receipt error:', error);
+    res.status(500).json({
+      error: 'Failed to delete receipt',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Restore receipt from trash
+router.post('/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const result = await restoreReceipt(req.params.id, req.user.userId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        error: 'Receipt not found in trash',
+        details: 'This receipt may have already been restored or permanently deleted'
+      });
+    }
+
+    res.json({
+      message: 'Receipt restored successfully!',
+      receipt_id: req.params.id
+    });
+
+  } catch (error) {
+    console.error('Restore receipt error:', error);
+    res.status(500).json({
+      error: 'Failed to restore receipt',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Move a receipt through the reimbursement workflow (see services/reimbursementWorkflow.js)
+router.post('/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const { status, ...payload } = req.body;
+    if (!status) {
+      return res.status(400).json({
+        error: 'Missing status',
+        details: 'Provide the status to move the receipt to'
+      });
+    }
+
+    const { updates, error, details } = planTransition(receipt, status, payload);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const result = await updateReceipt(receipt.id, req.user.userId, updates, { action: 'status' });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    const updated = await getReceiptById(receipt.id, req.user.userId);
+
+    res.json({
+      message: `Receipt marked as ${REIMBURSEMENT_STATUSES.find(s => s.value === status).label.toLowerCase()}`,
+      receipt: {
+        ...updated,
+        allowed_status_transitions: getAllowedTransitions(updated.reimbursement_status)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update receipt status error:', error);
+    res.status(500).json({
+      error: 'Failed to update receipt status',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Revision history for a receipt, newest first. Only the receipt's own columns are tracked (see
+// REVISION_TRACKED_FIELDS); line items, attachments and prescriptions are edited without revisions.
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to view it'
+      });
+    }
+
+    const revisions = await getReceiptRevisions(receipt.id);
+
+    res.json({ revisions });
+
+  } catch (error) {
+    console.error('Get receipt history error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch receipt history',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Restore the receipt fields to how they were right after the given revision
+router.post('/:id/history/:revisionId/revert', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const revisions = await getReceiptRevisions(receipt.id);
+    const targetIndex = revisions.findIndex(revision => revision.id === parseInt(req.params.revisionId));
+    if (targetIndex === -1) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        details: 'This version does not belong to the receipt'
+      });
+    }
+
+    // Undo every later revision, newest first, so the oldest later value wins
+    const restored = {};
+    for (const revision of revisions.slice(0, targetIndex)) {
+      for (const [field, change] of Object.entries(revision.changes)) {
+        restored[field] = change.old;
+      }
+    }
+
+    if (Object.keys(restored).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to revert',
+        details: 'The receipt already matches this version'
+      });
+    }
+
+    const { updates, skipped, error, details } = await planRevert(receipt, restored, req.user.userId);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'Nothing to revert',
+        details: `Only ${skipped.join(', ')} differ from that version, and they are no longer available to restore`
+      });
+    }
+
+    const result = await updateReceipt(receipt.id, req.user.userId, updates, {
+      action: 'revert',
+      revertedFrom: revisions[targetIndex].id
+    });
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Receipt not found' });
+    }
+
+    await refreshEligibility(await getReceiptById(receipt.id, req.user.userId));
+
+    res.json({
+      message: 'Receipt reverted to the selected version',
+      revision: result.revision,
+      skipped_fields: skipped
+    });
+
+  } catch (error) {
+    console.error('Revert receipt error:', error);
+    res.status(500).json({
+      error: 'Failed to revert receipt',
+      details: 'Please try again'
+    });
+  }
+});
+
+// List line items for a receipt
+router.get('/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to view it'
+      });
+    }
+
+    const lineItems = (await getLineItemsByReceipt(receipt.id)).map(formatLineItem);
+
+    res.json({
+      line_items: lineItems,
+      summary: summarizeLineItems(lineItems)
+    });
+
+  } catch (error) {
+    console.error('Get line items error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch line items',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Add a line item to a receipt
+router.post('/:id/items', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const { item, error, details } = normalizeLineItem(req.body);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (item.sort_order === undefined) {
+      item.sort_order = (await getLineItemsByReceipt(receipt.id)).length;
+    }
+
+    const lineItem = await createLineItem(receipt.id, item);
+    await refreshEligibility(receipt);
+
+    res.status(201).json({
+      message: 'Line item added',
+      line_item: formatLineItem(lineItem)
+    });
+
+  } catch (error) {
+    console.error('Create line item error:', error);
+    res.status(500).json({
+      error: 'Failed to add line item',
+      details: 'Please check the item details and try again'
+    });
+  }
+});
+
+// Update a line item
+router.put('/:id/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const { item: updates, error, details } = normalizeLineItem(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'No changes provided',
+        details: 'Send at least one of: description, quantity, unit_price, amount, hsa_eligible, sort_order'
+      });
+    }
+
+    const result = await updateLineItem(req.params.itemId, receipt.id, updates);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Line item not found' });
+    }
+
+    const lineItem = await getLineItemById(req.params.itemId, receipt.id);
+    await refreshEligibility(receipt);
+
+    res.json({
+      message: 'Line item updated',
+      line_item: formatLineItem(lineItem)
+    });
+
+  } catch (error) {
+    console.error('Update line item error:', error);
+    res.status(500).json({
+      error: 'Failed to update line item',
+      details: 'Please try again'
+    });
+  }
+});
+
+// Delete a line item
+router.delete('/:id/items/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const result = await deleteLineItem(req.params.itemId, receipt.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Line item not found' });
+    }
+
+    await refreshEligibility(receipt);
+
+    res.json({ message: 'Line item deleted' });
+
+  } catch (error) {
+    console.error('Delete line item error:', error);
+    res.status(500).json({
+      error: 'Failed to delete line item',
+      details: 'Please try again'
+    });
   }
 });
 
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed for receipt uploads'));
+// List the prescription fills on a receipt
+router.get('/:id/prescriptions', authenticateToken, async (req, res) => {
+  try {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to view it'
+      });
     }
+
+    res.json({ prescriptions: await getPrescriptionsByReceipt(receipt.id) });
+
+  } catch (error) {
+    console.error('Get prescriptions error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch prescriptions',
+      details: 'Please try again'
+    });
   }
 });
 
-async function verifyImageExists(imageId) {
+// Add a prescription to a receipt
+router.post('/:id/prescriptions', authenticateToken, async (req, res) => {
   try {
-    const response = await axios.head(`${IMAGE_SERVICE_URL}/image/${imageId}`);
-    return response.status === 200;
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const { prescription, error, details } = normalizePrescription(req.body);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    if (prescription.sort_order === undefined) {
+      prescription.sort_order = (await getPrescriptionsByReceipt(receipt.id)).length;
+    }
+
+    const created = await createPrescription(receipt.id, prescription);
+
+    res.status(201).json({
+      message: 'Prescription added',
+      prescription: created
+    });
+
   } catch (error) {
-    return false;
+    console.error('Create prescription error:', error);
+    res.status(500).json({
+      error: 'Failed to add prescription',
+      details: 'Please check the prescription details and try again'
+    });
   }
-}
-
-function getImageUrl(imageId) {
-  return imageId ? `${IMAGE_SERVICE_URL}/image/${imageId}` : null;
-}
+});
 
-// Get all receipts for user
-router.get('/', authenticateToken, async (req, res) => {
+// Update a prescription
+router.put('/:id/prescriptions/:prescriptionId', authenticateToken, async (req, res) => {
   try {
-    const { page = 1, limit = 20, category, search } = req.query;
-    const offset = (page - 1) * limit;
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const existing = await getPrescriptionById(req.params.prescriptionId, receipt.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
 
-    let receipts = await getReceiptsByUser(req.user.userId, parseInt(limit), offset);
+    const { prescription: updates, error, details } = normalizePrescription(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
 
-    if (category && category !== 'all') {
-      receipts = receipts.filter(receipt =>
-        receipt.category.toLowerCase() === category.toLowerCase()
-      );
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'No changes provided',
+        details: 'Send at least one of: rx_number, drug_name, strength, ndc, quantity, days_supply, prescriber, patient_initials, sort_order'
+      });
     }
 
-    if (search) {
-      const searchTerm = search.toLowerCase();
-      receipts = receipts.filter(receipt =>
-        receipt.store_name.toLowerCase().includes(searchTerm) ||
-        receipt.description?.toLowerCase().includes(searchTerm) ||
-        receipt.category.toLowerCase().includes(searchTerm)
-      );
+    const merged = { ...existing, ...updates };
+    if (!merged.rx_number && !merged.drug_name) {
+      return res.status(400).json({
+        error: 'Invalid prescription',
+        details: 'Each prescription needs an Rx number or a drug name'
+      });
     }
 
-    receipts = receipts.map(receipt => ({
-      ...receipt,
-      image_url: receipt.image_id ? getImageUrl(receipt.image_id) : null,
-      legacy_image_url: receipt.image_path ? `/uploads/${req.user.userId}/${receipt.image_path}` : null
-    }));
+    await updatePrescription(existing.id, receipt.id, updates);
 
     res.json({
-      receipts,
-      pagination: {
-        current_page: parseInt(page),
-        per_page: parseInt(limit),
-        total: receipts.length
-      }
+      message: 'Prescription updated',
+      prescription: await getPrescriptionById(existing.id, receipt.id)
     });
 
   } catch (error) {
-    console.error('Get receipts error:', error);
+    console.error('Update prescription error:', error);
     res.status(500).json({
-      error: 'Unable to fetch receipts',
-      details: 'Please try refreshing the page'
+      error: 'Failed to update prescription',
+      details: 'Please try again'
     });
   }
 });
 
-// Get receipt statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+// Delete a prescription
+router.delete('/:id/prescriptions/:prescriptionId', authenticateToken, async (req, res) => {
   try {
-    const stats = await getReceiptStats(req.user.userId);
-    res.json(stats);
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const result = await deletePrescription(req.params.prescriptionId, receipt.id);
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Prescription not found' });
+    }
+
+    res.json({ message: 'Prescription deleted' });
+
   } catch (error) {
-    console.error('Get stats error:', error);
+    console.error('Delete prescription error:', error);
     res.status(500).json({
-      error: 'Unable to fetch statistics',
-      details: 'Please try again later'
+      error: 'Failed to delete prescription',
+      details: 'Please try again'
     });
   }
 });
 
-// Get single receipt by ID
-router.get('/:id', authenticateToken, async (req, res) => {
+// List supporting documents attached to a receipt
+router.get('/:id/attachments', authenticateToken, async (req, res) => {
   try {
     const receipt = await getReceiptById(req.params.id, req.user.userId);
-
     if (!receipt) {
       return res.status(404).json({
         error: 'Receipt not found',
@@ -133,115 +1703,128 @@ router.get('/:id', authenticateToken, async (req, res) => {
       });
     }
 
-    receipt.image_url = getImageUrl(receipt.image_id);
+    const attachments = await getAttachmentsByReceipt(receipt.id);
 
-    res.json({ receipt });
+    res.json({
+      attachments: attachments.map(formatAttachment),
+      attachment_types: ATTACHMENT_TYPES
+    });
 
   } catch (error) {
-    console.error('Get receipt error:', error);
+    console.error('Get attachments error:', error);
     res.status(500).json({
-      error: 'Unable to fetch receipt',
+      error: 'Unable to fetch attachments',
       details: 'Please try again'
     });
   }
 });
 
-// Create new receipt
-router.post('/', authenticateToken, upload.single('image'), async (req, res) => {
+// Attach an image already uploaded to the image service
+router.post('/:id/attachments', authenticateToken, async (req, res) => {
   try {
-    const { store_name, amount, receipt_date, category, description, image_id } = req.body;
+    const { image_id, attachment_type = 'other', caption } = req.body;
 
-    if (!store_name || !amount || !receipt_date || !category) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        details: 'Store name, amount, date, and category are required for HSA/FSA documentation',
-        required_fields: ['store_name', 'amount', 'receipt_date', 'category']
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
       });
     }
 
-    const parsedAmount = parseFloat(amount);
-    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+    if (!image_id) {
       return res.status(400).json({
-        error: 'Invalid amount',
-        details: 'Amount must be a positive number (e.g., 25.99)'
+        error: 'Missing image ID',
+        details: 'Upload the document to the image service first, then attach it using its image ID'
       });
     }
 
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(receipt_date)) {
+    if (!isValidAttachmentType(attachment_type)) {
       return res.status(400).json({
-        error: 'Invalid date format',
-        details: 'Date must be in YYYY-MM-DD format'
+        error: 'Invalid attachment type',
+        details: `Attachment type must be one of: ${ATTACHMENT_TYPES.map(type => type.value).join(', ')}`
       });
     }
 
-    const validCategories = ['Pharmacy', 'Dental', 'Vision', 'Medical Device', 'Doctor Visit', 'Other'];
-    if (!validCategories.includes(category)) {
+    if (!await verifyImageExists(image_id)) {
       return res.status(400).json({
-        error: 'Invalid category',
-        details: `Category must be one of: ${validCategories.join(', ')}`
+        error: 'Invalid image ID',
+        details: 'The provided image ID does not exist in the image service'
       });
     }
 
-    if (image_id) {
-      const imageExists = await verifyImageExists(image_id);
-      if (!imageExists) {
-        return res.status(400).json({
-          error: 'Invalid image ID',
-          details: 'The provided image ID does not exist in the image service'
-        });
-      }
-    }
-
-    const receiptData = {
-      user_id: req.user.userId,
-      store_name: store_name.trim(),
-      amount: parsedAmount,
-      receipt_date,
-      category,
-      description: description?.trim() || null,
-      image_id: image_id || null,
-      image_path: req.file ? req.file.filename : null
-    };
-
-    const receipt = await createReceipt(receiptData);
+    const existing = await getAttachmentsByReceipt(receipt.id);
+    const attachment = await createAttachment(receipt.id, {
+      image_id,
+      attachment_type,
+      caption: caption?.trim() || null,
+      sort_order: existing.length
+    });
+    await refreshEligibility(receipt);
 
     res.status(201).json({
-      message: 'Receipt saved successfully!',
-      receipt: {
-        id: receipt.id,
-        ...receiptData,
-        image_url: getImageUrl(image_id),
-        legacy_image_url: req.file ? `/uploads/${req.user.userId}/${req.file.filename}` : null
-      }
+      message: 'Document attached to receipt',
+      attachment: formatAttachment(attachment)
     });
 
   } catch (error) {
-    console.error('Create receipt error:', error);
+    console.error('Create attachment error:', error);
+    res.status(500).json({
+      error: 'Failed to attach document',
+      details: 'Please try again'
+    });
+  }
+});
 
-    if (req.file) {
-      try {
-        await fs.unlink(req.file.path);
-      } catch (unlinkError) {
-        console.error('Failed to clean up uploaded file:', unlinkError);
-      }
+// Reorder attachments; attachment_ids lists every attachment on the receipt in the new order
+router.put('/:id/attachments/order', authenticateToken, async (req, res) => {
+  try {
+    const { attachment_ids } = req.body;
+
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
+      return res.status(404).json({
+        error: 'Receipt not found',
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
+      });
+    }
+
+    const attachments = await getAttachmentsByReceipt(receipt.id);
+    const currentIds = attachments.map(attachment => attachment.id).sort((a, b) => a - b);
+    const requestedIds = Array.isArray(attachment_ids) ? attachment_ids.map(id => parseInt(id)) : [];
+
+    if (requestedIds.length !== currentIds.length ||
+        [...requestedIds].sort((a, b) => a - b).some((id, index) => id !== currentIds[index])) {
+      return res.status(400).json({
+        error: 'Invalid attachment order',
+        details: 'attachment_ids must list every attachment on this receipt exactly once'
+      });
     }
 
+    await reorderAttachments(receipt.id, requestedIds);
+    const reordered = await getAttachmentsByReceipt(receipt.id);
+
+    res.json({
+      message: 'Attachments reordered',
+      attachments: reordered.map(formatAttachment)
+    });
+
+  } catch (error) {
+    console.error('Reorder attachments error:', error);
     res.status(500).json({
-      error: 'Failed to save receipt',
-      details: 'Please check your information and try again'
+      error: 'Failed to reorder attachments',
+      details: 'Please try again'
     });
   }
 });
 
-// Update receipt
-router.put('/:id', authenticateToken, async (req, res) => {
+// Update an attachment's type or caption
+router.put('/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
   try {
-    const receiptId = req.params.id;
-    const { store_name, amount, receipt_date, category, description, image_id } = req.body;
+    const { attachment_type, caption } = req.body;
 
-    const existingReceipt = await getReceiptById(receiptId, req.user.userId);
-    if (!existingReceipt) {
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
+    if (!receipt) {
       return res.status(404).json({
         error: 'Receipt not found',
         details: 'This receipt may have been deleted or you may not have permission to edit it'
@@ -249,141 +1832,110 @@ router.put('/:id', authenticateToken, async (req, res) => {
     }
 
     const updates = {};
-    if (store_name !== undefined) updates.store_name = store_name.trim();
-    if (amount !== undefined) {
-      const parsedAmount = parseFloat(amount);
-      if (isNaN(parsedAmount) || parsedAmount <= 0) {
+    if (attachment_type !== undefined) {
+      if (!isValidAttachmentType(attachment_type)) {
         return res.status(400).json({
-          error: 'Invalid amount',
-          details: 'Amount must be a positive number'
+          error: 'Invalid attachment type',
+          details: `Attachment type must be one of: ${ATTACHMENT_TYPES.map(type => type.value).join(', ')}`
         });
       }
-      updates.amount = parsedAmount;
+      updates.attachment_type = attachment_type;
     }
-    if (receipt_date !== undefined) updates.receipt_date = receipt_date;
-    if (category !== undefined) updates.category = category;
-    if (description !== undefined) updates.description = description?.trim() || null;
+    if (caption !== undefined) updates.caption = caption?.trim() || null;
 
-    // Handle image ID updates
-    if (image_id !== undefined) {
-      if (image_id && await verifyImageExists(image_id)) {
-        updates.image_id = image_id;
-      } else if (image_id === null || image_id === '') {
-        updates.image_id = null;
-      } else {
-        return res.status(400).json({
-          error: 'Invalid image ID',
-          details: 'The provided image ID does not exist in the image service'
-        });
-      }
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        error: 'No changes provided',
+        details: 'Send an attachment_type or caption to update'
+      });
     }
 
-    const result = await updateReceipt(receiptId, req.user.userId, updates);
-
+    const result = await updateAttachment(req.params.attachmentId, receipt.id, updates);
     if (result.changes === 0) {
-      return res.status(404).json({ error: 'Receipt not found or no changes made' });
+      return res.status(404).json({ error: 'Attachment not found' });
     }
 
+    const attachment = await getAttachmentById(req.params.attachmentId, receipt.id);
+    await refreshEligibility(receipt);
+
     res.json({
-      message: 'Receipt updated successfully!',
-      receipt_id: receiptId
+      message: 'Attachment updated',
+      attachment: formatAttachment(attachment)
     });
 
   } catch (error) {
-    console.error('Update receipt error:', error);
+    console.error('Update attachment error:', error);
     res.status(500).json({
-      error: 'Failed to update receipt',
+      error: 'Failed to update attachment',
       details: 'Please try again'
     });
   }
 });
 
-// Delete receipt
-router.delete('/:id', authenticateToken, async (req, res) => {
+// Remove an attachment from a receipt
+router.delete('/:id/attachments/:attachmentId', authenticateToken, async (req, res) => {
   try {
-    const receiptId = req.params.id;
-
-    const receipt = await getReceiptById(receiptId, req.user.userId);
+    const receipt = await getReceiptById(req.params.id, req.user.userId);
     if (!receipt) {
       return res.status(404).json({
         error: 'Receipt not found',
-        details: 'This receipt may have already been deleted'
+        details: 'This receipt may have been deleted or you may not have permission to edit it'
       });
     }
 
-    const result = await deleteReceipt(receiptId, req.user.userId);
-
+    const result = await deleteAttachment(req.params.attachmentId, receipt.id);
     if (result.changes === 0) {
-      return res.status(404).json({ error: 'Receipt not found' });
+      return res.status(404).json({ error: 'Attachment not found' });
     }
 
-    if (receipt.image_path) {
-      try {
-        const imagePath = path.join(__dirname, '../uploads', req.user.userId.toString(), receipt.image_path);
-        await fs.unlink(imagePath);
-      } catch (fileError) {
-        console.error('Failed to delete legacy image file:', fileError);
-      }
-    }
+    await refreshEligibility(receipt);
 
-    res.json({
-      message: 'Receipt deleted successfully',
-      warning: 'This action cannot be undone. You will need to re-enter the receipt if you need it again.'
-    });
+    res.json({ message: 'Attachment removed' });
 
   } catch (error) {
-    console.error('Delete receipt error:', error);
+    console.error('Delete attachment error:', error);
     res.status(500).json({
-      error: 'Failed to delete receipt',
+      error: 'Failed to remove attachment',
       details: 'Please try again'
     });
   }
 });
 
-router.get('/meta/categories', authenticateToken, (req, res) => {
-  const categories = [
-    {
-      value: 'Pharmacy',
-      label: 'Pharmacy',
-      description: 'Prescription medications, over-the-counter drugs',
-      hsa_eligible: true
-    },
-    {
-      value: 'Dental',
-      label: 'Dental',
-      description: 'Dental care, cleanings, procedures',
-      hsa_eligible: true
-    },
-    {
-      value: 'Vision',
-      label: 'Vision',
-      description: 'Eye exams, glasses, contacts, vision care',
-      hsa_eligible: true
-    },
-    {
-      value: 'Medical Device',
-      label: 'Medical Device',
-      description: 'Medical equipment, supplies, devices',
-      hsa_eligible: true
-    },
-    {
-      value: 'Doctor Visit',
-      label: 'Doctor Visit',
-      description: 'Medical consultations, checkups, specialist visits',
-      hsa_eligible: true
-    },
-    {
-      value: 'Other',
-      label: 'Other Medical',
-      description: 'Other qualifying medical expenses',
-      hsa_eligible: 'varies'
-    }
-  ];
+// The user's active categories in picker order (each parent followed by its subcategories).
+// hsa_eligible reflects the rule a plain HSA receipt in the category would match.
+// Manage the taxonomy through /api/categories.
+router.get('/meta/categories', authenticateToken, async (req, res) => {
+  try {
+    const HSA_ELIGIBILITY = { eligible: true, not_eligible: false, needs_lmn: 'varies' };
+    const allCategories = await getUserCategories(req.user.userId);
+
+    // Subcategories of an archived parent drop out of the tree along with it
+    const categories = flattenCategoryTree(allCategories.filter(category => !category.archived))
+      .map(category => ({
+        id: category.id,
+        value: category.name,
+        label: category.name,
+        description: category.description,
+        parent_id: category.parent_id,
+        depth: category.depth,
+        color: category.color,
+        hsa_eligible: HSA_ELIGIBILITY[
+          eligibilityService.describeCategory(getCategoryContext(allCategories, category.name), 'HSA').verdict
+        ]
+      }));
 
-  res.json({
-    categories,
-    note: 'HSA/FSA eligibility may vary. Consult your plan administrator for specific rules.'
-  });
+    res.json({
+      categories,
+      note: 'HSA/FSA eligibility may vary. Consult your plan administrator for specific rules.'
+    });
+
+  } catch (error) {
+    console.error('Get categories error:', error);
+    res.status(500).json({
+      error: 'Unable to fetch categories',
+      details: 'Please try again'
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { buildTaxYearReport, getAgiThresholdPercent } = require('../services/taxReportService');
+const { computeContributionSummary } = require('../services/contributionLimitService');
+const { withCurrentEligibility } = require('../services/receiptEligibilityService');
+const {
+  getUserById,
+  getAccountsByUser,
+  getContributionLimit,
+  getContributionsByUser,
+  getTaxYearReceipts
+} = require('../models/database');
+
+const router = express.Router();
+
+function parseTaxYear(value) {
+  const taxYear = Number(value);
+  if (!Number.isInteger(taxYear) || taxYear < 2004 || taxYear > 2100) {
+    return { error: 'Invalid tax year', details: 'The tax year must be a four-digit year' };
+  }
+  return { taxYear };
+}
+
+function parseAmount(value, name) {
+  if (value === undefined || value === '') return { value: null };
+  const amount = parseFloat(value);
+  if (isNaN(amount) || amount < 0) {
+    return { error: `Invalid ${name}`, details: `${name} must be a non-negative number` };
+  }
+  return { value: amount };
+}
+
+// Form 8889 Part II and Schedule A figures for one tax year.
+// Optional query: agi (adjusted gross income) and threshold_percent (defaults to MEDICAL_DEDUCTION_AGI_PERCENT or 7.5).
+router.get('/tax-year/:year', authenticateToken, async (req, res) => {
+  try {
+    const { taxYear, error, details } = parseTaxYear(req.params.year);
+    if (error) {
+      return res.status(400).json({ error, details });
+    }
+
+    const agi = parseAmount(req.query.agi, 'agi');
+    if (agi.error) {
+      return res.status(400).json({ error: agi.error, details: agi.details });
+    }
+
+    const threshold = parseAmount(req.query.threshold_percent, 'threshold_percent');
+    if (threshold.error || threshold.value > 100) {
+      return res.status(400).json({
+        error: 'Invalid threshold_percent',
+        details: 'threshold_percent must be a percentage between 0 and 100'
+      });
+    }
+
+    const hsaAccounts = (await getAccountsByUser(req.user.userId)).filter(account => account.account_type === 'HSA');
+    const contributionSummary = hsaAccounts.length > 0
+      ? computeContributionSummary(
+        taxYear,
+        await getContributionLimit(taxYear),
+        hsaAccounts,
+        await getContributionsByUser(req.user.userId, taxYear)
+      )
+      : null;
+
+    const receipts = await withCurrentEligibility(req.user.userId, await getTaxYearReceipts(req.user.userId, taxYear));
+    const user = await getUserById(req.user.userId);
+
+    res.json({
+      generated_at: new Date().toISOString(),
+      taxpayer: { name: user.name, email: user.email },
+      ...buildTaxYearReport(taxYear, receipts, {
+        contributionSummary,
+        agi: agi.value,
+        thresholdPercent: threshold.value ?? getAgiThresholdPercent()
+      })
+    });
+
+  } catch (error) {
+    console.error('Get tax year report error:', error);
+    res.status(500).json({
+      error: 'Unable to build tax year report',
+      details: 'Please try again'
+    });
+  }
+});
+
+module.exports = router;
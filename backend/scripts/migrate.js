@@ -0,0 +1,58 @@
+// Database migration command
+//
+//   npm run migrate                  apply all pending migrations
+//   npm run migrate:rollback [-- N]  revert the last N migrations (default 1)
+//   npm run migrate:status           list migrations and whether they are applied
+require('dotenv').config();
+
+const { initializeDatabase, closeDatabase } = require('../models/database');
+const migrator = require('../models/migrator');
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  await initializeDatabase();
+
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrator.migrate();
+        console.log(applied.length > 0
+          ? `Applied ${applied.length} migration(s)`
+          : 'Database is already up to date');
+        break;
+      }
+
+      case 'down': {
+        const steps = arg ? parseInt(arg) : 1;
+        if (isNaN(steps) || steps < 1) {
+          throw new Error('Rollback steps must be a positive whole number');
+        }
+        const reverted = await migrator.rollback(steps);
+        console.log(reverted.length > 0
+          ? `Reverted ${reverted.length} migration(s)`
+          : 'No migrations to roll back');
+        break;
+      }
+
+      case 'status': {
+        const migrations = await migrator.status();
+        migrations.forEach(migration => {
+          const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+          console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+        });
+        break;
+      }
+
+      default:
+        throw new Error(`Unknown command "${command}". Use up, down or status.`);
+    }
+  } finally {
+    await closeDatabase();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
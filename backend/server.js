@@ -6,9 +6,19 @@ require('dotenv').config();
 // Import routes
 const authRoutes = require('./routes/auth');
 const receiptRoutes = require('./routes/receipts');
+const accountRoutes = require('./routes/accounts');
+const ledgerRoutes = require('./routes/ledger');
+const contributionRoutes = require('./routes/contributions');
+const categoryRoutes = require('./routes/categories');
+const householdRoutes = require('./routes/household');
+const providerRoutes = require('./routes/providers');
+const claimRoutes = require('./routes/claims');
+const reportRoutes = require('./routes/reports');
 
 // Initialize database
-const { initializeDatabase } = require('./models/database');
+const { initializeDatabase, insertSampleData } = require('./models/database');
+const migrator = require('./models/migrator');
+const trashPurgeService = require('./services/trashPurgeService');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -24,6 +34,14 @@ app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/receipts', receiptRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/ledger', ledgerRoutes);
+app.use('/api/contributions', contributionRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/household', householdRoutes);
+app.use('/api/providers', providerRoutes);
+app.use('/api/claims', claimRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Welcome endpoint for health check
 app.get('/api/health', (req, res) => {
@@ -52,8 +70,18 @@ app.use('*', (req, res) => {
 async function startServer() {
   try {
     await initializeDatabase();
+
+    // Bring the schema up to date before serving any requests
+    const applied = await migrator.migrate();
+    if (applied.length > 0) {
+      console.log(`Applied ${applied.length} database migration(s)`);
+    }
+
+    await insertSampleData();
     console.log('Database initialized successfully');
 
+    trashPurgeService.start();
+
     app.listen(PORT, () => {
       console.log(`RxReceipts server running on port ${PORT}`);
       console.log(`API endpoints available at http://localhost:${PORT}/api`);
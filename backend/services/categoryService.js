@@ -0,0 +1,107 @@
+const eligibilityService = require('./eligibilityService');
+const {
+  getCategoriesByUser,
+  findOrCreateCategory,
+  getReceiptCategoryNames
+} = require('../models/database');
+
+// Categories nest one level deep: a top-level category may have subcategories, which may not.
+// Receipts reference categories by name, which is unique per user regardless of case.
+
+function findCategory(categories, name) {
+  if (!name) return null;
+  const lower = name.toLowerCase();
+  return categories.find(category => category.name.toLowerCase() === lower) || null;
+}
+
+// Gives a new user the default taxonomy from the eligibility config, plus a top-level category
+// for any other name already on their receipts so existing receipts stay valid
+async function seedDefaultCategories(userId) {
+  const defaults = eligibilityService.getDefaultCategories();
+
+  for (const [index, category] of defaults.entries()) {
+    const parent = await findOrCreateCategory(userId, {
+      name: category.name,
+      description: category.description || null,
+      color: category.color || null,
+      sort_order: index
+    });
+
+    for (const [childIndex, child] of (category.children || []).entries()) {
+      await findOrCreateCategory(userId, {
+        name: child.name,
+        description: child.description || null,
+        color: child.color || null,
+        parent_id: parent.id,
+        sort_order: childIndex
+      });
+    }
+  }
+
+  const known = defaults.flatMap(category => [category, ...(category.children || [])]);
+  const legacyNames = (await getReceiptCategoryNames(userId)).filter(name => !findCategory(known, name));
+  for (const [index, name] of legacyNames.entries()) {
+    await findOrCreateCategory(userId, { name, sort_order: defaults.length + index });
+  }
+}
+
+async function getUserCategories(userId) {
+  const categories = await getCategoriesByUser(userId);
+  if (categories.length > 0) return categories;
+
+  await seedDefaultCategories(userId);
+  return getCategoriesByUser(userId);
+}
+
+// Nests subcategories under their parent, keeping each level in sort order
+function buildCategoryTree(categories) {
+  return categories
+    .filter(category => !category.parent_id)
+    .map(category => ({
+      ...category,
+      children: categories.filter(child => child.parent_id === category.id)
+    }));
+}
+
+// Flattens the tree into picker order (parent followed by its subcategories) with a depth for indenting
+function flattenCategoryTree(categories) {
+  return buildCategoryTree(categories).flatMap(({ children, ...category }) => [
+    { ...category, depth: 0 },
+    ...children.map(child => ({ ...child, depth: 1 }))
+  ]);
+}
+
+// The category and its parent, with the nearest eligibility default, as the eligibility rules expect
+function getCategoryContext(categories, name) {
+  const category = findCategory(categories, name);
+  if (!category) {
+    return { path: [name], eligibility_default: null };
+  }
+
+  const parent = category.parent_id ? categories.find(c => c.id === category.parent_id) : null;
+  const withDefault = [category, parent].find(c => c && c.eligibility_default);
+
+  return {
+    path: [category.name, parent?.name].filter(Boolean),
+    eligibility_default: withDefault
+      ? { verdict: withDefault.eligibility_default, category: withDefault.name }
+      : null
+  };
+}
+
+// A filter on a parent category also matches receipts filed under its subcategories
+function expandCategoryFilter(categories, name) {
+  const category = findCategory(categories, name);
+  if (!category) return [name];
+
+  return [category.name, ...categories.filter(c => c.parent_id === category.id).map(c => c.name)];
+}
+
+module.exports = {
+  getUserCategories,
+  findCategory,
+  buildCategoryTree,
+  flattenCategoryTree,
+  getCategoryContext,
+  expandCategoryFilter
+};
@@ -0,0 +1,257 @@
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+
+const IMAGE_SERVICE_URL = 'http://localhost:5001';
+
+const PAGE_MARGIN = 50;
+const MIN_IMAGE_HEIGHT = 150;
+
+function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// PDFKit can only embed JPEG and PNG images
+function isEmbeddableImage(buffer) {
+  const isJpeg = buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+  const isPng = buffer.length > 8 && buffer.toString('ascii', 1, 4) === 'PNG';
+  return isJpeg || isPng;
+}
+
+async function fetchImage(imageId) {
+  try {
+    const response = await axios.get(`${IMAGE_SERVICE_URL}/image/${imageId}`, { responseType: 'arraybuffer' });
+    return Buffer.from(response.data);
+  } catch (error) {
+    console.error(`Failed to fetch image ${imageId} for claim packet:`, error.message);
+    return null;
+  }
+}
+
+// Writes a row of text cells at fixed x offsets and moves below the tallest cell
+function writeRow(doc, columns, values, options = {}) {
+  const y = doc.y;
+  let bottom = y;
+
+  columns.forEach((column, index) => {
+    doc.font(options.bold ? 'Helvetica-Bold' : 'Helvetica')
+      .text(values[index] ?? '', column.x, y, { width: column.width, align: column.align || 'left' });
+    bottom = Math.max(bottom, doc.y);
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = bottom + 4;
+}
+
+function writeField(doc, label, value) {
+  if (value === null || value === undefined || value === '') return;
+  doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(value.toString());
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+  }
+}
+
+function writeCoverPage(doc, packet) {
+  const { user, account, receipts, generatedAt, claimReference } = packet;
+  const total = round(receipts.reduce((sum, receipt) => sum + receipt.amount, 0));
+  const dates = receipts.map(receipt => receipt.receipt_date).sort();
+
+  doc.font('Helvetica-Bold').fontSize(20).text('Reimbursement Claim Packet');
+  doc.font('Helvetica').fontSize(10).fillColor('#555555').text(`Generated ${generatedAt}`).fillColor('black');
+  doc.moveDown();
+
+  doc.fontSize(11);
+  writeField(doc, 'Claimant', user.name);
+  writeField(doc, 'Email', user.email);
+  if (account) {
+    writeField(doc, 'Account', `${account.name} (${account.account_type})`);
+    writeField(doc, 'Administrator', account.administrator_name);
+  } else {
+    writeField(doc, 'Account', 'Receipts from more than one account or paid out of pocket');
+  }
+  writeField(doc, 'Claim reference', claimReference);
+  writeField(doc, 'Service dates', dates[0] === dates[dates.length - 1] ? dates[0] : `${dates[0]} to ${dates[dates.length - 1]}`);
+  writeField(doc, 'Receipts', receipts.length);
+  writeField(doc, 'Total claimed', formatCurrency(total));
+  doc.moveDown();
+
+  const byCategory = {};
+  for (const receipt of receipts) {
+    byCategory[receipt.category] = byCategory[receipt.category] || { count: 0, total: 0 };
+    byCategory[receipt.category].count += 1;
+    byCategory[receipt.category].total += receipt.amount;
+  }
+
+  const categoryColumns = [
+    { x: PAGE_MARGIN, width: 250 },
+    { x: 310, width: 80, align: 'right' },
+    { x: 400, width: 110, align: 'right' }
+  ];
+  doc.font('Helvetica-Bold').fontSize(13).text('Totals by Category');
+  doc.moveDown(0.5).fontSize(10);
+  writeRow(doc, categoryColumns, ['Category', 'Receipts', 'Amount'], { bold: true });
+  for (const [category, summary] of Object.entries(byCategory).sort((a, b) => b[1].total - a[1].total)) {
+    writeRow(doc, categoryColumns, [category, summary.count.toString(), formatCurrency(summary.total)]);
+  }
+  doc.moveDown();
+
+  const indexColumns = [
+    { x: PAGE_MARGIN, width: 25 },
+    { x: 80, width: 70 },
+    { x: 155, width: 150 },
+    { x: 310, width: 110 },
+    { x: 425, width: 85, align: 'right' }
+  ];
+  doc.font('Helvetica-Bold').fontSize(13).text('Receipts Included');
+  doc.moveDown(0.5).fontSize(10);
+  writeRow(doc, indexColumns, ['#', 'Date', 'Provider', 'Patient', 'Amount'], { bold: true });
+  receipts.forEach((receipt, index) => {
+    ensureSpace(doc, 20);
+    writeRow(doc, indexColumns, [
+      (index + 1).toString(),
+      receipt.receipt_date,
+      receipt.store_name,
+      receipt.patient_name || '',
+      formatCurrency(receipt.amount)
+    ]);
+  });
+}
+
+async function writeReceiptPage(doc, receipt, index, count) {
+  doc.addPage();
+
+  doc.font('Helvetica-Bold').fontSize(16).text(`Receipt ${index + 1} of ${count}: ${receipt.store_name}`);
+  doc.moveDown(0.5).fontSize(11);
+
+  writeField(doc, 'Date of service', receipt.receipt_date);
+  // The claimed amount is the patient's share; the bill and insurance payment show how it was arrived at
+  const hasBilling = receipt.billed_amount !== null || receipt.insurance_paid !== null;
+  if (receipt.billed_amount !== null) {
+    writeField(doc, 'Billed amount', formatCurrency(receipt.billed_amount));
+  }
+  if (receipt.insurance_paid !== null) {
+    writeField(doc, 'Paid by insurance', formatCurrency(receipt.insurance_paid));
+  }
+  writeField(doc, hasBilling ? 'Patient responsibility' : 'Amount', formatCurrency(receipt.amount));
+  writeField(doc, 'Category', receipt.category);
+  writeField(doc, 'Patient', receipt.patient_name);
+  writeField(doc, 'Account', receipt.account_name);
+  writeField(doc, 'Description', receipt.description);
+  if (receipt.eligibility_verdict) {
+    writeField(doc, 'Eligibility', receipt.eligibility_explanation);
+  }
+
+  if (receipt.line_items.length > 0) {
+    const columns = [
+      { x: PAGE_MARGIN, width: 270 },
+      { x: 325, width: 50, align: 'right' },
+      { x: 380, width: 60, align: 'center' },
+      { x: 445, width: 65, align: 'right' }
+    ];
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Line Items');
+    doc.moveDown(0.5).fontSize(10);
+    writeRow(doc, columns, ['Description', 'Qty', 'Eligible', 'Amount'], { bold: true });
+    for (const item of receipt.line_items) {
+      ensureSpace(doc, 20);
+      writeRow(doc, columns, [
+        item.description,
+        item.quantity != null ? item.quantity.toString() : '',
+        item.hsa_eligible ? 'Yes' : 'No',
+        formatCurrency(item.amount)
+      ]);
+    }
+  }
+
+  // Administrators match pharmacy claims to fills by Rx number
+  if (receipt.prescriptions.length > 0) {
+    const columns = [
+      { x: PAGE_MARGIN, width: 85 },
+      { x: 140, width: 170 },
+      { x: 315, width: 95 },
+      { x: 415, width: 40, align: 'right' },
+      { x: 460, width: 50, align: 'right' }
+    ];
+    doc.moveDown();
+    doc.font('Helvetica-Bold').fontSize(12).text('Prescriptions');
+    doc.moveDown(0.5).fontSize(10);
+    writeRow(doc, columns, ['Rx #', 'Drug', 'NDC', 'Qty', 'Days'], { bold: true });
+    for (const prescription of receipt.prescriptions) {
+      ensureSpace(doc, 20);
+      writeRow(doc, columns, [
+        prescription.rx_number || '',
+        [prescription.drug_name, prescription.strength].filter(Boolean).join(' '),
+        prescription.ndc || '',
+        prescription.quantity != null ? prescription.quantity.toString() : '',
+        prescription.days_supply != null ? prescription.days_supply.toString() : ''
+      ]);
+      const details = [
+        prescription.prescriber && `Prescriber: ${prescription.prescriber}`,
+        prescription.patient_initials && `Patient: ${prescription.patient_initials}`
+      ].filter(Boolean).join('   ');
+      if (details) {
+        doc.fontSize(9).fillColor('#555555');
+        writeRow(doc, [{ x: 140, width: 370 }], [details]);
+        doc.fontSize(10).fillColor('black');
+      }
+    }
+  }
+
+  const imageIds = [receipt.image_id, ...receipt.attachments.map(attachment => attachment.image_id)].filter(Boolean);
+  for (const imageId of [...new Set(imageIds)]) {
+    const image = await fetchImage(imageId);
+    doc.moveDown();
+    doc.font('Helvetica').fontSize(10);
+
+    if (!image) {
+      doc.fillColor('#c0392b').text(`Image ${imageId} could not be retrieved from the image service.`).fillColor('black');
+      continue;
+    }
+    if (!isEmbeddableImage(image)) {
+      doc.fillColor('#c0392b').text(`Image ${imageId} is not a JPEG or PNG and was left out.`).fillColor('black');
+      continue;
+    }
+
+    ensureSpace(doc, MIN_IMAGE_HEIGHT);
+    const width = doc.page.width - PAGE_MARGIN * 2;
+    const height = doc.page.height - PAGE_MARGIN - doc.y;
+    // Placed at the current position, so PDFKit moves doc.y below the image
+    doc.image(image, PAGE_MARGIN, doc.y, { fit: [width, height], align: 'center' });
+  }
+}
+
+// Renders a claim packet: a cover page summarizing the claim, then one page per receipt with its
+// details, line items and every image attached to it. Receipts need line_items, attachments and
+// optional patient_name / account_name. Resolves to the PDF as a Buffer.
+function renderClaimPacket(packet) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: PAGE_MARGIN,
+      info: { Title: 'Reimbursement Claim Packet', Author: packet.user.name }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    (async () => {
+      writeCoverPage(doc, packet);
+      for (const [index, receipt] of packet.receipts.entries()) {
+        await writeReceiptPage(doc, receipt, index, packet.receipts.length);
+      }
+      doc.end();
+    })().catch(reject);
+  });
+}
+
+module.exports = {
+  renderClaimPacket
+};
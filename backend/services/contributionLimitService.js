@@ -0,0 +1,82 @@
+// HSA contribution room for a tax year. The IRS limit is per person across all of their HSAs:
+// the self-only or family limit, plus the catch-up amount once the holder turns 55 by year end.
+// Partial-year eligibility (the last-month rule and proration) is not modelled.
+
+const CONTRIBUTION_SOURCES = [
+  { value: 'employee', label: 'Employee' },
+  { value: 'employer', label: 'Employer' },
+  { value: 'payroll', label: 'Payroll (pre-tax)' },
+  { value: 'direct', label: 'Direct (after-tax)' }
+];
+
+const CATCH_UP_AGE = 55;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Age reached by December 31 of the tax year, which is what the catch-up rule looks at
+function ageAtYearEnd(birthDate, taxYear) {
+  return taxYear - parseInt(birthDate.slice(0, 4));
+}
+
+// Family coverage on any HSA raises the limit; the catch-up applies once the holder is 55
+function getCoverage(hsaAccounts, taxYear) {
+  const coverageType = hsaAccounts.some(account => account.hsa_coverage_type === 'family') ? 'family' : 'self_only';
+  const birthDate = hsaAccounts.map(account => account.holder_birth_date).find(Boolean) || null;
+  const catchUpEligible = birthDate ? ageAtYearEnd(birthDate, taxYear) >= CATCH_UP_AGE : false;
+  return { coverage_type: coverageType, holder_birth_date: birthDate, catch_up_eligible: catchUpEligible };
+}
+
+function computeContributionSummary(taxYear, limitRow, hsaAccounts, contributions) {
+  const coverage = getCoverage(hsaAccounts, taxYear);
+  const yearContributions = contributions.filter(c => c.tax_year === taxYear);
+  const total = round(yearContributions.reduce((sum, c) => sum + c.amount, 0));
+
+  const bySource = CONTRIBUTION_SOURCES.map(source => ({
+    source: source.value,
+    total: round(yearContributions.filter(c => c.source === source.value).reduce((sum, c) => sum + c.amount, 0))
+  }));
+
+  if (!limitRow) {
+    return {
+      tax_year: taxYear,
+      ...coverage,
+      limit: null,
+      total_contributed: total,
+      by_source: bySource,
+      remaining_room: null,
+      over_contribution: 0,
+      warning: `No IRS contribution limit is on file for ${taxYear}`
+    };
+  }
+
+  const baseLimit = coverage.coverage_type === 'family' ? limitRow.family_limit : limitRow.self_only_limit;
+  const limit = round(baseLimit + (coverage.catch_up_eligible ? limitRow.catch_up_amount : 0));
+  const overContribution = round(Math.max(total - limit, 0));
+
+  return {
+    tax_year: taxYear,
+    ...coverage,
+    base_limit: baseLimit,
+    catch_up_amount: coverage.catch_up_eligible ? limitRow.catch_up_amount : 0,
+    limit,
+    total_contributed: total,
+    by_source: bySource,
+    remaining_room: round(Math.max(limit - total, 0)),
+    over_contribution: overContribution,
+    warning: overContribution > 0
+      ? `Contributions exceed the ${taxYear} limit by $${overContribution.toFixed(2)}. Withdraw the excess before your tax filing deadline to avoid the 6% excise tax.`
+      : null
+  };
+}
+
+function isValidSource(source) {
+  return CONTRIBUTION_SOURCES.some(s => s.value === source);
+}
+
+module.exports = {
+  CONTRIBUTION_SOURCES,
+  computeContributionSummary,
+  isValidSource
+};
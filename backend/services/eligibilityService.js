@@ -0,0 +1,149 @@
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, '../config/eligibilityRules.json');
+
+const VERDICTS = ['eligible', 'not_eligible', 'needs_lmn'];
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Decides whether an expense qualifies for a benefit account. Rules live in a JSON file
+// (ELIGIBILITY_RULES_FILE, default config/eligibilityRules.json) and are checked in order:
+// the first rule whose account types, categories and keywords all match decides the verdict.
+// A rule's categories match the receipt's category or its parent, so Pharmacy rules cover Pharmacy > OTC.
+// When the user gives a category an eligibility default, it replaces the rules that only look at category.
+class EligibilityService {
+  constructor() {
+    this.rulesFile = process.env.ELIGIBILITY_RULES_FILE || DEFAULT_RULES_FILE;
+    this.load();
+  }
+
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.rulesFile, 'utf8'));
+
+    for (const rule of [...config.rules, config.default]) {
+      if (!VERDICTS.includes(rule.verdict)) {
+        throw new Error(`Eligibility rule ${rule.id || 'default'} has an invalid verdict: ${rule.verdict}`);
+      }
+    }
+
+    this.defaultCategories = config.default_categories;
+    this.defaultRule = { id: 'default', ...config.default };
+    this.rules = config.rules.map(rule => ({
+      ...rule,
+      keywordPatterns: (rule.keywords || []).map(keyword => new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i'))
+    }));
+  }
+
+  // Taxonomy new users start with
+  getDefaultCategories() {
+    return this.defaultCategories;
+  }
+
+  isValidVerdict(verdict) {
+    return VERDICTS.includes(verdict);
+  }
+
+  matchRule({ accountType, categories, categoryDefault, text }) {
+    const rule = this.rules.find(rule => {
+      if (rule.account_types && !rule.account_types.includes(accountType)) return false;
+      if (rule.categories) {
+        if (categoryDefault && !rule.account_types && rule.keywordPatterns.length === 0) return false;
+        if (!rule.categories.some(category => categories.includes(category))) return false;
+      }
+      if (rule.keywordPatterns.length > 0 && !rule.keywordPatterns.some(pattern => pattern.test(text || ''))) return false;
+      return true;
+    });
+    if (rule) return rule;
+
+    if (categoryDefault) {
+      return {
+        id: 'category-default',
+        verdict: categoryDefault.verdict,
+        explanation: `Default eligibility for the ${categoryDefault.category} category`
+      };
+    }
+    return this.defaultRule;
+  }
+
+  decide(subject, hasLmn) {
+    const rule = this.matchRule(subject);
+    if (rule.verdict === 'needs_lmn' && hasLmn) {
+      return { verdict: 'eligible', explanation: `${rule.explanation} (letter of medical necessity on file)`, rule_id: rule.id };
+    }
+    return { verdict: rule.verdict, explanation: rule.explanation, rule_id: rule.id };
+  }
+
+  // Evaluates a receipt for the account type it is assigned to (null for out-of-pocket).
+  // category is { path, eligibility_default } from services/categoryService.js; without it only the
+  // receipt's own category name is matched. Itemized receipts are judged line by line and the
+  // receipt verdict summarizes the items.
+  evaluate({ receipt, lineItems = [], accountType = null, hasLmn = false, category = null }) {
+    const categories = category ? category.path : [receipt.category];
+    const categoryDefault = category ? category.eligibility_default : null;
+
+    if (lineItems.length === 0) {
+      const decision = this.decide({
+        accountType,
+        categories,
+        categoryDefault,
+        text: [receipt.store_name, receipt.description].filter(Boolean).join(' ')
+      }, hasLmn);
+
+      return {
+        ...decision,
+        eligible_amount: decision.verdict === 'eligible' ? round(receipt.amount) : 0,
+        line_items: []
+      };
+    }
+
+    const items = lineItems.map(item => {
+      const decision = item.hsa_eligible === false || item.hsa_eligible === 0
+        ? { verdict: 'not_eligible', explanation: 'Marked as not eligible on the receipt', rule_id: null }
+        : this.decide({ accountType, categories, categoryDefault, text: item.description }, hasLmn);
+      return { id: item.id, description: item.description, amount: item.amount, ...decision };
+    });
+
+    const eligibleItems = items.filter(item => item.verdict === 'eligible');
+    const lmnItems = items.filter(item => item.verdict === 'needs_lmn');
+    const excludedItems = items.filter(item => item.verdict === 'not_eligible');
+    const eligibleAmount = round(eligibleItems.reduce((sum, item) => sum + item.amount, 0));
+    const plural = (count) => `${count} item${count !== 1 ? 's' : ''}`;
+
+    let verdict;
+    let explanation;
+    if (lmnItems.length > 0) {
+      verdict = 'needs_lmn';
+      explanation = `${plural(lmnItems.length)} need a letter of medical necessity: ${lmnItems[0].explanation}`;
+    } else if (eligibleItems.length > 0 && excludedItems.length > 0) {
+      verdict = 'eligible';
+      explanation = `$${eligibleAmount.toFixed(2)} is eligible; ${plural(excludedItems.length)} excluded: ${excludedItems[0].explanation}`;
+    } else if (eligibleItems.length > 0) {
+      verdict = 'eligible';
+      explanation = eligibleItems[0].explanation;
+    } else {
+      verdict = 'not_eligible';
+      explanation = excludedItems[0].explanation;
+    }
+
+    return { verdict, explanation, rule_id: null, eligible_amount: eligibleAmount, line_items: items };
+  }
+
+  // Verdict for a category with no other context, as shown in category pickers
+  describeCategory(category, accountType = null) {
+    return this.decide({
+      accountType,
+      categories: category.path,
+      categoryDefault: category.eligibility_default,
+      text: ''
+    }, false);
+  }
+}
+
+module.exports = new EligibilityService();
@@ -0,0 +1,127 @@
+// FSA plan-year deadlines. FSA money is use-it-or-lose-it: expenses must be incurred by the
+// end of the plan year (plus any grace period) and claimed before the run-out deadline.
+// Unspent money up to the plan's carryover limit rolls into the next year; the rest is forfeited.
+
+const FSA_ACCOUNT_TYPES = ['FSA', 'LPFSA', 'DCFSA'];
+
+// Countdowns inside these windows are flagged on the dashboard
+const WARNING_WINDOW_DAYS = 60;
+const CRITICAL_WINDOW_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(`${toDate}T00:00:00Z`) - new Date(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+function formatCurrency(amount) {
+  return `$${amount.toFixed(2)}`;
+}
+
+function getPhase(today, { plan_year_start, plan_year_end }, spendByDate, runOutDeadline) {
+  if (today < plan_year_start) return 'not_started';
+  if (today <= plan_year_end) return 'plan_year';
+  if (today <= spendByDate) return 'grace_period';
+  if (today <= runOutDeadline) return 'run_out';
+  return 'closed';
+}
+
+function countdownLevel(daysLeft) {
+  if (daysLeft < 0) return null;
+  if (daysLeft <= CRITICAL_WINDOW_DAYS) return 'critical';
+  if (daysLeft <= WARNING_WINDOW_DAYS) return 'warning';
+  return null;
+}
+
+// Computes balances and deadlines for one FSA account from its qualified receipts
+// (see getQualifiedReceiptsByAccount). `today` is a YYYY-MM-DD string.
+function computeDeadlines(account, receipts, today) {
+  const spendByDate = addDays(account.plan_year_end, account.grace_period_days || 0);
+  const runOutDeadline = [addDays(account.plan_year_end, account.run_out_days || 0), spendByDate].sort().pop();
+
+  // Grace-period expenses can be paid from the plan year's election
+  const eligible = receipts.filter(receipt =>
+    receipt.receipt_date >= account.plan_year_start && receipt.receipt_date <= spendByDate
+  );
+
+  const spent = round(eligible.reduce((sum, receipt) => sum + receipt.qualified_amount, 0));
+  const election = account.election_amount || 0;
+  const remaining = round(Math.max(election - spent, 0));
+  const carryover = round(Math.min(remaining, account.carryover_limit || 0));
+  const atRisk = round(remaining - carryover);
+
+  const unsubmitted = eligible.filter(receipt => receipt.reimbursement_status === 'unsubmitted');
+  const unsubmittedAmount = round(unsubmitted.reduce((sum, receipt) => sum + receipt.qualified_amount, 0));
+
+  const daysUntilSpendBy = daysBetween(today, spendByDate);
+  const daysUntilRunOut = daysBetween(today, runOutDeadline);
+  const phase = getPhase(today, account, spendByDate, runOutDeadline);
+
+  const warnings = [];
+
+  const spendLevel = countdownLevel(daysUntilSpendBy);
+  if (spendLevel && atRisk > 0) {
+    warnings.push({
+      level: spendLevel,
+      type: 'spend_by',
+      message: `${formatCurrency(atRisk)} will be forfeited unless it is spent in the next ${daysUntilSpendBy} day${daysUntilSpendBy !== 1 ? 's' : ''}`
+    });
+  }
+
+  const runOutLevel = countdownLevel(daysUntilRunOut);
+  if (runOutLevel && unsubmitted.length > 0) {
+    warnings.push({
+      level: runOutLevel,
+      type: 'run_out',
+      message: `${unsubmitted.length} receipt${unsubmitted.length !== 1 ? 's' : ''} (${formatCurrency(unsubmittedAmount)}) must be submitted within ${daysUntilRunOut} day${daysUntilRunOut !== 1 ? 's' : ''}`
+    });
+  }
+
+  if (phase === 'closed' && unsubmitted.length > 0) {
+    warnings.push({
+      level: 'critical',
+      type: 'run_out_missed',
+      message: `The claim deadline passed on ${runOutDeadline} with ${unsubmitted.length} receipt${unsubmitted.length !== 1 ? 's' : ''} never submitted`
+    });
+  }
+
+  return {
+    account_id: account.id,
+    account_name: account.name,
+    account_type: account.account_type,
+    plan_year_start: account.plan_year_start,
+    plan_year_end: account.plan_year_end,
+    phase,
+    election_amount: election,
+    spent_amount: spent,
+    remaining_balance: remaining,
+    carryover_amount: carryover,
+    forfeit_risk_amount: atRisk,
+    spend_by_date: spendByDate,
+    days_until_spend_by: daysUntilSpendBy,
+    run_out_deadline: runOutDeadline,
+    days_until_run_out: daysUntilRunOut,
+    unsubmitted_claims: { count: unsubmitted.length, amount: unsubmittedAmount },
+    warnings
+  };
+}
+
+function isFsaAccount(account) {
+  return FSA_ACCOUNT_TYPES.includes(account.account_type) && account.plan_year_start && account.plan_year_end;
+}
+
+module.exports = {
+  FSA_ACCOUNT_TYPES,
+  computeDeadlines,
+  isFsaAccount
+};
@@ -0,0 +1,93 @@
+// HSA "shoebox" ledger: qualified expenses assigned to an HSA but paid out of pocket add to
+// the balance that can be withdrawn tax-free, reimbursements draw it down.
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Turns qualified receipts (see getQualifiedReceiptsByAccount) into dated rows with a running balance.
+// Expenses incurred before the HSA was established never qualify, so they are only counted.
+// A reimbursement only draws down what its receipt added; anything paid out above the qualified
+// amount is counted as excess rather than taken out of other receipts' balance.
+function buildLedger(receipts, { establishedDate = null, asOf = null } = {}) {
+  const entries = [];
+  const excluded = { count: 0, amount: 0 };
+  const excess = { count: 0, amount: 0 };
+
+  for (const receipt of receipts) {
+    if (asOf && receipt.receipt_date > asOf) continue;
+
+    if (establishedDate && receipt.receipt_date < establishedDate) {
+      excluded.count += 1;
+      excluded.amount += receipt.qualified_amount;
+      continue;
+    }
+
+    if (receipt.qualified_amount > 0) {
+      entries.push({
+        type: 'expense',
+        date: receipt.receipt_date,
+        receipt_id: receipt.id,
+        store_name: receipt.store_name,
+        category: receipt.category,
+        description: receipt.description,
+        amount: round(receipt.qualified_amount)
+      });
+    }
+
+    const reimbursed = receipt.reimbursed_amount || 0;
+    if (reimbursed > 0 && receipt.reimbursed_date && (!asOf || receipt.reimbursed_date <= asOf)) {
+      const drawn = Math.min(reimbursed, Math.max(receipt.qualified_amount, 0));
+      const overpaid = round(reimbursed - drawn);
+      if (overpaid > 0) {
+        excess.count += 1;
+        excess.amount += overpaid;
+      }
+
+      if (drawn > 0) {
+        entries.push({
+          type: 'reimbursement',
+          date: receipt.reimbursed_date,
+          receipt_id: receipt.id,
+          store_name: receipt.store_name,
+          category: receipt.category,
+          claim_reference: receipt.claim_reference,
+          amount: round(-drawn),
+          excess_amount: overpaid
+        });
+      }
+    }
+  }
+
+  // Same-day expenses come before the reimbursements they fund
+  entries.sort((a, b) => {
+    if (a.date !== b.date) return a.date < b.date ? -1 : 1;
+    if (a.type !== b.type) return a.type === 'expense' ? -1 : 1;
+    return a.receipt_id - b.receipt_id;
+  });
+
+  let balance = 0;
+  let totalQualified = 0;
+  let totalReimbursed = 0;
+
+  for (const entry of entries) {
+    balance = round(balance + entry.amount);
+    entry.balance = balance;
+    if (entry.type === 'expense') totalQualified += entry.amount;
+    else totalReimbursed -= entry.amount;
+  }
+
+  return {
+    entries,
+    summary: {
+      available_balance: balance,
+      total_qualified: round(totalQualified),
+      total_reimbursed: round(totalReimbursed),
+      expense_count: entries.filter(entry => entry.type === 'expense').length,
+      excluded_before_establishment: { count: excluded.count, amount: round(excluded.amount) },
+      excess_reimbursed: { count: excess.count, amount: round(excess.amount) }
+    }
+  };
+}
+
+module.exports = { buildLedger };
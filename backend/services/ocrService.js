@@ -1,7 +1,102 @@
 const axios = require('axios');
+const { isPrescriptionDetail, parsePrescriptions } = require('./pharmacyReceiptParser');
 
 const OCR_SERVICE_URL = 'http://localhost:5002';
 
+// Each parsed field carries a 0-1 confidence, the text it was read from and the other candidates found,
+// so the receipt form can flag guesses worth checking. Below this the form highlights the field.
+const LOW_CONFIDENCE_THRESHOLD = 0.6;
+// A runner-up this close to the best candidate makes the best one less certain
+const CLOSE_CANDIDATE_MARGIN = 0.1;
+const MAX_ALTERNATIVES = 5;
+// Each reading of a date the locale can't settle (03/04 as March 4 or 3 April) counts for this much less
+const AMBIGUOUS_PENALTY = 0.5;
+
+const MEDICAL_STORES = [
+  'cvs', 'walgreens', 'rite aid', 'walmart pharmacy', 'target pharmacy',
+  'costco pharmacy', 'kroger pharmacy', 'safeway pharmacy', 'publix pharmacy',
+  'dental', 'dentist', 'orthodontics', 'vision', 'optometry', 'lenscrafters',
+  'pearle vision', 'america\'s best', 'kaiser', 'clinic', 'medical center',
+  'hospital', 'urgent care', 'family practice'
+];
+
+// Dollar amounts need cents or a dollar sign, so quantities, dates and phone numbers are skipped
+const AMOUNT_REGEX = /(\$\s*)?\b(\d{1,3}(?:,\d{3})+|\d+)(\.\d{2})?\b/g;
+// Anything larger is a reference or account number rather than money
+const MAX_AMOUNT = 1000000;
+
+// The labelled totals on a receipt. A line belongs to the first label it matches, so specific labels
+// ("Insurance paid", "Amount saved", "Subtotal") come before the generic words they contain.
+// A null field marks money that isn't a total, like change handed back.
+const TOTAL_LABELS = [
+  { field: null, regex: /\b(change|tendered|cash back)\b/i },
+  { field: 'insurance_paid', regex: /\b(insurance|ins|plan|payer|payor)\.?\s+(paid|payment|pmt|pays|portion|covered)\b|\bpaid by (insurance|plan)\b/i },
+  { field: 'patient_responsibility', regex: /\b(patient|pt|your)\.?\s+(responsibility|resp|balance|portion|share|pays?|owes?)\b|\byou owe\b/i },
+  { field: 'copay', regex: /\bco-?pay(ment)?\b/i },
+  { field: 'discount', regex: /\b(discount|savings|saved|coupon|adjustment|adj)\b/i },
+  { field: 'subtotal', regex: /\bsub\s?-?total\b/i },
+  { field: 'tax', regex: /\btax\b/i },
+  { field: 'amount_due', regex: /\b(amount due|balance due|total due|please pay|balance)\b/i },
+  { field: 'amount_paid', regex: /\b(amount paid|you paid|total paid|paid|payment|visa|mastercard|amex|discover|debit|credit card|hsa card|fsa card)\b/i },
+  { field: null, regex: /\bcash\b/i },
+  { field: 'total', regex: /\b(grand total|total charges?|total billed|charges|total|amount)\b/i }
+];
+const TOTAL_FIELDS = [
+  'subtotal', 'tax', 'discount', 'total', 'insurance_paid', 'copay', 'patient_responsibility', 'amount_due', 'amount_paid'
+];
+
+// How likely each labelled total is the amount the patient pays, which is what gets claimed.
+// The billed total only counts when nothing says what the patient owes.
+const AMOUNT_SCORES = {
+  patient_responsibility: 0.95,
+  amount_paid: 0.85,
+  amount_due: 0.85,
+  total: 0.8,
+  copay: 0.7,
+  subtotal: 0.4,
+  tax: 0.1,
+  discount: 0.1,
+  insurance_paid: 0.1
+};
+
+// Used when the user hasn't set a locale or look-back window
+const DEFAULT_LOCALE = 'en-US';
+const DEFAULT_LOOKBACK_MONTHS = 12;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAME_PATTERN = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)(?![a-z])\\.?';
+
+// parts names what each captured group holds; numeric day and month are read in the user's locale order
+const DATE_PATTERNS = [
+  { regex: /\b(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})\b/g, parts: ['year', 'month', 'day'], confidence: 0.7 },
+  // 15 Mar 2024, 15-MAR-24
+  {
+    regex: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?[\\s.-]*${MONTH_NAME_PATTERN}[\\s.,-]*(\\d{4}|\\d{2})\\b`, 'gi'),
+    parts: ['day', 'month', 'year'],
+    confidence: 0.75
+  },
+  // Mar 15, 2024
+  {
+    regex: new RegExp(`\\b${MONTH_NAME_PATTERN}[\\s.-]*(\\d{1,2})(?:st|nd|rd|th)?(?:,\\s*|[\\s.-]+)(\\d{4}|\\d{2})\\b`, 'gi'),
+    parts: ['month', 'day', 'year'],
+    confidence: 0.75
+  },
+  { regex: /\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})\b/g, parts: null, confidence: 0.6 }
+];
+const DATE_CONTEXT_REGEX = /\b(date|dos|service|visit|filled|purchased?|sold|transaction)\b/i;
+const NON_RECEIPT_DATE_REGEX = /\b(dob|birth|exp|expires|expiration|refill by|discard)\b/i;
+
+// Store terms come from the store name, content terms from anywhere on the receipt
+const CATEGORY_RULES = [
+  { category: 'Pharmacy', store: ['cvs', 'walgreens', 'pharmacy'], content: ['prescription', 'rx', 'medication'] },
+  { category: 'Dental', store: ['dental', 'dentist', 'orthodontic'], content: ['cleaning', 'filling', 'crown'] },
+  { category: 'Vision', store: ['vision', 'optical', 'lenscrafters', 'eyecare'], content: ['contacts', 'glasses', 'lens'] },
+  { category: 'Medical Device', store: [], content: ['device', 'equipment', 'supply', 'monitor', 'meter'] },
+  { category: 'Doctor Visit', store: ['clinic', 'medical', 'doctor', 'physician'], content: ['consultation', 'visit', 'exam'] }
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
 class OCRService {
   async extractTextFromImageId(imageId) {
     try {
@@ -18,60 +113,128 @@ class OCRService {
     }
   }
 
-  parseReceiptData(extractedText) {
-    if (!extractedText || extractedText.trim().length === 0) {
-      return {
-        store_name: '',
-        amount: null,
-        receipt_date: null,
-        line_items: [],
-      };
+  // Besides the main fields, totals holds every labelled total found (subtotal, tax, discount, total,
+  // insurance_paid, copay, patient_responsibility, amount_due, amount_paid), each with its own entry in fields.
+  // amount is the patient's share: patient responsibility or what was paid, not the billed total.
+  // prescriptions lists the Rx fills on pharmacy receipts.
+  // options.categories limits the category suggestion to these names (e.g. the user's active categories).
+  // options.locale decides how numeric dates like 03/04/2024 are read and options.lookbackMonths how far
+  // back a receipt date is still likely.
+  parseReceiptData(extractedText, options = {}) {
+    const lines = this.splitLines(extractedText || '');
+    const amounts = this.findAmounts(lines);
+
+    const fields = {
+      store_name: this.buildField(this.findStoreNameCandidates(lines)),
+      amount: this.buildField(this.findAmountCandidates(amounts)),
+      receipt_date: this.buildField(this.findDateCandidates(lines, options))
+    };
+    fields.category = this.buildField(
+      this.findCategoryCandidates(fields.store_name.value || '', extractedText || '', options.categories)
+    );
+    for (const name of TOTAL_FIELDS) {
+      fields[name] = this.buildField(this.findTotalCandidates(amounts, name));
     }
 
-    const text = extractedText.toLowerCase();
-    const originalText = extractedText;
-    const storeName = this.extractStoreName(originalText);
-    const amount = this.extractAmount(text);
-    const receiptDate = this.extractDate(text);
-    const lineItems = this.extractLineItems(originalText);
-    const category = this.suggestCategory(storeName, text);
     return {
-      store_name: storeName,
-      amount: amount,
-      receipt_date: receiptDate,
-      category: category,
-      line_items: lineItems,
-      raw_text: extractedText
+      store_name: fields.store_name.value || '',
+      amount: fields.amount.value,
+      receipt_date: fields.receipt_date.value,
+      category: fields.category.value,
+      totals: Object.fromEntries(TOTAL_FIELDS.map(name => [name, fields[name].value])),
+      line_items: this.extractLineItems(extractedText || ''),
+      prescriptions: parsePrescriptions(extractedText),
+      raw_text: extractedText,
+      fields
     };
   }
 
-  extractStoreName(text) {
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  // Non-empty lines with their 1-based line number and the offset of their first character in the text
+  splitLines(text) {
+    const lines = [];
+    let offset = 0;
 
-    const medicalStores = [
-      'cvs', 'walgreens', 'rite aid', 'walmart pharmacy', 'target pharmacy',
-      'costco pharmacy', 'kroger pharmacy', 'safeway pharmacy', 'publix pharmacy',
-      'dental', 'dentist', 'orthodontics', 'vision', 'optometry', 'lenscrafters',
-      'pearle vision', 'america\'s best', 'kaiser', 'clinic', 'medical center',
-      'hospital', 'urgent care', 'family practice'
-    ];
-
-    for (const line of lines.slice(0, 5)) {
-      const lowerLine = line.toLowerCase();
-      for (const store of medicalStores) {
-        if (lowerLine.includes(store)) {
-          return this.cleanStoreName(line);
-        }
+    for (const [index, raw] of text.split('\n').entries()) {
+      const trimmed = raw.trim();
+      if (trimmed.length > 0) {
+        lines.push({ text: trimmed, number: index + 1, start: offset + raw.indexOf(trimmed) });
+      }
+      offset += raw.length + 1;
+    }
+
+    return lines;
+  }
+
+  source(line, index = 0, length = line.text.length) {
+    return {
+      text: line.text.slice(index, index + length),
+      line: line.number,
+      start: line.start + index,
+      end: line.start + index + length
+    };
+  }
+
+  // Ranks candidates ({ value, confidence, source }), keeping the most confident reading of each value
+  buildField(candidates) {
+    const byValue = new Map();
+    for (const candidate of candidates) {
+      const existing = byValue.get(candidate.value);
+      if (!existing || candidate.confidence > existing.confidence) {
+        byValue.set(candidate.value, candidate);
       }
     }
 
-    for (const line of lines.slice(0, 3)) {
-      if (line.length > 3 && !this.isAmountLine(line) && !this.isDateLine(line)) {
-        return this.cleanStoreName(line);
+    const ranked = [...byValue.values()].sort((a, b) => b.confidence - a.confidence);
+    if (ranked.length === 0) {
+      return { value: null, confidence: 0, low_confidence: true, ambiguous: false, source: null, alternatives: [] };
+    }
+
+    // An ambiguous best candidate is still used, with its other readings among the alternatives
+    const [best, ...alternatives] = ranked;
+
+    let confidence = best.confidence;
+    if (alternatives.length > 0 && confidence - alternatives[0].confidence < CLOSE_CANDIDATE_MARGIN) {
+      confidence *= 0.75;
+    }
+
+    return {
+      value: best.value,
+      confidence: round(confidence),
+      low_confidence: confidence < LOW_CONFIDENCE_THRESHOLD,
+      ambiguous: Boolean(best.ambiguous),
+      source: best.source,
+      alternatives: alternatives.slice(0, MAX_ALTERNATIVES).map(this.toAlternative)
+    };
+  }
+
+  toAlternative({ value, confidence, source }) {
+    return { value, confidence: round(confidence), source };
+  }
+
+  // Known pharmacy and provider names near the top are the best bet, then the first plain text lines
+  findStoreNameCandidates(lines) {
+    const candidates = [];
+
+    for (const [index, line] of lines.slice(0, 5).entries()) {
+      if (line.text.length <= 3 || this.isAmountLine(line.text) || this.isDateLine(line.text) || this.isPhoneLine(line.text)) {
+        continue;
+      }
+
+      const lowerLine = line.text.toLowerCase();
+      const known = MEDICAL_STORES.some(store => lowerLine.includes(store));
+      if (!known && index >= 3) continue;
+
+      let confidence = known ? 0.85 : 0.5 - index * 0.1;
+      // Lines starting with a number are usually the street address
+      if (/^\d/.test(line.text)) confidence = 0.1;
+
+      const value = this.cleanStoreName(line.text);
+      if (value) {
+        candidates.push({ value, confidence, source: this.source(line) });
       }
     }
 
-    return '';
+    return candidates;
   }
 
   cleanStoreName(name) {
@@ -81,78 +244,164 @@ class OCRService {
       .trim()
       .split(' ')
       .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .slice(0, 3)
       .join(' ')
     return cleaned;
   }
 
-  extractAmount(text) {
-    const totalPatterns = [
-      /total[:\s]*\$?([0-9]+\.?[0-9]*)/i,
-      /amount[:\s]*\$?([0-9]+\.?[0-9]*)/i,
-      /balance[:\s]*\$?([0-9]+\.?[0-9]*)/i,
-      /\$([0-9]+\.[0-9]{2})/g
-    ];
-
-    for (const pattern of totalPatterns) {
-      const matches = text.match(pattern);
-      if (matches) {
-        const amount = parseFloat(matches[1] || matches[0].replace('$', ''));
-        if (!isNaN(amount) && amount > 0 && amount < 10000) { // Reasonable range
-          return amount;
-        }
+  // Every dollar amount with the total label of its line. The last amount on a labelled line is the
+  // labelled one; earlier ones are usually quantities or unit prices.
+  findAmounts(lines) {
+    const amounts = [];
+
+    for (const line of lines) {
+      const label = TOTAL_LABELS.find(({ regex }) => regex.test(line.text));
+      const lineAmounts = [];
+      // Dotted dates such as 15.03.2026 would otherwise read as 15.03
+      const dates = DATE_PATTERNS.flatMap(({ regex }) =>
+        [...line.text.matchAll(regex)].map(match => [match.index, match.index + match[0].length])
+      );
+
+      for (const match of line.text.matchAll(AMOUNT_REGEX)) {
+        const [text, dollarSign, whole, cents] = match;
+        if (!dollarSign && !cents) continue;
+        if (dates.some(([start, end]) => match.index < end && match.index + text.length > start)) continue;
+
+        const amount = parseFloat(`${whole.replace(/,/g, '')}${cents || ''}`);
+        if (isNaN(amount) || amount < 0 || amount >= MAX_AMOUNT) continue;
+
+        lineAmounts.push({
+          value: amount,
+          dollarSign: Boolean(dollarSign),
+          source: this.source(line, match.index, text.length)
+        });
       }
+
+      lineAmounts.forEach((amount, index) => {
+        const labelled = Boolean(label) && index === lineAmounts.length - 1;
+        // A labelled total may be zero ("Tax 0.00"); anywhere else zero isn't money worth reading
+        if (amount.value === 0 && !(labelled && label.field)) return;
+        amounts.push({ ...amount, label: label ? label.field : undefined, labelled });
+      });
     }
 
-    const dollarMatches = text.match(/\$([0-9]+\.?[0-9]*)/g);
-    if (dollarMatches) {
-      const amounts = dollarMatches
-        .map(match => parseFloat(match.replace('$', '')))
-        .filter(amount => !isNaN(amount) && amount > 0 && amount < 10000)
-        .sort((a, b) => b - a);
+    return amounts;
+  }
 
-      if (amounts.length > 0) {
-        return amounts[0];
-      }
+  findAmountCandidates(amounts) {
+    const candidates = amounts
+      .filter(amount => amount.label !== null && amount.value > 0)
+      .map(amount => ({
+        value: amount.value,
+        confidence: amount.labelled ? AMOUNT_SCORES[amount.label] : (amount.dollarSign ? 0.35 : 0.25),
+        source: amount.source,
+        labelled: amount.labelled
+      }));
+
+    // Without a total line the largest amount is the likeliest total
+    const plain = candidates.filter(candidate => !candidate.labelled);
+    if (plain.length > 0) {
+      const largest = plain.reduce((max, candidate) => candidate.value > max.value ? candidate : max);
+      largest.confidence += 0.1;
     }
 
-    return null;
+    return candidates.map(({ labelled, ...candidate }) => candidate);
   }
 
-  extractDate(text) {
-    const datePatterns = [
-      /(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})/g,
-      /(\d{2,4})[/-](\d{1,2})[/-](\d{1,2})/g
-    ];
+  // Amounts on lines with the given total label, e.g. every "Tax" line for tax
+  findTotalCandidates(amounts, field) {
+    return amounts
+      .filter(amount => amount.label === field)
+      .map(amount => ({ value: amount.value, confidence: amount.labelled ? 0.85 : 0.3, source: amount.source }));
+  }
 
-    for (const pattern of datePatterns) {
-      const matches = Array.from(text.matchAll(pattern));
-      for (const match of matches) {
-        const [_, part1, part2, part3] = match;
+  findDateCandidates(lines, { locale = DEFAULT_LOCALE, lookbackMonths = DEFAULT_LOOKBACK_MONTHS } = {}) {
+    const candidates = [];
+    const dayMonthOrder = this.getDayMonthOrder(locale);
+    const now = new Date();
+    const today = this.formatDate(now.getFullYear(), now.getMonth() + 1, now.getDate());
+    const cutoff = new Date(now.getFullYear(), now.getMonth() - lookbackMonths, now.getDate());
+    const earliestLikely = this.formatDate(cutoff.getFullYear(), cutoff.getMonth() + 1, cutoff.getDate());
+
+    for (const [index, line] of lines.entries()) {
+      // A label such as "Date of Service:" may sit on the line above the date
+      const context = DATE_CONTEXT_REGEX.test(line.text) ? 0.2
+        : index > 0 && DATE_CONTEXT_REGEX.test(lines[index - 1].text) ? 0.15 : 0;
+      const notReceiptDate = NON_RECEIPT_DATE_REGEX.test(line.text);
+
+      for (const { regex, parts, confidence: baseConfidence } of DATE_PATTERNS) {
+        const orders = parts ? [parts] : dayMonthOrder === 'day'
+          ? [['day', 'month', 'year'], ['month', 'day', 'year']]
+          : [['month', 'day', 'year'], ['day', 'month', 'year']];
+
+        for (const match of line.text.matchAll(regex)) {
+          // Future dates can't be the receipt date, which also settles some day/month orders
+          const dates = [...new Set(
+            orders.map(order => this.readDate(order, match.slice(1, 4))).filter(date => date && date <= today)
+          )];
+          // The locale's order decides between two readings, unless it has none or only one reading
+          // falls inside the look-back window
+          const ambiguous = dates.length > 1 &&
+            (dayMonthOrder === null || (dates[0] < earliestLikely) !== (dates[1] < earliestLikely));
+
+          for (const [reading, date] of dates.entries()) {
+            let confidence = baseConfidence - reading * 0.15 + context;
+            // Old receipts are less likely, and birth or expiry dates aren't the receipt date
+            if (date < earliestLikely) confidence *= 0.5;
+            if (ambiguous) confidence *= AMBIGUOUS_PENALTY;
+            if (notReceiptDate) confidence = 0.05;
+
+            candidates.push({
+              value: date,
+              confidence,
+              source: this.source(line, match.index, match[0].length),
+              ambiguous
+            });
+          }
+        }
+      }
+    }
 
-        // Try different date formats
-        const formats = [
-          [part1, part2, part3], // MM/DD/YYYY or MM/DD/YY
-          [part3, part1, part2], // YYYY/MM/DD
-          [part2, part1, part3]  // DD/MM/YYYY
-        ];
+    return candidates;
+  }
 
-        for (const [month, day, year] of formats) {
-          const fullYear = year.length === 2 ? (parseInt(year) > 50 ? '19' + year : '20' + year) : year;
-          const date = new Date(fullYear, parseInt(month) - 1, parseInt(day));
+  // Whether the locale writes the day or the month first (3/4/2024 is 3 April in en-GB, March 4 in en-US).
+  // null for locales that write the year first, such as ja-JP, which say nothing about day/month dates.
+  getDayMonthOrder(locale) {
+    try {
+      const order = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+        .formatToParts(new Date(2000, 11, 31))
+        .map(part => part.type);
+      if (order.indexOf('year') < Math.min(order.indexOf('day'), order.indexOf('month'))) return null;
+      return order.indexOf('day') < order.indexOf('month') ? 'day' : 'month';
+    } catch (error) {
+      return null;
+    }
+  }
 
-          // Check if date is valid and reasonable (not in future, not too old)
-          const now = new Date();
-          const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
+  // Turns date parts read in the given order into YYYY-MM-DD, or null when they aren't a real date.
+  // Months may be numbers or English month names; two-digit years are taken as the most recent match.
+  readDate(order, parts) {
+    const values = Object.fromEntries(order.map((name, index) => [name, parts[index]]));
+    const month = /^\d+$/.test(values.month)
+      ? parseInt(values.month)
+      : MONTH_NAMES.indexOf(values.month.slice(0, 3).toLowerCase()) + 1;
+    const day = parseInt(values.day);
+    let year = parseInt(values.year);
+    if (values.year.length === 2) {
+      const currentYear = new Date().getFullYear();
+      year += Math.floor(currentYear / 100) * 100;
+      if (year > currentYear) year -= 100;
+    }
 
-          if (date <= now && date >= oneYearAgo && !isNaN(date.getTime())) {
-            return date.toISOString().split('T')[0]; // Return YYYY-MM-DD format
-          }
-        }
-      }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
     }
+    return this.formatDate(year, month, day);
+  }
 
-    return null;
+  formatDate(year, month, day) {
+    return `${year}-${month.toString().padStart(2, '0')}-${day.toString().padStart(2, '0')}`;
   }
 
   extractLineItems(text) {
@@ -160,13 +409,19 @@ class OCRService {
     const items = [];
 
     for (const line of lines) {
+      // Totals, tax, payments, dates and fill details end in numbers that aren't item prices.
+      // search() is used because the date patterns are global and test() would carry lastIndex over.
+      if (TOTAL_LABELS.some(({ regex }) => regex.test(line))) continue;
+      if (DATE_PATTERNS.some(({ regex }) => line.search(regex) !== -1)) continue;
+      if (isPrescriptionDetail(line)) continue;
+
       const itemMatch = line.match(/^(.+?)\s+\$?([0-9]+\.?[0-9]*)$/);
       if (itemMatch) {
         const [_, description, price] = itemMatch;
         if (description.length > 2 && parseFloat(price) > 0) {
           items.push({
             description: description.trim(),
-            price: parseFloat(price)
+            amount: parseFloat(price)
           });
         }
       }
@@ -175,38 +430,51 @@ class OCRService {
     return items.slice(0, 10);
   }
 
-  suggestCategory(storeName, text) {
+  // A store name term is strong evidence; terms elsewhere on the receipt add up but count for less.
+  // categories, when given, limits suggestions to those names.
+  findCategoryCandidates(storeName, text, categories = null) {
     const store = storeName.toLowerCase();
     const content = text.toLowerCase();
-
-    if (store.includes('cvs') || store.includes('walgreens') || store.includes('pharmacy') ||
-        content.includes('prescription') || content.includes('rx') || content.includes('medication')) {
-      return 'Pharmacy';
-    }
-
-    if (store.includes('dental') || store.includes('dentist') || store.includes('orthodontic') ||
-        content.includes('cleaning') || content.includes('filling') || content.includes('crown')) {
-      return 'Dental';
+    const candidates = [];
+
+    for (const rule of CATEGORY_RULES) {
+      const category = categories
+        ? categories.find(name => name.toLowerCase() === rule.category.toLowerCase())
+        : rule.category;
+      if (!category) continue;
+
+      const storeTerm = rule.store.find(term => store.includes(term));
+      const contentTerms = rule.content.filter(term => content.includes(term));
+
+      if (storeTerm) {
+        candidates.push({ value: category, confidence: 0.8, source: this.termSource(text, storeTerm) });
+      } else if (contentTerms.length > 0) {
+        candidates.push({
+          value: category,
+          confidence: Math.min(0.5 + (contentTerms.length - 1) * 0.1, 0.75),
+          source: this.termSource(text, contentTerms[0])
+        });
+      }
     }
 
-    if (store.includes('vision') || store.includes('optical') || store.includes('lenscrafters') ||
-        store.includes('eyecare') || content.includes('contacts') || content.includes('glasses') ||
-        content.includes('lens')) {
-      return 'Vision';
+    const other = categories ? categories.find(name => name.toLowerCase() === 'other') : 'Other';
+    if (candidates.length === 0 && other) {
+      candidates.push({ value: other, confidence: 0.2, source: null });
     }
 
-    if (content.includes('device') || content.includes('equipment') || content.includes('supply') ||
-        content.includes('monitor') || content.includes('meter')) {
-      return 'Medical Device';
-    }
+    return candidates;
+  }
 
-    if (store.includes('clinic') || store.includes('medical') || store.includes('doctor') ||
-        store.includes('physician') || content.includes('consultation') || content.includes('visit') ||
-        content.includes('exam')) {
-      return 'Doctor Visit';
-    }
+  termSource(text, term) {
+    const start = text.toLowerCase().indexOf(term);
+    if (start === -1) return null;
 
-    return 'Other';
+    return {
+      text: text.slice(start, start + term.length),
+      line: text.slice(0, start).split('\n').length,
+      start,
+      end: start + term.length
+    };
   }
 
   isAmountLine(line) {
@@ -217,6 +485,10 @@ class OCRService {
     return /\d{1,2}[/-]\d{1,2}[/-]\d{2,4}/.test(line);
   }
 
+  isPhoneLine(line) {
+    return /\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}/.test(line);
+  }
+
   isMedicalStore(storeName) {
     const medical = ['cvs', 'walgreens', 'pharmacy', 'dental', 'vision', 'medical', 'clinic', 'hospital'];
     const name = storeName.toLowerCase();
@@ -224,4 +496,4 @@ class OCRService {
   }
 }
 
-module.exports = new OCRService();
\ No newline at end of file
+module.exports = new OCRService();
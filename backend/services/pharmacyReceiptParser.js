@@ -0,0 +1,154 @@
+// Reads the prescription details pharmacies (CVS, Walgreens, Rite Aid, ...) print for each fill.
+// Every Rx number starts a prescription; the lines after it, up to the next Rx number or the
+// receipt totals, describe that fill. Plan administrators usually need the Rx number to
+// substantiate a pharmacy claim.
+
+// "RX# 1234567", "Rx No. 0123456-07890", "Prescription #: 1234567"
+const RX_NUMBER_REGEX = /\b(?:rx|prescription)\s*(?:#|no\.?|number)?\s*[:#]?\s*(\d{6,9}(?:-\d{1,5})?)\b/i;
+// 10-digit NDCs print as 4-4-2, 5-3-2 or 5-4-1; billing uses the 11-digit 5-4-2 form
+const NDC_REGEX = /\bNDC\s*[:#]?\s*(\d{4,5}-\d{3,4}-\d{1,2}|\d{11})\b/i;
+const QUANTITY_REGEX = /\b(?:qty|quantity)\s*[:#]?\s*(\d+(?:\.\d+)?)\b/i;
+// "Days supply: 10" is tried before "90 day supply" so "Qty 30 Days supply 10" reads 10
+const DAYS_SUPPLY_REGEXES = [
+  /\b(?:days?'?\s*supply|ds)\s*[:#]?\s*(\d{1,3})\b/i,
+  /\b(\d{1,3})\s*days?'?\s*supply\b/i
+];
+// "DR" alone also means delayed release in drug names, so it needs a period, a colon or to start the line
+const PRESCRIBER_REGEX = /(?:\b(?:prescriber|prescribed by|doctor)\b|\bdr\.|\bdr\s*:|^dr\b)\s*:?\s*([a-z][a-z.,' -]{1,40})/i;
+// Needs "name" or a colon after the label, since fill blocks also print "PATIENT PAY 10.00" and "Pt pays"
+const PATIENT_REGEX = /\b(?:patient|pt)\b\.?\s*(?:name\b\s*:?|:)\s*(?!(?:pays?|paid|portion|responsibility|resp|share|copay|owes?)\b)([a-z][a-z.,' -]{0,40})/i;
+const STRENGTH_REGEX = /\b(\d+(?:\.\d+)?\s?(?:mg|mcg|g|ml|meq|units?|iu|%)(?:\s?\/\s?\d*(?:\.\d+)?\s?(?:ml|mg|g|hr|act|dose))?)(?![a-z])/i;
+const CREDENTIALS_REGEX = /\b(md|do|np|pa|pa-c|dds|dmd|od|aprn|fnp|rph)\b\.?/gi;
+// Lines at or after these end the last prescription
+const END_OF_PRESCRIPTIONS_REGEX = /\b(sub\s?-?total|total|tax|balance|amount due|visa|mastercard|cash|change)\b/i;
+// Label text that isn't part of a drug name
+const LABEL_REGEX = /\b(refill|refills|filled|qty|quantity|days?|supply|ndc|price|copay|you pay|your price|insurance|savings|sig|mfr|generic for)\b.*$/i;
+
+// Fill details such as "RX# 1234567 REFILL 2" or "QTY: 30 DAYS SUPPLY: 10" end in a number that isn't a price
+function isPrescriptionDetail(line) {
+  return [RX_NUMBER_REGEX, NDC_REGEX, QUANTITY_REGEX, ...DAYS_SUPPLY_REGEXES].some(regex => regex.test(line));
+}
+
+function normalizeNdc(ndc) {
+  if (/^\d{11}$/.test(ndc)) {
+    return `${ndc.slice(0, 5)}-${ndc.slice(5, 9)}-${ndc.slice(9)}`;
+  }
+
+  const [labeler, product, pack] = ndc.split('-');
+  return [labeler.padStart(5, '0'), product.padStart(4, '0'), pack.padStart(2, '0')].join('-');
+}
+
+function cleanName(name) {
+  return name
+    .replace(CREDENTIALS_REGEX, ' ')
+    .replace(/\s{2,}.*$/, '')
+    .replace(/[\s,.-]+$/, '')
+    .trim();
+}
+
+// "J. SMITH", "John Smith", "SMITH, JOHN" and "JS" all become "JS"
+function toInitials(name) {
+  const cleaned = cleanName(name).replace(/\./g, ' ');
+  if (/^[a-z]{2,3}$/i.test(cleaned)) return cleaned.toUpperCase();
+
+  let words = cleaned.split(/\s+/).filter(Boolean);
+  if (cleaned.includes(',')) {
+    const [last, first = ''] = cleaned.split(',').map(part => part.trim());
+    words = [...first.split(/\s+/).filter(Boolean).slice(0, 1), last];
+  }
+  if (words.length === 0) return null;
+
+  const initials = words.length === 1 ? words[0].charAt(0) : `${words[0].charAt(0)}${words[words.length - 1].charAt(0)}`;
+  return initials.toUpperCase();
+}
+
+function titleCase(text) {
+  return text.toLowerCase().replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+// Release forms and salts stay abbreviated: "Omeprazole DR", "Metformin HCl ER"
+function formatDrugName(name) {
+  return titleCase(name)
+    .replace(/\b(Dr|Er|Xr|Sr|Xl|Cr|La|Odt|Ec)\b/g, abbreviation => abbreviation.toUpperCase())
+    .replace(/\bHcl\b/g, 'HCl');
+}
+
+// The drug name is the text before the strength, with any Rx number or labels on the same line removed
+function findDrug(lines) {
+  for (const line of lines) {
+    const strength = line.match(STRENGTH_REGEX);
+    if (!strength) continue;
+
+    const name = line.slice(0, strength.index)
+      .replace(RX_NUMBER_REGEX, ' ')
+      .replace(LABEL_REGEX, ' ')
+      .replace(/[^a-z\s/-]/gi, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (name.length >= 3) {
+      return { drug_name: formatDrugName(name), strength: strength[1].replace(/\s+/g, '').toLowerCase() };
+    }
+  }
+
+  // Some receipts print the drug without a strength; take the first line that is mostly a name
+  for (const line of lines) {
+    const name = line.replace(RX_NUMBER_REGEX, ' ').replace(LABEL_REGEX, ' ').replace(/\s+/g, ' ').trim();
+    if (/^[a-z][a-z\s/-]{3,}$/i.test(name) && !PRESCRIBER_REGEX.test(line) && !PATIENT_REGEX.test(line)) {
+      return { drug_name: formatDrugName(name), strength: null };
+    }
+  }
+
+  return { drug_name: null, strength: null };
+}
+
+function parsePrescription(rxNumber, lines) {
+  const text = lines.join('\n');
+  const match = (regex) => text.match(regex);
+
+  const ndc = match(NDC_REGEX);
+  const quantity = match(QUANTITY_REGEX);
+  const daysSupply = DAYS_SUPPLY_REGEXES.map(match).find(Boolean);
+  const prescriber = lines.map(line => line.match(PRESCRIBER_REGEX)).find(Boolean);
+  const patient = lines.map(line => line.match(PATIENT_REGEX)).find(Boolean);
+
+  return {
+    rx_number: rxNumber,
+    ...findDrug(lines),
+    ndc: ndc ? normalizeNdc(ndc[1]) : null,
+    quantity: quantity ? parseFloat(quantity[1]) : null,
+    days_supply: daysSupply ? parseInt(daysSupply[1]) : null,
+    prescriber: prescriber ? titleCase(cleanName(prescriber[1])) || null : null,
+    patient_initials: patient ? toInitials(patient[1]) : null
+  };
+}
+
+// The prescriptions on a pharmacy receipt, in the order printed. Empty when no Rx numbers are found.
+function parsePrescriptions(text) {
+  const lines = (text || '').split('\n').map(line => line.trim()).filter(line => line.length > 0);
+  const prescriptions = [];
+  let current = null;
+
+  for (const line of lines) {
+    const rxNumber = line.match(RX_NUMBER_REGEX);
+    if (rxNumber) {
+      current = { rxNumber: rxNumber[1], lines: [line] };
+      prescriptions.push(current);
+    } else if (current && END_OF_PRESCRIPTIONS_REGEX.test(line)) {
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  // Receipts that print the same fill twice (e.g. on the bag tag) list it once
+  const unique = prescriptions.filter((prescription, index) =>
+    prescriptions.findIndex(other => other.rxNumber === prescription.rxNumber) === index
+  );
+  return unique.map(({ rxNumber, lines: prescriptionLines }) => parsePrescription(rxNumber, prescriptionLines));
+}
+
+module.exports = {
+  isPrescriptionDetail,
+  normalizeNdc,
+  parsePrescriptions
+};
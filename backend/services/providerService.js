@@ -0,0 +1,238 @@
+const {
+  getProvidersByUser,
+  getProviderAliasesByUser,
+  findOrCreateProvider,
+  addProviderAlias,
+  getUnlinkedReceipts,
+  setReceiptProvider
+} = require('../models/database');
+
+// Receipts keep the store name as printed and link to one canonical provider per merchant, so
+// "CVS Pharmacy #1234", "Cvs Pharmacy" and "CVS" all count as the same place. Names are compared
+// by a normalized key; an alias is any other name a provider goes by.
+
+const PROVIDER_TYPES = [
+  { value: 'pharmacy', label: 'Pharmacy' },
+  { value: 'physician', label: 'Doctor / Clinic' },
+  { value: 'dental', label: 'Dental' },
+  { value: 'vision', label: 'Vision' },
+  { value: 'hospital', label: 'Hospital / Urgent Care' },
+  { value: 'lab', label: 'Lab / Imaging' },
+  { value: 'therapy', label: 'Therapy' },
+  { value: 'other', label: 'Other' }
+];
+
+// First match wins, so the more specific types come before physician
+const PROVIDER_TYPE_KEYWORDS = [
+  ['pharmacy', ['pharmacy', 'pharmacies', 'drug', 'drugstore', 'rx', 'cvs', 'walgreens', 'rite aid']],
+  ['dental', ['dental', 'dentist', 'dentistry', 'orthodontics', 'orthodontist', 'dds']],
+  ['vision', ['vision', 'optical', 'optometry', 'optometrist', 'eyecare', 'lenscrafters', 'warby parker']],
+  ['hospital', ['hospital', 'medical center', 'urgent care', 'emergency']],
+  ['lab', ['lab', 'labs', 'laboratory', 'labcorp', 'quest diagnostics', 'imaging', 'radiology']],
+  ['therapy', ['therapy', 'therapist', 'chiropractic', 'chiropractor', 'counseling', 'psychology']],
+  ['physician', ['dr', 'md', 'do', 'clinic', 'physician', 'physicians', 'family practice', 'pediatrics', 'health']]
+];
+
+const STORE_NUMBER_REGEX = /(?:#|\b(?:store|unit|no)\.?\s*#?)\s*\d+\b/gi;
+const BUSINESS_SUFFIXES = ['inc', 'llc', 'pllc', 'pc', 'pa', 'ltd', 'co', 'corp', 'corporation', 'company'];
+// Words that don't tell one merchant from another, dropped when comparing the distinctive part of names
+const GENERIC_WORDS = ['the', 'pharmacy', 'pharmacies', 'drug', 'drugs', 'drugstore', 'store', 'stores', 'rx'];
+
+// Names this similar (0-1, by edit distance) are treated as the same provider, e.g. OCR misreads
+const FUZZY_MATCH_THRESHOLD = 0.85;
+// Shorter names are too easy to confuse, so they only match exactly
+const MIN_FUZZY_LENGTH = 5;
+const SIMILAR_NAME_SCORE = 0.95;
+const SUGGESTION_THRESHOLD = 0.6;
+const MAX_SUGGESTIONS = 5;
+
+// Display form of a name: store numbers and stray punctuation removed, spacing collapsed
+function cleanProviderName(name) {
+  return (name || '')
+    .replace(STORE_NUMBER_REGEX, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}.)]+$/gu, '')
+    .trim();
+}
+
+function nameTokens(name) {
+  return cleanProviderName(name)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && !BUSINESS_SUFFIXES.includes(token) && !/^\d{3,}$/.test(token));
+}
+
+// Comparison key: lower case words without store numbers, punctuation or business suffixes
+function normalizeProviderName(name) {
+  return nameTokens(name).join(' ');
+}
+
+// The distinctive part of a name, so "CVS" and "CVS Pharmacy" compare equal
+function coreProviderName(name) {
+  const tokens = nameTokens(name);
+  const core = tokens.filter(token => !GENERIC_WORDS.includes(token));
+  return (core.length > 0 ? core : tokens).join(' ');
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  if (Math.min(a.length, b.length) < MIN_FUZZY_LENGTH) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// How closely a name matches a provider's name or one of its aliases, 0-1
+function scoreProvider(provider, name) {
+  const key = normalizeProviderName(name);
+  const core = coreProviderName(name);
+  let best = { score: 0, match_type: null };
+
+  for (const [index, candidate] of [provider.name, ...provider.aliases].entries()) {
+    if (normalizeProviderName(candidate) === key) {
+      return { score: 1, match_type: index === 0 ? 'name' : 'alias' };
+    }
+
+    const candidateCore = coreProviderName(candidate);
+    if (candidateCore === core) {
+      if (SIMILAR_NAME_SCORE > best.score) best = { score: SIMILAR_NAME_SCORE, match_type: 'similar' };
+      continue;
+    }
+
+    const score = Math.round(similarity(candidateCore, core) * 100) / 100;
+    if (score > best.score) {
+      best = { score, match_type: 'fuzzy' };
+    }
+  }
+
+  return best;
+}
+
+// The provider a store name belongs to, or null when none is close enough.
+// providers need their aliases loaded (see getUserProviders).
+function matchProvider(providers, name) {
+  if (!normalizeProviderName(name)) return null;
+
+  let best = null;
+  for (const provider of providers) {
+    const { score, match_type } = scoreProvider(provider, name);
+    if (score === 1) return { provider, match_type, score };
+    if (score >= FUZZY_MATCH_THRESHOLD && (!best || score > best.score)) {
+      best = { provider, match_type, score };
+    }
+  }
+  return best;
+}
+
+// Providers a name might refer to, closest first, for "did you mean" prompts
+function suggestProviders(providers, name) {
+  if (!normalizeProviderName(name)) return [];
+
+  return providers
+    .map(provider => ({ provider, ...scoreProvider(provider, name) }))
+    .filter(suggestion => suggestion.score >= SUGGESTION_THRESHOLD)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_SUGGESTIONS);
+}
+
+function guessProviderType(name) {
+  const key = ` ${normalizeProviderName(name)} `;
+  const match = PROVIDER_TYPE_KEYWORDS.find(([, keywords]) =>
+    keywords.some(keyword => key.includes(` ${keyword} `))
+  );
+  return match ? match[0] : 'other';
+}
+
+function isValidProviderType(type) {
+  return PROVIDER_TYPES.some(t => t.value === type);
+}
+
+// The user's providers with their aliases and receipt totals
+async function getUserProviders(userId) {
+  const [providers, aliases] = await Promise.all([
+    getProvidersByUser(userId),
+    getProviderAliasesByUser(userId)
+  ]);
+
+  return providers.map(provider => ({
+    ...provider,
+    aliases: aliases.filter(alias => alias.provider_id === provider.id).map(alias => alias.alias)
+  }));
+}
+
+// Finds the provider for a store name, adding one to the directory when nothing matches.
+// Pass the loaded directory when linking many receipts; new providers are added to it.
+async function matchOrCreateProvider(userId, storeName, providers = null) {
+  const directory = providers || await getUserProviders(userId);
+  const match = matchProvider(directory, storeName);
+  if (match) return { ...match, created: false };
+
+  const name = cleanProviderName(storeName);
+  if (!name) return null;
+
+  const provider = await findOrCreateProvider(userId, { name, provider_type: guessProviderType(name) });
+  const entry = { ...provider, aliases: [] };
+  directory.push(entry);
+  return { provider: entry, match_type: 'created', score: 1, created: true };
+}
+
+// Keeps a store name the user filed under a provider as an alias, so it matches automatically next time.
+// A name that already matches another provider isn't kept, so a store name never matches two providers.
+// providers is the user's directory with aliases loaded (see getUserProviders).
+async function rememberProviderAlias(providers, provider, storeName) {
+  const key = normalizeProviderName(storeName);
+  if (!key) return;
+
+  const known = [provider.name, ...provider.aliases].some(name => normalizeProviderName(name) === key);
+  if (known) return;
+
+  const others = providers.filter(p => p.id !== provider.id);
+  if (!matchProvider(others, storeName)) {
+    await addProviderAlias(provider.id, cleanProviderName(storeName));
+  }
+}
+
+// Links a user's receipts that have no provider yet, e.g. those saved before the directory existed
+async function linkUnlinkedReceipts(userId) {
+  const receipts = await getUnlinkedReceipts(userId);
+  if (receipts.length === 0) return 0;
+
+  const providers = await getUserProviders(userId);
+  for (const receipt of receipts) {
+    const result = await matchOrCreateProvider(userId, receipt.store_name, providers);
+    if (result) {
+      await setReceiptProvider(receipt.id, result.provider.id);
+    }
+  }
+  return receipts.length;
+}
+
+module.exports = {
+  PROVIDER_TYPES,
+  cleanProviderName,
+  normalizeProviderName,
+  matchProvider,
+  suggestProviders,
+  guessProviderType,
+  isValidProviderType,
+  getUserProviders,
+  matchOrCreateProvider,
+  rememberProviderAlias,
+  linkUnlinkedReceipts
+};
@@ -0,0 +1,57 @@
+const eligibilityService = require('./eligibilityService');
+const { getUserCategories, getCategoryContext } = require('./categoryService');
+const {
+  getAccountsByUser,
+  getLineItemsByReceipts,
+  getAttachmentsByReceipts
+} = require('../models/database');
+
+// Evaluates receipts against the current rules, accounts and categories. The verdict stored on a
+// receipt (eligibility_verdict) is only as fresh as the receipt's last edit; moving it to another
+// account, changing a category's eligibility default or editing the rules file can change the
+// outcome, so anything that reports eligibility evaluates it here when it reads receipts.
+
+// Eligibility for each of a user's receipts, in the same order
+async function evaluateReceipts(userId, receipts) {
+  if (receipts.length === 0) return [];
+
+  const ids = receipts.map(receipt => receipt.id);
+  const [accounts, categories, lineItems, attachments] = await Promise.all([
+    getAccountsByUser(userId),
+    getUserCategories(userId),
+    getLineItemsByReceipts(ids),
+    getAttachmentsByReceipts(ids)
+  ]);
+
+  return receipts.map(receipt => {
+    const account = accounts.find(a => a.id === receipt.account_id);
+    return eligibilityService.evaluate({
+      receipt,
+      lineItems: lineItems.filter(item => item.receipt_id === receipt.id),
+      accountType: account ? account.account_type : null,
+      hasLmn: attachments.some(attachment => attachment.receipt_id === receipt.id && attachment.attachment_type === 'lmn'),
+      category: getCategoryContext(categories, receipt.category)
+    });
+  });
+}
+
+async function evaluateReceipt(receipt) {
+  const [eligibility] = await evaluateReceipts(receipt.user_id, [receipt]);
+  return eligibility;
+}
+
+// The receipts with eligibility_verdict and eligibility_explanation replaced by a fresh evaluation
+async function withCurrentEligibility(userId, receipts) {
+  const results = await evaluateReceipts(userId, receipts);
+  return receipts.map((receipt, index) => ({
+    ...receipt,
+    eligibility_verdict: results[index].verdict,
+    eligibility_explanation: results[index].explanation
+  }));
+}
+
+module.exports = {
+  evaluateReceipts,
+  evaluateReceipt,
+  withCurrentEligibility
+};
@@ -0,0 +1,159 @@
+// Reimbursement status lifecycle for receipts.
+//
+//   unsubmitted -> submitted -> reimbursed | partially_reimbursed | denied
+//
+// HSA holders often pay themselves back without filing a claim, so unsubmitted
+// receipts may also move straight to (partially) reimbursed.
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const REIMBURSEMENT_STATUSES = [
+  { value: 'unsubmitted', label: 'Unsubmitted' },
+  { value: 'submitted', label: 'Submitted' },
+  { value: 'reimbursed', label: 'Reimbursed' },
+  { value: 'partially_reimbursed', label: 'Partially Reimbursed' },
+  { value: 'denied', label: 'Denied' },
+  { value: 'not_claiming', label: 'Not Claiming' }
+];
+
+const ALLOWED_TRANSITIONS = {
+  unsubmitted: ['submitted', 'reimbursed', 'partially_reimbursed', 'not_claiming'],
+  submitted: ['reimbursed', 'partially_reimbursed', 'denied', 'unsubmitted'],
+  partially_reimbursed: ['reimbursed', 'submitted'],
+  denied: ['submitted', 'not_claiming', 'unsubmitted'],
+  not_claiming: ['unsubmitted'],
+  reimbursed: []
+};
+
+function isValidStatus(status) {
+  return REIMBURSEMENT_STATUSES.some(s => s.value === status);
+}
+
+function getAllowedTransitions(status) {
+  return ALLOWED_TRANSITIONS[status] || [];
+}
+
+function today() {
+  return new Date().toISOString().split('T')[0];
+}
+
+function validateDate(value, name) {
+  if (value === undefined || value === null || value === '') return { value: today() };
+  if (!DATE_REGEX.test(value)) {
+    return { error: 'Invalid date format', details: `${name} must be in YYYY-MM-DD format` };
+  }
+  if (value > today()) {
+    return { error: 'Invalid date', details: `${name} cannot be in the future` };
+  }
+  return { value };
+}
+
+// Checks a requested status change and returns the receipt column updates it implies
+function planTransition(receipt, target, payload = {}) {
+  const current = receipt.reimbursement_status || 'unsubmitted';
+
+  if (!isValidStatus(target)) {
+    return {
+      error: 'Invalid status',
+      details: `Status must be one of: ${REIMBURSEMENT_STATUSES.map(s => s.value).join(', ')}`
+    };
+  }
+
+  if (!getAllowedTransitions(current).includes(target)) {
+    const allowed = getAllowedTransitions(current);
+    const label = REIMBURSEMENT_STATUSES.find(s => s.value === current)?.label || current;
+    return {
+      error: 'Invalid status change',
+      details: allowed.length > 0
+        ? `${label} receipts can only move to: ${allowed.join(', ')}`
+        : `${label} receipts cannot change status`
+    };
+  }
+
+  for (const field of ['note', 'claim_reference']) {
+    const value = payload[field];
+    if (value !== undefined && value !== null && typeof value !== 'string') {
+      return { error: 'Invalid status details', details: `${field} must be text` };
+    }
+  }
+
+  const updates = {
+    reimbursement_status: target,
+    status_note: payload.note?.trim() || null
+  };
+
+  if (payload.claim_reference !== undefined) {
+    updates.claim_reference = payload.claim_reference?.trim() || null;
+  }
+
+  switch (target) {
+    case 'submitted': {
+      const date = validateDate(payload.submitted_date, 'submitted_date');
+      if (date.error) return date;
+      updates.submitted_date = date.value;
+      updates.denied_date = null;
+      break;
+    }
+
+    case 'reimbursed':
+    case 'partially_reimbursed': {
+      const date = validateDate(payload.reimbursed_date, 'reimbursed_date');
+      if (date.error) return date;
+
+      const receiptAmount = parseFloat(receipt.amount);
+      const hasAmount = payload.reimbursed_amount !== undefined && payload.reimbursed_amount !== null && payload.reimbursed_amount !== '';
+      const amount = hasAmount ? parseFloat(payload.reimbursed_amount) : receiptAmount;
+
+      if (target === 'partially_reimbursed' && !hasAmount) {
+        return {
+          error: 'Missing reimbursed amount',
+          details: 'Enter how much of the receipt was reimbursed'
+        };
+      }
+
+      if (isNaN(amount) || amount <= 0 || amount > receiptAmount) {
+        return {
+          error: 'Invalid reimbursed amount',
+          details: `Reimbursed amount must be greater than 0 and at most the receipt amount (${receiptAmount.toFixed(2)})`
+        };
+      }
+
+      if (target === 'partially_reimbursed' && amount >= receiptAmount) {
+        return {
+          error: 'Invalid reimbursed amount',
+          details: 'A partial reimbursement must be less than the receipt amount; use reimbursed instead'
+        };
+      }
+
+      updates.reimbursed_date = date.value;
+      updates.reimbursed_amount = Math.round(amount * 100) / 100;
+      break;
+    }
+
+    case 'denied': {
+      const date = validateDate(payload.denied_date, 'denied_date');
+      if (date.error) return date;
+      updates.denied_date = date.value;
+      break;
+    }
+
+    case 'unsubmitted':
+      updates.submitted_date = null;
+      updates.denied_date = null;
+      updates.claim_reference = null;
+      break;
+
+    case 'not_claiming':
+    default:
+      break;
+  }
+
+  return { updates };
+}
+
+module.exports = {
+  REIMBURSEMENT_STATUSES,
+  isValidStatus,
+  getAllowedTransitions,
+  planTransition
+};
@@ -0,0 +1,167 @@
+// Per-tax-year figures for IRS Form 8889 (HSA) Part II and the Schedule A medical expense deduction.
+//
+// HSA distributions are the reimbursements recorded on receipts claimed against an HSA, dated by
+// reimbursed_date. A distribution is backed when its receipt is on file, documented and qualifies;
+// whatever is not backed may be taxable (plus the 20% additional tax before age 65).
+//
+// The Schedule A total counts qualified expenses dated in the year, less anything reimbursed by a
+// benefit account, still waiting on a claim, or filed against an account but not claimed yet, since
+// reimbursed expenses cannot also be deducted.
+
+// Only medical expenses above this share of AGI are deductible (IRC 213(a))
+const DEFAULT_AGI_THRESHOLD_PERCENT = 7.5;
+
+const PENDING_STATUSES = ['submitted'];
+
+const DISTRIBUTION_ISSUES = {
+  receipt_deleted: 'The receipt for this distribution is in the trash',
+  no_documentation: 'No receipt image or attachment is on file',
+  not_eligible: 'The expense was assessed as not eligible',
+  before_established: 'The expense was incurred before the HSA was established',
+  exceeds_qualified: 'The distribution is larger than the qualified part of the receipt'
+};
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function getAgiThresholdPercent() {
+  const percent = parseFloat(process.env.MEDICAL_DEDUCTION_AGI_PERCENT);
+  return isNaN(percent) ? DEFAULT_AGI_THRESHOLD_PERCENT : percent;
+}
+
+function inYear(date, taxYear) {
+  return !!date && date.slice(0, 4) === taxYear.toString();
+}
+
+function describeDistribution(receipt) {
+  const amount = round(receipt.reimbursed_amount);
+  const qualified = round(receipt.qualified_amount);
+  const issues = [];
+
+  if (receipt.deleted_at) issues.push('receipt_deleted');
+  if (!receipt.has_documentation) issues.push('no_documentation');
+  if (receipt.eligibility_verdict === 'not_eligible') issues.push('not_eligible');
+  if (receipt.hsa_established_date && receipt.receipt_date < receipt.hsa_established_date) issues.push('before_established');
+  if (amount > qualified) issues.push('exceeds_qualified');
+
+  // Only an over-reimbursement leaves part of the distribution backed
+  const unbackedInFull = issues.some(issue => issue !== 'exceeds_qualified');
+  const backedAmount = unbackedInFull ? 0 : Math.min(amount, qualified);
+
+  return {
+    receipt_id: receipt.id,
+    date: receipt.reimbursed_date,
+    receipt_date: receipt.receipt_date,
+    store_name: receipt.store_name,
+    category: receipt.category,
+    account_id: receipt.account_id,
+    account_name: receipt.account_name,
+    claim_reference: receipt.claim_reference,
+    amount,
+    backed_amount: round(backedAmount),
+    unbacked_amount: round(amount - backedAmount),
+    issues: issues.map(code => ({ code, message: DISTRIBUTION_ISSUES[code] }))
+  };
+}
+
+function summarizeHsa(taxYear, receipts, contributionSummary) {
+  const distributions = receipts
+    .filter(receipt => receipt.account_type === 'HSA' && receipt.reimbursed_amount > 0 && inYear(receipt.reimbursed_date, taxYear))
+    .map(describeDistribution)
+    .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.receipt_id - b.receipt_id));
+
+  const total = round(distributions.reduce((sum, d) => sum + d.amount, 0));
+  const qualified = round(distributions.reduce((sum, d) => sum + d.backed_amount, 0));
+
+  return {
+    contributions: contributionSummary,
+    distributions,
+    flagged: distributions.filter(d => d.issues.length > 0).length,
+    form_8889: {
+      total_distributions: total,
+      qualified_medical_expenses: qualified,
+      taxable_distributions: round(total - qualified)
+    }
+  };
+}
+
+function summarizeMedicalDeduction(taxYear, receipts, { agi = null, thresholdPercent }) {
+  const byCategory = {};
+  let total = 0;
+  let reimbursed = 0;
+  let pending = 0;
+  let unsubmitted = 0;
+  let excludedNotEligible = 0;
+  let count = 0;
+
+  for (const receipt of receipts) {
+    if (receipt.deleted_at || !inYear(receipt.receipt_date, taxYear)) continue;
+
+    if (receipt.eligibility_verdict === 'not_eligible') {
+      excludedNotEligible += receipt.amount;
+      continue;
+    }
+
+    const qualified = receipt.qualified_amount;
+    const reimbursedAmount = Math.min(receipt.reimbursed_amount || 0, qualified);
+    if (PENDING_STATUSES.includes(receipt.reimbursement_status)) {
+      pending += qualified - reimbursedAmount;
+      reimbursed += reimbursedAmount;
+      continue;
+    }
+
+    // Expenses meant for a benefit account may still be reimbursed tax-free, so they aren't deducted yet
+    if (receipt.account_id && (receipt.reimbursement_status || 'unsubmitted') === 'unsubmitted') {
+      unsubmitted += qualified;
+      continue;
+    }
+
+    const deductible = qualified - reimbursedAmount;
+    reimbursed += reimbursedAmount;
+    if (deductible <= 0) continue;
+
+    total += deductible;
+    count += 1;
+    byCategory[receipt.category] = byCategory[receipt.category] || { category: receipt.category, count: 0, total: 0 };
+    byCategory[receipt.category].count += 1;
+    byCategory[receipt.category].total += deductible;
+  }
+
+  const thresholdAmount = agi !== null ? round(agi * thresholdPercent / 100) : null;
+
+  return {
+    receipt_count: count,
+    by_category: Object.values(byCategory)
+      .map(entry => ({ ...entry, total: round(entry.total) }))
+      .sort((a, b) => b.total - a.total),
+    excluded: {
+      reimbursed: round(reimbursed),
+      pending_reimbursement: round(pending),
+      unsubmitted_account: round(unsubmitted),
+      not_eligible: round(excludedNotEligible)
+    },
+    schedule_a: {
+      medical_expenses: round(total),
+      agi,
+      threshold_percent: thresholdPercent,
+      threshold_amount: thresholdAmount,
+      deductible_amount: thresholdAmount !== null ? round(Math.max(total - thresholdAmount, 0)) : null
+    }
+  };
+}
+
+// receipts come from getTaxYearReceipts; contributionSummary from computeContributionSummary
+function buildTaxYearReport(taxYear, receipts, { contributionSummary = null, agi = null, thresholdPercent = getAgiThresholdPercent() } = {}) {
+  return {
+    tax_year: taxYear,
+    hsa: summarizeHsa(taxYear, receipts, contributionSummary),
+    medical_deduction: summarizeMedicalDeduction(taxYear, receipts, { agi, thresholdPercent })
+  };
+}
+
+module.exports = {
+  DEFAULT_AGI_THRESHOLD_PERCENT,
+  getAgiThresholdPercent,
+  buildTaxYearReport
+};
@@ -0,0 +1,162 @@
+// Receipt totals in calendar buckets (day, week, month, quarter, year) for trend charts.
+// Dates are handled as YYYY-MM-DD strings in UTC so buckets line up with the SQL in
+// RECEIPT_PERIOD_EXPRESSIONS; weeks start on Monday.
+
+const INTERVALS = ['day', 'week', 'month', 'quarter', 'year'];
+
+// How many buckets a request covers when no start_date is given and there are no receipts
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12, quarter: 8, year: 5 };
+
+const MAX_BUCKETS = 1000;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function toDate(dateString) {
+  return new Date(`${dateString}T00:00:00Z`);
+}
+
+function toDateString(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function addDays(dateString, days) {
+  const date = toDate(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+}
+
+function daysBetween(start, end) {
+  return Math.round((toDate(end) - toDate(start)) / 86400000);
+}
+
+// First day of the period containing the date
+function startOfPeriod(dateString, interval) {
+  const date = toDate(dateString);
+  switch (interval) {
+    case 'day':
+      return dateString;
+    case 'week':
+      // getUTCDay is 0 for Sunday, which belongs to the week starting the Monday before
+      return addDays(dateString, -((date.getUTCDay() + 6) % 7));
+    case 'month':
+      return `${dateString.slice(0, 7)}-01`;
+    case 'quarter': {
+      const month = Math.floor(date.getUTCMonth() / 3) * 3 + 1;
+      return `${dateString.slice(0, 4)}-${month.toString().padStart(2, '0')}-01`;
+    }
+    default:
+      return `${dateString.slice(0, 4)}-01-01`;
+  }
+}
+
+// Moves a period start forward (or back, with a negative count) by whole periods
+function addPeriods(periodStart, interval, count) {
+  if (interval === 'day') return addDays(periodStart, count);
+  if (interval === 'week') return addDays(periodStart, count * 7);
+
+  const months = { month: 1, quarter: 3, year: 12 }[interval] * count;
+  const date = toDate(periodStart);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return toDateString(date);
+}
+
+// Fills in start_date / end_date the request left out: up to today, from the start of the period
+// holding the earliest matching receipt (firstDate), or covering DEFAULT_PERIODS buckets when there is none
+function resolveRange(interval, { startDate = null, endDate = null, firstDate = null } = {}) {
+  const end = endDate || toDateString(new Date());
+  const start = startDate
+    || (firstDate && firstDate <= end ? startOfPeriod(firstDate, interval) : null)
+    || addPeriods(startOfPeriod(end, interval), interval, -(DEFAULT_PERIODS[interval] - 1));
+  return { startDate: start, endDate: end };
+}
+
+function countBuckets(interval, startDate, endDate) {
+  let count = 0;
+  for (let period = startOfPeriod(startDate, interval); period <= endDate && count <= MAX_BUCKETS; period = addPeriods(period, interval, 1)) {
+    count += 1;
+  }
+  return count;
+}
+
+// The range of the same length immediately before this one. Ranges made of whole periods shift by
+// that many periods, so a calendar year is compared with the previous calendar year.
+function getPreviousRange(startDate, endDate, interval) {
+  const nextStart = addDays(endDate, 1);
+  if (startOfPeriod(startDate, interval) === startDate && startOfPeriod(nextStart, interval) === nextStart) {
+    const periods = countBuckets(interval, startDate, endDate);
+    return { startDate: addPeriods(startDate, interval, -periods), endDate: addDays(startDate, -1) };
+  }
+
+  const previousEnd = addDays(startDate, -1);
+  return { startDate: addDays(previousEnd, -daysBetween(startDate, endDate)), endDate: previousEnd };
+}
+
+function describeChange(current, previous) {
+  return {
+    change_amount: round(current - previous),
+    change_percent: previous > 0 ? round((current - previous) / previous * 100) : null
+  };
+}
+
+// rows come from getReceiptTimeseries; previousTotals from getReceiptTotals over getPreviousRange.
+// Buckets at either end that reach outside the range are marked partial.
+function buildTimeseries(rows, { interval, startDate, endDate, previousTotals = null }) {
+  const byPeriod = new Map(rows.map(row => [row.period_start, row]));
+  const buckets = [];
+
+  for (let period = startOfPeriod(startDate, interval); period <= endDate; period = addPeriods(period, interval, 1)) {
+    const row = byPeriod.get(period);
+    const periodEnd = addDays(addPeriods(period, interval, 1), -1);
+    const total = round(row ? row.total : 0);
+    const count = row ? row.count : 0;
+    const previous = buckets[buckets.length - 1];
+
+    buckets.push({
+      period_start: period,
+      period_end: periodEnd,
+      partial: period < startDate || periodEnd > endDate,
+      count,
+      total,
+      average: count > 0 ? round(total / count) : 0,
+      ...(previous ? describeChange(total, previous.total) : { change_amount: null, change_percent: null })
+    });
+  }
+
+  const total = round(buckets.reduce((sum, bucket) => sum + bucket.total, 0));
+  const count = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+  const highest = buckets.reduce((max, bucket) => (!max || bucket.total > max.total ? bucket : max), null);
+
+  const summary = {
+    total,
+    count,
+    periods: buckets.length,
+    average_per_period: buckets.length > 0 ? round(total / buckets.length) : 0,
+    average_per_receipt: count > 0 ? round(total / count) : 0,
+    highest_period: highest && highest.total > 0 ? { period_start: highest.period_start, total: highest.total } : null
+  };
+
+  let comparison = null;
+  if (previousTotals) {
+    const previousRange = getPreviousRange(startDate, endDate, interval);
+    comparison = {
+      previous_start_date: previousRange.startDate,
+      previous_end_date: previousRange.endDate,
+      previous_total: round(previousTotals.total),
+      previous_count: previousTotals.count,
+      ...describeChange(total, previousTotals.total)
+    };
+  }
+
+  return { interval, start_date: startDate, end_date: endDate, buckets, summary, comparison };
+}
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  resolveRange,
+  countBuckets,
+  getPreviousRange,
+  buildTimeseries
+};
@@ -0,0 +1,75 @@
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const { getExpiredTrashedReceipts, purgeReceipt } = require('../models/database');
+
+const IMAGE_SERVICE_URL = 'http://localhost:5001';
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+class TrashPurgeService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+    this.intervalHours = parseFloat(process.env.TRASH_PURGE_INTERVAL_HOURS) || 24;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.purgeExpired().catch(error => console.error('Trash purge failed:', error));
+    this.timer = setInterval(() => {
+      this.purgeExpired().catch(error => console.error('Trash purge failed:', error));
+    }, this.intervalHours * 60 * 60 * 1000);
+
+    // Don't keep the process alive just for the purge schedule
+    this.timer.unref();
+    console.log(`Trash purge scheduled every ${this.intervalHours}h (retention: ${this.retentionDays} days)`);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async purgeExpired() {
+    const receipts = await getExpiredTrashedReceipts(this.retentionDays);
+
+    for (const receipt of receipts) {
+      const result = await purgeReceipt(receipt.id);
+      if (result.changes === 0) continue; // restored in the meantime
+
+      await this.removeImages(receipt);
+    }
+
+    if (receipts.length > 0) {
+      console.log(`Purged ${receipts.length} receipt(s) from trash`);
+    }
+
+    return receipts.length;
+  }
+
+  async removeImages(receipt) {
+    if (receipt.image_path) {
+      try {
+        await fs.unlink(path.join(UPLOADS_DIR, receipt.user_id.toString(), receipt.image_path));
+      } catch (fileError) {
+        console.error('Failed to delete legacy image file:', fileError.message);
+      }
+    }
+
+    const imageIds = [
+      receipt.image_id,
+      ...(receipt.attachment_image_ids ? receipt.attachment_image_ids.split(',') : [])
+    ].filter(Boolean);
+
+    for (const imageId of imageIds) {
+      try {
+        await axios.delete(`${IMAGE_SERVICE_URL}/image/${imageId}`);
+      } catch (error) {
+        console.error(`Failed to delete image ${imageId} from image service:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new TrashPurgeService();
@@ -0,0 +1,19 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildLedger } = require('../services/ledgerService');
+
+test('reimbursements draw down no more than the qualified amount', () => {
+  const receipts = [
+    { id: 1, receipt_date: '2026-01-10', store_name: 'CVS', qualified_amount: 40, reimbursed_amount: 60, reimbursed_date: '2026-02-01' },
+    { id: 2, receipt_date: '2026-01-20', store_name: 'Clinic', qualified_amount: 100, reimbursed_amount: 0, reimbursed_date: null }
+  ];
+
+  const { entries, summary } = buildLedger(receipts);
+  const reimbursement = entries.find(entry => entry.type === 'reimbursement');
+
+  assert.strictEqual(reimbursement.amount, -40);
+  assert.strictEqual(reimbursement.excess_amount, 20);
+  assert.strictEqual(summary.available_balance, 100);
+  assert.strictEqual(summary.total_reimbursed, 40);
+  assert.deepStrictEqual(summary.excess_reimbursed, { count: 1, amount: 20 });
+});
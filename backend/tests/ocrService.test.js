@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ocrService = require('../services/ocrService');
+
+test('line items skip dates, totals and fill details', () => {
+  const text = [
+    'Walgreens #4821',
+    'Mar 15, 2026',
+    'Date: 03/15/2026',
+    'RX# 1234567  REFILL 2',
+    'QTY: 30  DAYS SUPPLY: 10',
+    'Bandages 4.99',
+    'Subtotal 4.99',
+    'Tax 0.40',
+    'TOTAL $5.39'
+  ].join('\n');
+
+  assert.deepStrictEqual(ocrService.extractLineItems(text), [
+    { description: 'Bandages', amount: 4.99 }
+  ]);
+});
+
+test('numeric dates are read in the user locale order', () => {
+  const text = 'Date: 03/04/2026\nTotal $5.00';
+  const read = (locale) => ocrService.parseReceiptData(text, { locale, lookbackMonths: 120 }).fields.receipt_date;
+
+  const us = read('en-US');
+  assert.strictEqual(us.value, '2026-03-04');
+  assert.strictEqual(us.ambiguous, false);
+  assert.deepStrictEqual(us.alternatives.map(alternative => alternative.value), ['2026-04-03']);
+
+  const gb = read('en-GB');
+  assert.strictEqual(gb.value, '2026-04-03');
+  assert.strictEqual(gb.ambiguous, false);
+  assert.deepStrictEqual(gb.alternatives.map(alternative => alternative.value), ['2026-03-04']);
+});
+
+test('numeric dates are ambiguous when the locale has no day/month order', () => {
+  const field = ocrService.parseReceiptData('Date: 03/04/2026', { locale: 'ja-JP', lookbackMonths: 120 }).fields.receipt_date;
+
+  assert.strictEqual(field.value, '2026-03-04');
+  assert.strictEqual(field.ambiguous, true);
+  assert.strictEqual(field.low_confidence, true);
+  assert.deepStrictEqual(field.alternatives.map(alternative => alternative.value), ['2026-04-03']);
+  assert.ok(field.alternatives[0].confidence < 0.6);
+});
+
+test('dotted dates are not read as amounts and zero totals are kept', () => {
+  const text = 'Datum: 15.03.2026\nIbuprofen 400 4.95\nTax 0.00\nTotal 4.95';
+  const result = ocrService.parseReceiptData(text, { locale: 'de-DE', lookbackMonths: 120 });
+
+  assert.strictEqual(result.amount, 4.95);
+  assert.strictEqual(result.receipt_date, '2026-03-15');
+  assert.strictEqual(result.totals.tax, 0);
+  assert.ok(result.fields.amount.alternatives.every(alternative => alternative.value !== 15.03));
+});
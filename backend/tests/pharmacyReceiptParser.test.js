@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePrescriptions } = require('../services/pharmacyReceiptParser');
+
+test('reads the fill details after an Rx number', () => {
+  const text = [
+    'RX# 1234567  REFILL 2',
+    'PATIENT: SMITH, JOHN',
+    'AMOXICILLIN 500MG CAP',
+    'QTY: 30  DAYS SUPPLY: 10',
+    'NDC 0093-3109-01',
+    'PRESCRIBER: A. JONES MD',
+    'TOTAL $10.00'
+  ].join('\n');
+
+  assert.deepStrictEqual(parsePrescriptions(text), [{
+    rx_number: '1234567',
+    drug_name: 'Amoxicillin',
+    strength: '500mg',
+    ndc: '00093-3109-01',
+    quantity: 30,
+    days_supply: 10,
+    prescriber: 'A. Jones',
+    patient_initials: 'JS'
+  }]);
+});
+
+test('patient payment lines are not read as the patient', () => {
+  for (const line of ['PATIENT PAY 10.00', 'Pt pays $4.00', 'Patient responsibility: 12.50', 'Patient: pays 3.00']) {
+    const [prescription] = parsePrescriptions(`RX# 7654321\nLISINOPRIL 10MG TAB\n${line}`);
+    assert.strictEqual(prescription.patient_initials, null, line);
+  }
+});
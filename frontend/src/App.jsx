@@ -6,6 +6,15 @@ import Login from './components/Auth/Login';
 import Register from './components/Auth/Register';
 import Dashboard from './pages/Dashboard';
 import AllReceipts from './pages/AllReceipts';
+import Trash from './pages/Trash';
+import Accounts from './pages/Accounts';
+import Contributions from './pages/Contributions';
+import Categories from './pages/Categories';
+import Household from './pages/Household';
+import Providers from './pages/Providers';
+import Settings from './pages/Settings';
+import ClaimPackets from './pages/ClaimPackets';
+import TaxReport from './pages/TaxReport';
 import ReceiptUpload from './components/Upload/ReceiptUpload';
 import ReceiptForm from './components/Upload/ReceiptForm';
 import Navbar from './components/Layout/Navbar';
@@ -132,6 +141,96 @@ function App() {
                 )
               }
             />
+            <Route
+              path="/trash"
+              element={
+                user ? (
+                  <Trash user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/accounts"
+              element={
+                user ? (
+                  <Accounts user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/categories"
+              element={
+                user ? (
+                  <Categories user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/household"
+              element={
+                user ? (
+                  <Household user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/providers"
+              element={
+                user ? (
+                  <Providers user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/settings"
+              element={
+                user ? (
+                  <Settings user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/claims"
+              element={
+                user ? (
+                  <ClaimPackets user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/tax-report"
+              element={
+                user ? (
+                  <TaxReport user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
+            <Route
+              path="/contributions"
+              element={
+                user ? (
+                  <Contributions user={user} onError={handleError} />
+                ) : (
+                  <Navigate to="/" />
+                )
+              }
+            />
             <Route
               path="/upload"
               element={
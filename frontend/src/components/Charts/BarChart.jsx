@@ -0,0 +1,84 @@
+import React, { useId } from 'react';
+import { niceMax, formatCurrency, formatAxisCurrency, onActivateKey } from '../../utils/charts';
+
+const WIDTH = 640;
+const HEIGHT = 240;
+const MARGIN = { top: 12, right: 12, bottom: 32, left: 56 };
+const TICKS = 4;
+const MAX_X_LABELS = 12;
+
+// Vertical bar chart. data: [{ key, label, value, description }]; onSelect(item) makes bars clickable.
+function BarChart({ title, description, data, onSelect, color = 'var(--primary-color)' }) {
+  const id = useId();
+  const innerWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const max = niceMax(Math.max(...data.map(item => item.value), 0));
+  const slot = data.length > 0 ? innerWidth / data.length : innerWidth;
+  const labelStep = Math.ceil(data.length / MAX_X_LABELS);
+
+  const y = (value) => MARGIN.top + innerHeight - (value / max) * innerHeight;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      width="100%"
+      role="group"
+      aria-labelledby={`${id}-title`}
+      aria-describedby={`${id}-desc`}
+      style={{ display: 'block', overflow: 'visible' }}
+    >
+      <title id={`${id}-title`}>{title}</title>
+      <desc id={`${id}-desc`}>{description}</desc>
+
+      {Array.from({ length: TICKS + 1 }, (_, index) => {
+        const value = (max / TICKS) * index;
+        return (
+          <g key={index} aria-hidden="true">
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(value)} y2={y(value)} stroke="var(--border-color)" />
+            <text x={MARGIN.left - 8} y={y(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="var(--text-secondary)">
+              {formatAxisCurrency(value)}
+            </text>
+          </g>
+        );
+      })}
+
+      {data.map((item, index) => {
+        const barWidth = Math.max(slot * 0.7, 1);
+        const x = MARGIN.left + slot * index + (slot - barWidth) / 2;
+        const label = `${item.description || item.label}: ${formatCurrency(item.value)}`;
+        const interactive = onSelect && item.value > 0;
+
+        return (
+          <g
+            key={item.key}
+            role={interactive ? 'link' : 'img'}
+            tabIndex={interactive ? 0 : undefined}
+            aria-label={label}
+            onClick={interactive ? () => onSelect(item) : undefined}
+            onKeyDown={interactive ? onActivateKey(() => onSelect(item)) : undefined}
+            style={{ cursor: interactive ? 'pointer' : 'default', outlineOffset: '2px' }}
+          >
+            <title>{label}</title>
+            {/* Full-height hit area so short bars are easy to click */}
+            <rect x={MARGIN.left + slot * index} y={MARGIN.top} width={slot} height={innerHeight} fill="transparent" />
+            <rect x={x} y={y(item.value)} width={barWidth} height={Math.max(MARGIN.top + innerHeight - y(item.value), 0)} fill={color} rx="2" />
+            {index % labelStep === 0 && (
+              <text
+                x={MARGIN.left + slot * index + slot / 2}
+                y={HEIGHT - MARGIN.bottom + 16}
+                textAnchor="middle"
+                fontSize="11"
+                fill="var(--text-secondary)"
+                aria-hidden="true"
+              >
+                {item.label}
+              </text>
+            )}
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default BarChart;
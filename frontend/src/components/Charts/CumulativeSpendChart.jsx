@@ -0,0 +1,102 @@
+import React, { useId } from 'react';
+import { niceMax, formatCurrency, formatAxisCurrency, onActivateKey } from '../../utils/charts';
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const MARGIN = { top: 16, right: 16, bottom: 28, left: 56 };
+const TICKS = 4;
+
+const toTime = (dateString) => new Date(`${dateString}T00:00:00`).getTime();
+
+const formatShortDate = (dateString) => {
+  return new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+// Running total across a date range drawn against a target line, e.g. FSA spend against the election.
+// points: [{ date, total }] with cumulative totals in date order.
+function CumulativeSpendChart({ title, description, points, startDate, endDate, target, targetLabel, today, onSelect }) {
+  const id = useId();
+  const innerWidth = WIDTH - MARGIN.left - MARGIN.right;
+  const innerHeight = HEIGHT - MARGIN.top - MARGIN.bottom;
+  const spent = points.length > 0 ? points[points.length - 1].total : 0;
+  const max = niceMax(Math.max(spent, target || 0));
+  const start = toTime(startDate);
+  const span = Math.max(toTime(endDate) - start, 1);
+
+  const x = (dateString) => MARGIN.left + Math.min(Math.max((toTime(dateString) - start) / span, 0), 1) * innerWidth;
+  const y = (value) => MARGIN.top + innerHeight - (value / max) * innerHeight;
+
+  // Step line: flat until each receipt's date, then up by its amount; ends today or at the range end
+  const lastDate = today && today < endDate ? today : endDate;
+  let path = `M ${x(startDate)} ${y(0)}`;
+  let previous = 0;
+  for (const point of points) {
+    path += ` L ${x(point.date)} ${y(previous)} L ${x(point.date)} ${y(point.total)}`;
+    previous = point.total;
+  }
+  path += ` L ${x(lastDate)} ${y(previous)}`;
+
+  const summary = `${formatCurrency(spent)} spent of ${formatCurrency(target)} ${targetLabel || 'target'}`;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      width="100%"
+      role={onSelect ? 'link' : 'img'}
+      tabIndex={onSelect ? 0 : undefined}
+      aria-labelledby={`${id}-title`}
+      aria-describedby={`${id}-desc`}
+      onClick={onSelect}
+      onKeyDown={onSelect ? onActivateKey(onSelect) : undefined}
+      style={{ display: 'block', cursor: onSelect ? 'pointer' : 'default' }}
+    >
+      <title id={`${id}-title`}>{title}</title>
+      <desc id={`${id}-desc`}>{`${description} ${summary}.`}</desc>
+
+      {Array.from({ length: TICKS + 1 }, (_, index) => {
+        const value = (max / TICKS) * index;
+        return (
+          <g key={index} aria-hidden="true">
+            <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(value)} y2={y(value)} stroke="var(--border-color)" />
+            <text x={MARGIN.left - 8} y={y(value)} textAnchor="end" dominantBaseline="middle" fontSize="11" fill="var(--text-secondary)">
+              {formatAxisCurrency(value)}
+            </text>
+          </g>
+        );
+      })}
+
+      <g aria-hidden="true" fontSize="11" fill="var(--text-secondary)">
+        <text x={MARGIN.left} y={HEIGHT - 8}>{formatShortDate(startDate)}</text>
+        <text x={WIDTH - MARGIN.right} y={HEIGHT - 8} textAnchor="end">{formatShortDate(endDate)}</text>
+      </g>
+
+      {target > 0 && (
+        <g aria-hidden="true">
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={y(target)}
+            y2={y(target)}
+            stroke="var(--warning-color)"
+            strokeWidth="2"
+            strokeDasharray="6 4"
+          />
+          <text x={WIDTH - MARGIN.right} y={y(target) - 6} textAnchor="end" fontSize="11" fill="var(--warning-color)">
+            {targetLabel} {formatCurrency(target)}
+          </text>
+        </g>
+      )}
+
+      {today && today >= startDate && today <= endDate && (
+        <g aria-hidden="true">
+          <line x1={x(today)} x2={x(today)} y1={MARGIN.top} y2={MARGIN.top + innerHeight} stroke="var(--text-muted)" strokeDasharray="2 3" />
+          <text x={x(today)} y={MARGIN.top - 4} textAnchor="middle" fontSize="10" fill="var(--text-muted)">Today</text>
+        </g>
+      )}
+
+      <path d={path} fill="none" stroke="var(--primary-color)" strokeWidth="2.5" aria-hidden="true" />
+    </svg>
+  );
+}
+
+export default CumulativeSpendChart;
@@ -0,0 +1,104 @@
+import React, { useId } from 'react';
+import { formatCurrency } from '../../utils/charts';
+
+const SIZE = 200;
+const RADIUS = 70;
+const STROKE = 32;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+// Donut chart with a clickable legend. data: [{ key, label, value, color }]
+// Slices respond to the mouse; keyboard and screen reader users drill down through the legend buttons.
+function DonutChart({ title, description, data, onSelect }) {
+  const id = useId();
+  const total = data.reduce((sum, item) => sum + item.value, 0);
+
+  // Each slice is a dashed circle stroke rotated to where the previous slice ended
+  let offset = 0;
+  const slices = data.filter(item => item.value > 0).map(item => {
+    const length = (item.value / total) * CIRCUMFERENCE;
+    const slice = { ...item, length, offset, percent: Math.round((item.value / total) * 100) };
+    offset += length;
+    return slice;
+  });
+
+  const describe = (item) => `${item.label}: ${formatCurrency(item.value)} (${item.percent}%)`;
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 'var(--spacing-lg)' }}>
+      <svg
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        width={SIZE}
+        height={SIZE}
+        role="group"
+        aria-labelledby={`${id}-title`}
+        aria-describedby={`${id}-desc`}
+        style={{ flexShrink: 0 }}
+      >
+        <title id={`${id}-title`}>{title}</title>
+        <desc id={`${id}-desc`}>{description}</desc>
+
+        <circle cx={SIZE / 2} cy={SIZE / 2} r={RADIUS} fill="none" stroke="var(--border-color)" strokeWidth={STROKE} aria-hidden="true" />
+
+        {slices.map(slice => (
+          <circle
+            key={slice.key}
+            cx={SIZE / 2}
+            cy={SIZE / 2}
+            r={RADIUS}
+            fill="none"
+            stroke={slice.color}
+            strokeWidth={STROKE}
+            strokeDasharray={`${slice.length} ${CIRCUMFERENCE - slice.length}`}
+            strokeDashoffset={-slice.offset}
+            transform={`rotate(-90 ${SIZE / 2} ${SIZE / 2})`}
+            role="img"
+            aria-label={describe(slice)}
+            onClick={onSelect ? () => onSelect(slice) : undefined}
+            style={{ cursor: onSelect ? 'pointer' : 'default' }}
+          >
+            <title>{describe(slice)}</title>
+          </circle>
+        ))}
+
+        <text x={SIZE / 2} y={SIZE / 2 - 6} textAnchor="middle" fontSize="18" fontWeight="bold" fill="var(--text-primary)" aria-hidden="true">
+          {formatCurrency(total)}
+        </text>
+        <text x={SIZE / 2} y={SIZE / 2 + 14} textAnchor="middle" fontSize="11" fill="var(--text-secondary)" aria-hidden="true">
+          total
+        </text>
+      </svg>
+
+      <ul style={{ listStyle: 'none', padding: 0, margin: 0, flex: 1, minWidth: '160px' }}>
+        {slices.map(slice => (
+          <li key={slice.key} style={{ marginBottom: 'var(--spacing-xs)' }}>
+            <button
+              type="button"
+              onClick={onSelect ? () => onSelect(slice) : undefined}
+              disabled={!onSelect}
+              aria-label={describe(slice)}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 'var(--spacing-sm)',
+                width: '100%',
+                background: 'none',
+                border: 'none',
+                padding: 0,
+                cursor: onSelect ? 'pointer' : 'default',
+                color: 'var(--text-primary)',
+                fontSize: 'var(--font-size-sm)',
+                textAlign: 'left'
+              }}
+            >
+              <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: slice.color, flexShrink: 0 }} />
+              <span style={{ flex: 1 }}>{slice.label}</span>
+              <span style={{ color: 'var(--text-secondary)' }}>{slice.percent}%</span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default DonutChart;
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+import CumulativeSpendChart from './CumulativeSpendChart';
+
+// Cumulative plan-year spend for each FSA against its election
+function FsaSpendCharts({ onError }) {
+  const navigate = useNavigate();
+  const [plans, setPlans] = useState([]);
+
+  useEffect(() => {
+    fetchPlans();
+  }, []);
+
+  const fetchPlans = async () => {
+    try {
+      const response = await api.accounts.getDeadlines();
+      const deadlines = (response.data.deadlines || []).filter(deadline => deadline.election_amount > 0);
+
+      const withSpend = await Promise.all(deadlines.map(async (deadline) => {
+        const series = await api.receipts.getTimeseries({
+          interval: 'day',
+          account: deadline.account_id,
+          start_date: deadline.plan_year_start,
+          end_date: deadline.spend_by_date
+        });
+
+        let total = 0;
+        const points = series.data.buckets
+          .filter(bucket => bucket.total > 0)
+          .map(bucket => {
+            total += bucket.total;
+            return { date: bucket.period_start, total: Math.round(total * 100) / 100 };
+          });
+
+        return { ...deadline, points };
+      }));
+
+      setPlans(withSpend);
+    } catch (error) {
+      console.error('Failed to fetch FSA spending:', error);
+      onError('Failed to load FSA spending charts.');
+    }
+  };
+
+  if (plans.length === 0) return null;
+
+  const today = new Date().toISOString().split('T')[0];
+
+  return (
+    <div className="chart-section">
+      <h3>FSA Spending vs. Election</h3>
+      {plans.map(plan => (
+        <div key={plan.account_id} style={{ marginBottom: 'var(--spacing-md)' }}>
+          <div style={{ fontWeight: 'bold', marginBottom: 'var(--spacing-xs)' }}>{plan.account_name}</div>
+          <CumulativeSpendChart
+            title={`${plan.account_name} spending for the plan year`}
+            description={`Cumulative receipts from ${plan.plan_year_start} to ${plan.spend_by_date} compared with the election.`}
+            points={plan.points}
+            startDate={plan.plan_year_start}
+            endDate={plan.spend_by_date}
+            target={plan.election_amount}
+            targetLabel="Election"
+            today={today}
+            onSelect={() => navigate(`/receipts?account=${plan.account_id}&start_date=${plan.plan_year_start}&end_date=${plan.spend_by_date}`)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default FsaSpendCharts;
@@ -0,0 +1,66 @@
+import React, { useId } from 'react';
+import { formatCurrency, onActivateKey } from '../../utils/charts';
+
+const WIDTH = 480;
+const ROW_HEIGHT = 28;
+const LABEL_WIDTH = 150;
+const VALUE_WIDTH = 80;
+
+// Horizontal bars, largest first, e.g. top providers. data: [{ key, label, value, detail }]
+function RankedBarChart({ title, description, data, onSelect, color = 'var(--secondary-color)' }) {
+  const id = useId();
+  const max = Math.max(...data.map(item => item.value), 0) || 1;
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH;
+  const height = Math.max(data.length, 1) * ROW_HEIGHT;
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${height}`}
+      width="100%"
+      role="group"
+      aria-labelledby={`${id}-title`}
+      aria-describedby={`${id}-desc`}
+      style={{ display: 'block' }}
+    >
+      <title id={`${id}-title`}>{title}</title>
+      <desc id={`${id}-desc`}>{description}</desc>
+
+      {data.map((item, index) => {
+        const y = index * ROW_HEIGHT;
+        const label = `${item.label}: ${formatCurrency(item.value)}${item.detail ? `, ${item.detail}` : ''}`;
+        const name = item.label.length > 22 ? `${item.label.slice(0, 21)}…` : item.label;
+
+        return (
+          <g
+            key={item.key}
+            role={onSelect ? 'link' : 'img'}
+            tabIndex={onSelect ? 0 : undefined}
+            aria-label={label}
+            onClick={onSelect ? () => onSelect(item) : undefined}
+            onKeyDown={onSelect ? onActivateKey(() => onSelect(item)) : undefined}
+            style={{ cursor: onSelect ? 'pointer' : 'default' }}
+          >
+            <title>{label}</title>
+            <rect x="0" y={y} width={WIDTH} height={ROW_HEIGHT} fill="transparent" />
+            <text x="0" y={y + ROW_HEIGHT / 2} dominantBaseline="middle" fontSize="12" fill="var(--text-primary)" aria-hidden="true">
+              {name}
+            </text>
+            <rect
+              x={LABEL_WIDTH}
+              y={y + 6}
+              width={Math.max((item.value / max) * barSpace, 2)}
+              height={ROW_HEIGHT - 12}
+              fill={color}
+              rx="2"
+            />
+            <text x={WIDTH} y={y + ROW_HEIGHT / 2} textAnchor="end" dominantBaseline="middle" fontSize="12" fill="var(--text-secondary)" aria-hidden="true">
+              {formatCurrency(item.value)}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+export default RankedBarChart;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+import BarChart from './BarChart';
+import DonutChart from './DonutChart';
+import RankedBarChart from './RankedBarChart';
+import { CHART_PALETTE, formatCurrency, formatPeriodLabel } from '../../utils/charts';
+import { getRangeInterval } from '../../utils/dateRanges';
+
+const INTERVAL_TITLES = {
+  day: 'Spending by Day',
+  week: 'Spending by Week',
+  month: 'Spending by Month',
+  quarter: 'Spending by Quarter',
+  year: 'Spending by Year'
+};
+
+const cardStyle = {
+  background: 'white',
+  padding: 'var(--spacing-lg)',
+  borderRadius: 'var(--border-radius-lg)',
+  boxShadow: 'var(--shadow-sm)',
+  border: '1px solid var(--border-color)'
+};
+
+// Spending trend, category mix and top providers for the dashboard's date range.
+// Clicking a bar, slice or provider opens All Receipts filtered to match; receipts not yet linked
+// to the provider directory are matched by store name instead.
+function SpendingCharts({ range, stats, onError }) {
+  const navigate = useNavigate();
+  const [series, setSeries] = useState(null);
+  const [categoryColors, setCategoryColors] = useState({});
+  const interval = getRangeInterval(range);
+
+  useEffect(() => {
+    fetchCategoryColors();
+  }, []);
+
+  useEffect(() => {
+    fetchSeries();
+  }, [range.start_date, range.end_date]);
+
+  const fetchSeries = async () => {
+    try {
+      const response = await api.receipts.getTimeseries({
+        interval,
+        start_date: range.start_date || undefined,
+        end_date: range.end_date || undefined
+      });
+      setSeries(response.data);
+    } catch (error) {
+      console.error('Failed to fetch spending trend:', error);
+      onError(error.response?.data?.details || 'Failed to load the spending chart.');
+    }
+  };
+
+  // Subcategories without a color of their own use their parent's
+  const fetchCategoryColors = async () => {
+    try {
+      const response = await api.categories.getAll();
+      const colors = {};
+      for (const category of response.data.categories || []) {
+        if (category.color) colors[category.name.toLowerCase()] = category.color;
+        for (const child of category.children) {
+          const color = child.color || category.color;
+          if (color) colors[child.name.toLowerCase()] = color;
+        }
+      }
+      setCategoryColors(colors);
+    } catch (error) {
+      console.error('Failed to fetch category colors:', error);
+    }
+  };
+
+  const openReceipts = (params) => {
+    const query = new URLSearchParams();
+    for (const [key, value] of Object.entries(params)) {
+      if (value) query.set(key, value);
+    }
+    navigate(`/receipts?${query.toString()}`);
+  };
+
+  // Buckets at the ends of the range can start before or end after it
+  const openPeriod = (bucket) => {
+    openReceipts({
+      start_date: range.start_date && range.start_date > bucket.period_start ? range.start_date : bucket.period_start,
+      end_date: range.end_date && range.end_date < bucket.period_end ? range.end_date : bucket.period_end
+    });
+  };
+
+  const trendData = (series?.buckets || []).map(bucket => ({
+    ...bucket,
+    key: bucket.period_start,
+    label: formatPeriodLabel(bucket.period_start, series.interval),
+    value: bucket.total,
+    description: `${formatPeriodLabel(bucket.period_start, series.interval)}, ${bucket.count} receipt${bucket.count !== 1 ? 's' : ''}`
+  }));
+
+  const categoryData = (stats?.categories || []).map((category, index) => ({
+    key: category.category,
+    label: category.category,
+    value: category.total,
+    color: categoryColors[category.category?.toLowerCase()] || CHART_PALETTE[index % CHART_PALETTE.length]
+  }));
+
+  const providerData = (stats?.providers || []).map(provider => ({
+    ...provider,
+    key: provider.provider_id || provider.store_name,
+    label: provider.store_name,
+    value: provider.total,
+    detail: `${provider.count} receipt${provider.count !== 1 ? 's' : ''}`
+  }));
+
+  const comparison = series?.comparison;
+
+  return (
+    <div className="chart-section" style={{ margin: 'var(--spacing-lg) 0' }}>
+      {series && (
+        <div style={{ ...cardStyle, marginBottom: 'var(--spacing-lg)' }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', flexWrap: 'wrap', gap: 'var(--spacing-sm)' }}>
+            <h3 style={{ margin: 0 }}>{INTERVAL_TITLES[series.interval]}</h3>
+            <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+              Average {formatCurrency(series.summary.average_per_period)} per {series.interval}
+              {comparison?.change_percent !== null && comparison?.change_percent !== undefined && (
+                <span style={{ marginLeft: 'var(--spacing-sm)', color: comparison.change_amount > 0 ? 'var(--danger-color)' : 'var(--success-color)' }}>
+                  {comparison.change_amount > 0 ? '▲' : '▼'} {Math.abs(comparison.change_percent)}% vs. previous period
+                </span>
+              )}
+            </span>
+          </div>
+          <BarChart
+            title={INTERVAL_TITLES[series.interval]}
+            description={`Receipt totals from ${series.start_date} to ${series.end_date}. Select a bar to see its receipts.`}
+            data={trendData}
+            onSelect={openPeriod}
+          />
+        </div>
+      )}
+
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))',
+        gap: 'var(--spacing-lg)'
+      }}>
+        {categoryData.length > 0 && (
+          <div style={cardStyle}>
+            <h3 style={{ marginTop: 0 }}>Category Mix</h3>
+            <DonutChart
+              title="Spending by category"
+              description="Share of spending in each category. Select a category to see its receipts."
+              data={categoryData}
+              onSelect={(item) => openReceipts({ category: item.key, ...range })}
+            />
+          </div>
+        )}
+
+        {providerData.length > 0 && (
+          <div style={cardStyle}>
+            <h3 style={{ marginTop: 0 }}>Top Providers</h3>
+            <RankedBarChart
+              title="Top providers by spending"
+              description="Providers with the highest receipt totals. Select a provider to see its receipts."
+              data={providerData}
+              onSelect={(item) => openReceipts(item.provider_id
+                ? { provider: item.provider_id, ...range }
+                : { search: item.store_name, ...range })}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SpendingCharts;
@@ -40,6 +40,41 @@ function Navbar({ user, onLogout }) {
             All Receipts
           </Link>
 
+          <Link
+            to="/accounts"
+            className={`nav-link ${isActive('/accounts') ? 'active' : ''}`}
+          >
+            Accounts
+          </Link>
+
+          <Link
+            to="/categories"
+            className={`nav-link ${isActive('/categories') ? 'active' : ''}`}
+          >
+            Categories
+          </Link>
+
+          <Link
+            to="/household"
+            className={`nav-link ${isActive('/household') ? 'active' : ''}`}
+          >
+            Household
+          </Link>
+
+          <Link
+            to="/providers"
+            className={`nav-link ${isActive('/providers') ? 'active' : ''}`}
+          >
+            Providers
+          </Link>
+
+          <Link
+            to="/tax-report"
+            className={`nav-link ${isActive('/tax-report') ? 'active' : ''}`}
+          >
+            Tax Report
+          </Link>
+
           <Link
             to="/upload"
             className={`nav-link ${isActive('/upload') ? 'active' : ''}`}
@@ -93,6 +128,21 @@ function Navbar({ user, onLogout }) {
                   </div>
                 </div>
 
+                <Link
+                  to="/settings"
+                  onClick={() => setShowUserMenu(false)}
+                  style={{
+                    display: 'block',
+                    padding: 'var(--spacing-md)',
+                    color: 'var(--text-primary)',
+                    fontSize: 'var(--font-size-sm)',
+                    textDecoration: 'none',
+                    borderBottom: '1px solid var(--border-color)'
+                  }}
+                >
+                  Settings
+                </Link>
+
                 <button
                   onClick={handleLogout}
                   style={{
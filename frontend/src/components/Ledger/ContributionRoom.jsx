@@ -0,0 +1,81 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../services/api';
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount || 0);
+};
+
+function ContributionRoom({ onError }) {
+  const [summary, setSummary] = useState(null);
+  const [hasHsa, setHasHsa] = useState(false);
+
+  useEffect(() => {
+    fetchSummary();
+  }, []);
+
+  const fetchSummary = async () => {
+    try {
+      const [summaryResponse, accountsResponse] = await Promise.all([
+        api.contributions.getSummary(),
+        api.accounts.getAll()
+      ]);
+      setSummary(summaryResponse.data.summary);
+      setHasHsa((accountsResponse.data.accounts || []).some(account => account.account_type === 'HSA'));
+    } catch (error) {
+      console.error('Failed to fetch contribution summary:', error);
+      onError('Failed to load HSA contribution room.');
+    }
+  };
+
+  if (!summary || !hasHsa) return null;
+
+  const percent = summary.limit ? Math.min((summary.total_contributed / summary.limit) * 100, 100) : 0;
+  const over = summary.over_contribution > 0;
+
+  return (
+    <div className="contribution-room" style={{
+      background: 'white',
+      padding: 'var(--spacing-lg)',
+      borderRadius: 'var(--border-radius-lg)',
+      boxShadow: 'var(--shadow-sm)',
+      border: '1px solid var(--border-color)',
+      margin: 'var(--spacing-lg) 0'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+        <h3 style={{ margin: 0 }}>{summary.tax_year} HSA Contributions</h3>
+        <Link to="/contributions" className="btn btn-text">Manage →</Link>
+      </div>
+
+      <div style={{ fontSize: 'var(--font-size-sm)', margin: 'var(--spacing-sm) 0' }}>
+        {formatCurrency(summary.total_contributed)} of {summary.limit != null ? formatCurrency(summary.limit) : 'an unknown limit'}
+        {summary.remaining_room != null && !over && (
+          <strong> • {formatCurrency(summary.remaining_room)} room left</strong>
+        )}
+      </div>
+
+      <div className="progress-bar" style={{ height: '8px' }}>
+        <div
+          className="progress-fill"
+          style={{ width: `${percent}%`, background: over ? 'var(--danger-color)' : undefined }}
+        />
+      </div>
+
+      {summary.warning && (
+        <div style={{
+          marginTop: 'var(--spacing-sm)',
+          fontSize: 'var(--font-size-sm)',
+          fontWeight: 600,
+          color: over ? 'var(--danger-color)' : 'var(--warning-color)'
+        }}>
+          ⚠️ {summary.warning}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ContributionRoom;
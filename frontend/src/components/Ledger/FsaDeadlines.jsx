@@ -0,0 +1,126 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../services/api';
+
+const LEVEL_COLORS = {
+  critical: 'var(--danger-color)',
+  warning: 'var(--warning-color)'
+};
+
+const PHASE_LABELS = {
+  not_started: 'Plan year not started',
+  plan_year: 'Plan year in progress',
+  grace_period: 'Grace period',
+  run_out: 'Claims run-out',
+  closed: 'Closed'
+};
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount || 0);
+};
+
+const formatCountdown = (days) => {
+  if (days < 0) return 'passed';
+  if (days === 0) return 'today';
+  return `${days} day${days !== 1 ? 's' : ''} left`;
+};
+
+function FsaDeadlines({ onError }) {
+  const [deadlines, setDeadlines] = useState([]);
+
+  useEffect(() => {
+    fetchDeadlines();
+  }, []);
+
+  const fetchDeadlines = async () => {
+    try {
+      const response = await api.accounts.getDeadlines();
+      setDeadlines(response.data.deadlines || []);
+    } catch (error) {
+      console.error('Failed to fetch FSA deadlines:', error);
+      onError('Failed to load FSA deadlines.');
+    }
+  };
+
+  if (deadlines.length === 0) return null;
+
+  return (
+    <div className="fsa-deadlines" style={{ margin: 'var(--spacing-lg) 0' }}>
+      <h3>FSA Deadlines</h3>
+      <div style={{
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(280px, 1fr))',
+        gap: 'var(--spacing-lg)'
+      }}>
+        {deadlines.map(deadline => {
+          const topLevel = deadline.warnings.some(w => w.level === 'critical') ? 'critical'
+            : deadline.warnings.length > 0 ? 'warning' : null;
+
+          return (
+            <div key={deadline.account_id} style={{
+              background: 'white',
+              padding: 'var(--spacing-lg)',
+              borderRadius: 'var(--border-radius-lg)',
+              boxShadow: 'var(--shadow-sm)',
+              border: '1px solid var(--border-color)',
+              borderLeft: `4px solid ${LEVEL_COLORS[topLevel] || 'var(--primary-color)'}`
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+                <strong>{deadline.account_name}</strong>
+                <span style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+                  {PHASE_LABELS[deadline.phase]}
+                </span>
+              </div>
+
+              <div style={{ fontSize: 'var(--font-size-xl)', fontWeight: 'bold', color: 'var(--primary-color)', margin: 'var(--spacing-sm) 0' }}>
+                {formatCurrency(deadline.remaining_balance)}
+                <span style={{ fontSize: 'var(--font-size-sm)', fontWeight: 'normal', color: 'var(--text-secondary)' }}>
+                  {' '}of {formatCurrency(deadline.election_amount)} left
+                </span>
+              </div>
+
+              <ul style={{ listStyle: 'none', padding: 0, margin: 0, fontSize: 'var(--font-size-sm)' }}>
+                <li>Spend by {deadline.spend_by_date} ({formatCountdown(deadline.days_until_spend_by)})</li>
+                <li>Submit claims by {deadline.run_out_deadline} ({formatCountdown(deadline.days_until_run_out)})</li>
+                {deadline.carryover_amount > 0 && (
+                  <li>{formatCurrency(deadline.carryover_amount)} carries over to next year</li>
+                )}
+                {deadline.forfeit_risk_amount > 0 && (
+                  <li style={{ color: 'var(--danger-color)' }}>
+                    {formatCurrency(deadline.forfeit_risk_amount)} {deadline.phase === 'closed' ? 'forfeited' : 'at risk of forfeiture'}
+                  </li>
+                )}
+              </ul>
+
+              {deadline.warnings.map(warning => (
+                <div key={warning.type} style={{
+                  marginTop: 'var(--spacing-sm)',
+                  fontSize: 'var(--font-size-sm)',
+                  fontWeight: 600,
+                  color: LEVEL_COLORS[warning.level]
+                }}>
+                  ⚠️ {warning.message}
+                </div>
+              ))}
+
+              {deadline.unsubmitted_claims.count > 0 && (
+                <Link
+                  to={`/receipts?account=${deadline.account_id}&status=unsubmitted`}
+                  className="btn btn-text"
+                  style={{ paddingLeft: 0 }}
+                >
+                  Review unsubmitted receipts →
+                </Link>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+export default FsaDeadlines;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../services/api';
+
+const RECENT_ROWS = 8;
+
+const formatCurrency = (amount) => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount || 0);
+};
+
+function AccountLedger({ ledger, onError, onSaved }) {
+  const [showAll, setShowAll] = useState(false);
+  const [establishedDate, setEstablishedDate] = useState(ledger.account.hsa_established_date || '');
+  const [saving, setSaving] = useState(false);
+
+  const { account, summary, entries } = ledger;
+  // Newest first so the current balance is at the top
+  const rows = [...entries].reverse();
+  const visibleRows = showAll ? rows : rows.slice(0, RECENT_ROWS);
+
+  const saveEstablishedDate = async () => {
+    setSaving(true);
+    try {
+      await api.accounts.update(account.id, { hsa_established_date: establishedDate || null });
+      onSaved();
+    } catch (error) {
+      console.error('Failed to save HSA establishment date:', error);
+      onError(error.response?.data?.details || 'Failed to save the HSA establishment date.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: 'var(--spacing-lg)' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: 'var(--spacing-md)' }}>
+        <h4 style={{ margin: 0 }}>{account.name}</h4>
+        <div>
+          <strong style={{ color: 'var(--primary-color)' }}>{formatCurrency(summary.available_balance)}</strong>
+          <span style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}> available to withdraw</span>
+        </div>
+      </div>
+
+      <div style={{
+        display: 'flex',
+        gap: 'var(--spacing-lg)',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        fontSize: 'var(--font-size-sm)',
+        margin: 'var(--spacing-sm) 0'
+      }}>
+        <span>{formatCurrency(summary.total_qualified)} qualified</span>
+        <span>{formatCurrency(summary.total_reimbursed)} reimbursed</span>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-xs)', marginLeft: 'auto' }}>
+          HSA established
+          <input
+            type="date"
+            value={establishedDate}
+            onChange={(e) => setEstablishedDate(e.target.value)}
+            className="form-input"
+            style={{ width: 'auto' }}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={saveEstablishedDate}
+          disabled={saving || establishedDate === (account.hsa_established_date || '')}
+          className="btn btn-sm btn-outline"
+        >
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {!account.hsa_established_date && (
+        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--warning-color)' }}>
+          Set the establishment date: expenses from before it can't be reimbursed tax-free.
+        </p>
+      )}
+
+      {summary.excluded_before_establishment.count > 0 && (
+        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+          {summary.excluded_before_establishment.count} receipt{summary.excluded_before_establishment.count !== 1 ? 's' : ''}
+          {' '}({formatCurrency(summary.excluded_before_establishment.amount)}) predate this HSA and are left out.
+        </p>
+      )}
+
+      {summary.excess_reimbursed.count > 0 && (
+        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--warning-color)' }}>
+          {summary.excess_reimbursed.count} reimbursement{summary.excess_reimbursed.count !== 1 ? 's' : ''}
+          {' '}paid {formatCurrency(summary.excess_reimbursed.amount)} more than the qualified amount.
+          {' '}Only the qualified part is drawn from the balance; check the excess with your HSA administrator.
+        </p>
+      )}
+
+      {rows.length === 0 ? (
+        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+          No receipts assigned to this account yet.
+        </p>
+      ) : (
+        <>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 'var(--font-size-sm)' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                <th style={{ padding: 'var(--spacing-xs) 0' }}>Date</th>
+                <th>Entry</th>
+                <th style={{ textAlign: 'right' }}>Amount</th>
+                <th style={{ textAlign: 'right' }}>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleRows.map(entry => (
+                <tr key={`${entry.type}-${entry.receipt_id}`} style={{ borderTop: '1px solid var(--border-color)' }}>
+                  <td style={{ padding: 'var(--spacing-xs) 0' }}>{entry.date}</td>
+                  <td>
+                    <Link to={`/receipt/${entry.receipt_id}/edit`} style={{ color: 'var(--text-primary)' }}>
+                      {entry.type === 'reimbursement' ? `Reimbursed: ${entry.store_name}` : entry.store_name}
+                    </Link>
+                  </td>
+                  <td style={{
+                    textAlign: 'right',
+                    color: entry.amount < 0 ? 'var(--success-color)' : 'inherit'
+                  }}>
+                    {formatCurrency(entry.amount)}
+                  </td>
+                  <td style={{ textAlign: 'right', fontWeight: 600 }}>{formatCurrency(entry.balance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {rows.length > RECENT_ROWS && (
+            <button
+              type="button"
+              onClick={() => setShowAll(!showAll)}
+              className="btn btn-text"
+              style={{ marginTop: 'var(--spacing-sm)' }}
+            >
+              {showAll ? 'Show recent only' : `Show all ${rows.length} entries`}
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function ShoeboxLedger({ onError }) {
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchLedger();
+  }, []);
+
+  const fetchLedger = async () => {
+    try {
+      setLoading(true);
+      const response = await api.ledger.get();
+      setLedger(response.data);
+    } catch (error) {
+      console.error('Failed to fetch ledger:', error);
+      onError('Failed to load your HSA ledger.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (loading && !ledger) {
+    return <div className="loading-spinner" style={{ width: '24px', height: '24px' }}></div>;
+  }
+
+  if (!ledger) return null;
+
+  return (
+    <div className="shoebox-ledger" style={{
+      background: 'white',
+      padding: 'var(--spacing-lg)',
+      borderRadius: 'var(--border-radius-lg)',
+      boxShadow: 'var(--shadow-sm)',
+      border: '1px solid var(--border-color)',
+      margin: 'var(--spacing-lg) 0'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: 'var(--spacing-lg)', flexWrap: 'wrap' }}>
+        <div>
+          <h3 style={{ margin: 0 }}>HSA Shoebox</h3>
+          <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', margin: 'var(--spacing-xs) 0 0' }}>
+            Qualified expenses you paid out of pocket and can still reimburse yourself for, tax-free.
+          </p>
+        </div>
+        {ledger.accounts.length > 1 && (
+          <div style={{ textAlign: 'right' }}>
+            <div style={{ fontSize: 'var(--font-size-xl)', fontWeight: 'bold', color: 'var(--primary-color)' }}>
+              {formatCurrency(ledger.available_balance)}
+            </div>
+            <div style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+              across all HSAs
+            </div>
+          </div>
+        )}
+      </div>
+
+      {ledger.accounts.length === 0 ? (
+        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', marginBottom: 0 }}>
+          <Link to="/accounts">Add your HSA</Link> and assign receipts to it to see how much you can withdraw.
+        </p>
+      ) : (
+        ledger.accounts.map(accountLedger => (
+          <AccountLedger
+            key={accountLedger.account.id}
+            ledger={accountLedger}
+            onError={onError}
+            onSaved={fetchLedger}
+          />
+        ))
+      )}
+    </div>
+  );
+}
+
+export default ShoeboxLedger;
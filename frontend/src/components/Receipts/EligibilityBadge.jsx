@@ -0,0 +1,23 @@
+import React from 'react';
+import { getVerdictInfo } from '../../utils/eligibility';
+
+function EligibilityBadge({ verdict, explanation }) {
+  const info = getVerdictInfo(verdict);
+  if (!info) return null;
+
+  return (
+    <span className="eligibility-badge" title={explanation || undefined} style={{
+      display: 'inline-block',
+      padding: '2px var(--spacing-sm)',
+      borderRadius: 'var(--border-radius-sm)',
+      fontSize: 'var(--font-size-xs)',
+      fontWeight: 600,
+      color: info.color,
+      background: info.background
+    }}>
+      {info.label}
+    </span>
+  );
+}
+
+export default EligibilityBadge;
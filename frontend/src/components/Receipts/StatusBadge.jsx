@@ -0,0 +1,25 @@
+import React from 'react';
+import { getStatusInfo } from '../../utils/reimbursement';
+
+function StatusBadge({ status, reimbursedAmount }) {
+  const info = getStatusInfo(status);
+
+  return (
+    <span className="status-badge" style={{
+      display: 'inline-block',
+      padding: '2px var(--spacing-sm)',
+      borderRadius: 'var(--border-radius-sm)',
+      fontSize: 'var(--font-size-xs)',
+      fontWeight: 600,
+      color: info.color,
+      background: info.background
+    }}>
+      {info.label}
+      {status === 'partially_reimbursed' && reimbursedAmount != null && (
+        ` (${new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(reimbursedAmount)})`
+      )}
+    </span>
+  );
+}
+
+export default StatusBadge;
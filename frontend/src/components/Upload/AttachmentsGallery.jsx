@@ -0,0 +1,256 @@
+import React, { useState, useEffect, useRef } from 'react';
+import api from '../../services/api';
+
+function AttachmentsGallery({ receiptId, onError }) {
+  const [attachments, setAttachments] = useState([]);
+  const [attachmentTypes, setAttachmentTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [uploading, setUploading] = useState(false);
+  const [newAttachment, setNewAttachment] = useState({ attachment_type: 'itemized_statement', caption: '' });
+
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [receiptId]);
+
+  const fetchAttachments = async () => {
+    try {
+      setLoading(true);
+      const response = await api.receipts.attachments.getAll(receiptId);
+      setAttachments(response.data.attachments || []);
+      setAttachmentTypes(response.data.attachment_types || []);
+    } catch (error) {
+      console.error('Failed to fetch attachments:', error);
+      onError('Failed to load supporting documents.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const getTypeLabel = (value) => {
+    return attachmentTypes.find(type => type.value === value)?.label || value;
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    if (!file.type.startsWith('image/')) {
+      onError('Please select an image file (JPG, PNG, etc.)');
+      return;
+    }
+
+    setUploading(true);
+
+    try {
+      const imageData = await api.images.uploadImage(file);
+      const response = await api.receipts.attachments.create(receiptId, {
+        image_id: imageData.id,
+        attachment_type: newAttachment.attachment_type,
+        caption: newAttachment.caption.trim() || null
+      });
+
+      setAttachments(prev => [...prev, response.data.attachment]);
+      setNewAttachment(prev => ({ ...prev, caption: '' }));
+    } catch (error) {
+      console.error('Failed to attach document:', error);
+      onError(error.response?.data?.details || 'Failed to attach document. Please try again.');
+    } finally {
+      setUploading(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const handleUpdate = async (attachmentId, updates) => {
+    try {
+      const response = await api.receipts.attachments.update(receiptId, attachmentId, updates);
+      setAttachments(prev => prev.map(attachment =>
+        attachment.id === attachmentId ? response.data.attachment : attachment
+      ));
+    } catch (error) {
+      console.error('Failed to update attachment:', error);
+      onError('Failed to update document. Please try again.');
+    }
+  };
+
+  const handleMove = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= attachments.length) return;
+
+    const reordered = [...attachments];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    setAttachments(reordered);
+
+    try {
+      await api.receipts.attachments.reorder(receiptId, reordered.map(attachment => attachment.id));
+    } catch (error) {
+      console.error('Failed to reorder attachments:', error);
+      onError('Failed to reorder documents. Please try again.');
+      fetchAttachments();
+    }
+  };
+
+  const handleRemove = async (attachmentId) => {
+    if (!window.confirm('Remove this document from the receipt?')) {
+      return;
+    }
+
+    try {
+      await api.receipts.attachments.delete(receiptId, attachmentId);
+      setAttachments(prev => prev.filter(attachment => attachment.id !== attachmentId));
+    } catch (error) {
+      console.error('Failed to remove attachment:', error);
+      onError('Failed to remove document. Please try again.');
+    }
+  };
+
+  return (
+    <div className="attachments-gallery" style={{
+      marginTop: 'var(--spacing-xxl)',
+      padding: 'var(--spacing-lg)',
+      background: 'var(--light-gray)',
+      borderRadius: 'var(--border-radius-md)'
+    }}>
+      <h4 style={{ marginTop: 0 }}>Supporting Documents</h4>
+      <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+        Attach the itemized statement, EOB or letter of medical necessity your plan administrator asks for.
+      </p>
+
+      {loading ? (
+        <div className="loading-spinner" style={{ width: '24px', height: '24px' }}></div>
+      ) : attachments.length === 0 ? (
+        <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
+          No supporting documents yet.
+        </p>
+      ) : (
+        <div style={{
+          display: 'grid',
+          gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))',
+          gap: 'var(--spacing-md)',
+          marginBottom: 'var(--spacing-lg)'
+        }}>
+          {attachments.map((attachment, index) => (
+            <div key={attachment.id} style={{
+              background: 'white',
+              borderRadius: 'var(--border-radius-md)',
+              boxShadow: 'var(--shadow-sm)',
+              padding: 'var(--spacing-sm)'
+            }}>
+              <a href={attachment.image_url} target="_blank" rel="noopener noreferrer">
+                <img
+                  src={attachment.image_url}
+                  alt={attachment.caption || getTypeLabel(attachment.attachment_type)}
+                  style={{
+                    width: '100%',
+                    height: '140px',
+                    objectFit: 'cover',
+                    borderRadius: 'var(--border-radius-sm)'
+                  }}
+                />
+              </a>
+              <select
+                value={attachment.attachment_type}
+                onChange={(e) => handleUpdate(attachment.id, { attachment_type: e.target.value })}
+                className="form-select"
+                style={{ marginTop: 'var(--spacing-xs)', fontSize: 'var(--font-size-xs)' }}
+                aria-label="Document type"
+              >
+                {attachmentTypes.map(type => (
+                  <option key={type.value} value={type.value}>{type.label}</option>
+                ))}
+              </select>
+              <input
+                type="text"
+                defaultValue={attachment.caption || ''}
+                onBlur={(e) => {
+                  if (e.target.value !== (attachment.caption || '')) {
+                    handleUpdate(attachment.id, { caption: e.target.value });
+                  }
+                }}
+                placeholder="Caption"
+                className="form-input"
+                style={{ marginTop: 'var(--spacing-xs)', fontSize: 'var(--font-size-xs)' }}
+                aria-label="Document caption"
+              />
+              <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: 'var(--spacing-xs)' }}>
+                <div>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    className="btn btn-text"
+                    style={{ padding: 'var(--spacing-xs)' }}
+                    aria-label="Move earlier"
+                  >
+                    ←
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === attachments.length - 1}
+                    className="btn btn-text"
+                    style={{ padding: 'var(--spacing-xs)' }}
+                    aria-label="Move later"
+                  >
+                    →
+                  </button>
+                </div>
+                <button
+                  type="button"
+                  onClick={() => handleRemove(attachment.id)}
+                  className="btn btn-text"
+                  style={{ color: 'var(--danger-color)', padding: 'var(--spacing-xs)', fontSize: 'var(--font-size-xs)' }}
+                >
+                  Remove
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 'var(--spacing-sm)', flexWrap: 'wrap', alignItems: 'center' }}>
+        <select
+          value={newAttachment.attachment_type}
+          onChange={(e) => setNewAttachment(prev => ({ ...prev, attachment_type: e.target.value }))}
+          className="form-select"
+          style={{ flex: '1 1 180px' }}
+          aria-label="New document type"
+          disabled={uploading}
+        >
+          {attachmentTypes.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={newAttachment.caption}
+          onChange={(e) => setNewAttachment(prev => ({ ...prev, caption: e.target.value }))}
+          placeholder="Caption (optional)"
+          className="form-input"
+          style={{ flex: '2 1 200px' }}
+          aria-label="New document caption"
+          disabled={uploading}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="btn btn-secondary"
+          disabled={uploading}
+        >
+          {uploading ? 'Uploading...' : 'Add Document'}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="image/*"
+          onChange={handleUpload}
+          className="file-input"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default AttachmentsGallery;
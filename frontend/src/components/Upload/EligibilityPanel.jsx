@@ -0,0 +1,52 @@
+import React from 'react';
+import EligibilityBadge from '../Receipts/EligibilityBadge';
+
+function EligibilityPanel({ eligibility }) {
+  const flaggedItems = (eligibility.line_items || []).filter(item => item.verdict !== 'eligible');
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+  };
+
+  return (
+    <div className="eligibility-panel" style={{
+      marginTop: 'var(--spacing-xxl)',
+      padding: 'var(--spacing-lg)',
+      border: '1px solid var(--border-color)',
+      borderRadius: 'var(--border-radius-md)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h4 style={{ margin: 0 }}>Eligibility</h4>
+        <EligibilityBadge verdict={eligibility.verdict} />
+      </div>
+
+      <p style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)', margin: 'var(--spacing-md) 0 0' }}>
+        {eligibility.explanation}
+      </p>
+
+      {eligibility.line_items?.length > 0 && (
+        <p style={{ fontSize: 'var(--font-size-sm)', margin: 'var(--spacing-sm) 0 0' }}>
+          Eligible amount: <strong>{formatCurrency(eligibility.eligible_amount)}</strong>
+        </p>
+      )}
+
+      {flaggedItems.length > 0 && (
+        <ul style={{
+          fontSize: 'var(--font-size-sm)',
+          color: 'var(--text-secondary)',
+          listStyle: 'none',
+          padding: 0,
+          margin: 'var(--spacing-md) 0 0'
+        }}>
+          {flaggedItems.map(item => (
+            <li key={item.id} style={{ marginBottom: 'var(--spacing-xs)' }}>
+              <EligibilityBadge verdict={item.verdict} /> {item.description} ({formatCurrency(item.amount)}): {item.explanation}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default EligibilityPanel;
@@ -0,0 +1,174 @@
+import React from 'react';
+import { createLineItemRow } from '../../utils/lineItems';
+
+function LineItemsEditor({ items, onChange, disabled = false }) {
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const updateRow = (key, field, value) => {
+    onChange(items.map(row => {
+      if (row.key !== key) return row;
+
+      const updated = { ...row, [field]: value };
+
+      // Keep the line amount in step with quantity x unit price while both are filled in
+      if ((field === 'quantity' || field === 'unit_price') && updated.quantity && updated.unit_price) {
+        const computed = parseFloat(updated.quantity) * parseFloat(updated.unit_price);
+        if (!isNaN(computed)) {
+          updated.amount = computed.toFixed(2);
+        }
+      }
+
+      return updated;
+    }));
+  };
+
+  const addRow = () => {
+    onChange([...items, createLineItemRow()]);
+  };
+
+  const removeRow = (key) => {
+    onChange(items.filter(row => row.key !== key));
+  };
+
+  const total = items.reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+  const eligibleTotal = items
+    .filter(row => row.hsa_eligible)
+    .reduce((sum, row) => sum + (parseFloat(row.amount) || 0), 0);
+
+  const cellInputStyle = {
+    width: '100%',
+    padding: 'var(--spacing-xs) var(--spacing-sm)',
+    fontSize: 'var(--font-size-sm)'
+  };
+
+  return (
+    <div className="line-items-editor">
+      {items.length > 0 && (
+        <div style={{ overflowX: 'auto' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 'var(--font-size-sm)' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                <th style={{ padding: 'var(--spacing-xs)' }}>Item</th>
+                <th style={{ padding: 'var(--spacing-xs)', width: '70px' }}>Qty</th>
+                <th style={{ padding: 'var(--spacing-xs)', width: '100px' }}>Unit Price</th>
+                <th style={{ padding: 'var(--spacing-xs)', width: '100px' }}>Amount</th>
+                <th style={{ padding: 'var(--spacing-xs)', width: '70px', textAlign: 'center' }}>Eligible</th>
+                <th style={{ padding: 'var(--spacing-xs)', width: '40px' }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {items.map((row, index) => (
+                <tr key={row.key} style={{ borderTop: '1px solid var(--border-color)' }}>
+                  <td style={{ padding: 'var(--spacing-xs)' }}>
+                    <input
+                      type="text"
+                      value={row.description}
+                      onChange={(e) => updateRow(row.key, 'description', e.target.value)}
+                      placeholder="Amoxicillin 500mg, copay, etc."
+                      className="form-input"
+                      style={cellInputStyle}
+                      aria-label={`Item ${index + 1} description`}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td style={{ padding: 'var(--spacing-xs)' }}>
+                    <input
+                      type="number"
+                      value={row.quantity}
+                      onChange={(e) => updateRow(row.key, 'quantity', e.target.value)}
+                      min="0"
+                      step="any"
+                      className="form-input"
+                      style={cellInputStyle}
+                      aria-label={`Item ${index + 1} quantity`}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td style={{ padding: 'var(--spacing-xs)' }}>
+                    <input
+                      type="number"
+                      value={row.unit_price}
+                      onChange={(e) => updateRow(row.key, 'unit_price', e.target.value)}
+                      min="0"
+                      step="0.01"
+                      placeholder="0.00"
+                      className="form-input"
+                      style={cellInputStyle}
+                      aria-label={`Item ${index + 1} unit price`}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td style={{ padding: 'var(--spacing-xs)' }}>
+                    <input
+                      type="number"
+                      value={row.amount}
+                      onChange={(e) => updateRow(row.key, 'amount', e.target.value)}
+                      min="0"
+                      step="0.01"
+                      placeholder="0.00"
+                      className="form-input"
+                      style={cellInputStyle}
+                      aria-label={`Item ${index + 1} amount`}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td style={{ padding: 'var(--spacing-xs)', textAlign: 'center' }}>
+                    <input
+                      type="checkbox"
+                      checked={row.hsa_eligible}
+                      onChange={(e) => updateRow(row.key, 'hsa_eligible', e.target.checked)}
+                      aria-label={`Item ${index + 1} HSA/FSA eligible`}
+                      disabled={disabled}
+                    />
+                  </td>
+                  <td style={{ padding: 'var(--spacing-xs)' }}>
+                    <button
+                      type="button"
+                      onClick={() => removeRow(row.key)}
+                      className="btn btn-text"
+                      style={{ color: 'var(--danger-color)', padding: 'var(--spacing-xs)' }}
+                      aria-label={`Remove item ${index + 1}`}
+                      disabled={disabled}
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        marginTop: 'var(--spacing-sm)',
+        flexWrap: 'wrap',
+        gap: 'var(--spacing-sm)'
+      }}>
+        <button
+          type="button"
+          onClick={addRow}
+          className="btn btn-sm btn-outline"
+          disabled={disabled}
+        >
+          + Add Item
+        </button>
+        {items.length > 0 && (
+          <small style={{ color: 'var(--text-secondary)' }}>
+            Items total {formatCurrency(total)} • Eligible {formatCurrency(eligibleTotal)}
+          </small>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default LineItemsEditor;
@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Shows how sure the scan was about a field and lets the user pick another value found on the receipt.
+// field is one entry of the OCR result's fields: { value, confidence, low_confidence, ambiguous, source, alternatives }.
+// An ambiguous field's value is one of several readings of the same text; the others are among the alternatives.
+function OcrFieldHint({ field, value, onSelect, formatValue = (v) => v }) {
+  if (!field || field.value === null) return null;
+
+  const isOcrValue = String(field.value) === String(value);
+  const candidates = [field, ...field.alternatives].filter(candidate => String(candidate.value) !== String(value));
+
+  if (!(isOcrValue && field.low_confidence) && candidates.length === 0) return null;
+
+  const handleSelect = (e) => {
+    const candidate = candidates[Number(e.target.value)];
+    if (candidate) onSelect(candidate.value);
+  };
+
+  return (
+    <div style={{ marginTop: 'var(--spacing-xs)' }}>
+      {isOcrValue && field.ambiguous && (
+        <small style={{ display: 'block', color: 'var(--warning-color)', fontSize: 'var(--font-size-xs)' }}>
+          ⚠️ "{field.source.text}" on the receipt can be read more than one way. Please check it's the right one.
+        </small>
+      )}
+      {isOcrValue && field.low_confidence && !field.ambiguous && (
+        <small style={{ display: 'block', color: 'var(--warning-color)', fontSize: 'var(--font-size-xs)' }}>
+          ⚠️ Not sure about this one ({Math.round(field.confidence * 100)}% confidence)
+          {field.source && <> — read from "{field.source.text}"</>}. Please check it against the receipt.
+        </small>
+      )}
+      {candidates.length > 0 && (
+        <select
+          value=""
+          onChange={handleSelect}
+          className="form-select"
+          style={{ marginTop: 'var(--spacing-xs)', fontSize: 'var(--font-size-sm)' }}
+          aria-label="Other values found on the receipt"
+        >
+          <option value="">Other values found on the receipt...</option>
+          {candidates.map((candidate, index) => (
+            <option key={`${candidate.value}-${index}`} value={index}>
+              {formatValue(candidate.value)}
+              {candidate.source ? ` — "${candidate.source.text}"` : ''}
+            </option>
+          ))}
+        </select>
+      )}
+    </div>
+  );
+}
+
+export default OcrFieldHint;
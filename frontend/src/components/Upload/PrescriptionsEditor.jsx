@@ -0,0 +1,96 @@
+import React from 'react';
+import { createPrescriptionRow } from '../../utils/prescriptions';
+
+const FIELDS = [
+  { name: 'rx_number', label: 'Rx #', placeholder: '1234567' },
+  { name: 'drug_name', label: 'Drug', placeholder: 'Amoxicillin' },
+  { name: 'strength', label: 'Strength', placeholder: '500mg' },
+  { name: 'ndc', label: 'NDC', placeholder: '12345-6789-01' },
+  { name: 'quantity', label: 'Qty', type: 'number', min: '0', step: 'any' },
+  { name: 'days_supply', label: 'Days supply', type: 'number', min: '1', max: '365', step: '1' },
+  { name: 'prescriber', label: 'Prescriber', placeholder: 'Dr. Smith' },
+  { name: 'patient_initials', label: 'Patient initials', placeholder: 'JS', maxLength: 4 }
+];
+
+function PrescriptionsEditor({ prescriptions, onChange, disabled = false }) {
+  const updateRow = (key, field, value) => {
+    onChange(prescriptions.map(row => (row.key === key ? { ...row, [field]: value } : row)));
+  };
+
+  const addRow = () => {
+    onChange([...prescriptions, createPrescriptionRow()]);
+  };
+
+  const removeRow = (key) => {
+    onChange(prescriptions.filter(row => row.key !== key));
+  };
+
+  const cellInputStyle = {
+    width: '100%',
+    padding: 'var(--spacing-xs) var(--spacing-sm)',
+    fontSize: 'var(--font-size-sm)'
+  };
+
+  return (
+    <div className="prescriptions-editor">
+      {prescriptions.map((row, index) => (
+        <div
+          key={row.key}
+          style={{
+            border: '1px solid var(--border-color)',
+            borderRadius: 'var(--border-radius-md)',
+            padding: 'var(--spacing-sm)',
+            marginBottom: 'var(--spacing-sm)'
+          }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+            <small style={{ color: 'var(--text-secondary)', fontWeight: 600 }}>
+              Prescription {index + 1}
+            </small>
+            <button
+              type="button"
+              onClick={() => removeRow(row.key)}
+              className="btn btn-text"
+              style={{ color: 'var(--danger-color)', padding: 'var(--spacing-xs)' }}
+              aria-label={`Remove prescription ${index + 1}`}
+              disabled={disabled}
+            >
+              ×
+            </button>
+          </div>
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fill, minmax(140px, 1fr))',
+            gap: 'var(--spacing-xs) var(--spacing-sm)'
+          }}>
+            {FIELDS.map(({ name, label, type = 'text', ...inputProps }) => (
+              <label key={name} style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+                {label}
+                <input
+                  type={type}
+                  value={row[name]}
+                  onChange={(e) => updateRow(row.key, name, e.target.value)}
+                  className="form-input"
+                  style={cellInputStyle}
+                  disabled={disabled}
+                  {...inputProps}
+                />
+              </label>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <button
+        type="button"
+        onClick={addRow}
+        className="btn btn-sm btn-outline"
+        disabled={disabled}
+      >
+        + Add Prescription
+      </button>
+    </div>
+  );
+}
+
+export default PrescriptionsEditor;
@@ -1,20 +1,56 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useParams, useLocation } from 'react-router-dom';
 import api from '../../services/api';
+import LineItemsEditor from './LineItemsEditor';
+import PrescriptionsEditor from './PrescriptionsEditor';
+import AttachmentsGallery from './AttachmentsGallery';
+import ReceiptHistoryPanel from './ReceiptHistoryPanel';
+import ReimbursementStatusPanel from './ReimbursementStatusPanel';
+import EligibilityPanel from './EligibilityPanel';
+import OcrFieldHint from './OcrFieldHint';
+import { createLineItemRow, toLineItemPayload } from '../../utils/lineItems';
+import { createPrescriptionRow, isPrescriptionRowFilled, toPrescriptionPayload } from '../../utils/prescriptions';
+
+// Pharmacy claims are usually rejected without an Rx number
+const PHARMACY_CATEGORY_REGEX = /pharmacy|prescription/i;
+
+// Totals the scan found besides the ones filled into the form, listed so the amount can be checked against them
+const OCR_TOTAL_LABELS = {
+  subtotal: 'Subtotal',
+  tax: 'Tax',
+  discount: 'Discounts',
+  copay: 'Copay',
+  patient_responsibility: 'Patient responsibility',
+  amount_due: 'Amount due',
+  amount_paid: 'Amount paid'
+};
 
 function ReceiptForm({ user, onError, isEdit = false }) {
   const [formData, setFormData] = useState({
     store_name: '',
     amount: '',
+    billed_amount: '',
+    insurance_paid: '',
     receipt_date: new Date().toISOString().split('T')[0],
     category: '',
-    description: ''
+    description: '',
+    account_id: '',
+    patient_id: '',
+    provider_id: ''
   });
   const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [providers, setProviders] = useState([]);
+  const [providerMatch, setProviderMatch] = useState(null);
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [existingReceipt, setExistingReceipt] = useState(null);
   const [imageId, setImageId] = useState(null);
+  const [ocrText, setOcrText] = useState(null);
+  const [ocrFields, setOcrFields] = useState({});
+  const [lineItems, setLineItems] = useState([]);
+  const [prescriptions, setPrescriptions] = useState([]);
 
   const navigate = useNavigate();
   const { id } = useParams();
@@ -24,6 +60,9 @@ function ReceiptForm({ user, onError, isEdit = false }) {
 
   useEffect(() => {
     fetchCategories();
+    fetchAccounts();
+    fetchMembers();
+    fetchProviders();
 
     // Check for OCR data from upload flow
     if (location.state?.ocrData) {
@@ -40,6 +79,26 @@ function ReceiptForm({ user, onError, isEdit = false }) {
     }
   }, [isEdit, id, location.state]);
 
+  // Shows which provider the typed name will be filed under, once typing pauses
+  useEffect(() => {
+    const name = formData.store_name.trim();
+    if (!name || formData.provider_id) {
+      setProviderMatch(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await api.providers.match(name);
+        setProviderMatch(response.data);
+      } catch (error) {
+        console.error('Failed to match provider:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [formData.store_name, formData.provider_id]);
+
   const fetchCategories = async () => {
     try {
       const response = await api.receipts.getCategories();
@@ -57,23 +116,60 @@ function ReceiptForm({ user, onError, isEdit = false }) {
     }
   };
 
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.accounts.getAll();
+      setAccounts(response.data.accounts || []);
+    } catch (error) {
+      console.error('Failed to fetch accounts:', error);
+      onError('Failed to load your accounts. Please refresh the page.');
+    }
+  };
+
+  const fetchMembers = async () => {
+    try {
+      const response = await api.household.getAll();
+      setMembers(response.data.members || []);
+    } catch (error) {
+      console.error('Failed to fetch household members:', error);
+      onError('Failed to load your household members. Please refresh the page.');
+    }
+  };
+
+  const fetchProviders = async () => {
+    try {
+      const response = await api.providers.getAll();
+      setProviders(response.data.providers || []);
+    } catch (error) {
+      console.error('Failed to fetch providers:', error);
+      onError('Failed to load your providers. Please refresh the page.');
+    }
+  };
+
   const populateFormWithOcrData = (ocrResult) => {
-    // Limit store name to 3 words maximum
-    const limitStoreName = (name) => {
-      if (!name) return '';
-      return name.split(' ').slice(0, 3).join(' ');
-    };
+    setOcrText(ocrResult.raw_text || null);
+    setOcrFields(ocrResult.fields || {});
 
     setFormData(prev => ({
       ...prev,
-      store_name: limitStoreName(ocrResult.store_name) || prev.store_name,
+      store_name: ocrResult.store_name || prev.store_name,
       amount: ocrResult.amount ? ocrResult.amount.toString() : prev.amount,
+      billed_amount: ocrResult.billed_amount ? ocrResult.billed_amount.toString() : prev.billed_amount,
+      insurance_paid: ocrResult.insurance_paid ? ocrResult.insurance_paid.toString() : prev.insurance_paid,
       receipt_date: ocrResult.receipt_date || prev.receipt_date,
-      category: ocrResult.suggested_category || prev.category,
-      description: ocrResult.line_items && ocrResult.line_items.length > 0
-        ? ocrResult.line_items.map(item => `${item.description} - ${item.price}`).join('; ')
-        : prev.description
+      category: ocrResult.suggested_category || prev.category
     }));
+
+    if (ocrResult.line_items && ocrResult.line_items.length > 0) {
+      setLineItems(ocrResult.line_items.map(item => createLineItemRow({
+        description: item.description,
+        amount: item.amount
+      })));
+    }
+
+    if (ocrResult.prescriptions && ocrResult.prescriptions.length > 0) {
+      setPrescriptions(ocrResult.prescriptions.map(prescription => createPrescriptionRow(prescription)));
+    }
   };
 
   const fetchReceiptData = async () => {
@@ -88,11 +184,19 @@ function ReceiptForm({ user, onError, isEdit = false }) {
       setFormData({
         store_name: receipt.store_name || '',
         amount: receipt.amount?.toString() || '',
+        billed_amount: receipt.billed_amount?.toString() || '',
+        insurance_paid: receipt.insurance_paid?.toString() || '',
         receipt_date: receipt.receipt_date || '',
         category: receipt.category || '',
-        description: receipt.description || ''
+        description: receipt.description || '',
+        account_id: receipt.account_id ? receipt.account_id.toString() : '',
+        patient_id: receipt.patient_id ? receipt.patient_id.toString() : '',
+        provider_id: receipt.provider_id ? receipt.provider_id.toString() : ''
       });
 
+      setLineItems((receipt.line_items || []).map(item => createLineItemRow(item)));
+      setPrescriptions((receipt.prescriptions || []).map(prescription => createPrescriptionRow(prescription)));
+
       if (receipt.image_id) {
         setImageId(receipt.image_id);
       }
@@ -105,22 +209,35 @@ function ReceiptForm({ user, onError, isEdit = false }) {
     }
   };
 
+  const setField = (name, value) => {
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Scanned values the parser wasn't sure about, ambiguous ones included, are outlined until the user
+  // changes them. ocrName is the parsed field the input was filled from.
+  const ocrInputStyle = (name, ocrName = name) => {
+    const field = ocrFields[ocrName];
+    const unsure = field?.low_confidence && field.value !== null && String(field.value) === String(formData[name]);
+    if (!unsure) return undefined;
+    return { borderColor: 'var(--warning-color)', boxShadow: '0 0 0 1px var(--warning-color)' };
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+  };
+
+  const ocrTotals = Object.entries(OCR_TOTAL_LABELS).filter(([name]) => ocrFields[name]?.value != null);
+
+  const formatOcrDate = (value) => {
+    return new Date(`${value}T00:00:00`).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
-
-    // Limit store name to 3 words
-    if (name === 'store_name') {
-      const limitedValue = value.split(' ').slice(0, 3).join(' ');
-      setFormData(prev => ({
-        ...prev,
-        [name]: limitedValue
-      }));
-    } else {
-      setFormData(prev => ({
-        ...prev,
-        [name]: value
-      }));
-    }
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
   };
 
   const validateForm = () => {
@@ -134,6 +251,14 @@ function ReceiptForm({ user, onError, isEdit = false }) {
       errors.push('Amount must be a positive number');
     }
 
+    const billed = parseFloat(formData.billed_amount);
+    if (!isNaN(billed)) {
+      const insurance = parseFloat(formData.insurance_paid) || 0;
+      if (parseFloat(formData.amount) + insurance > billed + 0.005) {
+        errors.push('Your amount plus what insurance paid cannot be more than the billed amount');
+      }
+    }
+
     if (!formData.receipt_date) {
       errors.push('Receipt date is required');
     }
@@ -142,6 +267,22 @@ function ReceiptForm({ user, onError, isEdit = false }) {
       errors.push('Category is required for HSA/FSA compliance');
     }
 
+    const incompleteItems = lineItems.filter(row =>
+      row.description.trim() || row.amount
+    ).filter(row =>
+      !row.description.trim() || row.amount === '' || parseFloat(row.amount) < 0
+    );
+    if (incompleteItems.length > 0) {
+      errors.push('Each line item needs a description and an amount');
+    }
+
+    const incompletePrescriptions = prescriptions.filter(row =>
+      !isPrescriptionRowFilled(row) && (row.strength.trim() || row.ndc.trim() || row.quantity || row.days_supply)
+    );
+    if (incompletePrescriptions.length > 0) {
+      errors.push('Each prescription needs an Rx number or a drug name');
+    }
+
     // Validate date is not in the future
     const receiptDate = new Date(formData.receipt_date);
     const today = new Date();
@@ -170,18 +311,34 @@ function ReceiptForm({ user, onError, isEdit = false }) {
       const receiptData = {
         store_name: formData.store_name.trim(),
         amount: parseFloat(formData.amount),
+        billed_amount: formData.billed_amount !== '' ? parseFloat(formData.billed_amount) : null,
+        insurance_paid: formData.insurance_paid !== '' ? parseFloat(formData.insurance_paid) : null,
         receipt_date: formData.receipt_date,
         category: formData.category,
         description: formData.description.trim() || null,
-        image_id: imageId || null
+        image_id: imageId || null,
+        account_id: formData.account_id ? parseInt(formData.account_id) : null,
+        patient_id: formData.patient_id ? parseInt(formData.patient_id) : null,
+        provider_id: formData.provider_id ? parseInt(formData.provider_id) : null
       };
 
+      // Blank rows left in the grid are ignored rather than rejected
+      const filledItems = lineItems.filter(row => row.description.trim() && row.amount !== '');
+      const filledPrescriptions = prescriptions.filter(isPrescriptionRowFilled);
+
       let response;
       if (isEdit && id) {
         response = await api.receipts.update(id, receiptData);
+        await syncLineItems(filledItems);
+        await syncPrescriptions(filledPrescriptions);
         showSuccessMessage('Receipt updated successfully! ✅');
       } else {
-        response = await api.receipts.createWithImageId(receiptData);
+        response = await api.receipts.createWithImageId({
+          ...receiptData,
+          ocr_text: ocrText,
+          line_items: filledItems.map(toLineItemPayload),
+          prescriptions: filledPrescriptions.map(toPrescriptionPayload)
+        });
         showSuccessMessage('Receipt saved successfully! ✅');
       }
 
@@ -200,6 +357,60 @@ function ReceiptForm({ user, onError, isEdit = false }) {
     }
   };
 
+  // Applies grid edits to the saved receipt through the line item endpoints
+  const syncLineItems = async (rows) => {
+    const originalItems = existingReceipt?.line_items || [];
+    const keptIds = new Set(rows.filter(row => row.id).map(row => row.id));
+
+    const removed = originalItems.filter(item => !keptIds.has(item.id));
+    await Promise.all(removed.map(item => api.receipts.items.delete(id, item.id)));
+
+    for (const [index, row] of rows.entries()) {
+      const payload = toLineItemPayload(row, index);
+      if (!row.id) {
+        await api.receipts.items.create(id, payload);
+        continue;
+      }
+
+      const original = originalItems.find(item => item.id === row.id);
+      const changed = !original ||
+        original.description !== payload.description ||
+        original.quantity !== payload.quantity ||
+        original.unit_price !== payload.unit_price ||
+        original.amount !== payload.amount ||
+        original.hsa_eligible !== payload.hsa_eligible ||
+        original.sort_order !== payload.sort_order;
+
+      if (changed) {
+        await api.receipts.items.update(id, row.id, payload);
+      }
+    }
+  };
+
+  // Applies edits to the saved receipt's prescriptions through the prescription endpoints
+  const syncPrescriptions = async (rows) => {
+    const originalPrescriptions = existingReceipt?.prescriptions || [];
+    const keptIds = new Set(rows.filter(row => row.id).map(row => row.id));
+
+    const removed = originalPrescriptions.filter(prescription => !keptIds.has(prescription.id));
+    await Promise.all(removed.map(prescription => api.receipts.prescriptions.delete(id, prescription.id)));
+
+    for (const [index, row] of rows.entries()) {
+      const payload = toPrescriptionPayload(row, index);
+      if (!row.id) {
+        await api.receipts.prescriptions.create(id, payload);
+        continue;
+      }
+
+      const original = originalPrescriptions.find(prescription => prescription.id === row.id);
+      const changed = !original || Object.keys(payload).some(field => original[field] !== payload[field]);
+
+      if (changed) {
+        await api.receipts.prescriptions.update(id, row.id, payload);
+      }
+    }
+  };
+
   const showSuccessMessage = (message) => {
     const successDiv = document.createElement('div');
     successDiv.style.cssText = `
@@ -217,9 +428,14 @@ function ReceiptForm({ user, onError, isEdit = false }) {
     const hasChanges = isEdit ? (
       formData.store_name !== (existingReceipt?.store_name || '') ||
       formData.amount !== (existingReceipt?.amount?.toString() || '') ||
+      formData.billed_amount !== (existingReceipt?.billed_amount?.toString() || '') ||
+      formData.insurance_paid !== (existingReceipt?.insurance_paid?.toString() || '') ||
       formData.receipt_date !== (existingReceipt?.receipt_date || '') ||
       formData.category !== (existingReceipt?.category || '') ||
-      formData.description !== (existingReceipt?.description || '')
+      formData.description !== (existingReceipt?.description || '') ||
+      formData.account_id !== (existingReceipt?.account_id?.toString() || '') ||
+      formData.patient_id !== (existingReceipt?.patient_id?.toString() || '') ||
+      formData.provider_id !== (existingReceipt?.provider_id?.toString() || '')
     ) : (
       formData.store_name ||
       formData.amount ||
@@ -318,12 +534,63 @@ function ReceiptForm({ user, onError, isEdit = false }) {
                     onChange={handleChange}
                     placeholder="CVS Pharmacy, Dr. Smith Dental, etc."
                     className="form-input"
+                    style={ocrInputStyle('store_name')}
                     required
                     autoComplete="organization"
-                    maxLength="50"
+                    maxLength="100"
+                  />
+                  <OcrFieldHint
+                    field={ocrFields.store_name}
+                    value={formData.store_name}
+                    onSelect={(value) => setField('store_name', value)}
                   />
                   <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
-                    The business or healthcare provider name (max 3 words)
+                    The business or healthcare provider name as it appears on the receipt
+                  </small>
+                </div>
+
+                {/* Provider */}
+                <div className="form-group">
+                  <label htmlFor="provider_id">File Under Provider</label>
+                  <select
+                    id="provider_id"
+                    name="provider_id"
+                    value={formData.provider_id}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    <option value="">Match automatically by name</option>
+                    {providers.map(provider => (
+                      <option key={provider.id} value={provider.id}>
+                        {provider.name}
+                      </option>
+                    ))}
+                  </select>
+                  <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                    {providerMatch?.match && (
+                      <>Will be filed under <strong>{providerMatch.match.provider.name}</strong>. </>
+                    )}
+                    {providerMatch && !providerMatch.match && (
+                      <>{providerMatch.name} will be added to your providers. </>
+                    )}
+                    {providerMatch?.suggestions?.length > 0 && (
+                      <>
+                        Did you mean{' '}
+                        {providerMatch.suggestions.map((suggestion, index) => (
+                          <React.Fragment key={suggestion.provider.id}>
+                            {index > 0 && ', '}
+                            <button
+                              type="button"
+                              onClick={() => setFormData(prev => ({ ...prev, provider_id: suggestion.provider.id.toString() }))}
+                              style={{ background: 'none', border: 'none', padding: 0, color: 'var(--primary-color)', cursor: 'pointer', fontSize: 'inherit' }}
+                            >
+                              {suggestion.provider.name}
+                            </button>
+                          </React.Fragment>
+                        ))}
+                        ? </>
+                    )}
+                    <Link to="/providers">Manage providers</Link>
                   </small>
                 </div>
 
@@ -348,10 +615,17 @@ function ReceiptForm({ user, onError, isEdit = false }) {
                       step="0.01"
                       min="0"
                       className="form-input"
+                      style={ocrInputStyle('amount')}
                       required
                     />
+                    <OcrFieldHint
+                      field={ocrFields.amount}
+                      value={formData.amount}
+                      onSelect={(value) => setField('amount', value.toString())}
+                      formatValue={formatCurrency}
+                    />
                     <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
-                      Total amount paid (USD)
+                      What you paid or owe after insurance (USD). This is the amount you can claim.
                     </small>
                   </div>
 
@@ -368,14 +642,87 @@ function ReceiptForm({ user, onError, isEdit = false }) {
                       onChange={handleChange}
                       max={new Date().toISOString().split('T')[0]}
                       className="form-input"
+                      style={ocrInputStyle('receipt_date')}
                       required
                     />
+                    <OcrFieldHint
+                      field={ocrFields.receipt_date}
+                      value={formData.receipt_date}
+                      onSelect={(value) => setField('receipt_date', value)}
+                      formatValue={formatOcrDate}
+                    />
                     <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
                       When the expense occurred
                     </small>
                   </div>
                 </div>
 
+                {ocrTotals.length > 0 && (
+                  <p style={{ fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)', margin: '0 0 var(--spacing-md)' }}>
+                    Found on the receipt:{' '}
+                    {ocrTotals.map(([name, label]) => `${label} ${formatCurrency(ocrFields[name].value)}`).join(' · ')}
+                  </p>
+                )}
+
+                {/* Billing (itemized bills and EOBs) */}
+                <div style={{
+                  display: 'grid',
+                  gridTemplateColumns: '1fr 1fr',
+                  gap: 'var(--spacing-lg)'
+                }}>
+                  <div className="form-group">
+                    <label htmlFor="billed_amount">Billed Amount</label>
+                    <input
+                      type="number"
+                      id="billed_amount"
+                      name="billed_amount"
+                      value={formData.billed_amount}
+                      onChange={handleChange}
+                      placeholder="0.00"
+                      step="0.01"
+                      min="0"
+                      className="form-input"
+                      style={ocrInputStyle('billed_amount', 'total')}
+                    />
+                    {formData.billed_amount !== '' && (
+                      <OcrFieldHint
+                        field={ocrFields.total}
+                        value={formData.billed_amount}
+                        onSelect={(value) => setField('billed_amount', value.toString())}
+                        formatValue={formatCurrency}
+                      />
+                    )}
+                    <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                      Total charges before insurance. Leave blank for store receipts.
+                    </small>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="insurance_paid">Paid by Insurance</label>
+                    <input
+                      type="number"
+                      id="insurance_paid"
+                      name="insurance_paid"
+                      value={formData.insurance_paid}
+                      onChange={handleChange}
+                      placeholder="0.00"
+                      step="0.01"
+                      min="0"
+                      className="form-input"
+                      style={ocrInputStyle('insurance_paid')}
+                    />
+                    <OcrFieldHint
+                      field={ocrFields.insurance_paid}
+                      value={formData.insurance_paid}
+                      onSelect={(value) => setField('insurance_paid', value.toString())}
+                      formatValue={formatCurrency}
+                    />
+                    <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                      From the bill or your Explanation of Benefits
+                    </small>
+                  </div>
+                </div>
+
                 {/* Category */}
                 <div className="form-group">
                   <label htmlFor="category">
@@ -387,15 +734,108 @@ function ReceiptForm({ user, onError, isEdit = false }) {
                     value={formData.category}
                     onChange={handleChange}
                     className="form-select"
+                    style={ocrInputStyle('category')}
                     required
                   >
                     <option value="">Select a category...</option>
                     {categories.map(cat => (
                       <option key={cat.value} value={cat.value}>
-                        {cat.label}
+                        {cat.depth > 0 ? '\u00A0\u00A0\u00A0' : ''}{cat.label}
                       </option>
                     ))}
+                    {/* Archived categories are no longer offered but stay selectable on receipts already using them */}
+                    {isEdit && existingReceipt?.category &&
+                      !categories.some(cat => cat.value.toLowerCase() === existingReceipt.category.toLowerCase()) && (
+                      <option value={existingReceipt.category}>
+                        {existingReceipt.category} (archived)
+                      </option>
+                    )}
                   </select>
+                  <OcrFieldHint
+                    field={ocrFields.category}
+                    value={formData.category}
+                    onSelect={(value) => setField('category', value)}
+                  />
+                </div>
+
+                {/* Benefit Account */}
+                <div className="form-group">
+                  <label htmlFor="account_id">Benefit Account</label>
+                  <select
+                    id="account_id"
+                    name="account_id"
+                    value={formData.account_id}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    <option value="">None (out of pocket)</option>
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>
+                        {account.name} ({account.account_type})
+                      </option>
+                    ))}
+                  </select>
+                  <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                    The HSA, FSA or HRA this expense is claimed against. <Link to="/accounts">Manage accounts</Link>
+                  </small>
+                </div>
+
+                {/* Patient */}
+                <div className="form-group">
+                  <label htmlFor="patient_id">Patient</label>
+                  <select
+                    id="patient_id"
+                    name="patient_id"
+                    value={formData.patient_id}
+                    onChange={handleChange}
+                    className="form-select"
+                  >
+                    <option value="">Not specified</option>
+                    {members.map(member => (
+                      <option key={member.id} value={member.id}>
+                        {member.name} ({member.relationship})
+                      </option>
+                    ))}
+                  </select>
+                  <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                    Whose expense this was; plan administrators often ask. <Link to="/household">Manage household</Link>
+                  </small>
+                </div>
+
+                {/* Line Items */}
+                <div className="form-group">
+                  <label>
+                    Line Items <span style={{ color: 'var(--text-secondary)' }}>(Optional)</span>
+                  </label>
+                  <LineItemsEditor
+                    items={lineItems}
+                    onChange={setLineItems}
+                    disabled={saving}
+                  />
+                  <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                    Itemize mixed purchases and uncheck anything that isn't HSA/FSA eligible
+                  </small>
+                </div>
+
+                {/* Prescriptions */}
+                <div className="form-group">
+                  <label>
+                    Prescriptions <span style={{ color: 'var(--text-secondary)' }}>(Optional)</span>
+                  </label>
+                  <PrescriptionsEditor
+                    prescriptions={prescriptions}
+                    onChange={setPrescriptions}
+                    disabled={saving}
+                  />
+                  {PHARMACY_CATEGORY_REGEX.test(formData.category) && !prescriptions.some(row => row.rx_number.trim()) ? (
+                    <small style={{ display: 'block', color: 'var(--warning-color)', fontSize: 'var(--font-size-xs)' }}>
+                      ⚠️ Add the Rx number printed on the receipt; plan administrators usually need it to approve a pharmacy claim
+                    </small>
+                  ) : (
+                    <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                      Rx number, drug and NDC for each fill; only the patient's initials are kept
+                    </small>
+                  )}
                 </div>
 
                 {/* Description */}
@@ -446,6 +886,35 @@ function ReceiptForm({ user, onError, isEdit = false }) {
                 </div>
               </form>
 
+              {/* Eligibility Verdict */}
+              {isEdit && existingReceipt?.eligibility && (
+                <EligibilityPanel eligibility={existingReceipt.eligibility} />
+              )}
+
+              {/* Reimbursement Status */}
+              {isEdit && existingReceipt && (
+                <ReimbursementStatusPanel
+                  receipt={existingReceipt}
+                  onError={onError}
+                  onUpdated={(receipt) => setExistingReceipt(prev => ({ ...prev, ...receipt }))}
+                />
+              )}
+
+              {/* Supporting Documents */}
+              {isEdit && id && (
+                <AttachmentsGallery receiptId={id} onError={onError} />
+              )}
+
+              {/* Edit History */}
+              {isEdit && id && (
+                <ReceiptHistoryPanel
+                  receiptId={id}
+                  onError={onError}
+                  onReverted={fetchReceiptData}
+                  refreshKey={existingReceipt?.updated_at}
+                />
+              )}
+
               {/* Form Tips */}
               <div className="form-tips" style={{
                 marginTop: 'var(--spacing-xxl)',
@@ -463,9 +932,10 @@ function ReceiptForm({ user, onError, isEdit = false }) {
                   paddingLeft: 'var(--spacing-lg)',
                   margin: 0
                 }}>
-                  <li><strong>Store Name:</strong> Use the exact business name from the receipt</li>
+                  <li><strong>Store Name:</strong> Use the exact business name from the receipt; spelling variations are filed under the same provider</li>
                   <li><strong>Amount:</strong> Enter the total amount you paid (after insurance, if applicable)</li>
                   <li><strong>Category:</strong> Choose the most specific category for better organization</li>
+                  <li><strong>Line Items:</strong> List each item on mixed pharmacy receipts so eligible purchases are easy to prove</li>
                   <li><strong>Description:</strong> Add details like medication names or procedure types for easier searching</li>
                 </ul>
               </div>
@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import { getStatusLabel } from '../../utils/reimbursement';
+
+const FIELD_LABELS = {
+  store_name: 'Store',
+  amount: 'Amount',
+  billed_amount: 'Billed amount',
+  insurance_paid: 'Paid by insurance',
+  receipt_date: 'Date',
+  category: 'Category',
+  description: 'Description',
+  image_id: 'Image',
+  account_id: 'Account',
+  patient_id: 'Patient',
+  provider_id: 'Provider',
+  reimbursement_status: 'Status',
+  submitted_date: 'Submitted',
+  reimbursed_date: 'Reimbursed',
+  denied_date: 'Denied',
+  reimbursed_amount: 'Reimbursed amount',
+  claim_reference: 'Claim reference',
+  status_note: 'Status note'
+};
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  revert: 'Reverted',
+  status: 'Status changed',
+  account_deleted: 'Account deleted',
+  member_deleted: 'Household member removed',
+  category_renamed: 'Category renamed',
+  provider_merged: 'Provider merged'
+};
+
+function ReceiptHistoryPanel({ receiptId, onError, onReverted, refreshKey }) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expanded, setExpanded] = useState(false);
+  const [revertingId, setRevertingId] = useState(null);
+  const [skippedFields, setSkippedFields] = useState([]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [receiptId, refreshKey]);
+
+  const fetchHistory = async () => {
+    try {
+      setLoading(true);
+      const response = await api.receipts.getHistory(receiptId);
+      setRevisions(response.data.revisions || []);
+    } catch (error) {
+      console.error('Failed to fetch receipt history:', error);
+      onError('Failed to load edit history.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRevert = async (revision) => {
+    if (!window.confirm('Revert this receipt to how it looked after this change? The revert is recorded in the history too.')) {
+      return;
+    }
+
+    setRevertingId(revision.id);
+    setSkippedFields([]);
+
+    try {
+      const response = await api.receipts.revert(receiptId, revision.id);
+      setSkippedFields(response.data.skipped_fields || []);
+      await fetchHistory();
+      onReverted();
+    } catch (error) {
+      console.error('Failed to revert receipt:', error);
+      onError(error.response?.data?.details || 'Failed to revert receipt. Please try again.');
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
+  const formatTimestamp = (timestamp) => {
+    return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  const formatValue = (field, value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    if (['amount', 'billed_amount', 'insurance_paid', 'reimbursed_amount'].includes(field)) {
+      return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(value);
+    }
+    if (field === 'image_id') return 'image attached';
+    if (field === 'account_id') return `account #${value}`;
+    if (field === 'patient_id') return `household member #${value}`;
+    if (field === 'reimbursement_status') return getStatusLabel(value);
+    return value.toString();
+  };
+
+  return (
+    <div className="receipt-history" style={{
+      marginTop: 'var(--spacing-xxl)',
+      padding: 'var(--spacing-lg)',
+      border: '1px solid var(--border-color)',
+      borderRadius: 'var(--border-radius-md)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h4 style={{ margin: 0 }}>Edit History</h4>
+        <button
+          type="button"
+          onClick={() => setExpanded(!expanded)}
+          className="btn btn-text"
+          aria-expanded={expanded}
+        >
+          {expanded ? 'Hide' : `Show (${revisions.length})`}
+        </button>
+      </div>
+
+      {skippedFields.length > 0 && (
+        <small style={{ display: 'block', color: 'var(--warning-color)', marginTop: 'var(--spacing-sm)' }}>
+          ⚠️ Not restored because they are no longer available: {skippedFields.map(field => FIELD_LABELS[field] || field).join(', ')}
+        </small>
+      )}
+
+      {expanded && (
+        loading ? (
+          <div className="loading-spinner" style={{ width: '24px', height: '24px', marginTop: 'var(--spacing-md)' }}></div>
+        ) : (
+          <>
+            <small style={{ display: 'block', color: 'var(--text-secondary)', marginTop: 'var(--spacing-sm)' }}>
+              Line items, attachments and prescriptions are not tracked here.
+            </small>
+            <ol style={{ listStyle: 'none', padding: 0, margin: 'var(--spacing-md) 0 0' }}>
+              {revisions.map((revision, index) => (
+                <li key={revision.id} style={{
+                  padding: 'var(--spacing-md) 0',
+                  borderTop: index > 0 ? '1px solid var(--border-color)' : 'none'
+                }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: 'var(--spacing-md)', flexWrap: 'wrap' }}>
+                    <div style={{ fontSize: 'var(--font-size-sm)' }}>
+                      <strong>{ACTION_LABELS[revision.action] || revision.action}</strong>
+                      {' by '}{revision.changed_by_name || 'Unknown user'}
+                      <span style={{ color: 'var(--text-secondary)' }}> • {formatTimestamp(revision.created_at)}</span>
+                    </div>
+                    {index > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => handleRevert(revision)}
+                        disabled={revertingId !== null}
+                        className="btn btn-sm btn-outline"
+                      >
+                        {revertingId === revision.id ? 'Reverting...' : 'Revert to this version'}
+                      </button>
+                    )}
+                  </div>
+                  <ul style={{
+                    fontSize: 'var(--font-size-xs)',
+                    color: 'var(--text-secondary)',
+                    paddingLeft: 'var(--spacing-lg)',
+                    margin: 'var(--spacing-xs) 0 0'
+                  }}>
+                    {Object.entries(revision.changes).map(([field, change]) => (
+                      <li key={field}>
+                        {FIELD_LABELS[field] || field}:{' '}
+                        {revision.action === 'create'
+                          ? formatValue(field, change.new)
+                          : <>{formatValue(field, change.old)} → {formatValue(field, change.new)}</>}
+                      </li>
+                    ))}
+                  </ul>
+                </li>
+              ))}
+            </ol>
+          </>
+        )
+      )}
+    </div>
+  );
+}
+
+export default ReceiptHistoryPanel;
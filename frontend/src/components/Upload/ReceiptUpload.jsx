@@ -1,5 +1,6 @@
 import React, { useState, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
 
 function ReceiptUpload({ user, onError }) {
   const [selectedFile, setSelectedFile] = useState(null);
@@ -13,7 +14,6 @@ function ReceiptUpload({ user, onError }) {
   const navigate = useNavigate();
 
   const IMAGE_SERVICE_URL = 'http://localhost:5001';
-  const OCR_SERVICE_URL = 'http://localhost:5002';
 
   const handleFileSelect = (file) => {
     if (!file.type.startsWith('image/')) {
@@ -93,32 +93,18 @@ function ReceiptUpload({ user, onError }) {
       const imageId = imageData.id;
       console.log('Image uploaded successfully, ID:', imageId);
 
+      // Text recognition and parsing happen on the server; the details can still be entered by hand if it fails
       setProgress(40);
-      const ocrResponse = await fetch(`${OCR_SERVICE_URL}/ocr/extract-by-id`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          image_id: imageId
-        })
-      });
-
-      setProgress(80);
-
       let ocrData = null;
-      if (ocrResponse.ok) {
-        const ocrResult = await ocrResponse.json();
-        if (ocrResult.success && ocrResult.data && ocrResult.data.text) {
-          console.log('OCR successful, extracted text length:', ocrResult.data.text.length);
-
-          ocrData = parseOcrText(ocrResult.data.text);
-          console.log('Parsed OCR data:', ocrData);
+      try {
+        const ocrResponse = await api.receipts.processOCR(imageId);
+        if (ocrResponse.data.text_found) {
+          ocrData = ocrResponse.data.ocr;
         } else {
           console.log('OCR completed but no text extracted');
         }
-      } else {
-        console.log('OCR service failed, proceeding without OCR data');
+      } catch (ocrError) {
+        console.log('OCR failed, proceeding without OCR data:', ocrError.response?.data?.error || ocrError.message);
       }
 
       setProgress(100);
@@ -138,98 +124,6 @@ function ReceiptUpload({ user, onError }) {
     }
   };
 
-  const parseOcrText = (text) => {
-    if (!text || text.trim().length === 0) {
-      return null;
-    }
-
-    const lines = text.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-
-    let storeName = '';
-    for (const line of lines.slice(0, 3)) {
-      if (line.length > 3 && !isAmountLine(line) && !isDateLine(line)) {
-        storeName = cleanStoreName(line);
-        break;
-      }
-    }
-
-    let amount = null;
-    const amountPatterns = [
-      /total[:\s]*\$?([0-9]+\.?[0-9]*)/i,
-      /amount[:\s]*\$?([0-9]+\.?[0-9]*)/i,
-      /\$([0-9]+\.[0-9]{2})/g
-    ];
-
-    for (const pattern of amountPatterns) {
-      const match = text.match(pattern);
-      if (match) {
-        const extractedAmount = parseFloat(match[1] || match[0].replace('$', ''));
-        if (!isNaN(extractedAmount) && extractedAmount > 0 && extractedAmount < 10000) {
-          amount = extractedAmount;
-          break;
-        }
-      }
-    }
-
-    // Extract date
-    let receiptDate = null;
-    const datePattern = /(\d{1,2})[/-](\d{1,2})[/-](\d{2,4})/;
-    const dateMatch = text.match(datePattern);
-    if (dateMatch) {
-      const [_, month, day, year] = dateMatch;
-      const fullYear = year.length === 2 ? (parseInt(year) > 50 ? '19' + year : '20' + year) : year;
-      const date = new Date(fullYear, parseInt(month) - 1, parseInt(day));
-
-      const now = new Date();
-      const oneYearAgo = new Date(now.getFullYear() - 1, now.getMonth(), now.getDate());
-
-      if (date <= now && date >= oneYearAgo && !isNaN(date.getTime())) {
-        receiptDate = date.toISOString().split('T')[0]; // YYYY-MM-DD format
-      }
-    }
-
-    let suggestedCategory = 'Other';
-    if (storeName) {
-      const store = storeName.toLowerCase();
-      if (store.includes('cvs') || store.includes('walgreens') || store.includes('pharmacy')) {
-        suggestedCategory = 'Pharmacy';
-      } else if (store.includes('dental') || store.includes('dentist')) {
-        suggestedCategory = 'Dental';
-      } else if (store.includes('vision') || store.includes('optical') || store.includes('eye')) {
-        suggestedCategory = 'Vision';
-      } else if (store.includes('clinic') || store.includes('medical') || store.includes('doctor')) {
-        suggestedCategory = 'Doctor Visit';
-      }
-    }
-
-    return {
-      store_name: storeName,
-      amount: amount,
-      receipt_date: receiptDate,
-      suggested_category: suggestedCategory,
-      raw_text: text
-    };
-  };
-
-  const isAmountLine = (line) => {
-    return /\$[0-9]+\.?[0-9]*/.test(line) || /total|amount|balance/i.test(line);
-  };
-
-  const isDateLine = (line) => {
-    return /\d{1,2}[/-]\d{1,2}[/-]\d{2,4}/.test(line);
-  };
-
-  const cleanStoreName = (name) => {
-    return name
-      .replace(/[^\w\s&'-]/g, ' ')
-      .replace(/\s+/g, ' ')
-      .trim()
-      .split(' ')
-      .slice(0, 3)
-      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-      .join(' ');
-  };
-
   const proceedManually = () => {
     navigate('/receipt/new');
     console.log(user);
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import api from '../../services/api';
+import StatusBadge from '../Receipts/StatusBadge';
+import { getStatusLabel } from '../../utils/reimbursement';
+
+function ReimbursementStatusPanel({ receipt, onError, onUpdated }) {
+  const [nextStatus, setNextStatus] = useState('');
+  const [details, setDetails] = useState({ date: '', reimbursed_amount: '', claim_reference: '', note: '' });
+  const [saving, setSaving] = useState(false);
+
+  const allowed = receipt.allowed_status_transitions || [];
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+  };
+
+  const handleDetailChange = (e) => {
+    const { name, value } = e.target;
+    setDetails(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async () => {
+    if (!nextStatus) return;
+
+    const payload = { status: nextStatus, note: details.note || undefined };
+    if (nextStatus === 'submitted') {
+      payload.submitted_date = details.date || undefined;
+      payload.claim_reference = details.claim_reference || undefined;
+    } else if (nextStatus === 'reimbursed' || nextStatus === 'partially_reimbursed') {
+      payload.reimbursed_date = details.date || undefined;
+      payload.reimbursed_amount = details.reimbursed_amount || undefined;
+    } else if (nextStatus === 'denied') {
+      payload.denied_date = details.date || undefined;
+    }
+
+    setSaving(true);
+
+    try {
+      const response = await api.receipts.updateStatus(receipt.id, payload);
+      onUpdated(response.data.receipt);
+      setNextStatus('');
+      setDetails({ date: '', reimbursed_amount: '', claim_reference: '', note: '' });
+    } catch (error) {
+      console.error('Failed to update reimbursement status:', error);
+      onError(error.response?.data?.details || 'Failed to update status. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const dateLabel = {
+    submitted: 'Submitted on',
+    reimbursed: 'Reimbursed on',
+    partially_reimbursed: 'Reimbursed on',
+    denied: 'Denied on'
+  }[nextStatus];
+
+  return (
+    <div className="reimbursement-status" style={{
+      marginTop: 'var(--spacing-xxl)',
+      padding: 'var(--spacing-lg)',
+      border: '1px solid var(--border-color)',
+      borderRadius: 'var(--border-radius-md)'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h4 style={{ margin: 0 }}>Reimbursement</h4>
+        <StatusBadge status={receipt.reimbursement_status} reimbursedAmount={receipt.reimbursed_amount} />
+      </div>
+
+      <ul style={{
+        fontSize: 'var(--font-size-sm)',
+        color: 'var(--text-secondary)',
+        listStyle: 'none',
+        padding: 0,
+        margin: 'var(--spacing-md) 0 0'
+      }}>
+        {receipt.submitted_date && <li>Submitted: {receipt.submitted_date}</li>}
+        {receipt.claim_reference && <li>Claim reference: {receipt.claim_reference}</li>}
+        {receipt.reimbursed_date && (
+          <li>Reimbursed: {formatCurrency(receipt.reimbursed_amount)} on {receipt.reimbursed_date}</li>
+        )}
+        {receipt.denied_date && <li>Denied: {receipt.denied_date}</li>}
+        {receipt.status_note && <li>Note: {receipt.status_note}</li>}
+      </ul>
+
+      {allowed.length > 0 && (
+        <div style={{ marginTop: 'var(--spacing-md)' }}>
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)', flexWrap: 'wrap', alignItems: 'center' }}>
+            <select
+              value={nextStatus}
+              onChange={(e) => setNextStatus(e.target.value)}
+              className="form-select"
+              style={{ flex: '1 1 200px' }}
+              aria-label="Change reimbursement status"
+            >
+              <option value="">Change status to...</option>
+              {allowed.map(status => (
+                <option key={status} value={status}>{getStatusLabel(status)}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={handleSubmit}
+              disabled={!nextStatus || saving}
+              className="btn btn-sm btn-primary"
+            >
+              {saving ? 'Saving...' : 'Update Status'}
+            </button>
+          </div>
+
+          {nextStatus && (
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+              gap: 'var(--spacing-sm)',
+              marginTop: 'var(--spacing-sm)'
+            }}>
+              {dateLabel && (
+                <input
+                  type="date"
+                  name="date"
+                  value={details.date}
+                  onChange={handleDetailChange}
+                  max={new Date().toISOString().split('T')[0]}
+                  className="form-input"
+                  aria-label={dateLabel}
+                  title={`${dateLabel} (defaults to today)`}
+                />
+              )}
+              {(nextStatus === 'reimbursed' || nextStatus === 'partially_reimbursed') && (
+                <input
+                  type="number"
+                  name="reimbursed_amount"
+                  value={details.reimbursed_amount}
+                  onChange={handleDetailChange}
+                  placeholder={nextStatus === 'reimbursed' ? `Amount (${formatCurrency(receipt.amount)})` : 'Amount reimbursed'}
+                  step="0.01"
+                  min="0.01"
+                  max={receipt.amount}
+                  className="form-input"
+                />
+              )}
+              {nextStatus === 'submitted' && (
+                <input
+                  type="text"
+                  name="claim_reference"
+                  value={details.claim_reference}
+                  onChange={handleDetailChange}
+                  placeholder="Claim reference"
+                  className="form-input"
+                />
+              )}
+              <input
+                type="text"
+                name="note"
+                value={details.note}
+                onChange={handleDetailChange}
+                placeholder="Note (optional)"
+                className="form-input"
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ReimbursementStatusPanel;
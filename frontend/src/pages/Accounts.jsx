@@ -0,0 +1,434 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const EMPTY_ACCOUNT = {
+  name: '',
+  account_type: 'HSA',
+  administrator_name: '',
+  plan_year_start: '',
+  plan_year_end: '',
+  election_amount: '',
+  grace_period_days: '',
+  carryover_limit: '',
+  run_out_days: '90',
+  hsa_established_date: '',
+  hsa_coverage_type: 'self_only',
+  holder_birth_date: ''
+};
+
+const PLAN_YEAR_TYPES = ['FSA', 'LPFSA', 'DCFSA', 'HRA'];
+
+function Accounts({ onError }) {
+  const [accounts, setAccounts] = useState([]);
+  const [accountTypes, setAccountTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      setLoading(true);
+      const response = await api.accounts.getAll();
+      setAccounts(response.data.accounts || []);
+      setAccountTypes(response.data.account_types || []);
+    } catch (error) {
+      console.error('Failed to fetch accounts:', error);
+      onError('Failed to load your accounts. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startAdd = () => {
+    setEditingId(null);
+    setFormData(EMPTY_ACCOUNT);
+  };
+
+  const startEdit = (account) => {
+    setEditingId(account.id);
+    setFormData(Object.fromEntries(
+      Object.keys(EMPTY_ACCOUNT).map(key => [key, account[key] != null ? account[key].toString() : ''])
+    ));
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setFormData(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const isPlanYear = PLAN_YEAR_TYPES.includes(formData.account_type);
+    const payload = {
+      name: formData.name,
+      account_type: formData.account_type,
+      administrator_name: formData.administrator_name,
+      plan_year_start: isPlanYear ? formData.plan_year_start : null,
+      plan_year_end: isPlanYear ? formData.plan_year_end : null,
+      election_amount: isPlanYear ? formData.election_amount : null,
+      grace_period_days: isPlanYear ? formData.grace_period_days : 0,
+      carryover_limit: isPlanYear ? formData.carryover_limit : 0,
+      run_out_days: isPlanYear ? formData.run_out_days : undefined,
+      hsa_established_date: formData.account_type === 'HSA' ? formData.hsa_established_date : null,
+      hsa_coverage_type: formData.account_type === 'HSA' ? formData.hsa_coverage_type : null,
+      holder_birth_date: formData.account_type === 'HSA' ? formData.holder_birth_date : null
+    };
+
+    setSaving(true);
+
+    try {
+      if (editingId) {
+        await api.accounts.update(editingId, payload);
+      } else {
+        await api.accounts.create(payload);
+      }
+      cancelEdit();
+      await fetchAccounts();
+    } catch (error) {
+      console.error('Failed to save account:', error);
+      onError(error.response?.data?.details || 'Failed to save account. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (account) => {
+    if (!window.confirm(`Delete ${account.name}? Its ${account.receipt_count} receipt(s) will be marked as paid out of pocket.`)) {
+      return;
+    }
+
+    try {
+      await api.accounts.delete(account.id);
+      setAccounts(prev => prev.filter(a => a.id !== account.id));
+    } catch (error) {
+      console.error('Failed to delete account:', error);
+      onError(error.response?.data?.details || 'Failed to delete account. Please try again.');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const getTypeLabel = (value) => {
+    return accountTypes.find(type => type.value === value)?.label || value;
+  };
+
+  const isPlanYear = formData && PLAN_YEAR_TYPES.includes(formData.account_type);
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>Benefit Accounts</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              Your HSA, FSA and HRA accounts. Receipts not assigned to an account count as paid out of pocket.
+            </p>
+          </div>
+          {!formData && (
+            <button onClick={startAdd} className="btn btn-primary">
+              Add Account
+            </button>
+          )}
+        </div>
+
+        {formData && (
+          <form onSubmit={handleSubmit} className="account-form" style={{
+            background: 'white',
+            padding: 'var(--spacing-lg)',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)',
+            marginBottom: 'var(--spacing-xl)'
+          }}>
+            <h3 style={{ marginTop: 0 }}>{editingId ? 'Edit Account' : 'New Account'}</h3>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--spacing-md)' }}>
+              <div className="form-group">
+                <label htmlFor="account_type">Account type *</label>
+                <select
+                  id="account_type"
+                  name="account_type"
+                  value={formData.account_type}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  {accountTypes.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="administrator_name">Administrator</label>
+                <input
+                  type="text"
+                  id="administrator_name"
+                  name="administrator_name"
+                  value={formData.administrator_name}
+                  onChange={handleChange}
+                  placeholder="e.g., HealthEquity, WEX"
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="name">Nickname</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="Defaults to administrator and type"
+                  className="form-input"
+                />
+              </div>
+
+              {formData.account_type === 'HSA' && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="hsa_established_date">HSA established</label>
+                    <input
+                      type="date"
+                      id="hsa_established_date"
+                      name="hsa_established_date"
+                      value={formData.hsa_established_date}
+                      onChange={handleChange}
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="hsa_coverage_type">HDHP coverage</label>
+                    <select
+                      id="hsa_coverage_type"
+                      name="hsa_coverage_type"
+                      value={formData.hsa_coverage_type}
+                      onChange={handleChange}
+                      className="form-select"
+                    >
+                      <option value="self_only">Self-only</option>
+                      <option value="family">Family</option>
+                    </select>
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="holder_birth_date">Account holder's date of birth</label>
+                    <input
+                      type="date"
+                      id="holder_birth_date"
+                      name="holder_birth_date"
+                      value={formData.holder_birth_date}
+                      onChange={handleChange}
+                      className="form-input"
+                    />
+                    <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                      Used for the age-55 catch-up contribution
+                    </small>
+                  </div>
+                </>
+              )}
+
+              {isPlanYear && (
+                <>
+                  <div className="form-group">
+                    <label htmlFor="plan_year_start">Plan year start *</label>
+                    <input
+                      type="date"
+                      id="plan_year_start"
+                      name="plan_year_start"
+                      value={formData.plan_year_start}
+                      onChange={handleChange}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="plan_year_end">Plan year end *</label>
+                    <input
+                      type="date"
+                      id="plan_year_end"
+                      name="plan_year_end"
+                      value={formData.plan_year_end}
+                      onChange={handleChange}
+                      min={formData.plan_year_start || undefined}
+                      className="form-input"
+                      required
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="election_amount">Annual election</label>
+                    <input
+                      type="number"
+                      id="election_amount"
+                      name="election_amount"
+                      value={formData.election_amount}
+                      onChange={handleChange}
+                      step="0.01"
+                      min="0"
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="grace_period_days">Grace period (days)</label>
+                    <input
+                      type="number"
+                      id="grace_period_days"
+                      name="grace_period_days"
+                      value={formData.grace_period_days}
+                      onChange={handleChange}
+                      step="1"
+                      min="0"
+                      max="77"
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="run_out_days">Claim run-out (days after plan year)</label>
+                    <input
+                      type="number"
+                      id="run_out_days"
+                      name="run_out_days"
+                      value={formData.run_out_days}
+                      onChange={handleChange}
+                      step="1"
+                      min="0"
+                      max="365"
+                      className="form-input"
+                    />
+                  </div>
+
+                  <div className="form-group">
+                    <label htmlFor="carryover_limit">Carryover limit</label>
+                    <input
+                      type="number"
+                      id="carryover_limit"
+                      name="carryover_limit"
+                      value={formData.carryover_limit}
+                      onChange={handleChange}
+                      step="0.01"
+                      min="0"
+                      className="form-input"
+                    />
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div style={{ display: 'flex', gap: 'var(--spacing-md)' }}>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : 'Save Account'}
+              </button>
+              <button type="button" onClick={cancelEdit} disabled={saving} className="btn btn-outline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading accounts...</p>
+          </div>
+        )}
+
+        {!loading && accounts.length === 0 && !formData && (
+          <div className="empty-state" style={{
+            textAlign: 'center',
+            padding: 'var(--spacing-xxl)',
+            background: 'white',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)'
+          }}>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-lg)' }}>🏦</div>
+            <h3>No accounts yet</h3>
+            <p style={{ color: 'var(--text-secondary)' }}>
+              Add your HSA or FSA to track which receipts are claimed against which account.
+            </p>
+          </div>
+        )}
+
+        {!loading && accounts.length > 0 && (
+          <div className="receipts-grid">
+            {accounts.map(account => (
+              <div key={account.id} className="receipt-card fade-in">
+                <div className="receipt-details">
+                  <div className="receipt-store">{account.name}</div>
+                  <div className="receipt-meta">
+                    {getTypeLabel(account.account_type)}
+                    {account.administrator_name && ` • ${account.administrator_name}`}
+                  </div>
+                  {account.plan_year_start && (
+                    <div className="receipt-meta">
+                      Plan year {account.plan_year_start} to {account.plan_year_end}
+                    </div>
+                  )}
+                  {account.election_amount != null && (
+                    <div className="receipt-meta">Election {formatCurrency(account.election_amount)}</div>
+                  )}
+                  {account.hsa_established_date && (
+                    <div className="receipt-meta">Established {account.hsa_established_date}</div>
+                  )}
+                  {account.account_type === 'HSA' && (
+                    <Link to="/contributions" style={{ fontSize: 'var(--font-size-sm)', color: 'var(--primary-color)', display: 'block' }}>
+                      Contributions
+                    </Link>
+                  )}
+                  <Link
+                    to={`/receipts?account=${account.id}`}
+                    style={{ fontSize: 'var(--font-size-sm)', color: 'var(--primary-color)' }}
+                  >
+                    {account.receipt_count} receipt{account.receipt_count !== 1 ? 's' : ''} • {formatCurrency(account.receipt_total)}
+                  </Link>
+                </div>
+
+                <div className="receipt-actions">
+                  <button onClick={() => startEdit(account)} className="btn btn-sm btn-outline">
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(account)}
+                    className="btn btn-sm btn-outline"
+                    style={{ color: 'var(--danger-color)' }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Accounts;
@@ -1,6 +1,27 @@
 import React, { useState, useEffect } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import api from '../services/api';
+import StatusBadge from '../components/Receipts/StatusBadge';
+import EligibilityBadge from '../components/Receipts/EligibilityBadge';
+import { REIMBURSEMENT_STATUSES } from '../utils/reimbursement';
+import { downloadBlob } from '../utils/download';
+
+const DEFAULT_FILTERS = {
+  search: '',
+  category: 'all',
+  status: 'all',
+  account: 'all',
+  patient: 'all',
+  provider: 'all',
+  startDate: '',
+  endDate: '',
+  minAmount: '',
+  maxAmount: '',
+  sortBy: 'date',
+  sortOrder: 'desc'
+};
+
+const PAGE_SIZE = 50;
 
 function AllReceipts({ user, onError }) {
   const [receipts, setReceipts] = useState([]);
@@ -9,13 +30,28 @@ function AllReceipts({ user, onError }) {
   const [checkingDuplicates, setCheckingDuplicates] = useState(false);
   const [duplicateGroups, setDuplicateGroups] = useState([]);
   const [showDuplicates, setShowDuplicates] = useState(false);
-  const [filters, setFilters] = useState({
-    search: '',
-    category: 'all',
-    sortBy: 'date',
-    sortOrder: 'desc'
-  });
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [creatingPacket, setCreatingPacket] = useState(false);
+  const [searchParams] = useSearchParams();
+  // Links from other pages (e.g. Accounts, Categories, Household, Providers, Dashboard charts) can pre-select
+  // filters with ?account=, ?category=, ?patient=, ?provider=, ?status=, ?search=, ?start_date= and ?end_date=
+  const [filters, setFilters] = useState(() => ({
+    ...DEFAULT_FILTERS,
+    account: searchParams.get('account') || DEFAULT_FILTERS.account,
+    patient: searchParams.get('patient') || DEFAULT_FILTERS.patient,
+    provider: searchParams.get('provider') || DEFAULT_FILTERS.provider,
+    category: searchParams.get('category') || DEFAULT_FILTERS.category,
+    status: searchParams.get('status') || DEFAULT_FILTERS.status,
+    search: searchParams.get('search') || DEFAULT_FILTERS.search,
+    startDate: searchParams.get('start_date') || DEFAULT_FILTERS.startDate,
+    endDate: searchParams.get('end_date') || DEFAULT_FILTERS.endDate
+  }));
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
   const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [providers, setProviders] = useState([]);
 
   const IMAGE_SERVICE_URL = 'http://localhost:5001';
   const EXPORT_SERVICE_URL = 'http://localhost:5003';
@@ -23,60 +59,78 @@ function AllReceipts({ user, onError }) {
 
   useEffect(() => {
     fetchCategories();
+    fetchAccounts();
+    fetchMembers();
+    fetchProviders();
+  }, []);
+
+  useEffect(() => {
     fetchReceipts();
-  }, [filters]);
+  }, [filters, page]);
 
   const fetchCategories = async () => {
     try {
-      const response = await api.receipts.getCategories();
+      const response = await api.categories.getAll();
       setCategories(response.data.categories || []);
     } catch (error) {
       console.error('Failed to fetch categories:', error);
     }
   };
 
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.accounts.getAll();
+      setAccounts(response.data.accounts || []);
+    } catch (error) {
+      console.error('Failed to fetch accounts:', error);
+    }
+  };
+
+  const fetchMembers = async () => {
+    try {
+      const response = await api.household.getAll();
+      setMembers(response.data.members || []);
+    } catch (error) {
+      console.error('Failed to fetch household members:', error);
+    }
+  };
+
+  const fetchProviders = async () => {
+    try {
+      const response = await api.providers.getAll();
+      setProviders(response.data.providers || []);
+    } catch (error) {
+      console.error('Failed to fetch providers:', error);
+    }
+  };
+
   const fetchReceipts = async () => {
     try {
       setLoading(true);
+      const searchQuery = filters.search.trim();
       const params = {
-        search: filters.search,
         category: filters.category !== 'all' ? filters.category : undefined,
-        limit: 50
+        status: filters.status !== 'all' ? filters.status : undefined,
+        account: filters.account !== 'all' ? filters.account : undefined,
+        patient: filters.patient !== 'all' ? filters.patient : undefined,
+        provider: filters.provider !== 'all' ? filters.provider : undefined,
+        start_date: filters.startDate || undefined,
+        end_date: filters.endDate || undefined,
+        min_amount: filters.minAmount || undefined,
+        max_amount: filters.maxAmount || undefined,
+        sort_by: filters.sortBy,
+        sort_order: filters.sortOrder,
+        page,
+        limit: PAGE_SIZE
       };
 
-      const response = await api.receipts.getAll(params);
-      let fetchedReceipts = response.data.receipts || [];
-
-      fetchedReceipts.sort((a, b) => {
-        let aValue, bValue;
-
-        switch (filters.sortBy) {
-          case 'amount':
-            aValue = parseFloat(a.amount);
-            bValue = parseFloat(b.amount);
-            break;
-          case 'store':
-            aValue = a.store_name.toLowerCase();
-            bValue = b.store_name.toLowerCase();
-            break;
-          case 'category':
-            aValue = a.category.toLowerCase();
-            bValue = b.category.toLowerCase();
-            break;
-          case 'date':
-          default:
-            aValue = new Date(a.receipt_date);
-            bValue = new Date(b.receipt_date);
-            break;
-        }
-
-        if (filters.sortOrder === 'asc') {
-          return aValue < bValue ? -1 : aValue > bValue ? 1 : 0;
-        } else {
-          return aValue > bValue ? -1 : aValue < bValue ? 1 : 0;
-        }
-      });
+      // Typed searches go through the full-text index so OCR text is matched too
+      const response = searchQuery
+        ? await api.receipts.search({ ...params, q: searchQuery })
+        : await api.receipts.getAll(params);
+      const fetchedReceipts = response.data.receipts || [];
 
+      setPagination(response.data.pagination || null);
       setReceipts(fetchedReceipts);
     } catch (error) {
       console.error('Failed to fetch receipts:', error);
@@ -91,8 +145,17 @@ function AllReceipts({ user, onError }) {
       ...prev,
       [key]: value
     }));
+    setPage(1);
+  };
+
+  const clearFilters = () => {
+    setFilters(DEFAULT_FILTERS);
+    setPage(1);
   };
 
+  const hasActiveFilters = filters.search || filters.category !== 'all' || filters.status !== 'all' || filters.account !== 'all' ||
+    filters.patient !== 'all' || filters.provider !== 'all' || filters.startDate || filters.endDate || filters.minAmount || filters.maxAmount;
+
   const getImageUrl = (receipt) => {
     if (receipt.image_id) {
       return `${IMAGE_SERVICE_URL}/image/${receipt.image_id}`;
@@ -107,13 +170,14 @@ function AllReceipts({ user, onError }) {
   };
 
   const handleDelete = async (receiptId) => {
-    if (!window.confirm('Are you sure you want to delete this receipt? This action cannot be undone and you will lose all receipt data.')) {
+    if (!window.confirm('Move this receipt to the trash? You can restore it from the trash for 30 days.')) {
       return;
     }
 
     try {
       await api.receipts.delete(receiptId);
       setReceipts(prev => prev.filter(r => r.id !== receiptId));
+      setPagination(prev => prev ? { ...prev, total: prev.total - 1 } : prev);
 
       if (showDuplicates) {
         setDuplicateGroups(prev =>
@@ -128,7 +192,7 @@ function AllReceipts({ user, onError }) {
       const successMessage = document.createElement('div');
       successMessage.className = 'success-banner';
       successMessage.innerHTML = `
-        <span>Receipt deleted successfully</span>
+        <span>Receipt moved to trash</span>
         <button onclick="this.parentElement.remove()">×</button>
       `;
       successMessage.style.cssText = `
@@ -233,6 +297,61 @@ function AllReceipts({ user, onError }) {
     }
   };
 
+  const toggleSelected = (receiptId) => {
+    setSelectedIds(prev => prev.includes(receiptId)
+      ? prev.filter(id => id !== receiptId)
+      : [...prev, receiptId]);
+  };
+
+  // Builds one PDF from the selected receipts, downloads it and marks the receipts as submitted
+  const handleCreatePacket = async () => {
+    if (selectedIds.length === 0) {
+      return;
+    }
+
+    setCreatingPacket(true);
+
+    try {
+      const response = await api.claims.createPacket({ receipt_ids: selectedIds });
+      const { packet, submitted, skipped } = response.data;
+
+      const file = await api.claims.download(packet.id);
+      downloadBlob(file.data, packet.file_name);
+
+      setSelectedIds([]);
+      await fetchReceipts();
+
+      const successMessage = document.createElement('div');
+      successMessage.className = 'success-banner';
+      successMessage.innerHTML = `
+        <span>Claim packet created with ${packet.receipt_count} receipts. ${submitted.length} marked as submitted${skipped.length > 0 ? `, ${skipped.length} already past submitted` : ''}.</span>
+        <button onclick="this.parentElement.remove()">×</button>
+      `;
+      successMessage.style.cssText = `
+        background-color: var(--success-color);
+        color: white;
+        padding: var(--spacing-md);
+        position: fixed;
+        top: 70px;
+        left: 50%;
+        transform: translateX(-50%);
+        border-radius: var(--border-radius-md);
+        box-shadow: var(--shadow-md);
+        z-index: 1000;
+        max-width: 80%;
+        text-align: center;
+      `;
+      document.body.appendChild(successMessage);
+      setTimeout(() => successMessage.remove(), 5000);
+
+    } catch (error) {
+      console.error('Failed to create claim packet:', error);
+      onError(error.response?.data?.details || 'Failed to create claim packet. Please try again.');
+    } finally {
+      setCreatingPacket(false);
+    }
+  };
+
   const handleCheckDuplicates = async () => {
     if (receipts.length === 0) {
       onError('No receipts to check for duplicates.');
@@ -313,7 +432,29 @@ function AllReceipts({ user, onError }) {
     });
   };
 
+  // Finds a receipt's category in the tree; subcategories inherit their parent's color
+  const findCategory = (name) => {
+    const lower = name?.toLowerCase();
+    for (const category of categories) {
+      if (category.name.toLowerCase() === lower) return { category, parent: null };
+      const child = category.children.find(c => c.name.toLowerCase() === lower);
+      if (child) return { category: child, parent: category };
+    }
+    return null;
+  };
+
+  const getCategoryColor = (name) => {
+    const match = findCategory(name);
+    return match?.category.color || match?.parent?.color || 'var(--border-color)';
+  };
+
+  const getCategoryPath = (name) => {
+    const match = findCategory(name);
+    return match?.parent ? `${match.parent.name} › ${match.category.name}` : name;
+  };
+
   const totalAmount = receipts.reduce((sum, receipt) => sum + parseFloat(receipt.amount || 0), 0);
+  const totalReceipts = pagination ? pagination.total : receipts.length;
 
   return (
     <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
@@ -330,7 +471,7 @@ function AllReceipts({ user, onError }) {
           <div>
             <h1>All Receipts</h1>
             <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
-              {receipts.length} receipt{receipts.length !== 1 ? 's' : ''} • {formatCurrency(totalAmount)} total
+              {totalReceipts} receipt{totalReceipts !== 1 ? 's' : ''} • {formatCurrency(totalAmount)} {pagination?.total_pages > 1 ? 'on this page' : 'total'}
               {showDuplicates && duplicateGroups.length > 0 && (
                 <span style={{ color: 'var(--warning-color)', marginLeft: 'var(--spacing-sm)' }}>
                   • {duplicateGroups.length} duplicate group{duplicateGroups.length > 1 ? 's' : ''} found
@@ -381,6 +522,34 @@ function AllReceipts({ user, onError }) {
                 </>
               )}
             </button>
+            <button
+              onClick={handleCreatePacket}
+              disabled={creatingPacket || selectedIds.length === 0}
+              className="btn btn-secondary"
+              title="Select receipts to build a PDF claim packet"
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 'var(--spacing-sm)'
+              }}
+            >
+              {creatingPacket ? (
+                <>
+                  <div className="loading-spinner" style={{ width: '16px', height: '16px' }}></div>
+                  Building Packet...
+                </>
+              ) : (
+                <>
+                  Claim Packet{selectedIds.length > 0 ? ` (${selectedIds.length})` : ''}
+                </>
+              )}
+            </button>
+            <Link to="/claims" className="btn btn-outline">
+              Past Packets
+            </Link>
+            <Link to="/trash" className="btn btn-outline">
+              Trash
+            </Link>
             <Link to="/upload" className="btn btn-primary">
               Add Receipt
             </Link>
@@ -398,7 +567,7 @@ function AllReceipts({ user, onError }) {
               <input
                 type="text"
                 id="search"
-                placeholder="Search by store, description, or category..."
+                placeholder="Search stores, descriptions, or receipt text..."
                 value={filters.search}
                 onChange={(e) => handleFilterChange('search', e.target.value)}
                 className="search-input"
@@ -418,13 +587,165 @@ function AllReceipts({ user, onError }) {
               >
                 <option value="all">All Categories</option>
                 {categories.map(cat => (
-                  <option key={cat.value} value={cat.value}>
-                    {cat.label}
+                  <React.Fragment key={cat.id}>
+                    <option value={cat.name}>
+                      {cat.name}{cat.archived ? ' (archived)' : ''}
+                    </option>
+                    {cat.children.map(child => (
+                      <option key={child.id} value={child.name}>
+                        {'\u00A0\u00A0\u00A0'}{child.name}{child.archived ? ' (archived)' : ''}
+                      </option>
+                    ))}
+                  </React.Fragment>
+                ))}
+              </select>
+            </div>
+
+            {/* Reimbursement Status Filter */}
+            <div className="form-group" style={{ margin: 0 }}>
+              <label htmlFor="status" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                Status
+              </label>
+              <select
+                id="status"
+                value={filters.status}
+                onChange={(e) => handleFilterChange('status', e.target.value)}
+                className="form-select"
+              >
+                <option value="all">All Statuses</option>
+                <option value="unsubmitted,submitted,partially_reimbursed">Outstanding</option>
+                {REIMBURSEMENT_STATUSES.map(status => (
+                  <option key={status.value} value={status.value}>
+                    {status.label}
                   </option>
                 ))}
               </select>
             </div>
 
+            {/* Account Filter */}
+            {accounts.length > 0 && (
+              <div className="form-group" style={{ margin: 0 }}>
+                <label htmlFor="account" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                  Account
+                </label>
+                <select
+                  id="account"
+                  value={filters.account}
+                  onChange={(e) => handleFilterChange('account', e.target.value)}
+                  className="form-select"
+                >
+                  <option value="all">All Accounts</option>
+                  <option value="out_of_pocket">Out of pocket</option>
+                  {accounts.map(account => (
+                    <option key={account.id} value={account.id}>
+                      {account.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Patient Filter */}
+            {members.length > 0 && (
+              <div className="form-group" style={{ margin: 0 }}>
+                <label htmlFor="patient" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                  Patient
+                </label>
+                <select
+                  id="patient"
+                  value={filters.patient}
+                  onChange={(e) => handleFilterChange('patient', e.target.value)}
+                  className="form-select"
+                >
+                  <option value="all">Everyone</option>
+                  <option value="unassigned">Not specified</option>
+                  {members.map(member => (
+                    <option key={member.id} value={member.id}>
+                      {member.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Provider Filter */}
+            {providers.length > 0 && (
+              <div className="form-group" style={{ margin: 0 }}>
+                <label htmlFor="provider" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                  Provider
+                </label>
+                <select
+                  id="provider"
+                  value={filters.provider}
+                  onChange={(e) => handleFilterChange('provider', e.target.value)}
+                  className="form-select"
+                >
+                  <option value="all">All Providers</option>
+                  {providers.map(provider => (
+                    <option key={provider.id} value={provider.id}>
+                      {provider.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+
+            {/* Date Range */}
+            <div className="form-group" style={{ margin: 0 }}>
+              <label htmlFor="startDate" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                Date range
+              </label>
+              <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+                <input
+                  type="date"
+                  id="startDate"
+                  value={filters.startDate}
+                  max={filters.endDate || undefined}
+                  onChange={(e) => handleFilterChange('startDate', e.target.value)}
+                  className="form-input"
+                  aria-label="From date"
+                />
+                <input
+                  type="date"
+                  id="endDate"
+                  value={filters.endDate}
+                  min={filters.startDate || undefined}
+                  onChange={(e) => handleFilterChange('endDate', e.target.value)}
+                  className="form-input"
+                  aria-label="To date"
+                />
+              </div>
+            </div>
+
+            {/* Amount Range */}
+            <div className="form-group" style={{ margin: 0 }}>
+              <label htmlFor="minAmount" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
+                Amount range
+              </label>
+              <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
+                <input
+                  type="number"
+                  id="minAmount"
+                  placeholder="Min"
+                  min="0"
+                  step="0.01"
+                  value={filters.minAmount}
+                  onChange={(e) => handleFilterChange('minAmount', e.target.value)}
+                  className="form-input"
+                />
+                <input
+                  type="number"
+                  id="maxAmount"
+                  placeholder="Max"
+                  min="0"
+                  step="0.01"
+                  value={filters.maxAmount}
+                  onChange={(e) => handleFilterChange('maxAmount', e.target.value)}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
             {/* Sort Options */}
             <div className="form-group" style={{ margin: 0 }}>
               <label htmlFor="sort" style={{ fontSize: 'var(--font-size-sm)', marginBottom: 'var(--spacing-xs)' }}>
@@ -433,18 +754,22 @@ function AllReceipts({ user, onError }) {
               <div style={{ display: 'flex', gap: 'var(--spacing-sm)' }}>
                 <select
                   id="sort"
-                  value={filters.sortBy}
+                  value={filters.search.trim() ? 'relevance' : filters.sortBy}
                   onChange={(e) => handleFilterChange('sortBy', e.target.value)}
                   className="form-select"
                   style={{ flex: 1 }}
+                  disabled={!!filters.search.trim()}
                 >
+                  {filters.search.trim() && <option value="relevance">Relevance</option>}
                   <option value="date">Date</option>
                   <option value="amount">Amount</option>
                   <option value="store">Store Name</option>
                   <option value="category">Category</option>
+                  <option value="created">Date Added</option>
                 </select>
                 <button
                   onClick={() => handleFilterChange('sortOrder', filters.sortOrder === 'asc' ? 'desc' : 'asc')}
+                  disabled={!!filters.search.trim()}
                   className="btn btn-outline"
                   style={{ padding: 'var(--spacing-sm) var(--spacing-md)' }}
                   title={`Sort ${filters.sortOrder === 'asc' ? 'Descending' : 'Ascending'}`}
@@ -457,12 +782,7 @@ function AllReceipts({ user, onError }) {
             {/* Clear Filters */}
             <div style={{ display: 'flex', alignItems: 'end' }}>
               <button
-                onClick={() => setFilters({
-                  search: '',
-                  category: 'all',
-                  sortBy: 'date',
-                  sortOrder: 'desc'
-                })}
+                onClick={clearFilters}
                 className="btn btn-text"
                 style={{ padding: 'var(--spacing-sm)' }}
               >
@@ -491,19 +811,14 @@ function AllReceipts({ user, onError }) {
             marginTop: 'var(--spacing-xl)'
           }}>
             <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-lg)' }}>🔍</div>
-            {filters.search || filters.category !== 'all' ? (
+            {hasActiveFilters ? (
               <>
                 <h3>No receipts found</h3>
                 <p style={{ color: 'var(--text-secondary)', marginBottom: 'var(--spacing-lg)' }}>
                   Try adjusting your search terms or filters.
                 </p>
                 <button
-                  onClick={() => setFilters({
-                    search: '',
-                    category: 'all',
-                    sortBy: 'date',
-                    sortOrder: 'desc'
-                  })}
+                  onClick={clearFilters}
                   className="btn btn-outline"
                 >
                   Clear All Filters
@@ -540,6 +855,19 @@ function AllReceipts({ user, onError }) {
                        position: 'relative'
                      }}>
 
+                  <input
+                    type="checkbox"
+                    checked={selectedIds.includes(receipt.id)}
+                    onChange={() => toggleSelected(receipt.id)}
+                    aria-label={`Include ${receipt.store_name} in claim packet`}
+                    style={{
+                      position: 'absolute',
+                      top: 'var(--spacing-xs)',
+                      left: 'var(--spacing-xs)',
+                      zIndex: 1
+                    }}
+                  />
+
                   {isDuplicate && (
                     <div style={{
                       position: 'absolute',
@@ -593,7 +921,30 @@ function AllReceipts({ user, onError }) {
                       {formatCurrency(receipt.amount)}
                     </div>
                     <div className="receipt-category">
-                      {receipt.category}
+                      <span style={{
+                        display: 'inline-block',
+                        width: '8px',
+                        height: '8px',
+                        borderRadius: '50%',
+                        marginRight: 'var(--spacing-xs)',
+                        background: getCategoryColor(receipt.category)
+                      }} />
+                      {getCategoryPath(receipt.category)}
+                    </div>
+                    {receipt.account_id && (
+                      <div className="receipt-meta">
+                        {accounts.find(account => account.id === receipt.account_id)?.name}
+                      </div>
+                    )}
+                    {receipt.patient_id && (
+                      <div className="receipt-meta">
+                        For {members.find(member => member.id === receipt.patient_id)?.name}
+                      </div>
+                    )}
+                    <div style={{ marginTop: 'var(--spacing-xs)' }}>
+                      <StatusBadge status={receipt.reimbursement_status} reimbursedAmount={receipt.reimbursed_amount} />
+                      {' '}
+                      <EligibilityBadge verdict={receipt.eligibility_verdict} explanation={receipt.eligibility_explanation} />
                     </div>
                     {receipt.description && (
                       <div style={{
@@ -608,6 +959,20 @@ function AllReceipts({ user, onError }) {
                         {receipt.description}
                       </div>
                     )}
+                    {receipt.search_highlights?.length > 0 && (
+                      <div className="search-snippet" style={{
+                        fontSize: 'var(--font-size-xs)',
+                        color: 'var(--text-secondary)',
+                        marginTop: 'var(--spacing-xs)',
+                        fontStyle: 'italic'
+                      }}>
+                        …{receipt.search_highlights.map((segment, index) => (
+                          segment.match
+                            ? <mark key={index}>{segment.text}</mark>
+                            : <span key={index}>{segment.text}</span>
+                        ))}…
+                      </div>
+                    )}
                   </div>
 
                   {/* Receipt Actions */}
@@ -636,6 +1001,35 @@ function AllReceipts({ user, onError }) {
             })}
           </div>
         )}
+
+        {/* Pagination */}
+        {!loading && pagination && pagination.total_pages > 1 && (
+          <div style={{
+            display: 'flex',
+            justifyContent: 'center',
+            alignItems: 'center',
+            gap: 'var(--spacing-md)',
+            marginTop: 'var(--spacing-xl)'
+          }}>
+            <button
+              onClick={() => setPage(prev => prev - 1)}
+              disabled={page <= 1}
+              className="btn btn-outline"
+            >
+              Previous
+            </button>
+            <span style={{ color: 'var(--text-secondary)' }}>
+              Page {pagination.current_page} of {pagination.total_pages}
+            </span>
+            <button
+              onClick={() => setPage(prev => prev + 1)}
+              disabled={!pagination.has_more}
+              className="btn btn-outline"
+            >
+              Next
+            </button>
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,356 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const EMPTY_CATEGORY = {
+  name: '',
+  parent_id: '',
+  description: '',
+  color: '#7f8c8d',
+  eligibility_default: ''
+};
+
+function Categories({ onError }) {
+  const [categories, setCategories] = useState([]);
+  const [eligibilityDefaults, setEligibilityDefaults] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+
+  useEffect(() => {
+    fetchCategories();
+  }, []);
+
+  const fetchCategories = async () => {
+    try {
+      setLoading(true);
+      const response = await api.categories.getAll();
+      setCategories(response.data.categories || []);
+      setEligibilityDefaults(response.data.eligibility_defaults || []);
+    } catch (error) {
+      console.error('Failed to fetch categories:', error);
+      onError('Failed to load your categories. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startAdd = (parentId = '') => {
+    const parent = categories.find(category => category.id === parentId);
+    setEditingId(null);
+    setFormData({ ...EMPTY_CATEGORY, parent_id: parentId ? parentId.toString() : '', color: parent?.color || EMPTY_CATEGORY.color });
+  };
+
+  const startEdit = (category) => {
+    setEditingId(category.id);
+    setFormData({
+      name: category.name,
+      parent_id: category.parent_id ? category.parent_id.toString() : '',
+      description: category.description || '',
+      color: category.color || EMPTY_CATEGORY.color,
+      eligibility_default: category.eligibility_default || ''
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setFormData(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const payload = {
+      name: formData.name,
+      parent_id: formData.parent_id || null,
+      description: formData.description,
+      color: formData.color,
+      eligibility_default: formData.eligibility_default || null
+    };
+
+    setSaving(true);
+
+    try {
+      if (editingId) {
+        await api.categories.update(editingId, payload);
+      } else {
+        await api.categories.create(payload);
+      }
+      cancelEdit();
+      await fetchCategories();
+    } catch (error) {
+      console.error('Failed to save category:', error);
+      onError(error.response?.data?.details || 'Failed to save category. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleArchived = async (category) => {
+    try {
+      await api.categories.update(category.id, { archived: !category.archived });
+      await fetchCategories();
+    } catch (error) {
+      console.error('Failed to archive category:', error);
+      onError(error.response?.data?.details || 'Failed to update category. Please try again.');
+    }
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete the ${category.name} category?`)) {
+      return;
+    }
+
+    try {
+      await api.categories.delete(category.id);
+      await fetchCategories();
+    } catch (error) {
+      console.error('Failed to delete category:', error);
+      onError(error.response?.data?.details || 'Failed to delete category. Please try again.');
+    }
+  };
+
+  const getEligibilityLabel = (value) => {
+    return eligibilityDefaults.find(option => option.value === value)?.label;
+  };
+
+  // A subcategory cannot be the parent of another, and a category with subcategories cannot be moved under one
+  const parentOptions = categories.filter(category => !category.archived && category.id !== editingId);
+  const editingHasChildren = editingId && categories.some(category => category.id === editingId && category.children.length > 0);
+
+  const renderCategory = (category, parent = null) => {
+    const color = category.color || parent?.color || 'var(--border-color)';
+
+    return (
+      <div key={category.id} style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 'var(--spacing-md)',
+        padding: 'var(--spacing-sm) var(--spacing-md)',
+        paddingLeft: parent ? 'var(--spacing-xxl)' : 'var(--spacing-md)',
+        borderBottom: '1px solid var(--border-color)',
+        opacity: category.archived ? 0.6 : 1
+      }}>
+        <span style={{
+          width: '12px',
+          height: '12px',
+          borderRadius: '50%',
+          background: color,
+          flexShrink: 0
+        }} />
+        <div style={{ flex: 1 }}>
+          <div style={{ fontWeight: parent ? 'normal' : 'bold' }}>
+            {category.name}
+            {category.archived ? (
+              <span style={{ marginLeft: 'var(--spacing-sm)', fontSize: 'var(--font-size-xs)', color: 'var(--text-secondary)' }}>
+                Archived
+              </span>
+            ) : null}
+          </div>
+          <div style={{ fontSize: 'var(--font-size-sm)', color: 'var(--text-secondary)' }}>
+            <Link to={`/receipts?category=${encodeURIComponent(category.name)}`} style={{ color: 'var(--primary-color)' }}>
+              {category.receipt_count} receipt{category.receipt_count !== 1 ? 's' : ''}
+            </Link>
+            {category.eligibility_default && ` • Defaults to ${getEligibilityLabel(category.eligibility_default)}`}
+            {category.description && ` • ${category.description}`}
+          </div>
+        </div>
+        <div style={{ display: 'flex', gap: 'var(--spacing-xs)', flexWrap: 'wrap' }}>
+          {!parent && !category.archived && (
+            <button onClick={() => startAdd(category.id)} className="btn btn-sm btn-text">
+              Add Subcategory
+            </button>
+          )}
+          <button onClick={() => startEdit(category)} className="btn btn-sm btn-outline">
+            Edit
+          </button>
+          <button onClick={() => toggleArchived(category)} className="btn btn-sm btn-outline">
+            {category.archived ? 'Restore' : 'Archive'}
+          </button>
+          <button
+            onClick={() => handleDelete(category)}
+            className="btn btn-sm btn-outline"
+            style={{ color: 'var(--danger-color)' }}
+          >
+            Delete
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const visible = categories.filter(category => showArchived || !category.archived);
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>Categories</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              Organize receipts with your own categories and subcategories. Archived categories are hidden when adding receipts.
+            </p>
+          </div>
+          {!formData && (
+            <button onClick={() => startAdd()} className="btn btn-primary">
+              Add Category
+            </button>
+          )}
+        </div>
+
+        {formData && (
+          <form onSubmit={handleSubmit} className="category-form" style={{
+            background: 'white',
+            padding: 'var(--spacing-lg)',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)',
+            marginBottom: 'var(--spacing-xl)'
+          }}>
+            <h3 style={{ marginTop: 0 }}>{editingId ? 'Edit Category' : 'New Category'}</h3>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--spacing-md)' }}>
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  placeholder="e.g., Chiropractic"
+                  className="form-input"
+                  maxLength={50}
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="parent_id">Parent category</label>
+                <select
+                  id="parent_id"
+                  name="parent_id"
+                  value={formData.parent_id}
+                  onChange={handleChange}
+                  className="form-select"
+                  disabled={editingHasChildren}
+                >
+                  <option value="">None (top-level)</option>
+                  {parentOptions.map(category => (
+                    <option key={category.id} value={category.id}>{category.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="eligibility_default">Eligibility default</label>
+                <select
+                  id="eligibility_default"
+                  name="eligibility_default"
+                  value={formData.eligibility_default}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  <option value="">Use standard rules</option>
+                  {eligibilityDefaults.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="color">Color</label>
+                <input
+                  type="color"
+                  id="color"
+                  name="color"
+                  value={formData.color}
+                  onChange={handleChange}
+                  className="form-input"
+                  style={{ height: '42px', padding: '2px' }}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="description">Description</label>
+                <input
+                  type="text"
+                  id="description"
+                  name="description"
+                  value={formData.description}
+                  onChange={handleChange}
+                  className="form-input"
+                />
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: 'var(--spacing-md)' }}>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : 'Save Category'}
+              </button>
+              <button type="button" onClick={cancelEdit} disabled={saving} className="btn btn-outline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading categories...</p>
+          </div>
+        ) : (
+          <>
+            <div style={{
+              background: 'white',
+              borderRadius: 'var(--border-radius-lg)',
+              boxShadow: 'var(--shadow-sm)',
+              overflow: 'hidden'
+            }}>
+              {visible.map(category => (
+                <React.Fragment key={category.id}>
+                  {renderCategory(category)}
+                  {category.children
+                    .filter(child => showArchived || !child.archived)
+                    .map(child => renderCategory(child, category))}
+                </React.Fragment>
+              ))}
+            </div>
+
+            <label style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: 'var(--spacing-sm)',
+              marginTop: 'var(--spacing-md)',
+              fontSize: 'var(--font-size-sm)',
+              color: 'var(--text-secondary)'
+            }}>
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+              />
+              Show archived categories
+            </label>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Categories;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+import { downloadBlob } from '../utils/download';
+
+function ClaimPackets({ onError }) {
+  const [packets, setPackets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [downloadingId, setDownloadingId] = useState(null);
+
+  useEffect(() => {
+    fetchPackets();
+  }, []);
+
+  const fetchPackets = async () => {
+    try {
+      setLoading(true);
+      const response = await api.claims.getPackets();
+      setPackets(response.data.packets || []);
+    } catch (error) {
+      console.error('Failed to fetch claim packets:', error);
+      onError('Failed to load your claim packets. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDownload = async (packet) => {
+    setDownloadingId(packet.id);
+
+    try {
+      const response = await api.claims.download(packet.id);
+      downloadBlob(response.data, packet.file_name);
+    } catch (error) {
+      console.error('Failed to download claim packet:', error);
+      onError(error.response?.status === 410
+        ? 'The PDF for this packet is no longer available. Create a new packet from All Receipts.'
+        : 'Failed to download claim packet. Please try again.');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
+  const handleDelete = async (packet) => {
+    if (!window.confirm('Delete this claim packet? The receipts stay marked as submitted.')) {
+      return;
+    }
+
+    try {
+      await api.claims.delete(packet.id);
+      setPackets(prev => prev.filter(p => p.id !== packet.id));
+    } catch (error) {
+      console.error('Failed to delete claim packet:', error);
+      onError('Failed to delete claim packet. Please try again.');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>Claim Packets</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              PDF packets you have generated for your plan administrator. Select receipts on All Receipts to build a new one.
+            </p>
+          </div>
+          <Link to="/receipts" className="btn btn-primary">
+            Select Receipts
+          </Link>
+        </div>
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading claim packets...</p>
+          </div>
+        )}
+
+        {!loading && packets.length === 0 && (
+          <div className="empty-state" style={{
+            textAlign: 'center',
+            padding: 'var(--spacing-xxl)',
+            background: 'white',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)'
+          }}>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-lg)' }}>📑</div>
+            <h3>No claim packets yet</h3>
+            <p style={{ color: 'var(--text-secondary)' }}>
+              Tick the receipts you want to claim on All Receipts and choose Claim Packet.
+            </p>
+          </div>
+        )}
+
+        {!loading && packets.length > 0 && (
+          <div className="receipts-grid">
+            {packets.map(packet => (
+              <div key={packet.id} className="receipt-card fade-in">
+                <div className="receipt-details">
+                  <div className="receipt-store">Packet #{packet.id}</div>
+                  <div className="receipt-meta">
+                    Created {formatDate(packet.created_at)}
+                  </div>
+                  <div className="receipt-amount">
+                    {formatCurrency(packet.total_amount)}
+                  </div>
+                  <div className="receipt-meta">
+                    {packet.receipt_count} receipt{packet.receipt_count !== 1 ? 's' : ''} •{' '}
+                    {packet.start_date === packet.end_date
+                      ? formatDate(packet.start_date)
+                      : `${formatDate(packet.start_date)} – ${formatDate(packet.end_date)}`}
+                  </div>
+                  {packet.account_name && (
+                    <div className="receipt-meta">{packet.account_name}</div>
+                  )}
+                  {packet.claim_reference && (
+                    <div className="receipt-meta">Claim {packet.claim_reference}</div>
+                  )}
+                </div>
+
+                <div className="receipt-actions">
+                  <button
+                    onClick={() => handleDownload(packet)}
+                    disabled={downloadingId === packet.id}
+                    className="btn btn-sm btn-outline"
+                  >
+                    {downloadingId === packet.id ? 'Downloading...' : 'Download'}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(packet)}
+                    className="btn btn-sm btn-outline"
+                    style={{ color: 'var(--danger-color)' }}
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ClaimPackets;
@@ -0,0 +1,278 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const today = () => new Date().toISOString().split('T')[0];
+
+function Contributions({ onError }) {
+  const [taxYear, setTaxYear] = useState(new Date().getFullYear());
+  const [contributions, setContributions] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [hsaAccounts, setHsaAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [formData, setFormData] = useState({
+    account_id: '',
+    contribution_date: today(),
+    amount: '',
+    source: 'payroll',
+    note: ''
+  });
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  useEffect(() => {
+    fetchContributions();
+  }, [taxYear]);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.accounts.getAll();
+      const hsas = (response.data.accounts || []).filter(account => account.account_type === 'HSA');
+      setHsaAccounts(hsas);
+      if (hsas.length > 0) {
+        setFormData(prev => ({ ...prev, account_id: prev.account_id || hsas[0].id.toString() }));
+      }
+    } catch (error) {
+      console.error('Failed to fetch accounts:', error);
+      onError('Failed to load your accounts. Please refresh the page.');
+    }
+  };
+
+  const fetchContributions = async () => {
+    try {
+      setLoading(true);
+      const response = await api.contributions.getAll({ tax_year: taxYear });
+      setContributions(response.data.contributions || []);
+      setSummary(response.data.summary);
+      setSources(response.data.sources || []);
+    } catch (error) {
+      console.error('Failed to fetch contributions:', error);
+      onError('Failed to load contributions. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      await api.contributions.create({
+        ...formData,
+        account_id: parseInt(formData.account_id),
+        amount: parseFloat(formData.amount),
+        tax_year: taxYear
+      });
+      setFormData(prev => ({ ...prev, amount: '', note: '' }));
+      await fetchContributions();
+    } catch (error) {
+      console.error('Failed to record contribution:', error);
+      onError(error.response?.data?.details || 'Failed to record contribution. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (contributionId) => {
+    if (!window.confirm('Delete this contribution?')) return;
+
+    try {
+      await api.contributions.delete(contributionId);
+      await fetchContributions();
+    } catch (error) {
+      console.error('Failed to delete contribution:', error);
+      onError('Failed to delete contribution. Please try again.');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const getSourceLabel = (value) => {
+    return sources.find(source => source.value === value)?.label || value;
+  };
+
+  const currentYear = new Date().getFullYear();
+  const yearOptions = [currentYear + 1, currentYear, currentYear - 1, currentYear - 2, currentYear - 3];
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>HSA Contributions</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              Track what goes into your HSA against the IRS annual limit.
+            </p>
+          </div>
+          <select
+            value={taxYear}
+            onChange={(e) => setTaxYear(parseInt(e.target.value))}
+            className="form-select"
+            style={{ width: 'auto' }}
+            aria-label="Tax year"
+          >
+            {yearOptions.map(year => (
+              <option key={year} value={year}>Tax year {year}</option>
+            ))}
+          </select>
+        </div>
+
+        {summary && (
+          <div className="stats-grid">
+            <div className="stat-card">
+              <div className="stat-number">{summary.limit != null ? formatCurrency(summary.limit) : '—'}</div>
+              <div className="stat-label">
+                {summary.coverage_type === 'family' ? 'Family' : 'Self-only'} limit
+                {summary.catch_up_eligible && ' incl. catch-up'}
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{formatCurrency(summary.total_contributed)}</div>
+              <div className="stat-label">Contributed</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-number">{summary.remaining_room != null ? formatCurrency(summary.remaining_room) : '—'}</div>
+              <div className="stat-label">Remaining room</div>
+            </div>
+          </div>
+        )}
+
+        {summary?.warning && (
+          <div style={{
+            padding: 'var(--spacing-md)',
+            margin: 'var(--spacing-lg) 0',
+            borderRadius: 'var(--border-radius-md)',
+            borderLeft: `4px solid ${summary.over_contribution > 0 ? 'var(--danger-color)' : 'var(--warning-color)'}`,
+            background: 'white',
+            fontWeight: 600
+          }}>
+            ⚠️ {summary.warning}
+          </div>
+        )}
+
+        {hsaAccounts.length === 0 ? (
+          <p style={{ color: 'var(--text-secondary)' }}>
+            <Link to="/accounts">Add your HSA</Link> before recording contributions.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} style={{
+            display: 'grid',
+            gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))',
+            gap: 'var(--spacing-sm)',
+            alignItems: 'end',
+            background: 'white',
+            padding: 'var(--spacing-lg)',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)',
+            margin: 'var(--spacing-lg) 0'
+          }}>
+            {hsaAccounts.length > 1 && (
+              <select name="account_id" value={formData.account_id} onChange={handleChange} className="form-select" aria-label="HSA account">
+                {hsaAccounts.map(account => (
+                  <option key={account.id} value={account.id}>{account.name}</option>
+                ))}
+              </select>
+            )}
+            <input
+              type="date"
+              name="contribution_date"
+              value={formData.contribution_date}
+              onChange={handleChange}
+              className="form-input"
+              aria-label="Contribution date"
+              required
+            />
+            <input
+              type="number"
+              name="amount"
+              value={formData.amount}
+              onChange={handleChange}
+              placeholder="Amount"
+              step="0.01"
+              className="form-input"
+              required
+            />
+            <select name="source" value={formData.source} onChange={handleChange} className="form-select" aria-label="Source">
+              {sources.map(source => (
+                <option key={source.value} value={source.value}>{source.label}</option>
+              ))}
+            </select>
+            <input
+              type="text"
+              name="note"
+              value={formData.note}
+              onChange={handleChange}
+              placeholder="Note (optional)"
+              className="form-input"
+            />
+            <button type="submit" disabled={saving} className="btn btn-primary">
+              {saving ? 'Saving...' : `Add to ${taxYear}`}
+            </button>
+          </form>
+        )}
+
+        {loading ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading contributions...</p>
+          </div>
+        ) : contributions.length === 0 ? (
+          <p style={{ color: 'var(--text-secondary)' }}>No contributions recorded for {taxYear}.</p>
+        ) : (
+          <table style={{ width: '100%', borderCollapse: 'collapse', background: 'white', fontSize: 'var(--font-size-sm)' }}>
+            <thead>
+              <tr style={{ textAlign: 'left', color: 'var(--text-secondary)' }}>
+                <th style={{ padding: 'var(--spacing-sm)' }}>Date</th>
+                <th>Account</th>
+                <th>Source</th>
+                <th>Note</th>
+                <th style={{ textAlign: 'right' }}>Amount</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {contributions.map(contribution => (
+                <tr key={contribution.id} style={{ borderTop: '1px solid var(--border-color)' }}>
+                  <td style={{ padding: 'var(--spacing-sm)' }}>{contribution.contribution_date}</td>
+                  <td>{contribution.account_name}</td>
+                  <td>{getSourceLabel(contribution.source)}</td>
+                  <td>{contribution.note}</td>
+                  <td style={{ textAlign: 'right' }}>{formatCurrency(contribution.amount)}</td>
+                  <td style={{ textAlign: 'right' }}>
+                    <button onClick={() => handleDelete(contribution.id)} className="btn btn-text" style={{ color: 'var(--danger-color)' }}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Contributions;
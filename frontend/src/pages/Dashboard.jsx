@@ -1,9 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import api from '../services/api';
+import ShoeboxLedger from '../components/Ledger/ShoeboxLedger';
+import FsaDeadlines from '../components/Ledger/FsaDeadlines';
+import ContributionRoom from '../components/Ledger/ContributionRoom';
+import SpendingCharts from '../components/Charts/SpendingCharts';
+import FsaSpendCharts from '../components/Charts/FsaSpendCharts';
+import { DATE_RANGE_PRESETS, getPresetRange } from '../utils/dateRanges';
 
 function Dashboard({ user, onError }) {
   const [stats, setStats] = useState(null);
+  const [rangePreset, setRangePreset] = useState('last_12_months');
+  const [range, setRange] = useState(() => getPresetRange('last_12_months'));
   const [recentReceipts, setRecentReceipts] = useState([]);
   const [loading, setLoading] = useState(true);
 
@@ -13,12 +21,42 @@ function Dashboard({ user, onError }) {
     fetchDashboardData();
   }, []);
 
+  const fetchStats = async (nextRange) => {
+    try {
+      const response = await api.receipts.getStats({
+        start_date: nextRange.start_date || undefined,
+        end_date: nextRange.end_date || undefined
+      });
+      setStats(response.data);
+    } catch (error) {
+      console.error('Failed to fetch stats:', error);
+      onError(error.response?.data?.details || 'Failed to load statistics for that range. Please try again.');
+    }
+  };
+
+  const handlePresetChange = (preset) => {
+    setRangePreset(preset);
+    if (preset === 'custom') return;
+
+    const nextRange = getPresetRange(preset);
+    setRange(nextRange);
+    fetchStats(nextRange);
+  };
+
+  const handleCustomRangeChange = (key, value) => {
+    const nextRange = { ...range, [key]: value };
+    setRange(nextRange);
+    if (nextRange.start_date && nextRange.end_date && nextRange.start_date <= nextRange.end_date) {
+      fetchStats(nextRange);
+    }
+  };
+
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
 
       const [statsResponse, receiptsResponse] = await Promise.all([
-        api.receipts.getStats(),
+        api.receipts.getStats(range),
         api.receipts.getAll({ limit: 5 })
       ]);
 
@@ -58,6 +96,12 @@ function Dashboard({ user, onError }) {
     return null;
   };
 
+  // The tax summary follows a range within one calendar year, otherwise the year that just ended
+  const taxYear = range.start_date && range.start_date.slice(0, 4) === range.end_date?.slice(0, 4)
+    ? range.start_date.slice(0, 4)
+    : new Date().getFullYear() - 1;
+  const validRange = !range.start_date || !range.end_date || range.start_date <= range.end_date;
+
   if (loading) {
     return (
       <div className="dashboard">
@@ -82,6 +126,45 @@ function Dashboard({ user, onError }) {
           <p className="dashboard-subtitle">
             Here's your healthcare expense overview
           </p>
+          <div style={{ display: 'flex', gap: 'var(--spacing-sm)', flexWrap: 'wrap', alignItems: 'center', marginTop: 'var(--spacing-sm)' }}>
+            <select
+              value={rangePreset}
+              onChange={(e) => handlePresetChange(e.target.value)}
+              className="form-select"
+              aria-label="Show expenses for"
+              style={{ width: 'auto' }}
+            >
+              {DATE_RANGE_PRESETS.map(preset => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </select>
+            {rangePreset === 'custom' && (
+              <>
+                <input
+                  type="date"
+                  value={range.start_date}
+                  onChange={(e) => handleCustomRangeChange('start_date', e.target.value)}
+                  className="form-input"
+                  aria-label="From"
+                  style={{ width: 'auto' }}
+                />
+                <span style={{ color: 'var(--text-secondary)' }}>to</span>
+                <input
+                  type="date"
+                  value={range.end_date}
+                  onChange={(e) => handleCustomRangeChange('end_date', e.target.value)}
+                  className="form-input"
+                  aria-label="To"
+                  style={{ width: 'auto' }}
+                />
+              </>
+            )}
+          </div>
+          {!validRange && (
+            <p style={{ color: 'var(--danger-color)', fontSize: 'var(--font-size-sm)' }}>
+              The start date must be on or before the end date.
+            </p>
+          )}
         </div>
 
         {/* Stats Grid */}
@@ -109,12 +192,44 @@ function Dashboard({ user, onError }) {
 
           <div className="stat-card">
             <div className="stat-number">
-              {new Date().getFullYear()}
+              {formatCurrency(stats?.reimbursement?.outstanding_amount)}
             </div>
-            <div className="stat-label">Current Year</div>
+            <div className="stat-label">Outstanding to Claim</div>
           </div>
+
+          <div className="stat-card">
+            <div className="stat-number">
+              {formatCurrency(stats?.reimbursement?.reimbursed_amount)}
+            </div>
+            <div className="stat-label">Reimbursed</div>
+          </div>
+
+          <Link
+            to={`/tax-report?year=${taxYear}`}
+            className="stat-card"
+            style={{ textDecoration: 'none' }}
+          >
+            <div className="stat-number">
+              {taxYear}
+            </div>
+            <div className="stat-label">Tax Summary →</div>
+          </Link>
         </div>
 
+        {/* Spending Charts */}
+        {validRange && <SpendingCharts range={range} stats={stats} onError={onError} />}
+
+        {/* FSA Deadline Countdowns */}
+        <FsaDeadlines onError={onError} />
+
+        <FsaSpendCharts onError={onError} />
+
+        {/* HSA Shoebox Ledger */}
+        <ShoeboxLedger onError={onError} />
+
+        {/* HSA Contribution Room */}
+        <ContributionRoom onError={onError} />
+
         {/* Category Breakdown */}
         {stats?.categories && stats.categories.length > 0 && (
           <div className="category-section">
@@ -161,6 +276,58 @@ function Dashboard({ user, onError }) {
           </div>
         )}
 
+        {/* Patient Breakdown */}
+        {stats?.patients?.some(patient => patient.patient_id) && (
+          <div className="category-section">
+            <h3>Expenses by Patient</h3>
+            <div className="category-grid" style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+              gap: 'var(--spacing-lg)',
+              margin: 'var(--spacing-lg) 0'
+            }}>
+              {stats.patients.map(patient => (
+                <Link
+                  key={patient.patient_id || 'unassigned'}
+                  to={`/receipts?patient=${patient.patient_id || 'unassigned'}`}
+                  className="category-card"
+                  style={{
+                    background: 'white',
+                    padding: 'var(--spacing-lg)',
+                    borderRadius: 'var(--border-radius-lg)',
+                    boxShadow: 'var(--shadow-sm)',
+                    border: '1px solid var(--border-color)',
+                    textDecoration: 'none'
+                  }}
+                >
+                  <div style={{
+                    fontSize: 'var(--font-size-lg)',
+                    fontWeight: 'bold',
+                    marginBottom: 'var(--spacing-sm)',
+                    color: 'var(--text-primary)'
+                  }}>
+                    {patient.patient_name || 'Not specified'}
+                  </div>
+                  <div style={{
+                    fontSize: 'var(--font-size-xl)',
+                    fontWeight: 'bold',
+                    color: 'var(--primary-color)',
+                    marginBottom: 'var(--spacing-xs)'
+                  }}>
+                    {formatCurrency(patient.total)}
+                  </div>
+                  <div style={{
+                    fontSize: 'var(--font-size-sm)',
+                    color: 'var(--text-secondary)'
+                  }}>
+                    {patient.count} receipt{patient.count !== 1 ? 's' : ''}
+                  </div>
+                </Link>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Quick Actions */}
         <div className="quick-actions">
           <Link to="/upload" className="btn btn-primary btn-lg">
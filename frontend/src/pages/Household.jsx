@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const EMPTY_MEMBER = {
+  name: '',
+  relationship: 'self',
+  date_of_birth: '',
+  is_tax_dependent: false
+};
+
+function Household({ onError }) {
+  const [members, setMembers] = useState([]);
+  const [relationships, setRelationships] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchMembers();
+  }, []);
+
+  const fetchMembers = async () => {
+    try {
+      setLoading(true);
+      const response = await api.household.getAll();
+      setMembers(response.data.members || []);
+      setRelationships(response.data.relationships || []);
+    } catch (error) {
+      console.error('Failed to fetch household members:', error);
+      onError('Failed to load your household. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startAdd = () => {
+    setEditingId(null);
+    setFormData({
+      ...EMPTY_MEMBER,
+      relationship: members.some(member => member.relationship === 'self') ? 'child' : 'self'
+    });
+  };
+
+  const startEdit = (member) => {
+    setEditingId(member.id);
+    setFormData({
+      name: member.name,
+      relationship: member.relationship,
+      date_of_birth: member.date_of_birth || '',
+      is_tax_dependent: !!member.is_tax_dependent
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setFormData(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      if (editingId) {
+        await api.household.update(editingId, formData);
+      } else {
+        await api.household.create(formData);
+      }
+      cancelEdit();
+      await fetchMembers();
+    } catch (error) {
+      console.error('Failed to save household member:', error);
+      onError(error.response?.data?.details || 'Failed to save household member. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (member) => {
+    if (!window.confirm(`Remove ${member.name}? Their ${member.receipt_count} receipt(s) will no longer have a patient.`)) {
+      return;
+    }
+
+    try {
+      await api.household.delete(member.id);
+      setMembers(prev => prev.filter(m => m.id !== member.id));
+    } catch (error) {
+      console.error('Failed to remove household member:', error);
+      onError('Failed to remove household member. Please try again.');
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const getRelationshipLabel = (value) => {
+    return relationships.find(r => r.value === value)?.label || value;
+  };
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>Household</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              The people whose medical expenses you pay. Tag each receipt with the patient so you can answer your plan administrator.
+            </p>
+          </div>
+          {!formData && (
+            <button onClick={startAdd} className="btn btn-primary">
+              Add Person
+            </button>
+          )}
+        </div>
+
+        {formData && (
+          <form onSubmit={handleSubmit} className="household-form" style={{
+            background: 'white',
+            padding: 'var(--spacing-lg)',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)',
+            marginBottom: 'var(--spacing-xl)'
+          }}>
+            <h3 style={{ marginTop: 0 }}>{editingId ? 'Edit Person' : 'New Person'}</h3>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--spacing-md)' }}>
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  className="form-input"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="relationship">Relationship *</label>
+                <select
+                  id="relationship"
+                  name="relationship"
+                  value={formData.relationship}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  {relationships.map(r => (
+                    <option key={r.value} value={r.value}>{r.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="date_of_birth">Date of birth</label>
+                <input
+                  type="date"
+                  id="date_of_birth"
+                  name="date_of_birth"
+                  value={formData.date_of_birth}
+                  onChange={handleChange}
+                  max={new Date().toISOString().split('T')[0]}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group" style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)' }}>
+                <input
+                  type="checkbox"
+                  id="is_tax_dependent"
+                  name="is_tax_dependent"
+                  checked={formData.is_tax_dependent}
+                  onChange={handleChange}
+                />
+                <label htmlFor="is_tax_dependent" style={{ margin: 0 }}>Claimed as a tax dependent</label>
+              </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: 'var(--spacing-md)' }}>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+              <button type="button" onClick={cancelEdit} disabled={saving} className="btn btn-outline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading household...</p>
+          </div>
+        )}
+
+        {!loading && members.length === 0 && !formData && (
+          <div className="empty-state" style={{
+            textAlign: 'center',
+            padding: 'var(--spacing-xxl)',
+            background: 'white',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)'
+          }}>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-lg)' }}>👪</div>
+            <h3>No household members yet</h3>
+            <p style={{ color: 'var(--text-secondary)' }}>
+              Add yourself, your spouse and your dependents to track whose expense each receipt was.
+            </p>
+          </div>
+        )}
+
+        {!loading && members.length > 0 && (
+          <div className="receipts-grid">
+            {members.map(member => (
+              <div key={member.id} className="receipt-card fade-in">
+                <div className="receipt-details">
+                  <div className="receipt-store">{member.name}</div>
+                  <div className="receipt-meta">
+                    {getRelationshipLabel(member.relationship)}
+                    {member.is_tax_dependent ? ' • Tax dependent' : ''}
+                  </div>
+                  {member.date_of_birth && (
+                    <div className="receipt-meta">Born {member.date_of_birth}</div>
+                  )}
+                  <Link
+                    to={`/receipts?patient=${member.id}`}
+                    style={{ fontSize: 'var(--font-size-sm)', color: 'var(--primary-color)' }}
+                  >
+                    {member.receipt_count} receipt{member.receipt_count !== 1 ? 's' : ''} • {formatCurrency(member.receipt_total)}
+                  </Link>
+                </div>
+
+                <div className="receipt-actions">
+                  <button onClick={() => startEdit(member)} className="btn btn-sm btn-outline">
+                    Edit
+                  </button>
+                  <button
+                    onClick={() => handleDelete(member)}
+                    className="btn btn-sm btn-outline"
+                    style={{ color: 'var(--danger-color)' }}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Household;
@@ -0,0 +1,429 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const EMPTY_PROVIDER = {
+  name: '',
+  provider_type: 'other',
+  phone: '',
+  npi: '',
+  address: '',
+  aliases: ''
+};
+
+// Aliases are edited one per line
+const parseAliases = (text) => text.split('\n').map(alias => alias.trim()).filter(Boolean);
+
+function Providers({ onError }) {
+  const [providers, setProviders] = useState([]);
+  const [providerTypes, setProviderTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [mergeTargetId, setMergeTargetId] = useState('');
+  const [merging, setMerging] = useState(false);
+
+  useEffect(() => {
+    fetchProviders();
+  }, []);
+
+  const fetchProviders = async () => {
+    try {
+      setLoading(true);
+      const response = await api.providers.getAll();
+      setProviders(response.data.providers || []);
+      setProviderTypes(response.data.provider_types || []);
+    } catch (error) {
+      console.error('Failed to fetch providers:', error);
+      onError('Failed to load your providers. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startAdd = () => {
+    setEditingId(null);
+    setFormData(EMPTY_PROVIDER);
+  };
+
+  const startEdit = (provider) => {
+    setEditingId(provider.id);
+    setFormData({
+      name: provider.name,
+      provider_type: provider.provider_type,
+      phone: provider.phone || '',
+      npi: provider.npi || '',
+      address: provider.address || '',
+      aliases: provider.aliases.join('\n')
+    });
+  };
+
+  const cancelEdit = () => {
+    setEditingId(null);
+    setFormData(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const payload = { ...formData, aliases: parseAliases(formData.aliases) };
+      if (editingId) {
+        await api.providers.update(editingId, payload);
+      } else {
+        await api.providers.create(payload);
+      }
+      cancelEdit();
+      await fetchProviders();
+    } catch (error) {
+      console.error('Failed to save provider:', error);
+      onError(error.response?.data?.details || 'Failed to save provider. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (provider) => {
+    if (!window.confirm(`Delete ${provider.name} from your providers?`)) {
+      return;
+    }
+
+    try {
+      await api.providers.delete(provider.id);
+      setProviders(prev => prev.filter(p => p.id !== provider.id));
+    } catch (error) {
+      console.error('Failed to delete provider:', error);
+      onError(error.response?.data?.details || 'Failed to delete provider. Please try again.');
+    }
+  };
+
+  const toggleSelected = (providerId) => {
+    setSelectedIds(prev => prev.includes(providerId)
+      ? prev.filter(id => id !== providerId)
+      : [...prev, providerId]
+    );
+  };
+
+  const clearSelection = () => {
+    setSelectedIds([]);
+    setMergeTargetId('');
+  };
+
+  const handleMerge = async () => {
+    const target = providers.find(p => p.id === Number(mergeTargetId));
+    const sourceIds = selectedIds.filter(id => id !== target?.id);
+    if (!target || sourceIds.length === 0) return;
+
+    if (!window.confirm(`Merge ${sourceIds.length} provider${sourceIds.length !== 1 ? 's' : ''} into ${target.name}? Their receipts move to ${target.name} and their names become its aliases.`)) {
+      return;
+    }
+
+    setMerging(true);
+    try {
+      await api.providers.merge(target.id, sourceIds);
+      clearSelection();
+      await fetchProviders();
+    } catch (error) {
+      console.error('Failed to merge providers:', error);
+      onError(error.response?.data?.details || 'Failed to merge providers. Please try again.');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const getTypeLabel = (value) => {
+    return providerTypes.find(t => t.value === value)?.label || value;
+  };
+
+  const searchTerm = search.trim().toLowerCase();
+  const visibleProviders = providers.filter(provider => !searchTerm ||
+    [provider.name, ...provider.aliases].some(name => name.toLowerCase().includes(searchTerm))
+  );
+  const selectedProviders = providers.filter(provider => selectedIds.includes(provider.id));
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>Providers</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              The pharmacies, doctors and stores on your receipts. Receipts are filed under a provider by name, so spelling variations count together.
+            </p>
+          </div>
+          {!formData && (
+            <button onClick={startAdd} className="btn btn-primary">
+              Add Provider
+            </button>
+          )}
+        </div>
+
+        {formData && (
+          <form onSubmit={handleSubmit} className="provider-form" style={{
+            background: 'white',
+            padding: 'var(--spacing-lg)',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)',
+            marginBottom: 'var(--spacing-xl)'
+          }}>
+            <h3 style={{ marginTop: 0 }}>{editingId ? 'Edit Provider' : 'New Provider'}</h3>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(220px, 1fr))', gap: 'var(--spacing-md)' }}>
+              <div className="form-group">
+                <label htmlFor="name">Name *</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleChange}
+                  className="form-input"
+                  maxLength="100"
+                  required
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="provider_type">Type</label>
+                <select
+                  id="provider_type"
+                  name="provider_type"
+                  value={formData.provider_type}
+                  onChange={handleChange}
+                  className="form-select"
+                >
+                  {providerTypes.map(t => (
+                    <option key={t.value} value={t.value}>{t.label}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="phone">Phone</label>
+                <input
+                  type="tel"
+                  id="phone"
+                  name="phone"
+                  value={formData.phone}
+                  onChange={handleChange}
+                  className="form-input"
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="npi">NPI</label>
+                <input
+                  type="text"
+                  id="npi"
+                  name="npi"
+                  value={formData.npi}
+                  onChange={handleChange}
+                  className="form-input"
+                  inputMode="numeric"
+                  maxLength="10"
+                  placeholder="10-digit provider ID"
+                />
+              </div>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="address">Address</label>
+              <input
+                type="text"
+                id="address"
+                name="address"
+                value={formData.address}
+                onChange={handleChange}
+                className="form-input"
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="aliases">Also known as</label>
+              <textarea
+                id="aliases"
+                name="aliases"
+                value={formData.aliases}
+                onChange={handleChange}
+                className="form-textarea"
+                rows="3"
+                placeholder="One name per line, e.g. CVS or CVS/pharmacy"
+              />
+              <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                Receipts with any of these names are filed under this provider. Store numbers are ignored.
+              </small>
+            </div>
+
+            <div style={{ display: 'flex', gap: 'var(--spacing-md)' }}>
+              <button type="submit" disabled={saving} className="btn btn-primary">
+                {saving ? 'Saving...' : 'Save'}
+              </button>
+              <button type="button" onClick={cancelEdit} disabled={saving} className="btn btn-outline">
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {!loading && providers.length > 0 && (
+          <div style={{
+            display: 'flex',
+            gap: 'var(--spacing-md)',
+            alignItems: 'center',
+            flexWrap: 'wrap',
+            marginBottom: 'var(--spacing-lg)'
+          }}>
+            <input
+              type="search"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search providers..."
+              className="form-input"
+              aria-label="Search providers"
+              style={{ maxWidth: '320px' }}
+            />
+
+            {/* Merge tool: pick the duplicates, then the provider to keep */}
+            {selectedIds.length >= 2 && (
+              <div className="merge-bar" style={{ display: 'flex', gap: 'var(--spacing-sm)', alignItems: 'center', flexWrap: 'wrap' }}>
+                <label htmlFor="mergeTarget" style={{ fontSize: 'var(--font-size-sm)', margin: 0 }}>
+                  Merge {selectedIds.length} selected into
+                </label>
+                <select
+                  id="mergeTarget"
+                  value={mergeTargetId}
+                  onChange={(e) => setMergeTargetId(e.target.value)}
+                  className="form-select"
+                  style={{ width: 'auto' }}
+                >
+                  <option value="">Choose the provider to keep...</option>
+                  {selectedProviders.map(provider => (
+                    <option key={provider.id} value={provider.id}>{provider.name}</option>
+                  ))}
+                </select>
+                <button
+                  onClick={handleMerge}
+                  disabled={merging || !mergeTargetId}
+                  className="btn btn-sm btn-primary"
+                >
+                  {merging ? 'Merging...' : 'Merge'}
+                </button>
+                <button onClick={clearSelection} disabled={merging} className="btn btn-sm btn-outline">
+                  Clear
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading providers...</p>
+          </div>
+        )}
+
+        {!loading && providers.length === 0 && !formData && (
+          <div className="empty-state" style={{
+            textAlign: 'center',
+            padding: 'var(--spacing-xxl)',
+            background: 'white',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)'
+          }}>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-lg)' }}>🏥</div>
+            <h3>No providers yet</h3>
+            <p style={{ color: 'var(--text-secondary)' }}>
+              Providers are added automatically as you save receipts, or you can add one yourself.
+            </p>
+          </div>
+        )}
+
+        {!loading && visibleProviders.length > 0 && (
+          <div className="receipts-grid">
+            {visibleProviders.map(provider => (
+              <div key={provider.id} className="receipt-card fade-in">
+                <div className="receipt-details">
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 'var(--spacing-sm)', margin: 0 }}>
+                    <input
+                      type="checkbox"
+                      checked={selectedIds.includes(provider.id)}
+                      onChange={() => toggleSelected(provider.id)}
+                      aria-label={`Select ${provider.name} to merge`}
+                    />
+                    <span className="receipt-store">{provider.name}</span>
+                  </label>
+                  <div className="receipt-meta">
+                    {getTypeLabel(provider.provider_type)}
+                    {provider.npi ? ` • NPI ${provider.npi}` : ''}
+                  </div>
+                  {(provider.phone || provider.address) && (
+                    <div className="receipt-meta">
+                      {[provider.phone, provider.address].filter(Boolean).join(' • ')}
+                    </div>
+                  )}
+                  {provider.aliases.length > 0 && (
+                    <div className="receipt-meta">Also: {provider.aliases.join(', ')}</div>
+                  )}
+                  <Link
+                    to={`/receipts?provider=${provider.id}`}
+                    style={{ fontSize: 'var(--font-size-sm)', color: 'var(--primary-color)' }}
+                  >
+                    {provider.receipt_count} receipt{provider.receipt_count !== 1 ? 's' : ''} • {formatCurrency(provider.receipt_total)}
+                  </Link>
+                  {provider.last_receipt_date && (
+                    <div className="receipt-meta">Last visit {provider.last_receipt_date}</div>
+                  )}
+                </div>
+
+                <div className="receipt-actions">
+                  <button onClick={() => startEdit(provider)} className="btn btn-sm btn-outline">
+                    Edit
+                  </button>
+                  {provider.receipt_count === 0 && (
+                    <button
+                      onClick={() => handleDelete(provider)}
+                      className="btn btn-sm btn-outline"
+                      style={{ color: 'var(--danger-color)' }}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {!loading && providers.length > 0 && visibleProviders.length === 0 && (
+          <p style={{ color: 'var(--text-secondary)' }}>No providers match "{search}".</p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Providers;
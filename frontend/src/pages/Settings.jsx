@@ -0,0 +1,159 @@
+import React, { useState, useEffect } from 'react';
+import api from '../services/api';
+
+// Locales offered for reading receipt dates; the example shows how each writes 4 March 2024
+const DATE_LOCALES = [
+  { value: 'en-US', label: 'United States' },
+  { value: 'en-CA', label: 'Canada' },
+  { value: 'en-GB', label: 'United Kingdom' },
+  { value: 'en-IE', label: 'Ireland' },
+  { value: 'en-AU', label: 'Australia' },
+  { value: 'en-NZ', label: 'New Zealand' },
+  { value: 'fr-FR', label: 'France' },
+  { value: 'de-DE', label: 'Germany' },
+  { value: 'es-ES', label: 'Spain' },
+  { value: 'es-MX', label: 'Mexico' },
+  { value: 'ja-JP', label: 'Japan' }
+];
+
+const toFormData = (user) => ({
+  locale: user.locale,
+  receipt_lookback_months: user.receipt_lookback_months.toString()
+});
+
+function Settings({ onError }) {
+  const [formData, setFormData] = useState(null);
+  const [saved, setSaved] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    try {
+      const response = await api.auth.getMe();
+      const settings = toFormData(response.data.user);
+      setFormData(settings);
+      setSaved(settings);
+    } catch (error) {
+      console.error('Failed to fetch settings:', error);
+      onError('Failed to load your settings. Please refresh the page.');
+    }
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+
+    try {
+      const response = await api.auth.updateSettings({
+        locale: formData.locale,
+        receipt_lookback_months: Number(formData.receipt_lookback_months)
+      });
+      const settings = toFormData(response.data.user);
+      setFormData(settings);
+      setSaved(settings);
+    } catch (error) {
+      console.error('Failed to save settings:', error);
+      onError(error.response?.data?.details || 'Failed to save settings. Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatExample = (locale) => {
+    return new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .format(new Date(2024, 2, 4));
+  };
+
+  const unchanged = saved && formData &&
+    saved.locale === formData.locale &&
+    saved.receipt_lookback_months === formData.receipt_lookback_months;
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{ marginBottom: 'var(--spacing-xl)' }}>
+          <h1>Settings</h1>
+          <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+            How your receipts are read when you scan them.
+          </p>
+        </div>
+
+        {!formData ? (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading settings...</p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit} style={{
+            background: 'white',
+            padding: 'var(--spacing-lg)',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)',
+            maxWidth: '640px'
+          }}>
+            <h3 style={{ marginTop: 0 }}>Receipt Scanning</h3>
+
+            <div className="form-group">
+              <label htmlFor="locale">Date format</label>
+              <select
+                id="locale"
+                name="locale"
+                value={formData.locale}
+                onChange={handleChange}
+                className="form-select"
+              >
+                {/* Keep a locale set elsewhere selectable */}
+                {!DATE_LOCALES.some(l => l.value === formData.locale) && (
+                  <option value={formData.locale}>{formData.locale} ({formatExample(formData.locale)})</option>
+                )}
+                {DATE_LOCALES.map(l => (
+                  <option key={l.value} value={l.value}>
+                    {l.label} ({formatExample(l.value)})
+                  </option>
+                ))}
+              </select>
+              <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                Decides whether a date like 03/04 is read as March 4 or 3 April. The other reading is
+                still offered in case the receipt was printed elsewhere.
+              </small>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="receipt_lookback_months">Look-back window (months)</label>
+              <input
+                type="number"
+                id="receipt_lookback_months"
+                name="receipt_lookback_months"
+                value={formData.receipt_lookback_months}
+                onChange={handleChange}
+                min="1"
+                max="120"
+                step="1"
+                className="form-input"
+                required
+              />
+              <small style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-xs)' }}>
+                Dates older than this are treated as unlikely receipt dates, but are still offered.
+                Raise it when scanning a backlog of old receipts.
+              </small>
+            </div>
+
+            <button type="submit" disabled={saving || unchanged} className="btn btn-primary">
+              {saving ? 'Saving...' : 'Save Settings'}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Settings;
@@ -0,0 +1,286 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import api from '../services/api';
+
+// Returns are usually prepared for the year that just ended
+const DEFAULT_YEAR = new Date().getFullYear() - 1;
+const YEAR_OPTIONS = Array.from({ length: 6 }, (_, index) => new Date().getFullYear() - index);
+
+const sectionStyle = {
+  background: 'white',
+  padding: 'var(--spacing-lg)',
+  borderRadius: 'var(--border-radius-lg)',
+  boxShadow: 'var(--shadow-sm)',
+  marginBottom: 'var(--spacing-xl)'
+};
+
+const cellStyle = {
+  padding: 'var(--spacing-xs) var(--spacing-sm)',
+  borderBottom: '1px solid var(--border-color)',
+  textAlign: 'left'
+};
+
+function TaxReport({ onError }) {
+  const [searchParams] = useSearchParams();
+  const [year, setYear] = useState(() => parseInt(searchParams.get('year')) || DEFAULT_YEAR);
+  const [agi, setAgi] = useState('');
+  const [thresholdPercent, setThresholdPercent] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    fetchReport();
+  }, [year]);
+
+  const fetchReport = async () => {
+    try {
+      setLoading(true);
+      const response = await api.reports.getTaxYear(year, {
+        agi: agi || undefined,
+        threshold_percent: thresholdPercent || undefined
+      });
+      setReport(response.data);
+    } catch (error) {
+      console.error('Failed to fetch tax year report:', error);
+      onError(error.response?.data?.details || 'Failed to load the tax year report. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRecalculate = (e) => {
+    e.preventDefault();
+    fetchReport();
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const renderLine = (label, value, { bold = false, color } = {}) => (
+    <div style={{
+      display: 'flex',
+      justifyContent: 'space-between',
+      padding: 'var(--spacing-xs) 0',
+      borderBottom: '1px solid var(--border-color)',
+      fontWeight: bold ? 'bold' : 'normal',
+      color
+    }}>
+      <span>{label}</span>
+      <span>{value}</span>
+    </div>
+  );
+
+  const hsa = report?.hsa;
+  const deduction = report?.medical_deduction;
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>{year} Tax Summary</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              Figures for IRS Form 8889 and the Schedule A medical expense deduction.
+              {report && ` Prepared for ${report.taxpayer.name} on ${formatDate(report.generated_at)}.`}
+            </p>
+          </div>
+          <button onClick={() => window.print()} disabled={!report} className="btn btn-secondary no-print">
+            Print Report
+          </button>
+        </div>
+
+        <form onSubmit={handleRecalculate} className="filters-section no-print" style={{ ...sectionStyle, padding: 'var(--spacing-md) var(--spacing-lg)' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: 'var(--spacing-md)', alignItems: 'end' }}>
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label htmlFor="year">Tax year</label>
+              <select id="year" value={year} onChange={(e) => setYear(parseInt(e.target.value))} className="form-select">
+                {YEAR_OPTIONS.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label htmlFor="agi">Adjusted gross income</label>
+              <input
+                type="number"
+                id="agi"
+                value={agi}
+                onChange={(e) => setAgi(e.target.value)}
+                min="0"
+                step="0.01"
+                placeholder="Form 1040, line 11"
+                className="form-input"
+              />
+            </div>
+
+            <div className="form-group" style={{ marginBottom: 0 }}>
+              <label htmlFor="threshold_percent">AGI threshold (%)</label>
+              <input
+                type="number"
+                id="threshold_percent"
+                value={thresholdPercent}
+                onChange={(e) => setThresholdPercent(e.target.value)}
+                min="0"
+                max="100"
+                step="0.1"
+                placeholder={deduction ? deduction.schedule_a.threshold_percent.toString() : '7.5'}
+                className="form-input"
+              />
+            </div>
+
+            <button type="submit" disabled={loading} className="btn btn-primary">
+              Recalculate
+            </button>
+          </div>
+        </form>
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Building your tax summary...</p>
+          </div>
+        )}
+
+        {!loading && report && (
+          <>
+            <div className="print-section" style={sectionStyle}>
+              <h2 style={{ marginTop: 0 }}>HSA (Form 8889)</h2>
+
+              {hsa.contributions ? (
+                <>
+                  {renderLine('Contributions for the year', formatCurrency(hsa.contributions.total_contributed))}
+                  {hsa.contributions.limit !== null && renderLine(
+                    `Contribution limit (${hsa.contributions.coverage_type === 'family' ? 'family' : 'self-only'})`,
+                    formatCurrency(hsa.contributions.limit)
+                  )}
+                  {hsa.contributions.warning && (
+                    <p style={{ color: 'var(--warning-color)', fontSize: 'var(--font-size-sm)' }}>{hsa.contributions.warning}</p>
+                  )}
+                </>
+              ) : (
+                <p style={{ color: 'var(--text-secondary)' }}>
+                  You have no HSA on file. <Link to="/accounts">Add one</Link> to track contributions and distributions.
+                </p>
+              )}
+
+              {renderLine('Line 14a: Total distributions', formatCurrency(hsa.form_8889.total_distributions))}
+              {renderLine('Line 15: Qualified medical expenses paid with distributions', formatCurrency(hsa.form_8889.qualified_medical_expenses))}
+              {renderLine('Line 16: Taxable distributions', formatCurrency(hsa.form_8889.taxable_distributions), {
+                bold: true,
+                color: hsa.form_8889.taxable_distributions > 0 ? 'var(--danger-color)' : undefined
+              })}
+
+              {hsa.distributions.length > 0 && (
+                <>
+                  <h3>Distributions</h3>
+                  {hsa.flagged > 0 && (
+                    <p style={{ color: 'var(--danger-color)', fontSize: 'var(--font-size-sm)' }}>
+                      {hsa.flagged} distribution{hsa.flagged !== 1 ? 's are' : ' is'} not fully backed by a receipt.
+                      Unbacked amounts may be taxable and, before age 65, subject to a 20% additional tax.
+                    </p>
+                  )}
+                  <div style={{ overflowX: 'auto' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 'var(--font-size-sm)' }}>
+                      <thead>
+                        <tr>
+                          <th style={cellStyle}>Paid</th>
+                          <th style={cellStyle}>Receipt</th>
+                          <th style={cellStyle}>Account</th>
+                          <th style={{ ...cellStyle, textAlign: 'right' }}>Amount</th>
+                          <th style={{ ...cellStyle, textAlign: 'right' }}>Backed</th>
+                          <th style={cellStyle}>Issues</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {hsa.distributions.map(distribution => (
+                          <tr key={distribution.receipt_id}>
+                            <td style={cellStyle}>{formatDate(distribution.date)}</td>
+                            <td style={cellStyle}>
+                              <Link to={`/receipt/${distribution.receipt_id}/edit`}>{distribution.store_name}</Link>
+                              <div style={{ color: 'var(--text-secondary)' }}>{formatDate(distribution.receipt_date)}</div>
+                            </td>
+                            <td style={cellStyle}>{distribution.account_name}</td>
+                            <td style={{ ...cellStyle, textAlign: 'right' }}>{formatCurrency(distribution.amount)}</td>
+                            <td style={{ ...cellStyle, textAlign: 'right' }}>{formatCurrency(distribution.backed_amount)}</td>
+                            <td style={{ ...cellStyle, color: 'var(--danger-color)' }}>
+                              {distribution.issues.map(issue => (
+                                <div key={issue.code}>{issue.message}</div>
+                              ))}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </>
+              )}
+            </div>
+
+            <div className="print-section" style={sectionStyle}>
+              <h2 style={{ marginTop: 0 }}>Medical Expense Deduction (Schedule A)</h2>
+
+              {renderLine(`Line 1: Medical and dental expenses (${deduction.receipt_count} receipt${deduction.receipt_count !== 1 ? 's' : ''})`, formatCurrency(deduction.schedule_a.medical_expenses))}
+              {renderLine('Line 2: Adjusted gross income', deduction.schedule_a.agi !== null ? formatCurrency(deduction.schedule_a.agi) : 'Not entered')}
+              {renderLine(`Line 3: ${deduction.schedule_a.threshold_percent}% of AGI`, deduction.schedule_a.threshold_amount !== null ? formatCurrency(deduction.schedule_a.threshold_amount) : '—')}
+              {renderLine('Line 4: Deductible medical expenses', deduction.schedule_a.deductible_amount !== null ? formatCurrency(deduction.schedule_a.deductible_amount) : 'Enter your AGI', { bold: true })}
+
+              <p style={{ color: 'var(--text-secondary)', fontSize: 'var(--font-size-sm)' }}>
+                Only deductible if you itemize. Excludes {formatCurrency(deduction.excluded.reimbursed)} reimbursed by benefit accounts,
+                {' '}{formatCurrency(deduction.excluded.pending_reimbursement)} in submitted claims,
+                {' '}{formatCurrency(deduction.excluded.unsubmitted_account)} filed against an account but not claimed yet
+                and {formatCurrency(deduction.excluded.not_eligible)} assessed as not eligible.
+              </p>
+
+              {deduction.by_category.length > 0 && (
+                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 'var(--font-size-sm)' }}>
+                  <thead>
+                    <tr>
+                      <th style={cellStyle}>Category</th>
+                      <th style={{ ...cellStyle, textAlign: 'right' }}>Receipts</th>
+                      <th style={{ ...cellStyle, textAlign: 'right' }}>Amount</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deduction.by_category.map(entry => (
+                      <tr key={entry.category}>
+                        <td style={cellStyle}>{entry.category}</td>
+                        <td style={{ ...cellStyle, textAlign: 'right' }}>{entry.count}</td>
+                        <td style={{ ...cellStyle, textAlign: 'right' }}>{formatCurrency(entry.total)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+
+            <p style={{ color: 'var(--text-muted)', fontSize: 'var(--font-size-xs)' }}>
+              This summary is prepared from the receipts you have recorded and is not tax advice.
+            </p>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TaxReport;
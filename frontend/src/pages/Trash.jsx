@@ -0,0 +1,150 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+function Trash({ onError }) {
+  const [receipts, setReceipts] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    fetchTrash();
+  }, []);
+
+  const fetchTrash = async () => {
+    try {
+      setLoading(true);
+      const response = await api.receipts.getTrash();
+      setReceipts(response.data.receipts || []);
+      setRetentionDays(response.data.retention_days);
+    } catch (error) {
+      console.error('Failed to fetch trash:', error);
+      onError('Failed to load deleted receipts. Please refresh the page.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (receiptId) => {
+    setRestoringId(receiptId);
+
+    try {
+      await api.receipts.restore(receiptId);
+      setReceipts(prev => prev.filter(r => r.id !== receiptId));
+    } catch (error) {
+      console.error('Failed to restore receipt:', error);
+      onError(error.response?.data?.details || 'Failed to restore receipt. Please try again.');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const daysUntil = (isoDate) => {
+    const days = Math.ceil((new Date(isoDate) - new Date()) / (24 * 60 * 60 * 1000));
+    return Math.max(days, 0);
+  };
+
+  return (
+    <div className="receipts-page" style={{ padding: 'var(--spacing-xl) 0' }}>
+      <div className="container">
+        <div className="page-header" style={{
+          display: 'flex',
+          justifyContent: 'space-between',
+          alignItems: 'center',
+          marginBottom: 'var(--spacing-xl)',
+          flexWrap: 'wrap',
+          gap: 'var(--spacing-md)'
+        }}>
+          <div>
+            <h1>Trash</h1>
+            <p style={{ color: 'var(--text-secondary)', margin: '0' }}>
+              Deleted receipts are permanently removed {retentionDays ? `after ${retentionDays} days` : 'after a while'}.
+            </p>
+          </div>
+          <Link to="/receipts" className="btn btn-outline">
+            Back to Receipts
+          </Link>
+        </div>
+
+        {loading && (
+          <div className="loading-container">
+            <div className="loading-spinner"></div>
+            <p>Loading deleted receipts...</p>
+          </div>
+        )}
+
+        {!loading && receipts.length === 0 && (
+          <div className="empty-state" style={{
+            textAlign: 'center',
+            padding: 'var(--spacing-xxl)',
+            background: 'white',
+            borderRadius: 'var(--border-radius-lg)',
+            boxShadow: 'var(--shadow-sm)'
+          }}>
+            <div style={{ fontSize: '4rem', marginBottom: 'var(--spacing-lg)' }}>🗑️</div>
+            <h3>Trash is empty</h3>
+            <p style={{ color: 'var(--text-secondary)' }}>
+              Receipts you delete will appear here until they are permanently removed.
+            </p>
+          </div>
+        )}
+
+        {!loading && receipts.length > 0 && (
+          <div className="receipts-grid">
+            {receipts.map((receipt) => (
+              <div key={receipt.id} className="receipt-card fade-in">
+                <div className="receipt-details">
+                  <div className="receipt-store">{receipt.store_name}</div>
+                  <div className="receipt-meta">
+                    {formatDate(receipt.receipt_date)}
+                  </div>
+                  <div className="receipt-amount">
+                    {formatCurrency(receipt.amount)}
+                  </div>
+                  <div className="receipt-category">
+                    {receipt.category}
+                  </div>
+                  <div style={{
+                    fontSize: 'var(--font-size-sm)',
+                    color: 'var(--warning-color)',
+                    marginTop: 'var(--spacing-xs)'
+                  }}>
+                    Permanently deleted in {daysUntil(receipt.purge_after)} day{daysUntil(receipt.purge_after) !== 1 ? 's' : ''}
+                  </div>
+                </div>
+
+                <div className="receipt-actions">
+                  <button
+                    onClick={() => handleRestore(receipt.id)}
+                    disabled={restoringId === receipt.id}
+                    className="btn btn-sm btn-outline"
+                  >
+                    {restoringId === receipt.id ? 'Restoring...' : 'Restore'}
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Trash;
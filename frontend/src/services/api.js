@@ -89,19 +89,104 @@ const apiMethods = {
     register: (userData) => api.post('/auth/register', userData),
     demoLogin: () => api.post('/auth/demo'),
     getMe: () => api.get('/auth/me'),
+    updateSettings: (settings) => api.put('/auth/settings', settings),
     logout: () => api.post('/auth/logout')
   },
 
   receipts: {
     getAll: (params = {}) => api.get('/receipts', { params }),
+    search: (params = {}) => api.get('/receipts/search', { params }),
     getById: (id) => api.get(`/receipts/${id}`),
     create: (receiptData) => api.post('/receipts', receiptData),
     createWithImageId: (receiptData) => api.post('/receipts', receiptData),
     update: (id, updates) => api.put(`/receipts/${id}`, updates),
     delete: (id) => api.delete(`/receipts/${id}`),
-    getStats: () => api.get('/receipts/stats'),
+    getTrash: () => api.get('/receipts/trash'),
+    restore: (id) => api.post(`/receipts/${id}/restore`),
+    getHistory: (id) => api.get(`/receipts/${id}/history`),
+    revert: (id, revisionId) => api.post(`/receipts/${id}/history/${revisionId}/revert`),
+    updateStatus: (id, statusChange) => api.post(`/receipts/${id}/status`, statusChange),
+    getStats: (params = {}) => api.get('/receipts/stats', { params }),
+    getTimeseries: (params = {}) => api.get('/receipts/stats/timeseries', { params }),
     getCategories: () => api.get('/receipts/meta/categories'),
-    processOCR: (imageId) => api.post('/receipts/ocr/parse', { image_id: imageId })
+    processOCR: (imageId) => api.post('/receipts/ocr/parse', { image_id: imageId }, { timeout: 45000 }),
+    items: {
+      getAll: (receiptId) => api.get(`/receipts/${receiptId}/items`),
+      create: (receiptId, item) => api.post(`/receipts/${receiptId}/items`, item),
+      update: (receiptId, itemId, updates) => api.put(`/receipts/${receiptId}/items/${itemId}`, updates),
+      delete: (receiptId, itemId) => api.delete(`/receipts/${receiptId}/items/${itemId}`)
+    },
+    prescriptions: {
+      getAll: (receiptId) => api.get(`/receipts/${receiptId}/prescriptions`),
+      create: (receiptId, prescription) => api.post(`/receipts/${receiptId}/prescriptions`, prescription),
+      update: (receiptId, prescriptionId, updates) => api.put(`/receipts/${receiptId}/prescriptions/${prescriptionId}`, updates),
+      delete: (receiptId, prescriptionId) => api.delete(`/receipts/${receiptId}/prescriptions/${prescriptionId}`)
+    },
+    attachments: {
+      getAll: (receiptId) => api.get(`/receipts/${receiptId}/attachments`),
+      create: (receiptId, attachment) => api.post(`/receipts/${receiptId}/attachments`, attachment),
+      update: (receiptId, attachmentId, updates) => api.put(`/receipts/${receiptId}/attachments/${attachmentId}`, updates),
+      reorder: (receiptId, attachmentIds) => api.put(`/receipts/${receiptId}/attachments/order`, { attachment_ids: attachmentIds }),
+      delete: (receiptId, attachmentId) => api.delete(`/receipts/${receiptId}/attachments/${attachmentId}`)
+    }
+  },
+
+  accounts: {
+    getAll: () => api.get('/accounts'),
+    getDeadlines: () => api.get('/accounts/deadlines'),
+    getById: (id) => api.get(`/accounts/${id}`),
+    create: (account) => api.post('/accounts', account),
+    update: (id, updates) => api.put(`/accounts/${id}`, updates),
+    delete: (id) => api.delete(`/accounts/${id}`)
+  },
+
+  categories: {
+    getAll: () => api.get('/categories'),
+    create: (category) => api.post('/categories', category),
+    update: (id, updates) => api.put(`/categories/${id}`, updates),
+    delete: (id) => api.delete(`/categories/${id}`)
+  },
+
+  household: {
+    getAll: () => api.get('/household'),
+    getById: (id) => api.get(`/household/${id}`),
+    create: (member) => api.post('/household', member),
+    update: (id, updates) => api.put(`/household/${id}`, updates),
+    delete: (id) => api.delete(`/household/${id}`)
+  },
+
+  providers: {
+    getAll: () => api.get('/providers'),
+    getById: (id) => api.get(`/providers/${id}`),
+    match: (name) => api.get('/providers/match', { params: { name } }),
+    create: (provider) => api.post('/providers', provider),
+    update: (id, updates) => api.put(`/providers/${id}`, updates),
+    merge: (id, sourceIds) => api.post(`/providers/${id}/merge`, { source_ids: sourceIds }),
+    delete: (id) => api.delete(`/providers/${id}`)
+  },
+
+  reports: {
+    getTaxYear: (year, params = {}) => api.get(`/reports/tax-year/${year}`, { params })
+  },
+
+  claims: {
+    createPacket: (packet) => api.post('/claims/packet', packet, { timeout: 60000 }),
+    getPackets: () => api.get('/claims/packets'),
+    download: (id) => api.get(`/claims/packets/${id}/download`, { responseType: 'blob' }),
+    delete: (id) => api.delete(`/claims/packets/${id}`)
+  },
+
+  contributions: {
+    getAll: (params = {}) => api.get('/contributions', { params }),
+    getSummary: (params = {}) => api.get('/contributions/summary', { params }),
+    getLimits: () => api.get('/contributions/limits'),
+    create: (contribution) => api.post('/contributions', contribution),
+    update: (id, updates) => api.put(`/contributions/${id}`, updates),
+    delete: (id) => api.delete(`/contributions/${id}`)
+  },
+
+  ledger: {
+    get: (params = {}) => api.get('/ledger', { params })
   },
 
   images: imageService,
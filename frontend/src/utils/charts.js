@@ -0,0 +1,56 @@
+// Shared helpers for the SVG charts in components/Charts
+
+// Used for series without a color of their own, e.g. categories without a configured color
+export const CHART_PALETTE = ['#3498db', '#27ae60', '#e67e22', '#9b59b6', '#e74c3c', '#16a085', '#f1c40f', '#34495e'];
+
+// Rounds a maximum up to 1, 2 or 5 times a power of ten so axis ticks land on round numbers
+export function niceMax(value) {
+  if (!value || value <= 0) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const fraction = value / magnitude;
+  const nice = fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10;
+  return nice * magnitude;
+}
+
+export function formatCurrency(amount) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD'
+  }).format(amount || 0);
+}
+
+// Short axis labels: $950, $1.2K, $15K
+export function formatAxisCurrency(amount) {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: 'USD',
+    notation: 'compact',
+    maximumFractionDigits: 1
+  }).format(amount || 0);
+}
+
+// Lets keyboard users trigger a chart element's drill-down with Enter or Space
+export function onActivateKey(handler) {
+  return (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handler();
+    }
+  };
+}
+
+// Turns a YYYY-MM-DD period start into a label for the given timeseries interval
+export function formatPeriodLabel(periodStart, interval) {
+  const date = new Date(`${periodStart}T00:00:00`);
+  switch (interval) {
+    case 'day':
+    case 'week':
+      return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    case 'quarter':
+      return `Q${Math.floor(date.getMonth() / 3) + 1} ${date.getFullYear()}`;
+    case 'year':
+      return date.getFullYear().toString();
+    default:
+      return date.toLocaleDateString('en-US', { month: 'short', year: '2-digit' });
+  }
+}
@@ -0,0 +1,45 @@
+// Date range presets for reports and charts. Ranges are { start_date, end_date } YYYY-MM-DD strings;
+// empty strings mean open-ended.
+
+export const DATE_RANGE_PRESETS = [
+  { value: 'last_12_months', label: 'Last 12 months' },
+  { value: 'this_year', label: 'This year' },
+  { value: 'last_year', label: 'Last year' },
+  { value: 'all', label: 'All time' },
+  { value: 'custom', label: 'Custom range' }
+];
+
+const toDateString = (date) => {
+  const month = (date.getMonth() + 1).toString().padStart(2, '0');
+  const day = date.getDate().toString().padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+export function getPresetRange(preset, today = new Date()) {
+  const year = today.getFullYear();
+
+  switch (preset) {
+    case 'last_12_months': {
+      const start = new Date(year, today.getMonth() - 11, 1);
+      return { start_date: toDateString(start), end_date: toDateString(today) };
+    }
+    case 'this_year':
+      return { start_date: `${year}-01-01`, end_date: toDateString(today) };
+    case 'last_year':
+      return { start_date: `${year - 1}-01-01`, end_date: `${year - 1}-12-31` };
+    default:
+      return { start_date: '', end_date: '' };
+  }
+}
+
+// Picks a timeseries interval that gives a readable number of bars for the range
+export function getRangeInterval({ start_date, end_date }) {
+  if (!start_date) return 'year';
+
+  const end = end_date ? new Date(`${end_date}T00:00:00`) : new Date();
+  const days = (end - new Date(`${start_date}T00:00:00`)) / 86400000;
+  if (days <= 31) return 'day';
+  if (days <= 92) return 'week';
+  if (days <= 3 * 366) return 'month';
+  return 'quarter';
+}
@@ -0,0 +1,10 @@
+// Verdicts produced by backend/services/eligibilityService.js
+export const ELIGIBILITY_VERDICTS = [
+  { value: 'eligible', label: 'Eligible', color: '#27ae60', background: 'rgba(39, 174, 96, 0.12)' },
+  { value: 'needs_lmn', label: 'Needs LMN', color: '#d35400', background: 'rgba(211, 84, 0, 0.12)' },
+  { value: 'not_eligible', label: 'Not Eligible', color: '#c0392b', background: 'rgba(192, 57, 43, 0.12)' }
+];
+
+export function getVerdictInfo(verdict) {
+  return ELIGIBILITY_VERDICTS.find(v => v.value === verdict) || null;
+}
@@ -0,0 +1,27 @@
+let nextRowKey = 0;
+
+// Client-side row shape used by the editor. `id` is only set for items already saved on the server.
+export function createLineItemRow(item = {}) {
+  nextRowKey += 1;
+  return {
+    key: `row-${nextRowKey}`,
+    id: item.id || null,
+    description: item.description || '',
+    quantity: item.quantity != null ? item.quantity.toString() : '1',
+    unit_price: item.unit_price != null ? item.unit_price.toString() : '',
+    amount: item.amount != null ? item.amount.toString() : '',
+    hsa_eligible: item.hsa_eligible !== false
+  };
+}
+
+// Converts an editor row into the API payload
+export function toLineItemPayload(row, index) {
+  return {
+    description: row.description.trim(),
+    quantity: row.quantity ? parseFloat(row.quantity) : 1,
+    unit_price: row.unit_price === '' ? null : parseFloat(row.unit_price),
+    amount: parseFloat(row.amount),
+    hsa_eligible: row.hsa_eligible,
+    sort_order: index
+  };
+}
@@ -0,0 +1,36 @@
+let nextRowKey = 0;
+
+// Fields edited as text; numbers are kept as strings until the row is saved
+const TEXT_FIELDS = ['rx_number', 'drug_name', 'strength', 'ndc', 'prescriber', 'patient_initials'];
+
+// Client-side row shape used by the editor. `id` is only set for prescriptions already saved on the server.
+export function createPrescriptionRow(prescription = {}) {
+  nextRowKey += 1;
+  const row = {
+    key: `rx-${nextRowKey}`,
+    id: prescription.id || null,
+    quantity: prescription.quantity != null ? prescription.quantity.toString() : '',
+    days_supply: prescription.days_supply != null ? prescription.days_supply.toString() : ''
+  };
+  for (const field of TEXT_FIELDS) {
+    row[field] = prescription[field] || '';
+  }
+  return row;
+}
+
+export function isPrescriptionRowFilled(row) {
+  return Boolean(row.rx_number.trim() || row.drug_name.trim());
+}
+
+// Converts an editor row into the API payload
+export function toPrescriptionPayload(row, index) {
+  const payload = {
+    quantity: row.quantity === '' ? null : parseFloat(row.quantity),
+    days_supply: row.days_supply === '' ? null : parseInt(row.days_supply),
+    sort_order: index
+  };
+  for (const field of TEXT_FIELDS) {
+    payload[field] = row[field].trim() || null;
+  }
+  return payload;
+}
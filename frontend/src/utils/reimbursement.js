@@ -0,0 +1,17 @@
+// Mirrors REIMBURSEMENT_STATUSES in backend/services/reimbursementWorkflow.js
+export const REIMBURSEMENT_STATUSES = [
+  { value: 'unsubmitted', label: 'Unsubmitted', color: '#7f8c8d', background: 'rgba(127, 140, 141, 0.12)' },
+  { value: 'submitted', label: 'Submitted', color: '#2980b9', background: 'rgba(41, 128, 185, 0.12)' },
+  { value: 'reimbursed', label: 'Reimbursed', color: '#27ae60', background: 'rgba(39, 174, 96, 0.12)' },
+  { value: 'partially_reimbursed', label: 'Partially Reimbursed', color: '#d35400', background: 'rgba(211, 84, 0, 0.12)' },
+  { value: 'denied', label: 'Denied', color: '#c0392b', background: 'rgba(192, 57, 43, 0.12)' },
+  { value: 'not_claiming', label: 'Not Claiming', color: '#8e44ad', background: 'rgba(142, 68, 173, 0.12)' }
+];
+
+export function getStatusInfo(status) {
+  return REIMBURSEMENT_STATUSES.find(s => s.value === status) || REIMBURSEMENT_STATUSES[0];
+}
+
+export function getStatusLabel(status) {
+  return getStatusInfo(status).label;
+}